@@ -0,0 +1,32 @@
+/**
+ * Re-encrypt the records in Redis with the current encryption key
+ *
+ * Run after adding a key to MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON and selecting it with
+ * MCP_AUTH_PROXY_ENCRYPTION_KEY_ID, or after enabling encryption. Once it completes,
+ * the previous key can be removed.
+ *
+ *   heroku run pnpm run reencrypt-tokens
+ */
+import '@dotenvx/dotenvx/config';
+
+import TokenRedisAdapter from '../lib/token-redis-adapter.js';
+import logger, { flushLogger } from '../lib/logger.js';
+
+let exitCode = 0;
+try {
+  TokenRedisAdapter.init(process.env, (err) => {
+    logger.error('reencrypt-tokens: Redis error', { error: err.message });
+  });
+  const counts = await TokenRedisAdapter.reencryptAll();
+  logger.info('reencrypt-tokens: complete', {
+    keyId: TokenRedisAdapter.encryption.currentKeyId,
+    ...counts,
+  });
+} catch (err) {
+  logger.error('reencrypt-tokens: failed', { error: err.message });
+  exitCode = 1;
+} finally {
+  TokenRedisAdapter.client?.disconnect();
+}
+await flushLogger();
+process.exit(exitCode);
@@ -1,6 +1,16 @@
 import '@dotenvx/dotenvx/config';
-import './telemetry.js';
+import { shutdownTelemetry } from './telemetry.js';
 
 import server from './lib/server.js';
+import { flushLogger } from './lib/logger.js';
 
-server(process.env);
+const shutdown = server(process.env);
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    await shutdown(signal);
+    await shutdownTelemetry();
+    await flushLogger();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,380 @@
+/**
+ * Audit log of MCP messages
+ *
+ * Each JSON-RPC message a caller sends through the proxy is recorded, apart from the
+ * application log: who sent it (identity & client), what it called (method, and the tool,
+ * resource or prompt), its arguments as a hash or with sensitive values redacted, and how it
+ * ended (result, JSON-RPC error code or HTTP status) along with its latency. Entries are
+ * written as JSON lines to stdout or a file, or posted to a webhook.
+ * @module audit-log
+ */
+
+import crypto from 'node:crypto';
+
+import { metrics } from '@opentelemetry/api';
+import winston from 'winston';
+
+import logger from './logger.js';
+import { callTarget } from './mcp-authorization-policy.js';
+
+export const AUDIT_LOG_DESTINATIONS = ['off', 'stdout', 'file', 'webhook'];
+export const ARGUMENT_MODES = ['hash', 'redacted', 'none'];
+// Argument names whose values are redacted, by default
+export const DEFAULT_REDACTED_ARGUMENTS = [
+  '*password*',
+  '*secret*',
+  '*token*',
+  '*key*',
+  'authorization',
+  'cookie',
+];
+export const REDACTED = '[REDACTED]';
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {'mcp_message'} event
+ * @property {string} [requestId] - `x-request-id` of the HTTP request
+ * @property {string} route - Path of the MCP Server route
+ * @property {string} [mcpSessionId]
+ * @property {string} accountId - Account of the proxy access token
+ * @property {string} [identityAuthId] - Identity at the identity provider
+ * @property {string} clientId - MCP client
+ * @property {string | number} [jsonRpcId] - Absent for notifications
+ * @property {string} method
+ * @property {string} [target] - Tool name, resource URI or prompt name
+ * @property {string} [argumentsHash] - SHA-256 of the arguments, with the `hash` mode
+ * @property {Object} [arguments] - Redacted arguments, with the `redacted` mode
+ * @property {'result' | 'error' | 'denied' | 'not_sent' | 'accepted' | 'no_response' | 'http_error'} outcome
+ * @property {number} [errorCode] - JSON-RPC error code
+ * @property {number} [httpStatus] - Status of the HTTP response
+ * @property {number} latencyMilliseconds - From the request to the message's outcome
+ */
+
+// `*` matches any characters, case-insensitively
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/**
+ * Replace the values of sensitive arguments, at any depth
+ * @param {unknown} value - Arguments of a call
+ * @param {RegExp[]} patterns - Names of the arguments to redact
+ * @returns {unknown}
+ */
+export function redactArguments(value, patterns) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactArguments(item, patterns));
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [
+      name,
+      patterns.some((pattern) => pattern.test(name)) ? REDACTED : redactArguments(item, patterns),
+    ])
+  );
+}
+
+// JSON with sorted keys, so equal arguments always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    const members = Object.keys(value)
+      .sort()
+      .filter((name) => value[name] !== undefined)
+      .map((name) => `${JSON.stringify(name)}:${canonicalJson(value[name])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Hash the arguments of a call, to compare calls without recording their values
+ * @param {unknown} value
+ * @returns {string} `sha256:` and the hex digest
+ */
+export function hashArguments(value) {
+  return `sha256:${crypto.createHash('sha256').update(canonicalJson(value)).digest('hex')}`;
+}
+
+/**
+ * Records the messages of one HTTP request, as the MCP server responds to them
+ */
+class AuditTrail {
+  constructor(auditLog, context, messages) {
+    this.auditLog = auditLog;
+    this.context = context;
+    this.startedAt = Date.now();
+    this.entries = messages
+      .filter((message) => typeof message.method === 'string')
+      .map((message) => ({ message, recorded: false }));
+  }
+
+  record(entry, outcome, details = {}) {
+    if (entry.recorded) {
+      return;
+    }
+    entry.recorded = true;
+    this.auditLog.write({
+      ...this.context,
+      ...this.auditLog.describeMessage(entry.message),
+      outcome,
+      ...details,
+      latencyMilliseconds: Date.now() - this.startedAt,
+    });
+  }
+
+  /**
+   * Record the messages of a request the policy denied, none of which were sent
+   * @param {Object[]} deniedMessages
+   */
+  deny(deniedMessages) {
+    for (const entry of this.entries) {
+      this.record(entry, deniedMessages.includes(entry.message) ? 'denied' : 'not_sent');
+    }
+  }
+
+  /**
+   * Record the outcome of the request a response from the MCP server answers
+   * @param {Object} message - JSON-RPC message from the MCP server
+   */
+  observe(message) {
+    if (message?.id === undefined || typeof message.method === 'string') {
+      return;
+    }
+    const entry = this.entries.find(
+      (candidate) => !candidate.recorded && candidate.message.id === message.id
+    );
+    if (!entry) {
+      return;
+    }
+    if (message.error) {
+      this.record(entry, 'error', { errorCode: message.error.code });
+    } else {
+      this.record(entry, 'result');
+    }
+  }
+
+  /**
+   * Record the outcome of a JSON response body
+   * @param {Buffer} body
+   */
+  observeBody(body) {
+    let parsed;
+    try {
+      parsed = JSON.parse(body.toString('utf8'));
+    } catch {
+      return;
+    }
+    for (const message of [].concat(parsed)) {
+      this.observe(message);
+    }
+  }
+
+  /**
+   * Record the messages without a response, once the HTTP response is over
+   * @param {number} httpStatus
+   */
+  finish(httpStatus) {
+    const failed = httpStatus >= 300;
+    for (const entry of this.entries) {
+      if (failed) {
+        this.record(entry, 'http_error', { httpStatus });
+      } else if (entry.message.id === undefined) {
+        this.record(entry, 'accepted', { httpStatus });
+      } else {
+        this.record(entry, 'no_response', { httpStatus });
+      }
+    }
+  }
+}
+
+export class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {import('winston-transport')} options.transport - Where entries are written
+   * @param {'hash' | 'redacted' | 'none'} [options.argumentMode] - How arguments are recorded
+   * @param {string[]} [options.redactedArguments] - Argument name patterns redacted in the
+   *   `redacted` mode
+   */
+  constructor({
+    transport,
+    argumentMode = 'hash',
+    redactedArguments = DEFAULT_REDACTED_ARGUMENTS,
+  }) {
+    if (!ARGUMENT_MODES.includes(argumentMode)) {
+      throw new Error(`Audit log argument mode must be one of: ${ARGUMENT_MODES.join(', ')}`);
+    }
+    this.argumentMode = argumentMode;
+    this.redactPatterns = redactedArguments.map(patternToRegExp);
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [transport],
+    });
+  }
+
+  /**
+   * Method, target and arguments of a message, as recorded
+   * @param {{ id?: string | number, method: string, params?: Object }} message
+   * @returns {Object}
+   */
+  describeMessage(message) {
+    const description = { method: message.method };
+    if (message.id !== undefined) {
+      description.jsonRpcId = message.id;
+    }
+    const target = callTarget(message);
+    if (target !== undefined) {
+      description.target = target;
+    }
+    const args = message.params?.arguments;
+    if (args !== undefined) {
+      if (this.argumentMode === 'hash') {
+        description.argumentsHash = hashArguments(args);
+      } else if (this.argumentMode === 'redacted') {
+        description.arguments = redactArguments(args, this.redactPatterns);
+      }
+    }
+    return description;
+  }
+
+  /**
+   * @param {AuditEntry} entry
+   */
+  write(entry) {
+    this.logger.log({ level: 'info', event: 'mcp_message', ...entry });
+  }
+
+  /**
+   * Start recording the JSON-RPC messages of a proxy request
+   * @param {Object} options
+   * @param {import('express').Request} options.req
+   * @param {{ accountId: string, clientId: string }} options.accessToken - Proxy access token
+   * @param {{ identityAuthId?: string }} options.credential - Identity of the caller
+   * @param {string} options.routePath - Path of the MCP Server route
+   * @param {Object[]} options.messages - JSON-RPC messages of the request body
+   * @returns {AuditTrail}
+   */
+  start({ req, accessToken, credential, routePath, messages }) {
+    const context = {
+      requestId: req.headers['x-request-id'],
+      route: routePath,
+      mcpSessionId: req.headers['mcp-session-id'],
+      accountId: accessToken.accountId,
+      identityAuthId: credential.identityAuthId,
+      clientId: accessToken.clientId,
+    };
+    return new AuditTrail(this, context, messages);
+  }
+
+  /**
+   * Write out buffered entries
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      this.logger.on('finish', resolve);
+      this.logger.end();
+    });
+  }
+}
+
+function createTransport(destination, env) {
+  const { MCP_AUTH_PROXY_AUDIT_LOG_FILE, MCP_AUTH_PROXY_AUDIT_LOG_WEBHOOK_URL } = env;
+  if (destination === 'stdout') {
+    return new winston.transports.Console();
+  }
+  if (destination === 'file') {
+    if (!MCP_AUTH_PROXY_AUDIT_LOG_FILE) {
+      throw new Error('MCP_AUTH_PROXY_AUDIT_LOG=file requires MCP_AUTH_PROXY_AUDIT_LOG_FILE');
+    }
+    return new winston.transports.File({ filename: MCP_AUTH_PROXY_AUDIT_LOG_FILE });
+  }
+
+  let webhookUrl;
+  try {
+    webhookUrl = new URL(MCP_AUTH_PROXY_AUDIT_LOG_WEBHOOK_URL);
+  } catch {
+    throw new Error(
+      'MCP_AUTH_PROXY_AUDIT_LOG=webhook requires a valid MCP_AUTH_PROXY_AUDIT_LOG_WEBHOOK_URL'
+    );
+  }
+  const options = {
+    ssl: webhookUrl.protocol === 'https:',
+    host: webhookUrl.hostname,
+    port: webhookUrl.port ? Number(webhookUrl.port) : undefined,
+    path: `${webhookUrl.pathname}${webhookUrl.search}`,
+  };
+  if (webhookUrl.username) {
+    options.auth = {
+      username: decodeURIComponent(webhookUrl.username),
+      password: decodeURIComponent(webhookUrl.password),
+    };
+  }
+  const transport = new winston.transports.Http(options);
+  // The transport only reports failed posts as events, so entries would be lost silently
+  const failures = metrics
+    .getMeter('mcp-auth-proxy')
+    .createCounter('mcp_auth_proxy.audit_log.webhook_failures', {
+      description: 'Audit log entries the webhook did not receive',
+    });
+  const reportFailure = (err) => {
+    failures.add(1);
+    logger.error('audit log webhook did not receive an entry', { error: err.message });
+  };
+  transport.on('warn', reportFailure);
+  transport.on('error', reportFailure);
+  return transport;
+}
+
+/**
+ * Configure the audit log from the environment
+ * @param {Object} env - Environment variables
+ * @returns {AuditLog | undefined} Undefined when the audit log is off
+ */
+export function parseAuditLog(env) {
+  const {
+    MCP_AUTH_PROXY_AUDIT_LOG = 'off',
+    MCP_AUTH_PROXY_AUDIT_LOG_ARGUMENTS = 'hash',
+    MCP_AUTH_PROXY_AUDIT_LOG_REDACT_JSON,
+  } = env;
+  if (!AUDIT_LOG_DESTINATIONS.includes(MCP_AUTH_PROXY_AUDIT_LOG)) {
+    throw new Error(
+      `MCP_AUTH_PROXY_AUDIT_LOG must be one of: ${AUDIT_LOG_DESTINATIONS.join(', ')}`
+    );
+  }
+  if (MCP_AUTH_PROXY_AUDIT_LOG === 'off') {
+    return undefined;
+  }
+  if (!ARGUMENT_MODES.includes(MCP_AUTH_PROXY_AUDIT_LOG_ARGUMENTS)) {
+    throw new Error(
+      `MCP_AUTH_PROXY_AUDIT_LOG_ARGUMENTS must be one of: ${ARGUMENT_MODES.join(', ')}`
+    );
+  }
+
+  let redactedArguments = DEFAULT_REDACTED_ARGUMENTS;
+  if (MCP_AUTH_PROXY_AUDIT_LOG_REDACT_JSON) {
+    try {
+      redactedArguments = JSON.parse(MCP_AUTH_PROXY_AUDIT_LOG_REDACT_JSON);
+    } catch (err) {
+      throw new Error(`MCP_AUTH_PROXY_AUDIT_LOG_REDACT_JSON must be valid JSON: ${err.message}`);
+    }
+    if (
+      !Array.isArray(redactedArguments) ||
+      redactedArguments.some((name) => typeof name !== 'string')
+    ) {
+      throw new Error('MCP_AUTH_PROXY_AUDIT_LOG_REDACT_JSON must be an array of argument names');
+    }
+  }
+
+  return new AuditLog({
+    transport: createTransport(MCP_AUTH_PROXY_AUDIT_LOG, env),
+    argumentMode: MCP_AUTH_PROXY_AUDIT_LOG_ARGUMENTS,
+    redactedArguments,
+  });
+}
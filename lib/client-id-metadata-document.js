@@ -0,0 +1,202 @@
+/**
+ * Client ID Metadata Documents
+ *
+ * Instead of registering, an MCP client may use an HTTPS URL as its `client_id`: the URL serves
+ * a JSON document of the client's metadata. oidc-provider fetches it, with SSRF protection, and
+ * caches it for as long as its `Cache-Control` allows. Accepting them is opt-in. The proxy
+ * restricts which hosts it fetches documents from, checks the name, logo and redirect URIs users
+ * are shown, and keeps its own state about each client (login confirmation, identity login) in
+ * the adapter, apart from the document, so the client is always described by the current
+ * document.
+ * https://datatracker.ietf.org/doc/draft-ietf-oauth-client-id-metadata-document/
+ * @module client-id-metadata-document
+ */
+
+import { errors } from 'oidc-provider';
+
+import { isValidClientIdUrl } from '../node_modules/oidc-provider/lib/helpers/client_id_metadata_document.js';
+
+// Version of the draft implemented by oidc-provider, acknowledged to enable the feature
+export const CLIENT_ID_METADATA_DOCUMENT_VERSION = 'draft-02';
+
+const MAX_CLIENT_NAME_LENGTH = 100;
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Client ID Metadata Document policy of the auth proxy
+ * @typedef {Object} ClientIdMetadataDocumentConfig
+ * @property {boolean} enabled - Whether HTTPS URL client IDs are accepted
+ * @property {RegExp[]} [allowedHosts] - Hosts documents may be fetched from; any host when unset
+ */
+
+// `*` matches any characters, case-insensitively like host names
+function hostPatternToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+/**
+ * Parse the Client ID Metadata Document policy from the environment
+ * @param {Object} env - Environment variables
+ * @returns {ClientIdMetadataDocumentConfig}
+ */
+export function parseClientIdMetadataDocumentConfig(env) {
+  const {
+    MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS = 'false',
+    MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS,
+  } = env;
+  if (!['true', 'false'].includes(MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS)) {
+    throw new Error('MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS must be true or false');
+  }
+  const config = { enabled: MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS === 'true' };
+  if (MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS) {
+    const hosts = MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS.split(',')
+      .map((host) => host.trim())
+      .filter(Boolean);
+    if (hosts.length === 0) {
+      throw new Error('MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS must list one or more hosts');
+    }
+    config.allowedHosts = hosts.map(hostPatternToRegExp);
+  }
+  return config;
+}
+
+/**
+ * Whether a client ID is the URL of a metadata document, rather than a registered client's
+ * @param {string} clientId
+ * @returns {boolean}
+ */
+export function isMetadataDocumentClientId(clientId) {
+  return typeof clientId === 'string' && isValidClientIdUrl(clientId);
+}
+
+function isAllowedRedirectUri(redirectUri, clientIdUrl) {
+  const url = URL.parse(redirectUri);
+  if (!url) {
+    return false;
+  }
+  // Web clients redirect back to their own host
+  if (url.protocol === 'https:') {
+    return url.host === clientIdUrl.host;
+  }
+  // Native clients redirect to a loopback interface, or a private-use URI scheme
+  if (url.protocol === 'http:') {
+    return LOOPBACK_HOSTS.has(url.hostname);
+  }
+  return true;
+}
+
+// The logo shown to users is served by the client's own host
+function isAllowedLogoUri(logoUri, clientIdUrl) {
+  const url = URL.parse(logoUri);
+  return url?.protocol === 'https:' && url.host === clientIdUrl.host;
+}
+
+/**
+ * Check the metadata the user is shown when asked to confirm the client
+ * @param {Object} client - oidc-provider client of a metadata document
+ * @param {string[]} proxyClientProperties - Client properties of the proxy's own state
+ */
+export function validateMetadataDocumentClient(client, proxyClientProperties) {
+  const clientIdUrl = new URL(client.clientId);
+  const invalid = (description) =>
+    new errors.InvalidClientMetadata(`client_id metadata document ${description}`);
+
+  if (
+    typeof client.clientName !== 'string' ||
+    !client.clientName.trim() ||
+    client.clientName.length > MAX_CLIENT_NAME_LENGTH
+  ) {
+    throw invalid(`client_name must be set, up to ${MAX_CLIENT_NAME_LENGTH} characters`);
+  }
+  const redirectUri = (client.redirectUris || []).find(
+    (uri) => !isAllowedRedirectUri(uri, clientIdUrl)
+  );
+  if (redirectUri) {
+    throw invalid(
+      `redirect_uris must use the host of the client_id, a loopback interface or a private-use scheme, not ${redirectUri}`
+    );
+  }
+  if (client.logoUri !== undefined && !isAllowedLogoUri(client.logoUri, clientIdUrl)) {
+    throw invalid('logo_uri must be an https URL on the host of the client_id');
+  }
+  const proxyProperty = proxyClientProperties.find((property) => client[property] !== undefined);
+  if (proxyProperty) {
+    throw invalid(`must not contain ${proxyProperty}`);
+  }
+}
+
+/**
+ * oidc-provider `features.clientIdMetadataDocument` configuration for the policy
+ * @param {ClientIdMetadataDocumentConfig} config
+ * @param {string[]} proxyClientProperties - Client properties of the proxy's own state, which
+ *   are restored onto each client resolved from a document
+ * @returns {Object}
+ */
+export function clientIdMetadataDocumentFeature(config, proxyClientProperties) {
+  return {
+    enabled: config.enabled,
+    ack: CLIENT_ID_METADATA_DOCUMENT_VERSION,
+    async allowFetch(_ctx, clientId) {
+      const { hostname } = new URL(clientId);
+      return !config.allowedHosts || config.allowedHosts.some((host) => host.test(hostname));
+    },
+    async allowClient(_ctx, client) {
+      validateMetadataDocumentClient(client, proxyClientProperties);
+      const state = await client.constructor.adapter.findClientState(client.clientId);
+      for (const property of proxyClientProperties) {
+        if (state?.[property] !== undefined) {
+          client[property] = state[property];
+        }
+      }
+      return true;
+    },
+  };
+}
+
+/**
+ * Extend an oidc-provider adapter so clients of metadata documents are always resolved from
+ * their document, while the proxy's state about them is still stored.
+ * @param {Function} Adapter - oidc-provider adapter class
+ * @param {string[]} proxyClientProperties - Client properties of the proxy's own state
+ * @returns {Function} Adapter class
+ */
+export function withClientIdMetadataDocuments(Adapter, proxyClientProperties) {
+  return class ClientIdMetadataDocumentAdapter extends Adapter {
+    constructor(name, ...args) {
+      super(name, ...args);
+      this.isClientAdapter = name === 'Client';
+    }
+
+    async find(id) {
+      if (this.isClientAdapter && isMetadataDocumentClientId(id)) {
+        return undefined;
+      }
+      return super.find(id);
+    }
+
+    // Only the proxy's state is stored, never a copy of the document
+    async upsert(id, payload, expiresIn) {
+      if (this.isClientAdapter && isMetadataDocumentClientId(id)) {
+        const state = { client_id: id };
+        for (const property of proxyClientProperties) {
+          if (payload[property] !== undefined) {
+            state[property] = payload[property];
+          }
+        }
+        return super.upsert(id, state, expiresIn);
+      }
+      return super.upsert(id, payload, expiresIn);
+    }
+
+    /**
+     * The proxy's state about a metadata document client
+     * @param {string} id - Client ID
+     * @returns {Promise<Object | undefined>}
+     */
+    findClientState(id) {
+      return super.find(id);
+    }
+  };
+}
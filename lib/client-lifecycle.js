@@ -0,0 +1,385 @@
+/**
+ * Stale client garbage collection
+ *
+ * Every MCP client install registers a new client, which would otherwise be stored forever,
+ * along with the upstream identity tokens of its grants. The proxy records when each client was
+ * last used, and periodically reaps the clients idle for longer than the configured expiry: the
+ * upstream refresh tokens of their grants are revoked at the identity provider, then the
+ * clients and everything stored about them are deleted. Clients deleting themselves through
+ * registration management are cleaned up the same way.
+ * @module client-lifecycle
+ */
+
+/**
+ * @typedef {import('oidc-provider').Provider} Provider
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredential} UpstreamCredential
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredentialStore} UpstreamCredentialStore
+ */
+
+import { metrics } from '@opentelemetry/api';
+
+import logger from './logger.js';
+import { parseSeconds } from './identity-token-refresh.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
+
+export const DEFAULT_CLIENT_SWEEP_SECONDS = 60 * 60;
+
+// Last use of each client is written at most this often, per process
+const MAX_TOUCH_INTERVAL_SECONDS = 60 * 60;
+
+const SWEEP_LOCK_NAME = 'client-sweep';
+
+// Record of when last-used tracking started, which clients used before are idle since
+const TRACKING_ID = 'tracking';
+
+// Model of the last use of each client
+const ACTIVITY_MODEL = 'ClientActivity';
+
+// Adapter of a model stored with the provider's own models
+function modelAdapter(provider, model) {
+  const Adapter = provider.Grant.adapter.constructor;
+  return new Adapter(model);
+}
+
+/**
+ * Client lifecycle policy of the auth proxy
+ * @typedef {Object} ClientLifecycleConfig
+ * @property {number} idleSeconds - Seconds a client may go unused before it is reaped
+ * @property {number} sweepSeconds - Seconds between sweeps
+ */
+
+/**
+ * Parse the client lifecycle policy from the environment
+ * @param {Object} env - Environment variables
+ * @returns {ClientLifecycleConfig | undefined} Undefined when clients never expire
+ */
+export function parseClientLifecycleConfig(env) {
+  const idleSeconds = parseSeconds(
+    env.MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS,
+    0,
+    'MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS'
+  );
+  const sweepSeconds = parseSeconds(
+    env.MCP_AUTH_PROXY_CLIENT_SWEEP_SECONDS,
+    DEFAULT_CLIENT_SWEEP_SECONDS,
+    'MCP_AUTH_PROXY_CLIENT_SWEEP_SECONDS'
+  );
+  if (idleSeconds === 0) {
+    return undefined;
+  }
+  if (!(sweepSeconds > 0)) {
+    throw new Error('MCP_AUTH_PROXY_CLIENT_SWEEP_SECONDS must be a positive number of seconds');
+  }
+  return { idleSeconds, sweepSeconds };
+}
+
+/**
+ * Counts of the records deleted along with clients
+ * @typedef {Object} CleanupResult
+ * @property {number} grants - Grants deleted, with their tokens and upstream credentials
+ * @property {number} sessions - Login sessions the clients' authorizations were removed from
+ * @property {number} revoked - Upstream refresh tokens revoked
+ * @property {number} revocationFailures - Upstream refresh tokens the identity provider did not
+ *   revoke; the proxy deletes them regardless
+ */
+
+/**
+ * Counts of a sweep
+ * @typedef {CleanupResult & { scanned: number, reaped: number }} SweepResult - With the stored
+ *   clients checked, and the idle ones deleted
+ */
+
+/**
+ * Deletes clients along with everything stored about them: their grants, with the tokens and
+ * upstream credentials of each, their authorizations in login sessions, their registration
+ * access tokens and last use. Upstream refresh tokens are revoked at the identity provider
+ * first, as no one can use them anymore.
+ *
+ * Sweeps scan every stored record, so they also find records written before the adapter
+ * indexed them by client. A single client, deleting itself on request, is cleaned up through
+ * that index instead, so requests never cost a scan of the whole store.
+ */
+export class ClientCleanup {
+  /**
+   * @param {Object} options
+   * @param {Provider} options.provider - OIDC provider instance, whose adapter lists stored IDs
+   * @param {(credential: UpstreamCredential) => Promise<unknown>} options.revokeFunc - Revokes
+   *   the upstream refresh token of a credential
+   * @param {UpstreamCredentialStore} [options.credentialStore] - Defaults to the provider's
+   */
+  constructor({ provider, revokeFunc, credentialStore }) {
+    if (!provider) {
+      throw new Error('Missing required parameter: provider (OIDC provider instance)');
+    }
+    if (typeof revokeFunc !== 'function') {
+      throw new Error('Missing required parameter: revokeFunc');
+    }
+    const { adapter } = provider.Client;
+    if (
+      typeof adapter.ids !== 'function' ||
+      typeof adapter.idsByClientId !== 'function' ||
+      typeof adapter.destroyClientIndex !== 'function'
+    ) {
+      throw new Error('Client cleanup requires an adapter that lists stored IDs');
+    }
+    this.provider = provider;
+    this.revokeFunc = revokeFunc;
+    this.credentialStore = credentialStore || getUpstreamCredentialStore(provider);
+    this.activityAdapter = modelAdapter(provider, ACTIVITY_MODEL);
+    this.revocations = metrics
+      .getMeter('mcp-auth-proxy')
+      .createCounter('mcp_auth_proxy.clients.upstream_revocations', {
+        description: 'Upstream refresh tokens of deleted clients revoked, by outcome',
+      });
+  }
+
+  /**
+   * Delete the clients, and everything stored about them, scanning every stored record
+   * @param {Map<string, Object>} clients - Client ID to the client's stored metadata
+   * @param {number} [now] - Current epoch seconds
+   * @returns {Promise<CleanupResult>}
+   */
+  destroyClients(clients, now = Math.floor(Date.now() / 1000)) {
+    return this.destroy(clients, now, (adapter) => adapter.ids());
+  }
+
+  /**
+   * Delete a client, and everything stored about it, found through the adapter's client index
+   * @param {string} clientId
+   * @param {Object} stored - The client's stored metadata
+   * @param {number} [now] - Current epoch seconds
+   * @returns {Promise<CleanupResult>}
+   */
+  destroyClient(clientId, stored, now = Math.floor(Date.now() / 1000)) {
+    return this.destroy(new Map([[clientId, stored]]), now, (adapter) =>
+      adapter.idsByClientId(clientId)
+    );
+  }
+
+  async destroy(clients, now, listIds) {
+    const result = { grants: 0, sessions: 0, revoked: 0, revocationFailures: 0 };
+    if (clients.size === 0) {
+      return result;
+    }
+    const { Client, Grant, Session, RegistrationAccessToken } = this.provider;
+
+    for await (const grantId of listIds(Grant.adapter)) {
+      const grant = await Grant.adapter.find(grantId);
+      if (grant && clients.has(grant.clientId)) {
+        await this.revokeUpstream(await this.credentialStore.find(grantId), result);
+        await this.credentialStore.destroy(grantId);
+        await Grant.adapter.revokeByGrantId(grantId);
+        await Grant.adapter.destroy(grantId);
+        result.grants++;
+      }
+    }
+    // The session stays logged in, for the account's other clients
+    for await (const sessionId of listIds(Session.adapter)) {
+      const session = await Session.adapter.find(sessionId);
+      const authorized = Object.keys(session?.authorizations ?? {}).filter((clientId) =>
+        clients.has(clientId)
+      );
+      if (authorized.length > 0) {
+        for (const clientId of authorized) {
+          delete session.authorizations[clientId];
+        }
+        const expiresIn = session.exp && Math.max(1, session.exp - now);
+        await Session.adapter.upsert(sessionId, session, expiresIn);
+        result.sessions++;
+      }
+    }
+    for await (const tokenId of listIds(RegistrationAccessToken.adapter)) {
+      const token = await RegistrationAccessToken.adapter.find(tokenId);
+      if (token && clients.has(token.clientId)) {
+        await RegistrationAccessToken.adapter.destroy(tokenId);
+      }
+    }
+    for (const [clientId, stored] of clients) {
+      // Tokens stored on the client record by earlier versions
+      await this.revokeUpstream(stored, result);
+      await Client.adapter.destroy(clientId);
+      await Client.adapter.destroyClientIndex(clientId);
+      await this.activityAdapter.destroy(clientId);
+    }
+    return result;
+  }
+
+  async revokeUpstream(credential, result) {
+    if (!credential?.identityAuthRefreshToken) {
+      return;
+    }
+    try {
+      await this.revokeFunc(credential);
+      result.revoked++;
+      this.revocations.add(1, { outcome: 'revoked' });
+    } catch (err) {
+      result.revocationFailures++;
+      this.revocations.add(1, { outcome: 'failed' });
+      logger.warn('failed to revoke upstream refresh token of deleted client', {
+        clientId: credential.clientId ?? credential.client_id,
+        error: err.message,
+      });
+    }
+  }
+}
+
+/**
+ * Tracks when clients are used, and reaps the idle ones.
+ * The proxy calls `touch(clientId)` for every request and token grant; each interval, one
+ * process sweeps the stored clients, under a lock shared across dynos.
+ */
+export class ClientLifecycle {
+  /**
+   * @param {Object} options
+   * @param {Provider} options.provider - OIDC provider instance, whose adapter lists stored IDs
+   * @param {number} options.idleSeconds - Seconds a client may go unused before it is reaped
+   * @param {number} options.sweepSeconds - Seconds between sweeps
+   * @param {(credential: UpstreamCredential) => Promise<unknown>} options.revokeFunc - Revokes
+   *   the upstream refresh token of a credential
+   * @param {import('./redis-lock.js').default} [options.lock] - Lock shared across dynos, so
+   *   only one sweeps at a time
+   * @param {UpstreamCredentialStore} [options.credentialStore] - Defaults to the provider's
+   */
+  constructor({ provider, idleSeconds, sweepSeconds, revokeFunc, lock, credentialStore }) {
+    if (!(idleSeconds > 0) || !(sweepSeconds > 0)) {
+      throw new Error('idleSeconds and sweepSeconds must be positive numbers');
+    }
+    this.cleanup = new ClientCleanup({ provider, revokeFunc, credentialStore });
+    this.provider = provider;
+    this.idleSeconds = idleSeconds;
+    this.sweepSeconds = sweepSeconds;
+    this.lock = lock;
+    // Expires once the client is idle
+    this.activityAdapter = this.cleanup.activityAdapter;
+    this.trackingAdapter = modelAdapter(provider, 'ClientLifecycle');
+    this.touchIntervalSeconds = Math.min(MAX_TOUCH_INTERVAL_SECONDS, idleSeconds / 4);
+    /** @type {Map<string, number>} clientId to last written epoch ms */
+    this.touched = new Map();
+    this.timer = null;
+
+    const meter = metrics.getMeter('mcp-auth-proxy');
+    this.reapedClients = meter.createCounter('mcp_auth_proxy.clients.reaped', {
+      description: 'Idle clients deleted',
+    });
+    this.reapedGrants = meter.createCounter('mcp_auth_proxy.clients.reaped_grants', {
+      description: 'Grants of idle clients deleted',
+    });
+  }
+
+  /**
+   * Record that a client was just used
+   * @param {string} clientId
+   */
+  touch(clientId) {
+    if (!clientId) {
+      return;
+    }
+    const now = Date.now();
+    if (now - (this.touched.get(clientId) ?? 0) < this.touchIntervalSeconds * 1000) {
+      return;
+    }
+    this.touched.set(clientId, now);
+    this.activityAdapter
+      .upsert(clientId, { clientId, lastUsedAt: Math.floor(now / 1000) }, this.idleSeconds)
+      .catch((err) => {
+        this.touched.delete(clientId);
+        logger.warn('failed to record client activity', { clientId, error: err.message });
+      });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.sweep().catch((err) => {
+        logger.error('stale client sweep failed', { error: err.message });
+      });
+    }, this.sweepSeconds * 1000);
+    // Do not keep the process alive just for the sweeps
+    this.timer.unref?.();
+    logger.info('stale client sweeps started', {
+      idleSeconds: this.idleSeconds,
+      sweepSeconds: this.sweepSeconds,
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reap the clients idle for longer than the expiry
+   * @param {number} [now] - Current epoch seconds
+   * @returns {Promise<SweepResult | null>} Null when another process is sweeping
+   */
+  async sweep(now = Math.floor(Date.now() / 1000)) {
+    const lockToken = this.lock && (await this.lock.acquire(SWEEP_LOCK_NAME));
+    if (this.lock && !lockToken) {
+      return null;
+    }
+    try {
+      return await this.sweepUnlocked(now);
+    } finally {
+      if (lockToken) {
+        await this.lock.release(SWEEP_LOCK_NAME, lockToken);
+      }
+    }
+  }
+
+  async sweepUnlocked(now) {
+    let scanned = 0;
+    for (const [clientId, touchedAt] of this.touched) {
+      if (Date.now() - touchedAt >= this.touchIntervalSeconds * 1000) {
+        this.touched.delete(clientId);
+      }
+    }
+    const trackingStartedAt = await this.trackingStartedAt(now);
+
+    const clientAdapter = this.provider.Client.adapter;
+    /** @type {Map<string, Object>} clientId to stored metadata */
+    const idleClients = new Map();
+    for await (const clientId of clientAdapter.ids()) {
+      // The proxy's state of metadata document clients is stored apart from their document
+      const stored = clientAdapter.findClientState
+        ? await clientAdapter.findClientState(clientId)
+        : await clientAdapter.find(clientId);
+      if (!stored || idleClients.has(clientId)) {
+        continue;
+      }
+      scanned++;
+      const activity = await this.activityAdapter.find(clientId);
+      const lastUsedAt = Math.max(
+        activity?.lastUsedAt ?? 0,
+        stored.client_id_issued_at ?? 0,
+        trackingStartedAt
+      );
+      if (now - lastUsedAt > this.idleSeconds) {
+        idleClients.set(clientId, stored);
+      }
+    }
+
+    const result = {
+      scanned,
+      reaped: idleClients.size,
+      ...(await this.cleanup.destroyClients(idleClients, now)),
+    };
+    this.reapedClients.add(result.reaped);
+    this.reapedGrants.add(result.grants);
+    logger.info('stale client sweep completed', result);
+    return result;
+  }
+
+  // Clients used before tracking started have no activity, so are idle since it started
+  async trackingStartedAt(now) {
+    const tracking = await this.trackingAdapter.find(TRACKING_ID);
+    if (tracking?.startedAt) {
+      return tracking.startedAt;
+    }
+    await this.trackingAdapter.upsert(TRACKING_ID, { startedAt: now });
+    return now;
+  }
+}
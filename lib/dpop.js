@@ -0,0 +1,288 @@
+/**
+ * DPoP-bound proxy access tokens
+ *
+ * oidc-provider binds an access token to the client's key when the token request carries a
+ * DPoP proof. The proxy then only accepts that token with a fresh proof signed by the same key,
+ * for the same request, so a leaked token cannot be replayed by anyone else.
+ * https://datatracker.ietf.org/doc/html/rfc9449
+ * @module dpop
+ */
+
+import crypto from 'node:crypto';
+
+import instance from '../node_modules/oidc-provider/lib/helpers/weak_cache.js';
+
+// Proofs without a nonce must be this recent, like oidc-provider's
+export const DPOP_PROOF_MAX_AGE_SECONDS = 300;
+
+const NONCE_SECRET_BYTES = 32;
+
+// Members of each key type hashed in its thumbprint, in lexicographic order
+// https://datatracker.ietf.org/doc/html/rfc7638#section-3.2
+const THUMBPRINT_MEMBERS = {
+  EC: ['crv', 'kty', 'x', 'y'],
+  OKP: ['crv', 'kty', 'x'],
+  RSA: ['e', 'kty', 'n'],
+};
+
+/**
+ * How to verify the signature of a JWS algorithm with node:crypto
+ * @param {string} alg - JWS `alg`
+ * @returns {{ hash: string | null, key: Object } | undefined} Undefined when not supported
+ */
+export function verifyOptions(alg) {
+  const [, family, bits] = /^(ES|PS|RS)(256|384|512)$/.exec(alg) || [];
+  if (family === 'ES') {
+    return { hash: `sha${bits}`, key: { dsaEncoding: 'ieee-p1363' } };
+  }
+  if (family === 'PS') {
+    return {
+      hash: `sha${bits}`,
+      key: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: bits / 8 },
+    };
+  }
+  if (family === 'RS') {
+    return { hash: `sha${bits}`, key: {} };
+  }
+  if (alg === 'Ed25519' || alg === 'EdDSA') {
+    return { hash: null, key: {} };
+  }
+  return undefined;
+}
+
+/**
+ * DPoP policy of the auth proxy
+ * @typedef {Object} DpopConfig
+ * @property {boolean} required - Whether every access token must be DPoP-bound
+ * @property {Buffer} [nonceSecret] - Secret of the server-provided nonces; proofs must carry a
+ *   nonce when set
+ */
+
+/**
+ * Parse the DPoP policy from the environment
+ * @param {Object} env - Environment variables
+ * @returns {DpopConfig}
+ */
+export function parseDpopConfig(env) {
+  const { MCP_AUTH_PROXY_DPOP_REQUIRED = 'false', MCP_AUTH_PROXY_DPOP_NONCE_SECRET } = env;
+  if (!['true', 'false'].includes(MCP_AUTH_PROXY_DPOP_REQUIRED)) {
+    throw new Error('MCP_AUTH_PROXY_DPOP_REQUIRED must be true or false');
+  }
+  const config = { required: MCP_AUTH_PROXY_DPOP_REQUIRED === 'true' };
+  if (MCP_AUTH_PROXY_DPOP_NONCE_SECRET) {
+    const nonceSecret = Buffer.from(MCP_AUTH_PROXY_DPOP_NONCE_SECRET, 'base64');
+    if (nonceSecret.length !== NONCE_SECRET_BYTES) {
+      throw new Error(
+        `MCP_AUTH_PROXY_DPOP_NONCE_SECRET must be ${NONCE_SECRET_BYTES} base64 encoded bytes`
+      );
+    }
+    config.nonceSecret = nonceSecret;
+  }
+  return config;
+}
+
+/**
+ * oidc-provider `features.dPoP` configuration for the policy
+ * @param {DpopConfig} config
+ * @returns {Object}
+ */
+export function dpopFeature(config) {
+  return {
+    enabled: true,
+    nonceSecret: config.nonceSecret,
+    requireNonce: () => Boolean(config.nonceSecret),
+  };
+}
+
+/**
+ * Require a DPoP proof for every token request, so clients registered before the policy was
+ * enabled cannot get unbound tokens either.
+ * @param {DpopConfig} config
+ * @param {string} tokenPath - Path of the token endpoint
+ * @returns {Function} Koa middleware for `provider.use()`
+ */
+export function requireDpopAtTokenEndpoint(config, tokenPath) {
+  return async function requireDpop(ctx, next) {
+    if (config.required && ctx.method === 'POST' && ctx.path === tokenPath && !ctx.get('DPoP')) {
+      ctx.status = 400;
+      ctx.body = {
+        error: 'invalid_dpop_proof',
+        error_description: 'DPoP proof is required to obtain access tokens',
+      };
+      return;
+    }
+    await next();
+  };
+}
+
+/**
+ * JWK SHA-256 Thumbprint of a public key
+ * @param {Object} jwk - Public JSON Web Key
+ * @returns {string} base64url encoded
+ */
+export function calculateJwkThumbprint(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk.kty];
+  if (!members) {
+    throw new Error(`Unsupported key type "${jwk.kty}"`);
+  }
+  const canonical = JSON.stringify(Object.fromEntries(members.map((name) => [name, jwk[name]])));
+  return crypto.hash('sha256', canonical, 'base64url');
+}
+
+function dpopError(error, description) {
+  const err = new Error(description);
+  err.error = error;
+  return err;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies the DPoP proofs of requests to the MCP Servers, with the provider's DPoP
+ * configuration: signing algorithms, nonces and replay detection.
+ */
+export class DpopVerifier {
+  /**
+   * @param {Object} options
+   * @param {import('oidc-provider').Provider} options.provider - OIDC provider instance
+   * @param {boolean} [options.required] - Reject access tokens that are not DPoP-bound
+   */
+  constructor({ provider, required = false }) {
+    const providerInstance = instance(provider);
+    this.provider = provider;
+    this.required = required;
+    this.algorithms = providerInstance.configuration.dPoPSigningAlgValues;
+    this.allowReplay = providerInstance.configuration.features.dPoP.allowReplay;
+    this.nonces = providerInstance.DPoPNonces;
+  }
+
+  /**
+   * Nonce for the client's next proof, when nonces are configured
+   * @returns {string | undefined}
+   */
+  nextNonce() {
+    return this.nonces?.nextChallenge();
+  }
+
+  /**
+   * Verify the proof of possession of a request's access token. Errors carry the `error` code
+   * of the DPoP challenge: `invalid_token`, `invalid_dpop_proof` or `use_dpop_nonce`.
+   * @param {import('express').Request} req - Request to the MCP Server
+   * @param {Object} options
+   * @param {string} options.scheme - Authorization scheme, `bearer` or `dpop`, in lower case
+   * @param {string} options.token - The access token
+   * @param {{ jkt?: string, clientId: string }} options.accessToken - Its model
+   * @param {string} options.url - URL of the request, the expected `htu`
+   * @returns {Promise<void>}
+   */
+  async verify(req, { scheme, token, accessToken, url }) {
+    if (!accessToken.jkt) {
+      if (scheme === 'dpop') {
+        throw dpopError('invalid_token', 'Access token is not DPoP-bound, use the Bearer scheme');
+      }
+      if (this.required) {
+        throw dpopError('invalid_token', 'Access token must be DPoP-bound');
+      }
+      return;
+    }
+    if (scheme !== 'dpop') {
+      throw dpopError('invalid_token', 'DPoP-bound access token must use the DPoP scheme');
+    }
+
+    const proof = req.headers.dpop;
+    if (typeof proof !== 'string' || proof.includes(',')) {
+      throw dpopError('invalid_dpop_proof', 'Request must carry exactly one DPoP proof');
+    }
+    const payload = this.verifySignature(proof, accessToken.jkt);
+
+    if (typeof payload.jti !== 'string' || !payload.jti || typeof payload.iat !== 'number') {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof must have jti and iat claims');
+    }
+    if (payload.htm !== req.method) {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof htm mismatch');
+    }
+    const htu = URL.parse(payload.htu);
+    const expectedUrl = new URL(url);
+    if (htu) {
+      htu.search = '';
+      htu.hash = '';
+    }
+    expectedUrl.search = '';
+    if (!htu || htu.href !== expectedUrl.href) {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof htu mismatch');
+    }
+    if (payload.ath !== crypto.hash('sha256', token, 'base64url')) {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof ath mismatch');
+    }
+
+    if (this.nonces) {
+      if (typeof payload.nonce !== 'string' || !this.nonces.checkChallenge(payload.nonce)) {
+        throw dpopError(
+          'use_dpop_nonce',
+          'DPoP proof must carry a nonce from the DPoP-Nonce header'
+        );
+      }
+    } else if (Math.abs(Math.floor(Date.now() / 1000) - payload.iat) > DPOP_PROOF_MAX_AGE_SECONDS) {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof iat is not recent enough');
+    }
+
+    if (!this.allowReplay) {
+      const unique = await this.provider.ReplayDetection.unique(
+        accessToken.clientId,
+        payload.jti,
+        Math.floor(Date.now() / 1000) + DPOP_PROOF_MAX_AGE_SECONDS
+      );
+      if (!unique) {
+        throw dpopError('invalid_dpop_proof', 'DPoP proof was already used');
+      }
+    }
+  }
+
+  // Check the proof is signed by the key the access token is bound to
+  verifySignature(proof, jkt) {
+    const [encodedHeader, encodedPayload, encodedSignature, ...rest] = proof.split('.');
+    let header;
+    let payload;
+    try {
+      if (rest.length > 0 || !encodedSignature) {
+        throw new Error('not a JWS');
+      }
+      header = decodeSegment(encodedHeader);
+      payload = decodeSegment(encodedPayload);
+    } catch {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof must be a signed JWT');
+    }
+
+    const options = verifyOptions(header.alg);
+    if (header.typ !== 'dpop+jwt' || !this.algorithms.includes(header.alg) || !options) {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof has an unsupported typ or alg');
+    }
+    const jwk = header.jwk;
+    if (!jwk || typeof jwk !== 'object' || jwk.d !== undefined) {
+      throw dpopError('invalid_dpop_proof', 'DPoP proof must carry a public jwk');
+    }
+
+    let isSigned = false;
+    try {
+      isSigned =
+        calculateJwkThumbprint(jwk) === jkt &&
+        crypto.verify(
+          options.hash,
+          Buffer.from(`${encodedHeader}.${encodedPayload}`),
+          { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), ...options.key },
+          Buffer.from(encodedSignature, 'base64url')
+        );
+    } catch {
+      isSigned = false;
+    }
+    if (!isSigned) {
+      throw dpopError(
+        'invalid_dpop_proof',
+        'DPoP proof is not signed by the key of the access token'
+      );
+    }
+    return payload;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Graceful shutdown
+ *
+ * On SIGTERM the proxy stops accepting connections, lets in-flight requests finish
+ * within a deadline, stops the MCP Server sub-process, then closes its connections,
+ * so that dyno restarts do not cut proxied streams or leave Redis connections behind.
+ * @module graceful-shutdown
+ */
+
+import logger from './logger.js';
+
+export const DEFAULT_DRAIN_TIMEOUT_SECONDS = 10;
+export const DEFAULT_MCP_SERVER_STOP_TIMEOUT_SECONDS = 10;
+const IDLE_SWEEP_INTERVAL_MILLISECONDS = 50;
+
+/**
+ * @typedef {Object} ShutdownStep
+ * @property {string} name - Logged as the step runs
+ * @property {() => unknown | Promise<unknown>} run - Errors are logged, and later steps still run
+ */
+
+/**
+ * Stop accepting connections, and wait for in-flight requests to finish.
+ * Idle keep-alive connections are closed as soon as they go idle; connections still open at the
+ * deadline, such as long-lived event streams, are cut.
+ * @param {import('node:http').Server} [httpServer]
+ * @param {number} timeoutMilliseconds - Deadline to drain requests
+ * @returns {Promise<void>}
+ */
+export function drainHttpServer(httpServer, timeoutMilliseconds) {
+  if (!httpServer?.listening) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    // Keep-alive connections go idle once their in-flight request finishes
+    const idleSweep = setInterval(
+      () => httpServer.closeIdleConnections(),
+      IDLE_SWEEP_INTERVAL_MILLISECONDS
+    );
+    const deadline = setTimeout(() => {
+      logger.warn('shutdown: drain deadline reached, closing remaining connections', {
+        timeoutMilliseconds,
+      });
+      httpServer.closeAllConnections();
+    }, timeoutMilliseconds);
+    httpServer.close(() => {
+      clearInterval(idleSweep);
+      clearTimeout(deadline);
+      resolve();
+    });
+    httpServer.closeIdleConnections();
+  });
+}
+
+/**
+ * Create the shutdown sequence
+ * @param {ShutdownStep[]} steps - Run in order
+ * @returns {(signal?: string) => Promise<void>} Runs the steps once; later calls wait for the same run
+ */
+export function createGracefulShutdown(steps) {
+  let shutdownPromise;
+
+  async function runSteps(signal) {
+    logger.info('shutdown: begin', { signal });
+    for (const step of steps) {
+      const startedAt = Date.now();
+      try {
+        await step.run();
+        logger.info('shutdown: step complete', {
+          step: step.name,
+          durationMilliseconds: Date.now() - startedAt,
+        });
+      } catch (err) {
+        logger.error('shutdown: step failed', { step: step.name, error: err.message });
+      }
+    }
+    logger.info('shutdown: complete', { signal });
+  }
+
+  return function shutdown(signal) {
+    if (!shutdownPromise) {
+      shutdownPromise = runSteps(signal);
+    }
+    return shutdownPromise;
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Identity assertions for the MCP Server
+ *
+ * The proxy forwards the identity provider's access token, along with the caller's scope and
+ * client in plain headers, which the MCP Server cannot tell apart from forged ones. Optionally,
+ * each proxied request also carries a short-lived JWT signed with the provider's keys, asserting
+ * who the caller is. The MCP Server verifies it with the public keys at `/jwks`, and may then
+ * receive no identity provider token at all.
+ * @module identity-assertion
+ */
+
+import crypto from 'node:crypto';
+
+import { parseSeconds } from './identity-token-refresh.js';
+
+// Request header carrying the assertion to the MCP Server
+export const IDENTITY_ASSERTION_HEADER = 'x-identity-assertion';
+
+// Explicit type, so an assertion cannot be confused with an access or ID token
+export const IDENTITY_ASSERTION_TYPE = 'identity-assertion+jwt';
+
+export const IDENTITY_ASSERTION_MODES = ['off', 'on', 'only'];
+export const DEFAULT_IDENTITY_ASSERTION_TTL_SECONDS = 60;
+
+/**
+ * @typedef {Object} IdentityAssertionConfig
+ * @property {boolean} withholdIdentityToken - Whether to stop forwarding the identity
+ *   provider's access token, leaving the assertion as the only authorization
+ * @property {number} ttlSeconds - Lifetime of each assertion
+ */
+
+/**
+ * Parse the identity assertion configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {IdentityAssertionConfig | undefined} Undefined when assertions are off
+ */
+export function parseIdentityAssertionConfig(env) {
+  const { MCP_SERVER_IDENTITY_ASSERTION = 'off', MCP_SERVER_IDENTITY_ASSERTION_TTL_SECONDS } = env;
+  if (!IDENTITY_ASSERTION_MODES.includes(MCP_SERVER_IDENTITY_ASSERTION)) {
+    throw new Error(
+      `MCP_SERVER_IDENTITY_ASSERTION must be one of: ${IDENTITY_ASSERTION_MODES.join(', ')}`
+    );
+  }
+  if (MCP_SERVER_IDENTITY_ASSERTION === 'off') {
+    return undefined;
+  }
+  const ttlSeconds = parseSeconds(
+    MCP_SERVER_IDENTITY_ASSERTION_TTL_SECONDS,
+    DEFAULT_IDENTITY_ASSERTION_TTL_SECONDS,
+    'MCP_SERVER_IDENTITY_ASSERTION_TTL_SECONDS'
+  );
+  if (ttlSeconds === 0) {
+    throw new Error('MCP_SERVER_IDENTITY_ASSERTION_TTL_SECONDS must be greater than 0');
+  }
+  return {
+    withholdIdentityToken: MCP_SERVER_IDENTITY_ASSERTION === 'only',
+    ttlSeconds,
+  };
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+export class IdentityAssertionSigner {
+  /**
+   * @param {Object} options
+   * @param {string} options.issuer - Auth proxy issuer, the `iss` of its assertions
+   * @param {Object[]} options.keys - The provider's private JSON Web Keys; the first Ed25519 key signs
+   * @param {number} [options.ttlSeconds] - Lifetime of each assertion
+   */
+  constructor({ issuer, keys, ttlSeconds = DEFAULT_IDENTITY_ASSERTION_TTL_SECONDS }) {
+    const jwk = keys.find((key) => key.kty === 'OKP' && key.crv === 'Ed25519' && key.d);
+    if (!jwk) {
+      throw new Error('Identity assertions require an Ed25519 private key in OIDC_PROVIDER_JWKS');
+    }
+    this.issuer = issuer;
+    this.ttlSeconds = ttlSeconds;
+    this.kid = jwk.kid;
+    this.key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Sign an assertion of the caller's identity, for one proxied request
+   * @param {Object} options
+   * @param {import('./upstream-credential-store.js').UpstreamCredential} options.credential -
+   *   Upstream credential of the caller's grant
+   * @param {{ scope?: string }} options.accessToken - The caller's proxy access token
+   * @param {string} options.audience - Resource of the MCP Server the request is proxied to
+   * @param {string} options.requestId - ID of the proxied request
+   * @returns {string} Compact JWT
+   */
+  sign({ credential, accessToken, audience, requestId }) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'Ed25519', typ: IDENTITY_ASSERTION_TYPE };
+    if (this.kid) {
+      header.kid = this.kid;
+    }
+    const payload = {
+      iss: this.issuer,
+      sub: credential.identityAuthId,
+      aud: audience,
+      client_id: credential.clientId,
+      scope: accessToken.scope,
+      identity_scope: credential.identityAuthScope,
+      instance_url: credential.identityAuthInstanceUrl,
+      request_id: requestId,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + this.ttlSeconds,
+    };
+    const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), this.key);
+    return `${signingInput}.${signature.toString('base64url')}`;
+  }
+}
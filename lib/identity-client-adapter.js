@@ -12,25 +12,17 @@
  * @typedef {import('@heroku/oauth-provider-adapters-for-mcp').OIDCProviderAdapter} OIDCProviderAdapter
  * @typedef {import('@heroku/oauth-provider-adapters-for-mcp').PKCEStorageHook} PKCEStorageHook
  * @typedef {import('@heroku/oauth-provider-adapters-for-mcp').TokenResponse} TokenResponse
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredential} UpstreamCredential
  */
 
 /**
- * Client interface with identity auth fields
+ * Client interface with identity auth fields.
+ * Identity tokens are stored per grant, see upstream-credential-store.js.
  * @typedef {Object} AuthProxyClient
  * @property {string} clientId
  * @property {string} [identityAuthCodeVerifier]
  * @property {string} [identityAuthState]
  * @property {string} [identityAuthId]
- * @property {string} [identityAuthAccessToken]
- * @property {string} [identityAuthRefreshToken]
- * @property {string} [identityAuthTokenType]
- * @property {string} [identityAuthScope]
- * @property {number} [identityAuthIssuedAt]
- * @property {string} [identityAuthIdToken]
- * @property {string} [identityAuthSignature]
- * @property {string} [identityAuthInstanceUrl]
- * @property {number} [identityAuthExpiresIn]
- * @property {string} [identityAuthSessionNonce]
  * @property {() => ClientMetadata} metadata
  */
 
@@ -55,12 +47,16 @@
  * @property {string} clientId
  */
 
+import { readFile } from 'node:fs/promises';
 import {
   fromEnvironmentAsync,
   DefaultLogger,
   LogLevel,
 } from '@heroku/oauth-provider-adapters-for-mcp';
+import * as openidClient from 'openid-client';
 import logger from './logger.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
+import { TOKEN_EXCHANGE_GRANT_TYPE, tokenExchangeParameters } from './token-exchange.js';
 
 /** @type {OIDCProviderAdapter | null} */
 let oidcAdapter = null;
@@ -68,6 +64,12 @@ let oidcAdapter = null;
 /** @type {string} */
 let identityScope;
 
+/** @type {AdapterEnvironmentVariables} */
+let identityServerEnv;
+
+/** @type {Promise<import('openid-client').Configuration> | null} */
+let tokenEndpointConfig = null;
+
 /** @type {string} */
 let identityCallbackPath;
 
@@ -365,6 +367,8 @@ export async function identityClientInit(env = {}, provider = null) {
   if (IDENTITY_SERVER_METADATA_FILE) {
     adapterEnv.IDENTITY_SERVER_METADATA_FILE = IDENTITY_SERVER_METADATA_FILE;
   }
+  identityServerEnv = adapterEnv;
+  tokenEndpointConfig = null;
 
   try {
     // Create storage hook if provider is available
@@ -477,8 +481,9 @@ async function generateIdentityAuthUrl(
 }
 
 /**
- * Exchange authorization code for tokens using adapter
- * Maps normalized token response to existing client session fields
+ * Exchange authorization code for tokens using adapter.
+ * The tokens are not stored on the client; once the user's grant is saved, store them
+ * with createUpstreamCredential().
  * @param {Provider} authProxyProvider - OIDC provider instance
  * @param {AuthProxyClient} authProxyClient - Auth proxy client
  * @param {string} code - Authorization code
@@ -536,34 +541,6 @@ async function exchangeIdentityCode(
     // Exchange code for tokens using adapter
     const tokenResponse = await oidcAdapter.exchangeCode(code, codeVerifier, redirectUrl);
 
-    // Map normalized token response to existing client session field names
-    authProxyClient.identityAuthAccessToken = tokenResponse.accessToken;
-    authProxyClient.identityAuthRefreshToken = tokenResponse.refreshToken;
-    authProxyClient.identityAuthTokenType = tokenResponse.tokenType || 'Bearer';
-    authProxyClient.identityAuthScope = tokenResponse.scope || identityScope;
-    authProxyClient.identityAuthIssuedAt = tokenResponse.issuedAt || Math.floor(Date.now() / 1000);
-    authProxyClient.identityAuthIdToken = tokenResponse.idToken;
-
-    // Handle provider-specific fields that might be in userData
-    if (tokenResponse.userData) {
-      authProxyClient.identityAuthSignature = tokenResponse.userData.signature;
-      authProxyClient.identityAuthInstanceUrl = tokenResponse.userData.instance_url;
-      authProxyClient.identityAuthExpiresIn = tokenResponse.userData.expires_in;
-      authProxyClient.identityAuthSessionNonce = tokenResponse.userData.session_nonce;
-    }
-
-    // Extract user ID (maintains existing logic)
-    const tokenId = tokenResponse.userData?.id || tokenResponse.userData?.user_id;
-    if (tokenId) {
-      authProxyClient.identityAuthId = tokenId;
-    }
-
-    // Save updated client session
-    await authProxyProvider.Client.adapter.upsert(
-      authProxyClient.clientId,
-      authProxyClient.metadata()
-    );
-
     logger.info('Successfully exchanged identity code for tokens', {
       clientId: authProxyClient.clientId,
       hasRefreshToken: !!tokenResponse.refreshToken,
@@ -582,19 +559,59 @@ async function exchangeIdentityCode(
 }
 
 /**
- * Refresh identity token using adapter
- * Maintains the same interface as the original function
+ * Map the token response of a code exchange to the upstream credential of a grant
+ * @param {TokenResponse} tokenResponse - From exchangeIdentityCode()
+ * @param {{ grantId: string, accountId: string, clientId: string, expiresAt?: number }} grant -
+ *   Grant the tokens belong to
+ * @returns {UpstreamCredential} Not yet stored
+ */
+function createUpstreamCredential(tokenResponse, grant) {
+  const credential = {
+    grantId: grant.grantId,
+    accountId: grant.accountId,
+    clientId: grant.clientId,
+    expiresAt: grant.expiresAt,
+    identityAuthAccessToken: tokenResponse.accessToken,
+    identityAuthRefreshToken: tokenResponse.refreshToken,
+    identityAuthTokenType: tokenResponse.tokenType || 'Bearer',
+    identityAuthScope: tokenResponse.scope || identityScope,
+    identityAuthIssuedAt: tokenResponse.issuedAt || Math.floor(Date.now() / 1000),
+    identityAuthIdToken: tokenResponse.idToken,
+  };
+
+  // Handle provider-specific fields that might be in userData
+  if (tokenResponse.userData) {
+    credential.identityAuthSignature = tokenResponse.userData.signature;
+    credential.identityAuthInstanceUrl = tokenResponse.userData.instance_url;
+    credential.identityAuthExpiresIn = tokenResponse.userData.expires_in;
+    credential.identityAuthSessionNonce = tokenResponse.userData.session_nonce;
+  }
+  if (!credential.identityAuthExpiresIn && tokenResponse.expiresIn) {
+    credential.identityAuthExpiresIn = tokenResponse.expiresIn;
+  }
+
+  // Extract user ID (maintains existing logic)
+  const tokenId = tokenResponse.userData?.id || tokenResponse.userData?.user_id;
+  if (tokenId) {
+    credential.identityAuthId = tokenId;
+  }
+
+  return credential;
+}
+
+/**
+ * Refresh identity token using adapter, and store the refreshed upstream credential
  * @param {Provider} authProxyProvider - OIDC provider instance
- * @param {AuthProxyClient} authProxyClient - Auth proxy client
+ * @param {UpstreamCredential} credential - Upstream credential of the user's grant
  * @returns {Promise<TokenResponse>} Token response
  */
-async function refreshIdentityToken(authProxyProvider, authProxyClient) {
+async function refreshIdentityToken(authProxyProvider, credential) {
   if (!oidcAdapter) {
     throw new Error('identityClientInit(env) must be called during app start-up');
   }
 
   try {
-    const refreshToken = authProxyClient.identityAuthRefreshToken;
+    const refreshToken = credential.identityAuthRefreshToken;
     if (!refreshToken) {
       throw new Error('No refresh token available');
     }
@@ -602,27 +619,31 @@ async function refreshIdentityToken(authProxyProvider, authProxyClient) {
     // Refresh tokens using adapter
     const tokenResponse = await oidcAdapter.refreshToken(refreshToken);
 
-    // Update client session with fresh tokens (same mapping as exchange)
-    authProxyClient.identityAuthAccessToken = tokenResponse.accessToken;
+    // Update the credential with fresh tokens (same mapping as exchange)
+    credential.identityAuthAccessToken = tokenResponse.accessToken;
     if (tokenResponse.refreshToken) {
-      authProxyClient.identityAuthRefreshToken = tokenResponse.refreshToken;
+      credential.identityAuthRefreshToken = tokenResponse.refreshToken;
     }
-    authProxyClient.identityAuthTokenType = tokenResponse.tokenType || 'Bearer';
-    authProxyClient.identityAuthScope = tokenResponse.scope || identityScope;
-    authProxyClient.identityAuthIssuedAt = tokenResponse.issuedAt || Math.floor(Date.now() / 1000);
+    credential.identityAuthTokenType = tokenResponse.tokenType || 'Bearer';
+    credential.identityAuthScope = tokenResponse.scope || identityScope;
+    credential.identityAuthIssuedAt = tokenResponse.issuedAt || Math.floor(Date.now() / 1000);
 
     // Handle provider-specific fields
     if (tokenResponse.userData) {
-      authProxyClient.identityAuthSignature = tokenResponse.userData.signature;
+      credential.identityAuthSignature = tokenResponse.userData.signature;
     }
 
-    await authProxyProvider.Client.adapter.upsert(
-      authProxyClient.clientId,
-      authProxyClient.metadata()
-    );
+    // Keep the expiry current, so the proxy can refresh ahead of it
+    const expiresIn = tokenResponse.expiresIn ?? tokenResponse.userData?.expires_in;
+    if (expiresIn) {
+      credential.identityAuthExpiresIn = expiresIn;
+    }
+
+    await getUpstreamCredentialStore(authProxyProvider).save(credential);
 
     logger.info('Successfully refreshed identity token', {
-      clientId: authProxyClient.clientId,
+      clientId: credential.clientId,
+      grantId: credential.grantId,
       hasNewRefreshToken: !!tokenResponse.refreshToken,
     });
 
@@ -630,18 +651,127 @@ async function refreshIdentityToken(authProxyProvider, authProxyClient) {
   } catch (error) {
     logger.error('Failed to refresh identity token', {
       error: error.message,
-      clientId: authProxyClient.clientId,
+      clientId: credential.clientId,
       errorType: error.constructor.name,
     });
     throw error;
   }
 }
 
+/**
+ * Client configuration for the identity provider's token and revocation endpoints, from the same
+ * discovery or static metadata as the adapter. The adapter only performs the code and refresh
+ * grants.
+ *
+ * The client is described by the same metadata the adapter gets, without an explicit client
+ * authentication, so openid-client picks the adapter's method: `client_secret_post` with a client
+ * secret, `none` without.
+ * @param {AdapterEnvironmentVariables} env - Adapter environment
+ * @returns {Promise<import('openid-client').Configuration>}
+ */
+async function createTokenEndpointConfig(env) {
+  const clientMetadata = env.IDENTITY_CLIENT_SECRET
+    ? { client_secret: env.IDENTITY_CLIENT_SECRET }
+    : undefined;
+  if (env.IDENTITY_SERVER_METADATA_FILE) {
+    const metadata = JSON.parse(await readFile(env.IDENTITY_SERVER_METADATA_FILE, 'utf8'));
+    const config = new openidClient.Configuration(metadata, env.IDENTITY_CLIENT_ID, clientMetadata);
+    if (new URL(metadata.token_endpoint).protocol === 'http:') {
+      openidClient.allowInsecureRequests(config);
+    }
+    return config;
+  }
+  const serverUrl = new URL(env.IDENTITY_SERVER_URL);
+  return openidClient.discovery(
+    serverUrl,
+    env.IDENTITY_CLIENT_ID,
+    clientMetadata,
+    undefined,
+    serverUrl.protocol === 'http:' ? { execute: [openidClient.allowInsecureRequests] } : undefined
+  );
+}
+
+// Discovered once, on first use
+function getTokenEndpointConfig() {
+  if (!tokenEndpointConfig) {
+    tokenEndpointConfig = createTokenEndpointConfig(identityServerEnv).catch((err) => {
+      // Discover again on the next request
+      tokenEndpointConfig = null;
+      throw err;
+    });
+  }
+  return tokenEndpointConfig;
+}
+
+/**
+ * Exchange the identity provider's access token for one restricted to an MCP Server
+ * https://datatracker.ietf.org/doc/html/rfc8693#section-2.1
+ * @param {string} subjectToken - The identity provider's access token
+ * @param {import('./token-exchange.js').TokenExchangeConfig} config - Audience, resource & scope
+ * @returns {Promise<Object>} Token endpoint response
+ */
+async function exchangeIdentityToken(subjectToken, config) {
+  if (!oidcAdapter) {
+    throw new Error('identityClientInit(env) must be called during app start-up');
+  }
+
+  try {
+    return await openidClient.genericGrantRequest(
+      await getTokenEndpointConfig(),
+      TOKEN_EXCHANGE_GRANT_TYPE,
+      tokenExchangeParameters(subjectToken, config)
+    );
+  } catch (error) {
+    logger.error('Failed to exchange identity token', {
+      error: error.message,
+      errorCode: error.error,
+      audience: config.audience,
+      resource: config.resource,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Revoke the upstream refresh token of a credential at the identity provider, such as when its
+ * client is reaped for being idle
+ * https://datatracker.ietf.org/doc/html/rfc7009
+ * @param {UpstreamCredential} credential - Upstream credential of a grant
+ * @returns {Promise<void>}
+ */
+async function revokeIdentityToken(credential) {
+  if (!oidcAdapter) {
+    throw new Error('identityClientInit(env) must be called during app start-up');
+  }
+
+  try {
+    await openidClient.tokenRevocation(
+      await getTokenEndpointConfig(),
+      credential.identityAuthRefreshToken,
+      { token_type_hint: 'refresh_token' }
+    );
+    logger.info('Revoked identity refresh token', {
+      clientId: credential.clientId,
+      grantId: credential.grantId,
+    });
+  } catch (error) {
+    logger.error('Failed to revoke identity refresh token', {
+      error: error.message,
+      errorCode: error.error,
+      clientId: credential.clientId,
+    });
+    throw error;
+  }
+}
+
 // Export the identity client interface
 export {
   generateIdentityAuthUrl,
   exchangeIdentityCode, // New function for cleaner code exchange
+  createUpstreamCredential,
   refreshIdentityToken,
+  exchangeIdentityToken,
+  revokeIdentityToken,
   identityCallbackPath,
   identityUniqueCallbackPath,
   // Export for testing purposes
@@ -0,0 +1,164 @@
+/**
+ * Coordinated identity token refresh
+ *
+ * Identity providers that rotate refresh tokens invalidate the old refresh token on use,
+ * so concurrent refreshes for the same grant race: the losers fail and the user is sent
+ * to the session reset. This module makes sure only one refresh runs per grant, coalescing
+ * callers within a process and taking a Redis lock across dynos. Waiters reuse the freshly
+ * stored identity token instead of refreshing again.
+ * @module identity-token-refresh-coordinator
+ */
+
+/**
+ * @typedef {import('oidc-provider').Provider} Provider
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredential} UpstreamCredential
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredentialStore} UpstreamCredentialStore
+ * @typedef {import('@heroku/oauth-provider-adapters-for-mcp').TokenResponse} TokenResponse
+ * @typedef {(provider: Provider, credential: UpstreamCredential) => Promise<TokenResponse | undefined>} RefreshFunction
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import logger from './logger.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
+
+// Credential fields written by a token refresh
+export const IDENTITY_TOKEN_FIELDS = [
+  'identityAuthAccessToken',
+  'identityAuthRefreshToken',
+  'identityAuthTokenType',
+  'identityAuthScope',
+  'identityAuthIssuedAt',
+  'identityAuthExpiresIn',
+  'identityAuthSignature',
+  'identityAuthIdToken',
+];
+
+/**
+ * Copy refreshed identity token fields onto another copy of the credential
+ * @param {UpstreamCredential} target - Credential to update
+ * @param {UpstreamCredential} source - Credential holding the refreshed tokens
+ */
+export function adoptIdentityTokens(target, source) {
+  if (target === source) {
+    return;
+  }
+  for (const field of IDENTITY_TOKEN_FIELDS) {
+    if (source[field] !== undefined) {
+      target[field] = source[field];
+    }
+  }
+}
+
+/**
+ * Wrap a refresh function so that only one refresh runs per grant at a time.
+ *
+ * @param {RefreshFunction} refreshTokenFunc - Refresh function to coordinate
+ * @param {Object} [options]
+ * @param {import('./redis-lock.js').default} [options.lock] - Lock shared across dynos;
+ *   without it, refreshes are only coalesced within this process
+ * @param {number} [options.waitTimeoutMilliseconds=10000] - Maximum wait for another refresh
+ * @param {number} [options.pollIntervalMilliseconds=100] - Delay between lock attempts
+ * @param {UpstreamCredentialStore} [options.credentialStore] - Where other dynos store refreshed
+ *   credentials, defaults to the provider's
+ * @returns {RefreshFunction & { inFlight: Map<string, Promise<unknown>> }} Coordinated refresh function
+ */
+export function createCoordinatedRefresh(refreshTokenFunc, options = {}) {
+  const {
+    lock,
+    waitTimeoutMilliseconds = 10000,
+    pollIntervalMilliseconds = 100,
+    credentialStore,
+  } = options;
+
+  if (typeof refreshTokenFunc !== 'function') {
+    throw new Error('createCoordinatedRefresh requires a refresh function');
+  }
+
+  /** @type {Map<string, Promise<{ credential: UpstreamCredential, tokenResponse: TokenResponse | undefined }>>} */
+  const inFlight = new Map();
+
+  // Reuse tokens another dyno stored since this credential was loaded
+  async function adoptStoredTokens(provider, credential, staleAccessToken) {
+    const store = credentialStore || getUpstreamCredentialStore(provider);
+    const stored = await store.find(credential.grantId);
+    if (stored?.identityAuthAccessToken && stored.identityAuthAccessToken !== staleAccessToken) {
+      adoptIdentityTokens(credential, stored);
+      logger.info('identity token already refreshed by another process', {
+        identityAuthId: credential.identityAuthId,
+      });
+      return true;
+    }
+    return false;
+  }
+
+  async function refreshWithLock(provider, credential) {
+    if (!lock) {
+      return refreshTokenFunc(provider, credential);
+    }
+
+    const staleAccessToken = credential.identityAuthAccessToken;
+    const lockName = `identity-refresh:${credential.grantId}`;
+    const deadline = Date.now() + waitTimeoutMilliseconds;
+
+    for (;;) {
+      let lockToken;
+      try {
+        lockToken = await lock.acquire(lockName);
+      } catch (err) {
+        logger.warn('identity token refresh lock unavailable, refreshing without it', {
+          error: err.message,
+        });
+        return refreshTokenFunc(provider, credential);
+      }
+
+      if (lockToken) {
+        try {
+          if (await adoptStoredTokens(provider, credential, staleAccessToken)) {
+            return undefined;
+          }
+          return await refreshTokenFunc(provider, credential);
+        } finally {
+          await lock.release(lockName, lockToken).catch((err) => {
+            logger.warn('identity token refresh lock release failed', { error: err.message });
+          });
+        }
+      }
+
+      // Another dyno holds the lock
+      if (await adoptStoredTokens(provider, credential, staleAccessToken)) {
+        return undefined;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error('Timed out waiting for another identity token refresh');
+      }
+      await sleep(pollIntervalMilliseconds);
+    }
+  }
+
+  async function coordinatedRefresh(provider, credential) {
+    const { grantId } = credential;
+
+    const pending = inFlight.get(grantId);
+    if (pending) {
+      logger.debug('identity token refresh already in flight, waiting', { grantId });
+      const result = await pending;
+      adoptIdentityTokens(credential, result.credential);
+      return result.tokenResponse;
+    }
+
+    const refresh = refreshWithLock(provider, credential).then((tokenResponse) => ({
+      credential,
+      tokenResponse,
+    }));
+    inFlight.set(grantId, refresh);
+    try {
+      const { tokenResponse } = await refresh;
+      return tokenResponse;
+    } finally {
+      inFlight.delete(grantId);
+    }
+  }
+
+  coordinatedRefresh.inFlight = inFlight;
+  return coordinatedRefresh;
+}
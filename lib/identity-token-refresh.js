@@ -0,0 +1,188 @@
+/**
+ * Proactive identity token refresh
+ *
+ * Refreshes the upstream identity access token ahead of its expiry, using the
+ * `identityAuthIssuedAt` and `identityAuthExpiresIn` metadata stored with the upstream credential,
+ * so that proxied MCP requests rarely reach the MCP server with an expired token.
+ * @module identity-token-refresh
+ */
+
+/**
+ * @typedef {import('oidc-provider').Provider} Provider
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredential} UpstreamCredential
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredentialStore} UpstreamCredentialStore
+ */
+
+import logger from './logger.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
+
+export const DEFAULT_REFRESH_SKEW_SECONDS = 60;
+export const DEFAULT_ACTIVE_CLIENT_SECONDS = 60 * 60;
+
+/**
+ * Get the identity access token expiry from the upstream credential
+ * @param {UpstreamCredential} credential - Upstream credential of a grant
+ * @returns {number | null} Expiry as epoch seconds, or null when unknown
+ */
+export function getIdentityTokenExpiresAt(credential) {
+  const issuedAt = Number(credential?.identityAuthIssuedAt);
+  const expiresIn = Number(credential?.identityAuthExpiresIn);
+  if (!issuedAt || !expiresIn) {
+    return null;
+  }
+  return issuedAt + expiresIn;
+}
+
+/**
+ * Check if the identity access token expires within the skew
+ * @param {UpstreamCredential} credential - Upstream credential of a grant
+ * @param {number} [skewSeconds=0] - Seconds before expiry to consider the token expiring
+ * @param {number} [now] - Current epoch seconds
+ * @returns {boolean} False when the expiry is unknown
+ */
+export function isIdentityTokenExpiring(
+  credential,
+  skewSeconds = 0,
+  now = Math.floor(Date.now() / 1000)
+) {
+  const expiresAt = getIdentityTokenExpiresAt(credential);
+  if (expiresAt === null) {
+    return false;
+  }
+  return expiresAt - skewSeconds <= now;
+}
+
+/**
+ * Parse a non-negative number of seconds from configuration
+ * @param {string | number | undefined} value - Configured value
+ * @param {number} defaultValue - Value used when not configured
+ * @param {string} name - Config var name, for error messages
+ * @returns {number} Seconds
+ */
+export function parseSeconds(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative number of seconds`);
+  }
+  return parsed;
+}
+
+/**
+ * Background refresher for the identity tokens of recently active grants.
+ * The proxy calls `track(grantId)` for every request; each interval, tracked grants
+ * whose identity token is expiring are refreshed, and grants idle for longer than
+ * `activeSeconds` are no longer tracked.
+ */
+export class IdentityTokenRefresher {
+  /**
+   * @param {Object} options
+   * @param {Provider} options.provider - OIDC provider instance
+   * @param {(provider: Provider, credential: UpstreamCredential) => Promise<unknown>} options.refreshTokenFunc
+   * @param {number} options.intervalSeconds - Seconds between refresh passes
+   * @param {number} [options.skewSeconds] - Seconds before expiry to refresh
+   * @param {number} [options.activeSeconds] - Seconds since last use that a grant stays tracked
+   * @param {UpstreamCredentialStore} [options.credentialStore] - Defaults to the provider's
+   */
+  constructor({
+    provider,
+    refreshTokenFunc,
+    intervalSeconds,
+    skewSeconds = DEFAULT_REFRESH_SKEW_SECONDS,
+    activeSeconds = DEFAULT_ACTIVE_CLIENT_SECONDS,
+    credentialStore,
+  }) {
+    if (!provider) {
+      throw new Error('Missing required parameter: provider (OIDC provider instance)');
+    }
+    if (typeof refreshTokenFunc !== 'function') {
+      throw new Error('Missing required parameter: refreshTokenFunc');
+    }
+    if (!(intervalSeconds > 0)) {
+      throw new Error('intervalSeconds must be a positive number');
+    }
+    this.provider = provider;
+    this.refreshTokenFunc = refreshTokenFunc;
+    this.intervalSeconds = intervalSeconds;
+    // Refresh early enough that the token cannot expire before the next pass
+    this.skewSeconds = skewSeconds + intervalSeconds;
+    this.activeSeconds = activeSeconds;
+    this.credentialStore = credentialStore || getUpstreamCredentialStore(provider);
+    /** @type {Map<string, number>} grantId to last used epoch ms */
+    this.activeGrants = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Record that a grant was just used
+   * @param {string} grantId
+   */
+  track(grantId) {
+    if (grantId) {
+      this.activeGrants.set(grantId, Date.now());
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.refreshExpiring().catch((err) => {
+        logger.error('background identity token refresh failed', { error: err.message });
+      });
+    }, this.intervalSeconds * 1000);
+    // Do not keep the process alive just for the refresher
+    this.timer.unref?.();
+    logger.info('background identity token refresh started', {
+      intervalSeconds: this.intervalSeconds,
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Refresh the expiring identity tokens of active grants
+   * @returns {Promise<number>} Count of refreshed grants
+   */
+  async refreshExpiring() {
+    const now = Date.now();
+    let refreshed = 0;
+    for (const [grantId, lastUsed] of this.activeGrants) {
+      if (now - lastUsed > this.activeSeconds * 1000) {
+        this.activeGrants.delete(grantId);
+        continue;
+      }
+      const credential = await this.credentialStore.find(grantId);
+      if (!credential?.identityAuthRefreshToken) {
+        this.activeGrants.delete(grantId);
+        continue;
+      }
+      if (!isIdentityTokenExpiring(credential, this.skewSeconds)) {
+        continue;
+      }
+      try {
+        await this.refreshTokenFunc(this.provider, credential);
+        refreshed++;
+      } catch (err) {
+        // The proxy retries on its next request, and resets the session if that fails too
+        logger.warn('background identity token refresh failed for grant', {
+          error: err.message,
+          identityAuthId: credential.identityAuthId,
+        });
+        this.activeGrants.delete(grantId);
+      }
+    }
+    if (refreshed > 0) {
+      logger.info('background identity token refresh completed', { refreshed });
+    }
+    return refreshed;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * JWT access tokens
+ *
+ * Proxy access tokens are opaque by default, and only verifiable by looking them up in the
+ * Key-Value Store. Optionally, they are issued as JWTs, signed with the provider's keys,
+ * so the MCP Server or other services can verify the caller's identity, scopes and audience
+ * with the public keys at `/jwks`.
+ * https://datatracker.ietf.org/doc/html/rfc9068
+ * @module jwt-access-tokens
+ */
+
+import crypto from 'node:crypto';
+
+export const ACCESS_TOKEN_FORMATS = ['opaque', 'jwt'];
+
+// Algorithms of the provider's OKP keys, which sign ID tokens and JWT access tokens
+const EDDSA_ALGORITHMS = ['Ed25519', 'EdDSA'];
+const ACCESS_TOKEN_TYPES = ['at+jwt', 'application/at+jwt'];
+
+/**
+ * Parse the access token format from the environment
+ * @param {Object} env - Environment variables
+ * @returns {'opaque' | 'jwt'}
+ */
+export function parseAccessTokenFormat(env) {
+  const { MCP_AUTH_PROXY_ACCESS_TOKEN_FORMAT = 'opaque' } = env;
+  if (!ACCESS_TOKEN_FORMATS.includes(MCP_AUTH_PROXY_ACCESS_TOKEN_FORMAT)) {
+    throw new Error(
+      `MCP_AUTH_PROXY_ACCESS_TOKEN_FORMAT must be one of: ${ACCESS_TOKEN_FORMATS.join(', ')}`
+    );
+  }
+  return MCP_AUTH_PROXY_ACCESS_TOKEN_FORMAT;
+}
+
+/**
+ * oidc-provider JWT format customizer, adding the grant of the token. JWT access tokens are
+ * not stored, so the proxy checks their grant to know they were not revoked.
+ * @param {Object} _ctx - Koa context
+ * @param {Object} token - AccessToken model
+ * @param {{ header: Object, payload: Object }} jwt - Token to be signed
+ */
+export function addJwtAccessTokenClaims(_ctx, token, jwt) {
+  jwt.payload.grant_id = token.grantId;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Whether a bearer token is a JWT rather than an opaque token
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isJwt(token) {
+  return token.split('.').length === 3;
+}
+
+export class JwtAccessTokenVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.issuer - Auth proxy issuer, the `iss` of its tokens
+   * @param {Object[]} options.keys - The provider's JSON Web Keys; private keys are used for
+   *   their public part
+   */
+  constructor({ issuer, keys }) {
+    this.issuer = issuer;
+    this.keys = keys
+      .filter((jwk) => jwk.kty === 'OKP')
+      .map((jwk) => ({ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+  }
+
+  /**
+   * Verify a JWT access token issued by the auth proxy
+   * @param {string} token
+   * @returns {Object | undefined} The token's claims, or undefined when it is not valid
+   */
+  verify(token) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(encodedHeader);
+      payload = decodeSegment(encodedPayload);
+    } catch {
+      return undefined;
+    }
+
+    if (!EDDSA_ALGORITHMS.includes(header.alg) || !ACCESS_TOKEN_TYPES.includes(header.typ)) {
+      return undefined;
+    }
+    const candidates = header.kid ? this.keys.filter((k) => k.kid === header.kid) : this.keys;
+    const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    const isSigned = candidates.some(({ key }) => {
+      try {
+        return crypto.verify(null, signingInput, key, signature);
+      } catch {
+        return false;
+      }
+    });
+    if (!isSigned) {
+      return undefined;
+    }
+
+    if (payload.iss !== this.issuer || !(payload.exp > Math.floor(Date.now() / 1000))) {
+      return undefined;
+    }
+    return payload;
+  }
+}
+
+/**
+ * Find a JWT access token, in the shape of the provider's AccessToken model
+ * @param {import('oidc-provider').Provider} provider - OIDC provider instance
+ * @param {JwtAccessTokenVerifier} verifier
+ * @param {string} token
+ * @returns {Promise<Object | undefined>} Undefined when the token is not valid, or its grant was revoked
+ */
+export async function findJwtAccessToken(provider, verifier, token) {
+  const claims = verifier.verify(token);
+  if (!claims?.grant_id) {
+    return undefined;
+  }
+  const grant = await provider.Grant.find(claims.grant_id);
+  if (!grant || grant.accountId !== claims.sub || grant.clientId !== claims.client_id) {
+    return undefined;
+  }
+  return {
+    jti: claims.jti,
+    grantId: claims.grant_id,
+    accountId: claims.sub,
+    clientId: claims.client_id,
+    scope: claims.scope,
+    aud: claims.aud,
+    exp: claims.exp,
+    jkt: claims.cnf?.jkt,
+    format: 'jwt',
+  };
+}
@@ -49,5 +49,13 @@ export function createRequestLogger(req) {
   return logger.child(requestMeta);
 }
 
+// Write out buffered log entries, before the process exits
+export function flushLogger() {
+  return new Promise((resolve) => {
+    logger.on('finish', resolve);
+    logger.end();
+  });
+}
+
 // Export the base logger for cases where there's no request context
 export default logger;
@@ -0,0 +1,356 @@
+/**
+ * MCP authorization policy
+ *
+ * Access tokens grant use of an MCP Server as a whole. A policy narrows that down to the
+ * JSON-RPC calls each caller may make: which tools they may call, resources they may read and
+ * prompts they may get, depending on the proxy scopes of their access token, their identity,
+ * and the claims of their identity token. Denied calls are answered by the proxy with a
+ * JSON-RPC error, and never reach the MCP Server.
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic
+ * @module mcp-authorization-policy
+ */
+
+import { readFileSync } from 'node:fs';
+
+// JSON-RPC error codes, in the range reserved for implementation-defined server errors
+// https://www.jsonrpc.org/specification#error_object
+export const POLICY_DENIED_ERROR_CODE = -32003;
+export const PARSE_ERROR_CODE = -32700;
+export const INVALID_REQUEST_ERROR_CODE = -32600;
+
+const EFFECTS = ['allow', 'deny'];
+
+// Methods that call a named target, with the rule field listing the targets it matches
+const TARGETS = {
+  'tools/call': { field: 'tools', target: (params) => params?.name },
+  'resources/read': { field: 'resources', target: (params) => params?.uri },
+  'resources/subscribe': { field: 'resources', target: (params) => params?.uri },
+  'prompts/get': { field: 'prompts', target: (params) => params?.name },
+};
+const TARGET_FIELDS = ['tools', 'resources', 'prompts'];
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {'allow' | 'deny'} effect - Decision when the rule matches
+ * @property {string[]} [routes] - Route paths the rule applies to, all routes by default
+ * @property {string[]} [methods] - JSON-RPC method patterns, such as `tools/*`
+ * @property {string[]} [tools] - Tool name patterns, matching `tools/call`
+ * @property {string[]} [resources] - Resource URI patterns, matching `resources/read` & `resources/subscribe`
+ * @property {string[]} [prompts] - Prompt name patterns, matching `prompts/get`
+ * @property {Object} [when] - Conditions on the caller, all of which must hold
+ * @property {string[]} [when.scopes] - Proxy scopes the access token must all have
+ * @property {string[]} [when.accounts] - Accounts, one of which must be the caller's
+ * @property {string[]} [when.clients] - MCP clients, one of which must be the caller's
+ * @property {Record<string, string | string[]>} [when.claims] - Identity claims and their
+ *   accepted values
+ */
+
+/**
+ * @typedef {Object} PolicySubject
+ * @property {string} accountId - Account of the access token
+ * @property {string} clientId - MCP client of the access token
+ * @property {string[]} scopes - Proxy scopes of the access token
+ * @property {Record<string, unknown>} claims - Claims of the identity token, along with `sub`,
+ *   `identity_scope` and `instance_url` from the identity provider's token response
+ */
+
+/**
+ * @typedef {Object} PolicyDecision
+ * @property {boolean} allowed
+ * @property {string} [reason] - Why the call was denied
+ */
+
+// `*` matches any characters, everything else literally
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+function parseStringList(value, label) {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`${label} must be an array of strings`);
+  }
+  return value;
+}
+
+function parseRule(rawRule, label) {
+  if (typeof rawRule !== 'object' || rawRule === null || Array.isArray(rawRule)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const { effect, routes, methods, when = {} } = rawRule;
+  if (!EFFECTS.includes(effect)) {
+    throw new Error(`${label}.effect must be one of: ${EFFECTS.join(', ')}`);
+  }
+
+  const rule = { effect, description: label };
+  if (routes !== undefined) {
+    rule.routes = parseStringList(routes, `${label}.routes`).map((path) =>
+      path.replace(/\/+$/, '')
+    );
+  }
+  if (methods !== undefined) {
+    rule.methods = parseStringList(methods, `${label}.methods`).map(patternToRegExp);
+  }
+  for (const field of TARGET_FIELDS) {
+    if (rawRule[field] !== undefined) {
+      rule[field] = parseStringList(rawRule[field], `${label}.${field}`).map(patternToRegExp);
+    }
+  }
+
+  if (typeof when !== 'object' || when === null || Array.isArray(when)) {
+    throw new Error(`${label}.when must be an object`);
+  }
+  for (const field of ['scopes', 'accounts', 'clients']) {
+    if (when[field] !== undefined) {
+      rule[field] = parseStringList(when[field], `${label}.when.${field}`);
+    }
+  }
+  if (when.claims !== undefined) {
+    if (typeof when.claims !== 'object' || when.claims === null || Array.isArray(when.claims)) {
+      throw new Error(`${label}.when.claims must be an object of accepted claim values`);
+    }
+    rule.claims = Object.entries(when.claims).map(([name, accepted]) => [
+      name,
+      typeof accepted === 'string'
+        ? [accepted]
+        : parseStringList(accepted, `${label}.when.claims.${name}`),
+    ]);
+  }
+  return rule;
+}
+
+function claimMatches(value, accepted) {
+  return [].concat(value ?? []).some((item) => accepted.includes(String(item)));
+}
+
+function callMatches(rule, message, routePath) {
+  if (rule.routes && !rule.routes.includes(routePath)) {
+    return false;
+  }
+  if (rule.methods && !rule.methods.some((pattern) => pattern.test(message.method))) {
+    return false;
+  }
+  const targetFields = TARGET_FIELDS.filter((field) => rule[field]);
+  if (targetFields.length > 0) {
+    const target = TARGETS[message.method];
+    if (!target || !rule[target.field]) {
+      return false;
+    }
+    const name = target.target(message.params);
+    if (typeof name !== 'string' || !rule[target.field].some((pattern) => pattern.test(name))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function callerMatches(rule, subject) {
+  if (rule.scopes && !rule.scopes.every((scope) => subject.scopes.includes(scope))) {
+    return false;
+  }
+  if (rule.accounts && !rule.accounts.includes(subject.accountId)) {
+    return false;
+  }
+  if (rule.clients && !rule.clients.includes(subject.clientId)) {
+    return false;
+  }
+  if (
+    rule.claims &&
+    !rule.claims.every(([name, accepted]) => claimMatches(subject.claims[name], accepted))
+  ) {
+    return false;
+  }
+  return true;
+}
+
+export class McpAuthorizationPolicy {
+  /**
+   * @param {Object} document - Policy document
+   * @param {'allow' | 'deny'} [document.default] - Decision when no rule matches, allow by default
+   * @param {PolicyRule[]} [document.rules] - Rules, the first matching rule decides
+   * @param {string} [label] - Name of the policy source, for error messages
+   */
+  constructor(document, label = 'policy') {
+    if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+      throw new Error(`${label} must be an object`);
+    }
+    const { default: defaultEffect = 'allow', rules = [] } = document;
+    if (!EFFECTS.includes(defaultEffect)) {
+      throw new Error(`${label}.default must be one of: ${EFFECTS.join(', ')}`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error(`${label}.rules must be an array`);
+    }
+    this.defaultEffect = defaultEffect;
+    this.rules = rules.map((rule, index) => parseRule(rule, `${label}.rules[${index}]`));
+  }
+
+  /**
+   * Decide whether the caller may send a JSON-RPC message to a route. Responses to the
+   * MCP Server's own requests, which have no method, are always allowed.
+   * @param {{ method?: string, params?: Object }} message - JSON-RPC request or notification
+   * @param {PolicySubject} subject - The caller
+   * @param {string} routePath - Path of the MCP Server route, such as `/mcp`
+   * @returns {PolicyDecision}
+   */
+  authorize(message, subject, routePath) {
+    if (typeof message.method !== 'string') {
+      return { allowed: true };
+    }
+    const rule = this.rules.find(
+      (candidate) => callMatches(candidate, message, routePath) && callerMatches(candidate, subject)
+    );
+    const effect = rule ? rule.effect : this.defaultEffect;
+    if (effect === 'allow') {
+      return { allowed: true };
+    }
+    return {
+      allowed: false,
+      reason: rule ? `denied by ${rule.description}` : 'not allowed by any rule',
+    };
+  }
+}
+
+/**
+ * Load the policy from the JSON file at `MCP_SERVER_POLICY_FILE`
+ * @param {Object} env - Environment variables
+ * @returns {McpAuthorizationPolicy | undefined} Undefined when no policy is configured
+ */
+export function parseMcpAuthorizationPolicy(env) {
+  const { MCP_SERVER_POLICY_FILE } = env;
+  if (!MCP_SERVER_POLICY_FILE) {
+    return undefined;
+  }
+  let document;
+  try {
+    document = JSON.parse(readFileSync(MCP_SERVER_POLICY_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`MCP_SERVER_POLICY_FILE must be a readable JSON file: ${err.message}`);
+  }
+  return new McpAuthorizationPolicy(document, 'MCP_SERVER_POLICY_FILE');
+}
+
+// Claims of the identity token, which the proxy received straight from the identity provider
+function decodeIdTokenClaims(idToken) {
+  if (!idToken) {
+    return {};
+  }
+  try {
+    return JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Describe the caller of a proxy request, for the policy
+ * @param {{ accountId: string, clientId: string, scope?: string }} accessToken - Proxy access token
+ * @param {import('./upstream-credential-store.js').UpstreamCredential} credential - Its identity
+ * @returns {PolicySubject}
+ */
+export function policySubject(accessToken, credential) {
+  const claims = decodeIdTokenClaims(credential.identityAuthIdToken);
+  return {
+    accountId: accessToken.accountId,
+    clientId: accessToken.clientId,
+    scopes: (accessToken.scope || '').split(' ').filter(Boolean),
+    claims: {
+      ...claims,
+      sub: credential.identityAuthId ?? claims.sub,
+      identity_scope: credential.identityAuthScope,
+      instance_url: credential.identityAuthInstanceUrl,
+    },
+  };
+}
+
+/**
+ * JSON-RPC error response
+ * @param {string | number | null} id - ID of the request
+ * @param {number} code
+ * @param {string} message
+ * @returns {Object}
+ */
+export function jsonRpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Parse the JSON-RPC messages of a request body: a single message, or a batch
+ * @param {Buffer | string | Object} body - Raw body, or the body parsed by a middleware
+ * @returns {{ messages: Object[], batch: boolean }}
+ * @throws {Error} With the JSON-RPC `code` of the error, when the body is not JSON-RPC
+ */
+export function parseJsonRpcMessages(body) {
+  let parsed = body;
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body.toString('utf8'));
+    } catch {
+      throw Object.assign(new Error('Parse error'), { code: PARSE_ERROR_CODE });
+    }
+  }
+  const batch = Array.isArray(parsed);
+  const messages = batch ? parsed : [parsed];
+  if (
+    messages.length === 0 ||
+    messages.some(
+      (message) => typeof message !== 'object' || message === null || Array.isArray(message)
+    )
+  ) {
+    throw Object.assign(new Error('Invalid Request'), { code: INVALID_REQUEST_ERROR_CODE });
+  }
+  return { messages, batch };
+}
+
+/**
+ * The tool, resource or prompt a JSON-RPC message calls
+ * @param {{ method?: string, params?: Object }} message
+ * @returns {string | undefined} Tool name, resource URI or prompt name
+ */
+export function callTarget(message) {
+  const target = TARGETS[message.method]?.target(message.params);
+  return typeof target === 'string' ? target : undefined;
+}
+
+// Method, and the tool, resource or prompt it calls
+function describeCall(message) {
+  const target = callTarget(message);
+  return target === undefined ? message.method : `${message.method} "${target}"`;
+}
+
+/**
+ * Authorize each message of a request body. When any is denied, none are forwarded: the
+ * response has an error for each request of the body, and is undefined when the body only
+ * had notifications.
+ * @param {McpAuthorizationPolicy} policy
+ * @param {{ messages: Object[], batch: boolean }} parsedBody - From parseJsonRpcMessages
+ * @param {PolicySubject} subject
+ * @param {string} routePath
+ * @returns {{ denied: Array<{ message: Object, reason: string }>, response?: Object | Object[] }}
+ *   No denied messages when the body may be forwarded
+ */
+export function authorizeJsonRpcMessages(policy, { messages, batch }, subject, routePath) {
+  const decisions = messages.map((message) => policy.authorize(message, subject, routePath));
+  const denied = messages
+    .map((message, index) => ({ message, reason: decisions[index].reason }))
+    .filter((_entry, index) => !decisions[index].allowed);
+  if (denied.length === 0) {
+    return { denied };
+  }
+
+  const errors = messages
+    .map((message, index) => {
+      if (message.id === undefined || typeof message.method !== 'string') {
+        return undefined;
+      }
+      const reason = decisions[index].allowed
+        ? 'Request was not sent, another request of the batch was denied'
+        : `Forbidden: ${describeCall(message)} is not allowed`;
+      return jsonRpcError(message.id, POLICY_DENIED_ERROR_CODE, reason);
+    })
+    .filter(Boolean);
+  if (errors.length === 0) {
+    return { denied };
+  }
+  return { denied, response: batch ? errors : errors[0] };
+}
@@ -0,0 +1,149 @@
+/**
+ * Filtering of MCP list responses
+ *
+ * The authorization policy denies calls a caller may not make, but `tools/list`,
+ * `resources/list`, `resources/templates/list` and `prompts/list` would still show them every
+ * tool, resource and prompt. List results are rewritten to only include the entries the policy
+ * lets the caller use, whether the MCP Server answers with JSON or over a Server-Sent Events
+ * stream. Resource templates are checked as resources, by their URI template.
+ * @module mcp-list-filter
+ */
+
+import { Transform } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+
+export const LIST_METHODS = [
+  'tools/list',
+  'resources/list',
+  'resources/templates/list',
+  'prompts/list',
+];
+
+// Entries of each list result, with the call the caller must be allowed to make to use one
+const LISTS = [
+  { field: 'tools', call: (tool) => ({ method: 'tools/call', params: { name: tool.name } }) },
+  {
+    field: 'resources',
+    call: (resource) => ({ method: 'resources/read', params: { uri: resource.uri } }),
+  },
+  {
+    field: 'resourceTemplates',
+    call: (template) => ({ method: 'resources/read', params: { uri: template.uriTemplate } }),
+  },
+  {
+    field: 'prompts',
+    call: (prompt) => ({ method: 'prompts/get', params: { name: prompt.name } }),
+  },
+];
+
+// Blank line ending an event, with any of the line endings the SSE format allows
+// https://html.spec.whatwg.org/multipage/server-sent-events.html#parsing-an-event-stream
+const EVENT_END = /\r\n\r\n|\n\n|\r\r/;
+
+/**
+ * @typedef {(call: { method: string, params: Object }) => boolean} IsAllowed
+ */
+
+/**
+ * Filter the entries of a JSON-RPC response to a list request. List responses are recognized
+ * by their result, so responses replayed on a resumed event stream are filtered too.
+ * @param {Object} message - JSON-RPC message from the MCP server
+ * @param {IsAllowed} isAllowed - Whether the caller may make a call
+ * @returns {Object} The message, or a copy without the entries the caller may not use
+ */
+export function filterListResponse(message, isAllowed) {
+  const { result } = message || {};
+  if (typeof message?.method === 'string' || typeof result !== 'object' || result === null) {
+    return message;
+  }
+  for (const { field, call } of LISTS) {
+    const entries = result[field];
+    if (Array.isArray(entries)) {
+      const visible = entries.filter((entry) => isAllowed(call(entry ?? {})));
+      if (visible.length !== entries.length) {
+        return { ...message, result: { ...result, [field]: visible } };
+      }
+    }
+  }
+  return message;
+}
+
+/**
+ * Filter the list responses of a JSON body, a single message or a batch
+ * @param {Buffer} body - Response body from the MCP server
+ * @param {IsAllowed} isAllowed
+ * @returns {Buffer} The body as it was, unless an entry was removed
+ */
+export function filterListResponseBody(body, isAllowed) {
+  let parsed;
+  try {
+    parsed = JSON.parse(body.toString('utf8'));
+  } catch {
+    return body;
+  }
+  const messages = [].concat(parsed);
+  const filtered = messages.map((message) => filterListResponse(message, isAllowed));
+  if (filtered.every((message, index) => message === messages[index])) {
+    return body;
+  }
+  return Buffer.from(JSON.stringify(Array.isArray(parsed) ? filtered : filtered[0]));
+}
+
+// Rewrite the data of an event, keeping its other fields as they were
+function transformEvent(event, transformMessage) {
+  const lines = event.split(/\r\n|\n|\r/);
+  const dataLines = lines.filter((line) => line.startsWith('data:'));
+  if (dataLines.length === 0) {
+    return event;
+  }
+  const data = dataLines.map((line) => line.slice(5).replace(/^ /, '')).join('\n');
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return event;
+  }
+  const transformed = transformMessage(message);
+  if (transformed === message) {
+    return event;
+  }
+  const otherLines = lines.filter((line) => !line.startsWith('data:'));
+  return [...otherLines, `data: ${JSON.stringify(transformed)}`].join('\n');
+}
+
+/**
+ * Passes each JSON-RPC message of a Server-Sent Events stream to a function, which may
+ * rewrite it. Other events, and the bytes of unchanged ones, pass through as they were.
+ */
+export class SseMessageTransform extends Transform {
+  /**
+   * @param {(message: Object) => Object} transformMessage - Returns the message, or a
+   *   replacement for it
+   */
+  constructor(transformMessage) {
+    super();
+    this.transformMessage = transformMessage;
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
+  }
+
+  _transform(chunk, _encoding, callback) {
+    this.pending += this.decoder.write(chunk);
+    let match;
+    while ((match = EVENT_END.exec(this.pending))) {
+      const event = this.pending.slice(0, match.index);
+      this.push(`${transformEvent(event, this.transformMessage)}${match[0]}`);
+      this.pending = this.pending.slice(match.index + match[0].length);
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    // An incomplete event is discarded by clients, so it is passed on as it was
+    const rest = this.pending + this.decoder.end();
+    if (rest) {
+      this.push(rest);
+    }
+    callback();
+  }
+}
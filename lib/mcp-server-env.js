@@ -0,0 +1,164 @@
+/**
+ * MCP Server sub-process environment
+ *
+ * The MCP Server may be third-party code, so it should not see the proxy's own secrets,
+ * such as the identity client secret, the provider's signing keys, or the Redis URL.
+ * By default the sub-process inherits the proxy's environment without those; with an
+ * allowlist, it only receives the listed variables and passthrough groups.
+ * `MCP_SERVER_RUN_ENV_JSON` is always passed, as it is configured for the MCP Server.
+ * @module mcp-server-env
+ */
+
+import logger from './logger.js';
+
+export const MCP_SERVER_ENV_MODES = ['inherit', 'allowlist'];
+
+// The proxy's own secrets, never inherited by the MCP Server unless explicitly allowed
+export const PROXY_SECRET_ENV = [
+  'IDENTITY_CLIENT_SECRET',
+  'OIDC_PROVIDER_JWKS',
+  'MCP_AUTH_PROXY_REDIS_URL',
+  'MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON',
+  'MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN',
+  'MCP_AUTH_PROXY_DPOP_NONCE_SECRET',
+  'MCP_AUTH_PROXY_AUDIT_LOG_WEBHOOK_URL',
+];
+
+/**
+ * Named groups of variables for `MCP_SERVER_ENV_PASSTHROUGH`.
+ * A trailing `*` matches any suffix.
+ */
+export const PASSTHROUGH_GROUPS = {
+  system: ['PATH', 'HOME', 'USER', 'SHELL', 'TERM', 'TMPDIR', 'TZ', 'LANG', 'LANGUAGE', 'LC_*'],
+  node: ['NODE_ENV', 'NODE_OPTIONS', 'NODE_EXTRA_CA_CERTS', 'NPM_CONFIG_*'],
+  heroku: ['DYNO', 'HEROKU_APP_ID', 'HEROKU_APP_NAME', 'HEROKU_RELEASE_*', 'HEROKU_SLUG_*'],
+  'http-proxy': ['HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy'],
+  telemetry: ['OTEL_*'],
+};
+
+const DEFAULT_PASSTHROUGH_GROUPS = ['system'];
+
+// Names that suggest a credential, for startup warnings
+const SECRET_NAME_PATTERN = /SECRET|PASSWORD|PASSWD|TOKEN|PRIVATE|CREDENTIAL|API_?KEY|JWKS/i;
+// URLs with a password, such as database URLs
+const URL_WITH_PASSWORD_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/@\s]*:[^/@\s]+@/i;
+
+/**
+ * @typedef {Object} McpServerEnvPolicy
+ * @property {'inherit' | 'allowlist'} mode - Whether the sub-process inherits the proxy's
+ *   environment, or only receives allowed variables
+ * @property {string[]} allow - Names, or prefixes ending with `*`, passed in allowlist mode,
+ *   including those of the passthrough groups
+ * @property {string[]} deny - Names, or prefixes ending with `*`, never inherited
+ */
+
+// Split a comma-separated list, ignoring blanks
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function matches(patterns, name) {
+  return patterns.some((pattern) =>
+    pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+  );
+}
+
+/**
+ * Parse the MCP Server sub-process environment policy from the environment
+ * @param {Object} env - Environment variables
+ * @returns {McpServerEnvPolicy}
+ */
+export function parseMcpServerEnvPolicy(env) {
+  const { MCP_SERVER_ENV_ALLOWLIST, MCP_SERVER_ENV_DENYLIST, MCP_SERVER_ENV_PASSTHROUGH } = env;
+
+  const allowed = parseList(MCP_SERVER_ENV_ALLOWLIST);
+  const groups = parseList(MCP_SERVER_ENV_PASSTHROUGH);
+  const mode = allowed.length > 0 || groups.length > 0 ? 'allowlist' : 'inherit';
+
+  const allow = [...allowed];
+  for (const group of groups.length > 0 ? groups : DEFAULT_PASSTHROUGH_GROUPS) {
+    if (!PASSTHROUGH_GROUPS[group]) {
+      throw new Error(
+        `MCP_SERVER_ENV_PASSTHROUGH groups must be some of: ${Object.keys(PASSTHROUGH_GROUPS).join(', ')}`
+      );
+    }
+    allow.push(...PASSTHROUGH_GROUPS[group]);
+  }
+
+  // Explicitly allowed proxy secrets are passed, with a warning from warnAboutExposedSecrets()
+  const deny = [
+    ...PROXY_SECRET_ENV.filter((name) => !allowed.includes(name)),
+    ...parseList(MCP_SERVER_ENV_DENYLIST),
+  ];
+
+  return { mode, allow, deny };
+}
+
+// Values of the proxy's own secrets, to catch copies under other names, such as REDIS_URL
+function proxySecretValues(parentEnv, policy) {
+  return new Set(
+    PROXY_SECRET_ENV.filter((name) => matches(policy.deny, name))
+      .map((name) => parentEnv[name])
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Build the environment of the MCP Server sub-process
+ * @param {McpServerEnvPolicy} policy - From parseMcpServerEnvPolicy()
+ * @param {Object} parentEnv - The proxy's environment, usually process.env
+ * @param {Object} [runEnv] - MCP_SERVER_RUN_ENV_JSON, always passed
+ * @returns {Object}
+ */
+export function buildMcpServerEnv(policy, parentEnv, runEnv = {}) {
+  const secretValues = proxySecretValues(parentEnv, policy);
+  const env = {};
+  for (const [name, value] of Object.entries(parentEnv)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (policy.mode === 'allowlist' && !matches(policy.allow, name)) {
+      continue;
+    }
+    if (matches(policy.deny, name) || secretValues.has(value)) {
+      continue;
+    }
+    env[name] = value;
+  }
+  return { ...env, ...runEnv };
+}
+
+/**
+ * Log a warning for each variable that looks like a secret and would be passed to the
+ * MCP Server. Only names are logged, never values.
+ * @param {McpServerEnvPolicy} policy - From parseMcpServerEnvPolicy()
+ * @param {Object} parentEnv - The proxy's environment, usually process.env
+ * @param {Object} [runEnv] - MCP_SERVER_RUN_ENV_JSON
+ * @returns {string[]} Names of the exposed variables
+ */
+export function warnAboutExposedSecrets(policy, parentEnv, runEnv = {}) {
+  const childEnv = buildMcpServerEnv(policy, parentEnv, runEnv);
+  const exposed = Object.keys(childEnv).filter((name) => {
+    const value = String(childEnv[name]);
+    return (
+      PROXY_SECRET_ENV.includes(name) ||
+      SECRET_NAME_PATTERN.test(name) ||
+      URL_WITH_PASSWORD_PATTERN.test(value)
+    );
+  });
+
+  for (const name of exposed) {
+    if (PROXY_SECRET_ENV.includes(name)) {
+      logger.warn('mcp-server: the proxy secret is exposed to the MCP Server', { name });
+    } else {
+      logger.warn('mcp-server: a variable that looks like a secret is exposed to the MCP Server', {
+        name,
+        mode: policy.mode,
+      });
+    }
+  }
+  return exposed;
+}
@@ -0,0 +1,431 @@
+/**
+ * Per-user MCP Server processes
+ *
+ * Servers written for a single user cannot safely share one process between users.
+ * This pool spawns one MCP Server process per grant (`grantId`), with that grant's
+ * upstream access token in its environment, since each client of a user holds its own
+ * token. Idle processes are stopped, and when the pool is full the least recently used
+ * idle process is evicted.
+ * @module mcp-server-process-pool
+ */
+
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import net from 'node:net';
+import { setTimeout as sleep } from 'node:timers/promises';
+import logger from './logger.js';
+import StdioMcpBridge from './stdio-mcp-bridge.js';
+import {
+  buildMcpServerEnv,
+  parseMcpServerEnvPolicy,
+  warnAboutExposedSecrets,
+} from './mcp-server-env.js';
+
+export const DEFAULT_MAX_PROCESSES = 10;
+export const DEFAULT_IDLE_SECONDS = 15 * 60;
+export const DEFAULT_USER_TOKEN_ENV = 'MCP_SERVER_USER_ACCESS_TOKEN';
+const DEFAULT_START_TIMEOUT_MILLISECONDS = 30000;
+const PORT_POLL_INTERVAL_MILLISECONDS = 100;
+
+/**
+ * Parse an optional positive integer setting
+ * @param {string | undefined} value - Raw value, usually from the environment
+ * @param {number} defaultValue - Used when value is unset
+ * @param {string} name - Setting name, for the error message
+ * @returns {number}
+ */
+export function parsePositiveInteger(value, defaultValue, name) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return parsed;
+}
+
+// Ask the OS for a port that is free right now
+async function getFreePort(hostname) {
+  const probe = net.createServer();
+  probe.listen(0, hostname);
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+// Wait until the sub-process accepts connections on its port
+async function waitForPort(port, hostname, timeoutMilliseconds, mcpServerProcess) {
+  const deadline = Date.now() + timeoutMilliseconds;
+  for (;;) {
+    if (mcpServerProcess.exitCode !== null) {
+      throw new Error(`MCP Server process exited with code ${mcpServerProcess.exitCode}`);
+    }
+    const connected = await new Promise((resolve) => {
+      const socket = net.connect(port, hostname);
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
+      socket.once('error', () => resolve(false));
+    });
+    if (connected) {
+      return;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`MCP Server process did not listen on port ${port} in time`);
+    }
+    await sleep(PORT_POLL_INTERVAL_MILLISECONDS);
+  }
+}
+
+// A credential loaded before the process's token was refreshed must not restart it with the old one
+function isRefreshedToken(credential, pooled) {
+  if (credential.identityAuthAccessToken === pooled.userToken) {
+    return false;
+  }
+  return !(credential.identityAuthIssuedAt < pooled.userTokenIssuedAt);
+}
+
+/**
+ * @typedef {Object} PooledProcess
+ * @property {string} grantId - Grant the process serves
+ * @property {string} [identityAuthId] - User of the grant
+ * @property {import('node:child_process').ChildProcess} mcpServerProcess
+ * @property {URL} url - Where the proxy reaches the process
+ * @property {StdioMcpBridge | null} bridge - Bridge for stdio processes
+ * @property {string} userToken - Upstream access token the process was started with
+ * @property {number} [userTokenIssuedAt] - When that token was issued, in epoch seconds
+ * @property {boolean} retiring - Replaced after a token refresh, stopped once no longer busy
+ * @property {number} activeRequests - Requests currently proxied to the process
+ * @property {number} lastUsedAt - Time of the last request, in milliseconds
+ */
+
+/**
+ * @typedef {Object} McpServerLease
+ * @property {URL} url - Where to proxy the request
+ * @property {() => void} release - Call once the proxied request has finished
+ */
+
+export class McpServerProcessPool {
+  /**
+   * @param {Object} options
+   * @param {{ command: string, runArgs: string[], runDir: string, runEnv: Object }} options.runConfig -
+   *   From parseRunConfig()
+   * @param {URL} options.mcpServerUrl - Path (and host, for http) the processes serve MCP on
+   * @param {'http' | 'stdio'} [options.transport='http'] - Transport the processes speak;
+   *   http processes are given a free `PORT`
+   * @param {number} [options.maxProcesses] - Maximum processes running at once
+   * @param {number} [options.idleSeconds] - Stop processes without requests for this long
+   * @param {string} [options.userTokenEnv] - Environment variable holding the user's token
+   * @param {number} [options.maxBodySize] - Maximum JSON-RPC body size for stdio bridges
+   * @param {number} [options.startTimeoutMilliseconds=30000] - Maximum wait for an http process
+   *   to listen
+   * @param {(url: URL, mcpServerProcess: import('node:child_process').ChildProcess) => Promise<void>}
+   *   [options.waitUntilReady] - Readiness probe for http processes, instead of waiting for the port
+   * @param {import('./mcp-server-env.js').McpServerEnvPolicy} [options.envPolicy] - Which of the
+   *   proxy's environment variables the processes receive
+   */
+  constructor(options) {
+    const {
+      runConfig,
+      mcpServerUrl,
+      transport = 'http',
+      maxProcesses = DEFAULT_MAX_PROCESSES,
+      idleSeconds = DEFAULT_IDLE_SECONDS,
+      userTokenEnv = DEFAULT_USER_TOKEN_ENV,
+      maxBodySize,
+      startTimeoutMilliseconds = DEFAULT_START_TIMEOUT_MILLISECONDS,
+      waitUntilReady,
+      envPolicy = parseMcpServerEnvPolicy({}),
+    } = options;
+
+    if (!runConfig?.command) {
+      throw new Error('McpServerProcessPool requires a runConfig');
+    }
+    if (!mcpServerUrl) {
+      throw new Error('McpServerProcessPool requires an mcpServerUrl');
+    }
+    this.runConfig = runConfig;
+    this.mcpServerUrl = mcpServerUrl;
+    this.transport = transport;
+    this.maxProcesses = maxProcesses;
+    this.idleSeconds = idleSeconds;
+    this.userTokenEnv = userTokenEnv;
+    this.maxBodySize = maxBodySize;
+    this.startTimeoutMilliseconds = startTimeoutMilliseconds;
+    this.waitUntilReady = waitUntilReady;
+    this.envPolicy = envPolicy;
+    warnAboutExposedSecrets(envPolicy, process.env, runConfig.runEnv);
+
+    /** @type {Map<string, PooledProcess>} */
+    this.processes = new Map();
+    /** @type {Map<string, Promise<PooledProcess>>} */
+    this.starting = new Map();
+    /** @type {Set<PooledProcess>} */
+    this.retiring = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Get the process of the credential's grant, starting it if needed
+   * @param {import('./upstream-credential-store.js').UpstreamCredential} credential
+   * @returns {Promise<McpServerLease | null>} Null when the pool is full of busy processes
+   */
+  async acquire(credential) {
+    const { grantId, identityAuthId } = credential;
+    if (!grantId) {
+      throw new Error('Per-user MCP Server processes require a grantId');
+    }
+
+    let pooled = this.processes.get(grantId);
+    // Environment cannot change after spawn, so restart once the token has been refreshed
+    if (pooled && isRefreshedToken(credential, pooled)) {
+      logger.info('restarting per-user MCP Server process with the refreshed token', {
+        grantId,
+        identityAuthId,
+      });
+      this.retireProcess(pooled);
+      pooled = undefined;
+    }
+    if (!pooled) {
+      pooled = await this.startProcess(credential);
+      if (!pooled) {
+        return null;
+      }
+    }
+
+    pooled.activeRequests += 1;
+    pooled.lastUsedAt = Date.now();
+    let released = false;
+    return {
+      url: pooled.url,
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        pooled.activeRequests -= 1;
+        pooled.lastUsedAt = Date.now();
+        if (pooled.retiring && pooled.activeRequests === 0) {
+          this.stopProcess(pooled);
+        }
+      },
+    };
+  }
+
+  /**
+   * Start stopping idle processes periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const intervalMilliseconds = Math.max(1, Math.min(this.idleSeconds, 60)) * 1000;
+    this.timer = setInterval(() => this.stopIdleProcesses(), intervalMilliseconds);
+    // Do not keep the process alive just for this timer
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the idle timer and every process
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const pooled of [...this.processes.values(), ...this.retiring]) {
+      this.stopProcess(pooled);
+    }
+  }
+
+  /**
+   * Stop processes that have not served a request within the idle timeout
+   * @param {number} [now=Date.now()]
+   */
+  stopIdleProcesses(now = Date.now()) {
+    for (const pooled of this.processes.values()) {
+      if (pooled.activeRequests === 0 && now - pooled.lastUsedAt >= this.idleSeconds * 1000) {
+        logger.info('stopping idle per-user MCP Server process', {
+          grantId: pooled.grantId,
+          identityAuthId: pooled.identityAuthId,
+        });
+        this.stopProcess(pooled);
+      }
+    }
+  }
+
+  async startProcess(credential) {
+    const { grantId, identityAuthId } = credential;
+    // Concurrent requests of the same grant share one start-up
+    const pending = this.starting.get(grantId);
+    if (pending) {
+      return pending;
+    }
+    if (!this.makeRoom()) {
+      logger.warn('per-user MCP Server pool is full', {
+        grantId,
+        identityAuthId,
+        maxProcesses: this.maxProcesses,
+      });
+      return null;
+    }
+    const starting = this.spawnProcess(credential).finally(() => {
+      this.starting.delete(grantId);
+    });
+    this.starting.set(grantId, starting);
+    return starting;
+  }
+
+  // Evict least recently used idle processes until another one fits
+  makeRoom() {
+    while (this.processes.size + this.starting.size + this.retiring.size >= this.maxProcesses) {
+      let leastRecentlyUsed;
+      for (const pooled of this.processes.values()) {
+        if (
+          pooled.activeRequests === 0 &&
+          (!leastRecentlyUsed || pooled.lastUsedAt < leastRecentlyUsed.lastUsedAt)
+        ) {
+          leastRecentlyUsed = pooled;
+        }
+      }
+      if (!leastRecentlyUsed) {
+        return false;
+      }
+      logger.info('evicting per-user MCP Server process', {
+        grantId: leastRecentlyUsed.grantId,
+        identityAuthId: leastRecentlyUsed.identityAuthId,
+      });
+      this.stopProcess(leastRecentlyUsed);
+    }
+    return true;
+  }
+
+  async spawnProcess(credential) {
+    const { grantId, identityAuthId } = credential;
+    const { command, runArgs, runDir, runEnv } = this.runConfig;
+    const env = {
+      ...buildMcpServerEnv(this.envPolicy, process.env, runEnv),
+      [this.userTokenEnv]: credential.identityAuthAccessToken,
+    };
+
+    let url = new URL(this.mcpServerUrl);
+    let port;
+    if (this.transport === 'http') {
+      port = await getFreePort(url.hostname);
+      env.PORT = String(port);
+      url.port = String(port);
+    }
+
+    const mcpServerProcess = spawn(command, runArgs, { cwd: runDir, env });
+    /** @type {PooledProcess} */
+    const pooled = {
+      grantId,
+      identityAuthId,
+      mcpServerProcess,
+      url,
+      bridge: null,
+      userToken: credential.identityAuthAccessToken,
+      userTokenIssuedAt: credential.identityAuthIssuedAt,
+      retiring: false,
+      activeRequests: 0,
+      lastUsedAt: Date.now(),
+    };
+
+    mcpServerProcess.on('error', (err) => {
+      logger.error('per-user mcp-server: process error', {
+        grantId,
+        identityAuthId,
+        error: err.message,
+      });
+    });
+    mcpServerProcess.stderr.on('data', (data) => {
+      logger.error('per-user mcp-server stderr', {
+        grantId,
+        identityAuthId,
+        output: data.toString().trim(),
+      });
+    });
+    if (this.transport === 'http') {
+      mcpServerProcess.stdout.on('data', (data) => {
+        logger.info('per-user mcp-server stdout', {
+          grantId,
+          identityAuthId,
+          output: data.toString().trim(),
+        });
+      });
+    }
+    mcpServerProcess.on('exit', (code) => {
+      logger.info('per-user mcp-server: process exited', {
+        grantId,
+        identityAuthId,
+        exitCode: code || 0,
+      });
+      if (this.processes.get(grantId) === pooled) {
+        this.processes.delete(grantId);
+      }
+      this.retiring.delete(pooled);
+      pooled.bridge?.close();
+    });
+
+    try {
+      if (this.transport === 'stdio') {
+        await once(mcpServerProcess, 'spawn');
+        pooled.bridge = new StdioMcpBridge(mcpServerProcess, { maxBodySize: this.maxBodySize });
+        // Each bridge listens on its own loopback port
+        const bridgeServer = await pooled.bridge.listen(
+          new URL(`http://127.0.0.1:0${this.mcpServerUrl.pathname}`)
+        );
+        url = new URL(
+          `http://127.0.0.1:${bridgeServer.address().port}${this.mcpServerUrl.pathname}`
+        );
+        pooled.url = url;
+      } else if (this.waitUntilReady) {
+        await this.waitUntilReady(url, mcpServerProcess);
+      } else {
+        await waitForPort(port, url.hostname, this.startTimeoutMilliseconds, mcpServerProcess);
+      }
+    } catch (err) {
+      logger.error('per-user mcp-server: process failed to start', {
+        grantId,
+        identityAuthId,
+        error: err.message,
+      });
+      pooled.bridge?.close();
+      mcpServerProcess.kill();
+      throw err;
+    }
+
+    logger.info('per-user mcp-server: process started', {
+      grantId,
+      identityAuthId,
+      url: url.toString(),
+    });
+    this.processes.set(grantId, pooled);
+    return pooled;
+  }
+
+  // Requests still using the process keep it until they finish, new ones get a fresh process
+  retireProcess(pooled) {
+    if (pooled.activeRequests === 0) {
+      this.stopProcess(pooled);
+      return;
+    }
+    if (this.processes.get(pooled.grantId) === pooled) {
+      this.processes.delete(pooled.grantId);
+    }
+    pooled.retiring = true;
+    this.retiring.add(pooled);
+  }
+
+  stopProcess(pooled) {
+    if (this.processes.get(pooled.grantId) === pooled) {
+      this.processes.delete(pooled.grantId);
+    }
+    this.retiring.delete(pooled);
+    pooled.bridge?.close();
+    pooled.mcpServerProcess.kill('SIGTERM');
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * MCP Server readiness probe
+ *
+ * A server may log a banner before binding its port, or log an error and crash, so output
+ * from the sub-process does not mean it is ready. The probe polls the MCP Server over HTTP
+ * until it answers, or gives up after a timeout.
+ * @module mcp-server-readiness
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { setTimeout as sleep } from 'node:timers/promises';
+import logger from './logger.js';
+import { parseSeconds } from './identity-token-refresh.js';
+
+/**
+ * - `url`: any response below 500 from the MCP Server URL
+ * - `health`: a 2xx response from the health path
+ * - `initialize`: a successful JSON-RPC `initialize` POSTed to the MCP Server URL
+ * - `output`: the first output of the sub-process, without probing
+ */
+export const READINESS_PROBES = ['url', 'health', 'initialize', 'output'];
+export const DEFAULT_READINESS_TIMEOUT_SECONDS = 30;
+export const DEFAULT_READINESS_INTERVAL_SECONDS = 0.25;
+// Maximum wait for each probe request
+const PROBE_REQUEST_TIMEOUT_MILLISECONDS = 5000;
+const PROBE_PROTOCOL_VERSION = '2025-06-18';
+
+/**
+ * @typedef {Object} ReadinessConfig
+ * @property {'url' | 'health' | 'initialize' | 'output'} probe
+ * @property {string} [healthPath] - Path probed by the `health` probe
+ * @property {number} timeoutSeconds - Give up after this long
+ * @property {number} intervalSeconds - Delay between probes
+ */
+
+/**
+ * Parse the readiness probe configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {ReadinessConfig}
+ */
+export function parseReadinessConfig(env) {
+  const {
+    MCP_SERVER_READINESS_PROBE,
+    MCP_SERVER_READINESS_HEALTH_PATH,
+    MCP_SERVER_READINESS_TIMEOUT_SECONDS,
+    MCP_SERVER_READINESS_INTERVAL_SECONDS,
+  } = env;
+
+  const probe = MCP_SERVER_READINESS_PROBE || (MCP_SERVER_READINESS_HEALTH_PATH ? 'health' : 'url');
+  if (!READINESS_PROBES.includes(probe)) {
+    throw new Error(`MCP_SERVER_READINESS_PROBE must be one of: ${READINESS_PROBES.join(', ')}`);
+  }
+  if (probe === 'health' && !MCP_SERVER_READINESS_HEALTH_PATH?.startsWith('/')) {
+    throw new Error('MCP_SERVER_READINESS_HEALTH_PATH must be a path starting with "/"');
+  }
+
+  const timeoutSeconds = parseSeconds(
+    MCP_SERVER_READINESS_TIMEOUT_SECONDS,
+    DEFAULT_READINESS_TIMEOUT_SECONDS,
+    'MCP_SERVER_READINESS_TIMEOUT_SECONDS'
+  );
+  const intervalSeconds = parseSeconds(
+    MCP_SERVER_READINESS_INTERVAL_SECONDS,
+    DEFAULT_READINESS_INTERVAL_SECONDS,
+    'MCP_SERVER_READINESS_INTERVAL_SECONDS'
+  );
+
+  return {
+    probe,
+    healthPath: MCP_SERVER_READINESS_HEALTH_PATH,
+    timeoutSeconds,
+    intervalSeconds,
+  };
+}
+
+// Send one probe request, resolving with the status code and body
+function probeRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  const httpModule = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = httpModule.request(
+      url,
+      { method, headers, timeout: PROBE_REQUEST_TIMEOUT_MILLISECONDS },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+          });
+        });
+        res.on('error', reject);
+      }
+    );
+    req.on('timeout', () => {
+      req.destroy(new Error('probe request timed out'));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// The initialize result may arrive as JSON or as a Server-Sent Event
+function parseInitializeResponse(response) {
+  const contentType = response.headers['content-type'] || '';
+  let messageText = response.body;
+  if (contentType.startsWith('text/event-stream')) {
+    const dataLine = response.body.split('\n').find((line) => line.startsWith('data:'));
+    messageText = dataLine?.slice('data:'.length);
+  }
+  try {
+    return JSON.parse(messageText);
+  } catch {
+    return undefined;
+  }
+}
+
+async function probeHealth(mcpServerUrl, config) {
+  const { statusCode } = await probeRequest(new URL(config.healthPath, mcpServerUrl));
+  if (statusCode < 200 || statusCode >= 300) {
+    throw new Error(`health check responded ${statusCode}`);
+  }
+}
+
+async function probeInitialize(mcpServerUrl) {
+  const response = await probeRequest(mcpServerUrl, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      accept: 'application/json, text/event-stream',
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 'mcp-auth-proxy-readiness',
+      method: 'initialize',
+      params: {
+        protocolVersion: PROBE_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'mcp-auth-proxy-readiness', version: '1.0.0' },
+      },
+    }),
+  });
+  const message = parseInitializeResponse(response);
+  if (response.statusCode >= 300 || !message?.result) {
+    throw new Error(`initialize responded ${response.statusCode}`);
+  }
+  // Do not leave the probe's session behind
+  const sessionId = response.headers['mcp-session-id'];
+  if (sessionId) {
+    await probeRequest(mcpServerUrl, {
+      method: 'DELETE',
+      headers: { 'mcp-session-id': sessionId },
+    }).catch(() => {});
+  }
+}
+
+async function probeUrl(mcpServerUrl) {
+  const { statusCode } = await probeRequest(mcpServerUrl);
+  if (statusCode >= 500) {
+    throw new Error(`MCP Server URL responded ${statusCode}`);
+  }
+}
+
+function probeOnce(mcpServerUrl, config) {
+  if (config.probe === 'health') {
+    return probeHealth(mcpServerUrl, config);
+  }
+  if (config.probe === 'initialize') {
+    return probeInitialize(mcpServerUrl);
+  }
+  return probeUrl(mcpServerUrl);
+}
+
+/**
+ * Poll the MCP Server until it is ready
+ * @param {URL} mcpServerUrl - MCP Server URL
+ * @param {ReadinessConfig} config - From parseReadinessConfig()
+ * @param {import('node:child_process').ChildProcess} [mcpServerProcess] - Stop waiting if it exits
+ * @returns {Promise<void>} Rejects if the server does not become ready in time
+ */
+export async function waitForMcpServerReady(mcpServerUrl, config, mcpServerProcess) {
+  const deadline = Date.now() + config.timeoutSeconds * 1000;
+  let attempts = 0;
+  for (;;) {
+    if (mcpServerProcess && mcpServerProcess.exitCode !== null) {
+      throw new Error(`MCP Server process exited with code ${mcpServerProcess.exitCode}`);
+    }
+    attempts += 1;
+    try {
+      await probeOnce(mcpServerUrl, config);
+      logger.info('mcp-server: ready', { probe: config.probe, attempts });
+      return;
+    } catch (err) {
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `MCP Server did not become ready within ${config.timeoutSeconds}s, ${err.message}`
+        );
+      }
+      logger.debug('mcp-server: not ready yet', { probe: config.probe, error: err.message });
+    }
+    await sleep(config.intervalSeconds * 1000);
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * MCP Server routing table
+ *
+ * One auth proxy can front several MCP Servers that share the same identity provider.
+ * Each route maps a path prefix on the proxy to an upstream MCP Server URL.
+ * @module mcp-server-routes
+ */
+
+import { parseTokenExchangeConfig } from './token-exchange.js';
+
+/**
+ * @typedef {Object} McpServerRoute
+ * @property {string} path - Path prefix on the auth proxy, such as `/mcp`
+ * @property {URL} url - Upstream MCP Server URL
+ * @property {string[]} [scopes] - Proxy scopes an access token must have to use this route
+ * @property {Record<string, string>} [headers] - Extra headers sent to the upstream MCP Server
+ * @property {import('./token-exchange.js').TokenExchangeConfig} [tokenExchange] - Exchange the
+ *   identity token for one restricted to this MCP Server
+ */
+
+/**
+ * Parse the MCP Server routes from the environment.
+ *
+ * `MCP_SERVER_ROUTES_JSON` is a JSON array of `{ "path", "url", "scopes"?, "headers"?, "tokenExchange"? }`
+ * objects. Without it, a single route proxies the path of `MCP_SERVER_URL` to `MCP_SERVER_URL`,
+ * with the token exchange of `MCP_SERVER_TOKEN_EXCHANGE_JSON`.
+ *
+ * @param {Object} env - Environment variables
+ * @param {string[]} [providerScopes=[]] - Scopes the auth proxy grants
+ * @returns {McpServerRoute[]} Routes, in configured order; the first is the default resource
+ */
+export function parseMcpServerRoutes(env, providerScopes = []) {
+  const { MCP_SERVER_URL, MCP_SERVER_ROUTES_JSON, MCP_SERVER_TOKEN_EXCHANGE_JSON } = env;
+
+  if (!MCP_SERVER_ROUTES_JSON) {
+    let mcpServerUrl;
+    try {
+      mcpServerUrl = new URL(MCP_SERVER_URL);
+    } catch {
+      throw new Error('MCP_SERVER_URL must be a valid URL');
+    }
+    const route = { path: mcpServerUrl.pathname, url: mcpServerUrl };
+    if (MCP_SERVER_TOKEN_EXCHANGE_JSON) {
+      let tokenExchange;
+      try {
+        tokenExchange = JSON.parse(MCP_SERVER_TOKEN_EXCHANGE_JSON);
+      } catch (err) {
+        throw new Error(`MCP_SERVER_TOKEN_EXCHANGE_JSON must be a valid JSON object, ${err}`);
+      }
+      route.tokenExchange = parseTokenExchangeConfig(
+        tokenExchange,
+        'MCP_SERVER_TOKEN_EXCHANGE_JSON'
+      );
+    }
+    return [route];
+  }
+  if (MCP_SERVER_TOKEN_EXCHANGE_JSON) {
+    throw new Error(
+      'MCP_SERVER_TOKEN_EXCHANGE_JSON only applies to MCP_SERVER_URL, set "tokenExchange" on each route of MCP_SERVER_ROUTES_JSON instead'
+    );
+  }
+
+  let rawRoutes;
+  try {
+    rawRoutes = JSON.parse(MCP_SERVER_ROUTES_JSON);
+    if (!Array.isArray(rawRoutes) || rawRoutes.length === 0) {
+      throw new Error('parsed into wrong type');
+    }
+  } catch (err) {
+    throw new Error(`MCP_SERVER_ROUTES_JSON must be a non-empty JSON array of routes, ${err}`);
+  }
+
+  const seenPaths = new Set();
+  const routes = rawRoutes.map((rawRoute, index) => {
+    const label = `MCP_SERVER_ROUTES_JSON[${index}]`;
+    if (typeof rawRoute !== 'object' || rawRoute === null || Array.isArray(rawRoute)) {
+      throw new Error(`${label} must be an object`);
+    }
+    const { path, url, scopes, headers, tokenExchange } = rawRoute;
+
+    if (typeof path !== 'string' || !path.startsWith('/') || path.length < 2) {
+      throw new Error(`${label}.path must be a path starting with "/", such as "/mcp"`);
+    }
+    const normalizedPath = path.replace(/\/+$/, '');
+    if (seenPaths.has(normalizedPath)) {
+      throw new Error(`${label}.path "${normalizedPath}" is used by more than one route`);
+    }
+    seenPaths.add(normalizedPath);
+
+    let routeUrl;
+    try {
+      routeUrl = new URL(url);
+    } catch {
+      throw new Error(`${label}.url must be a valid URL`);
+    }
+
+    const route = { path: normalizedPath, url: routeUrl };
+
+    if (scopes !== undefined) {
+      if (!Array.isArray(scopes) || scopes.some((scope) => typeof scope !== 'string')) {
+        throw new Error(`${label}.scopes must be an array of strings`);
+      }
+      const ungrantable = scopes.filter((scope) => !providerScopes.includes(scope));
+      if (ungrantable.length > 0) {
+        throw new Error(
+          `${label}.scopes must be included in PROVIDER_SCOPE, missing: ${ungrantable.join(', ')}`
+        );
+      }
+      route.scopes = scopes;
+    }
+
+    if (headers !== undefined) {
+      if (
+        typeof headers !== 'object' ||
+        headers === null ||
+        Array.isArray(headers) ||
+        Object.values(headers).some((value) => typeof value !== 'string')
+      ) {
+        throw new Error(`${label}.headers must be an object of string header values`);
+      }
+      route.headers = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+      );
+    }
+
+    if (tokenExchange !== undefined) {
+      route.tokenExchange = parseTokenExchangeConfig(tokenExchange, `${label}.tokenExchange`);
+    }
+
+    return route;
+  });
+
+  return routes;
+}
+
+/**
+ * Path of the Protected Resource Metadata for a route, inserted after the well-known prefix
+ * https://datatracker.ietf.org/doc/html/rfc9728#section-3.1
+ * @param {McpServerRoute} route
+ * @returns {string}
+ */
+export function protectedResourceMetadataPath(route) {
+  return `/.well-known/oauth-protected-resource${route.path}`;
+}
@@ -30,13 +30,14 @@ export default {
       'identityLoginConfirmed',
       'identityAuthCodeVerifier',
       'identityAuthState',
+      'identityAuthId',
+      // Identity tokens are stored per grant; these are only read to move them off the client
       'identityAuthAccessToken',
       'identityAuthRefreshToken',
       'identityAuthSignature',
       'identityAuthScope',
       'identityAuthIdToken',
       'identityAuthInstanceUrl',
-      'identityAuthId',
       'identityAuthTokenType',
       'identityAuthIssuedAt',
       'identityAuthExpiresIn',
@@ -79,8 +80,14 @@ export default {
       issueRegistrationAccessToken: false,
     },
 
+    // Configured per MCP Server route in server.js, see resource-indicators.js
     resourceIndicators: {
-      enabled: false,
+      enabled: true,
+    },
+
+    // Nonces and the require DPoP policy are configured in server.js, see dpop.js
+    dPoP: {
+      enabled: true,
     },
   },
   routes: {
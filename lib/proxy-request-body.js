@@ -0,0 +1,168 @@
+import { Transform } from 'node:stream';
+
+// 10 MiB
+export const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+// 1 MiB, enough to retry typical JSON-RPC messages after a token refresh
+export const DEFAULT_REPLAY_BUFFER_SIZE = 1024 * 1024;
+
+/**
+ * Parse a byte size configuration value.
+ *
+ * @param {string|number|undefined} value - Configured size in bytes
+ * @param {number} defaultValue - Size used when the value is not set
+ * @param {string} name - Config var name, for error messages
+ * @returns {number} Size in bytes
+ */
+export function parseByteSize(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer number of bytes`);
+  }
+  return parsed;
+}
+
+/**
+ * Read the whole request body, for middleware that must inspect it before it is proxied.
+ * The body is kept as `req.body`, so a ProxyRequestBody created afterwards sends it as it was.
+ *
+ * @param {import('express').Request} req - Incoming request
+ * @param {number} [maxBodySize] - Maximum accepted body size in bytes
+ * @returns {Promise<Buffer | Object | string>} The body, as parsed by an earlier middleware if any
+ * @throws {Error} With `tooLarge` set, when the body exceeds the limit
+ */
+export async function readRequestBody(req, maxBodySize = DEFAULT_MAX_BODY_SIZE) {
+  if (req.readableEnded) {
+    return req.body ?? Buffer.alloc(0);
+  }
+  const chunks = [];
+  let receivedBytes = 0;
+  for await (const chunk of req) {
+    receivedBytes += chunk.length;
+    if (receivedBytes > maxBodySize) {
+      req.resume();
+      throw Object.assign(
+        new Error(`Request body exceeds the maximum size of ${maxBodySize} bytes`),
+        { tooLarge: true }
+      );
+    }
+    chunks.push(chunk);
+  }
+  req.body = Buffer.concat(chunks);
+  return req.body;
+}
+
+/**
+ * Streams the original request bytes to the MCP server without parsing them.
+ *
+ * The body is counted as it flows, so requests over `maxBodySize` are cut off
+ * with a `413` instead of being buffered. Up to `replayBufferSize` bytes are kept
+ * so that the request can be re-sent after an identity token refresh; larger
+ * bodies stream through with flat memory use but cannot be replayed.
+ */
+export default class ProxyRequestBody {
+  /**
+   * @param {import('express').Request} req - Incoming request
+   * @param {Object} [options]
+   * @param {number} [options.maxBodySize] - Maximum accepted body size in bytes
+   * @param {number} [options.replayBufferSize] - Maximum body size kept for a retry
+   */
+  constructor(req, options = {}) {
+    const { maxBodySize = DEFAULT_MAX_BODY_SIZE, replayBufferSize = DEFAULT_REPLAY_BUFFER_SIZE } =
+      options;
+
+    this.req = req;
+    this.maxBodySize = maxBodySize;
+    this.replayBufferSize = replayBufferSize;
+    // A body-parsing middleware mounted ahead of the proxy already consumed the stream
+    this.preParsed = req.readableEnded;
+    this.receivedBytes = 0;
+    this.replayChunks = [];
+    this.replayable = true;
+    this.complete = false;
+  }
+
+  /**
+   * True when a declared content-length already exceeds the limit,
+   * so the request can be rejected before any bytes are read.
+   */
+  exceedsDeclaredLength() {
+    const declared = parseInt(this.req.headers['content-length'], 10);
+    return Number.isFinite(declared) && declared > this.maxBodySize;
+  }
+
+  /**
+   * Stream the body into the first upstream request.
+   *
+   * @param {import('http').ClientRequest} proxyReq - Upstream request
+   * @param {(err: Error) => void} onTooLarge - Called once the body exceeds the limit
+   */
+  pipeTo(proxyReq, onTooLarge) {
+    if (this.preParsed) {
+      this.replayChunks = this.req.body === undefined ? [] : [Buffer.from(this.parsedBody())];
+      this.complete = true;
+      this.replay(proxyReq);
+      return;
+    }
+
+    const limiter = new Transform({
+      transform: (chunk, _encoding, callback) => {
+        this.receivedBytes += chunk.length;
+        if (this.receivedBytes > this.maxBodySize) {
+          callback(new Error(`Request body exceeds the maximum size of ${this.maxBodySize} bytes`));
+          return;
+        }
+        if (this.replayable) {
+          if (this.receivedBytes <= this.replayBufferSize) {
+            this.replayChunks.push(chunk);
+          } else {
+            this.replayable = false;
+            this.replayChunks = [];
+          }
+        }
+        callback(null, chunk);
+      },
+      flush: (callback) => {
+        this.complete = true;
+        callback();
+      },
+    });
+
+    limiter.on('error', (err) => {
+      this.req.unpipe(limiter);
+      this.req.resume();
+      onTooLarge(err);
+    });
+
+    this.req.pipe(limiter).pipe(proxyReq);
+  }
+
+  /**
+   * Whether the full body was received and kept, so it can be sent again.
+   */
+  canReplay() {
+    return this.complete && this.replayable;
+  }
+
+  /**
+   * Send the kept body to a retried upstream request.
+   *
+   * @param {import('http').ClientRequest} proxyReq - Upstream request
+   */
+  replay(proxyReq) {
+    if (!this.canReplay()) {
+      throw new Error('Request body cannot be replayed');
+    }
+    proxyReq.end(Buffer.concat(this.replayChunks));
+  }
+
+  parsedBody() {
+    const { body } = this.req;
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      return body;
+    }
+    return JSON.stringify(body);
+  }
+}
@@ -5,6 +5,7 @@ import RedisClient from './redis-client.js';
 /**
  * Creates a Redis store for rate limiting using our base RedisClient.
  * Returns null if Redis should not be used (development/test mode).
+ * The store keeps its RedisClient, so it can be disconnected on shutdown.
  */
 const createRateLimitRedisStore = (env) => {
   const { LOCAL_INSECURE, MCP_AUTH_PROXY_REDIS_URL } = env;
@@ -27,9 +28,11 @@ const createRateLimitRedisStore = (env) => {
       },
     });
 
-    return new RedisStore({
+    const store = new RedisStore({
       sendCommand: (...args) => redisClient.call(...args),
     });
+    store.redisClient = redisClient;
+    return store;
   } catch (err) {
     console.warn('Failed to create rate limit Redis client:', err);
     return null;
@@ -58,5 +61,10 @@ export const createRateLimitMiddleware = (env) => {
     store: createRateLimitRedisStore(env),
   };
 
-  return rateLimit(rateLimitConfig);
+  const middleware = rateLimit(rateLimitConfig);
+  // Disconnect the Redis store, if any, on shutdown
+  middleware.close = async () => {
+    await rateLimitConfig.store?.redisClient?.disconnect();
+  };
+  return middleware;
 };
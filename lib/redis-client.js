@@ -84,6 +84,15 @@ class RedisClient {
     return await this.client.set(key, value);
   }
 
+  /**
+   * Set only if the key does not exist, with a TTL in milliseconds (for locks)
+   * @returns {Promise<boolean>} True if the key was set
+   */
+  async setIfNotExists(key, value, ttlMilliseconds) {
+    const result = await this.client.set(key, value, 'PX', ttlMilliseconds, 'NX');
+    return result === 'OK';
+  }
+
   async del(key) {
     return await this.client.del(key);
   }
@@ -116,6 +125,13 @@ class RedisClient {
     return await this.client.expire(key, ttlSeconds);
   }
 
+  /**
+   * Run a Lua script atomically (keys are prefixed like other commands)
+   */
+  async eval(script, keys = [], args = []) {
+    return await this.client.eval(script, keys.length, ...keys, ...args);
+  }
+
   /**
    * Transaction support
    */
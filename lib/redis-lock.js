@@ -0,0 +1,57 @@
+import { randomUUID } from 'node:crypto';
+
+// Delete the lock only if it is still held by this owner
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+else
+  return 0
+end
+`;
+
+/**
+ * Lock shared across dynos, built on our base RedisClient.
+ *
+ * Locks expire after `ttlMilliseconds`, so a crashed holder cannot block others forever.
+ * Only the holder's token can release a lock.
+ */
+class RedisLock {
+  /**
+   * @param {import('./redis-client.js').default} redisClient - Redis client, usually with its own key prefix
+   * @param {Object} [options]
+   * @param {number} [options.ttlMilliseconds=10000] - Maximum time a lock is held
+   */
+  constructor(redisClient, options = {}) {
+    const { ttlMilliseconds = 10000 } = options;
+
+    if (!redisClient) {
+      throw new Error('RedisLock requires a RedisClient');
+    }
+    this.redisClient = redisClient;
+    this.ttlMilliseconds = ttlMilliseconds;
+  }
+
+  /**
+   * Try to take the lock, without waiting
+   * @param {string} name - Lock name
+   * @returns {Promise<string | null>} Owner token to release the lock, or null if already held
+   */
+  async acquire(name) {
+    const token = randomUUID();
+    const acquired = await this.redisClient.setIfNotExists(name, token, this.ttlMilliseconds);
+    return acquired ? token : null;
+  }
+
+  /**
+   * Release a lock taken with acquire()
+   * @param {string} name - Lock name
+   * @param {string} token - Owner token returned by acquire()
+   * @returns {Promise<boolean>} False if the lock had expired or was taken by another owner
+   */
+  async release(name, token) {
+    const released = await this.redisClient.eval(RELEASE_SCRIPT, [name], [token]);
+    return released === 1;
+  }
+}
+
+export default RedisLock;
@@ -0,0 +1,398 @@
+/**
+ * Dynamic Client Registration policy
+ *
+ * Any MCP client may register at `/reg`, so a policy restricts what they may register: the
+ * redirect URIs authorization codes may be sent to (loopback interfaces, private-use schemes of
+ * known apps, web hosts), the names and websites users are shown, and the software statements
+ * of known publishers, whose signed metadata takes precedence over the request's. Registration
+ * may also require an initial access token, handed out to trusted clients beforehand. With
+ * registration management, clients read, update and delete their registration with the
+ * registration access token they were issued, under the same policy.
+ * https://datatracker.ietf.org/doc/html/rfc7591
+ * https://datatracker.ietf.org/doc/html/rfc7592
+ * @module registration-policy
+ */
+
+import crypto from 'node:crypto';
+
+import { errors } from 'oidc-provider';
+
+import { verifyOptions } from './dpop.js';
+
+// Routes of oidc-provider where clients set their own metadata
+export const REGISTRATION_ROUTES = ['registration', 'client_update'];
+
+// Routes of oidc-provider responding with a client's metadata
+const CLIENT_METADATA_ROUTES = ['registration', 'client', 'client_update'];
+
+const MIN_INITIAL_ACCESS_TOKEN_LENGTH = 32;
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Client metadata of web pages users are shown or sent to
+const CLIENT_URI_METADATA = ['client_uri', 'logo_uri', 'policy_uri', 'tos_uri'];
+
+// Registered claims of the software statement JWT, rather than client metadata
+const JWT_CLAIMS = ['iss', 'sub', 'aud', 'exp', 'nbf', 'iat', 'jti'];
+
+/**
+ * @typedef {Object} RegistrationPolicyDocument
+ * @property {string[]} [redirectUris] - Redirect URIs clients may register: `loopback`, a
+ *   private-use scheme such as `cursor:`, or a URL whose host may start with `*.` and whose
+ *   path is a prefix. Any redirect URI by default.
+ * @property {string[]} [clientNames] - Client name patterns, `*` matches any characters.
+ *   Any name, or none, by default.
+ * @property {string[]} [clientUris] - URLs of `client_uri`, `logo_uri`, `policy_uri` and
+ *   `tos_uri`, with the same syntax as redirect URIs. Any URL by default.
+ * @property {Object} [softwareStatement] - Software statements accepted from publishers
+ * @property {Object[]} softwareStatement.keys - Public JSON Web Keys of the publishers
+ * @property {boolean} [softwareStatement.required] - Whether clients must present one
+ */
+
+// `*` matches any characters, case-insensitively
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+function parseStringList(value, label) {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`${label} must be an array of strings`);
+  }
+  return value;
+}
+
+/**
+ * Parse a URI pattern of the policy into a function matching parsed URLs
+ * @param {string} pattern
+ * @param {string} label - Where the pattern is, for errors
+ * @returns {(url: URL) => boolean}
+ */
+function parseUriPattern(pattern, label) {
+  if (pattern === 'loopback') {
+    return (url) => url.protocol === 'http:' && LOOPBACK_HOSTS.has(url.hostname);
+  }
+  if (/^[a-z][a-z0-9+.-]*:$/i.test(pattern)) {
+    const scheme = pattern.toLowerCase();
+    if (['http:', 'https:'].includes(scheme)) {
+      throw new Error(`${label} must name web URLs with their host, not "${pattern}"`);
+    }
+    return (url) => url.protocol === scheme;
+  }
+  const match = /^(https?:)\/\/(\*\.)?([^/?#*@]+)(\/[^?#*]*)?$/i.exec(pattern);
+  if (!match) {
+    throw new Error(
+      `${label} must contain loopback, private-use schemes such as cursor: or URLs, not "${pattern}"`
+    );
+  }
+  const [, protocol, wildcard, host, path = '/'] = match;
+  const scheme = protocol.toLowerCase();
+  const hostName = host.toLowerCase();
+  const pathPrefix = path.endsWith('/') ? path : `${path}/`;
+  return (url) =>
+    url.protocol === scheme &&
+    (wildcard ? url.host.endsWith(`.${hostName}`) : url.host === hostName) &&
+    (url.pathname === path || url.pathname.startsWith(pathPrefix));
+}
+
+function uriAllowed(patterns, uri) {
+  const url = URL.parse(uri);
+  return Boolean(url) && patterns.some((matches) => matches(url));
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+export class RegistrationPolicy {
+  /**
+   * @param {RegistrationPolicyDocument} [document]
+   * @param {Object} [options]
+   * @param {string[]} [options.proxyClientProperties] - Client properties of the proxy's own
+   *   state, which clients may not register
+   * @param {string} [options.initialAccessToken] - Token clients must present to register
+   * @param {boolean} [options.management] - Whether clients may update and delete their
+   *   registration
+   * @param {string} [options.label] - Name of the document's source, for errors
+   */
+  constructor(
+    document = {},
+    {
+      proxyClientProperties = [],
+      initialAccessToken,
+      management = false,
+      label = 'registration policy',
+    } = {}
+  ) {
+    if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+      throw new Error(`${label} must be an object`);
+    }
+    const { redirectUris, clientNames, clientUris, softwareStatement } = document;
+    this.proxyClientProperties = proxyClientProperties;
+    this.initialAccessToken = initialAccessToken;
+    this.management = management;
+    if (redirectUris !== undefined) {
+      this.redirectUris = parseStringList(redirectUris, `${label}.redirectUris`).map((pattern) =>
+        parseUriPattern(pattern, `${label}.redirectUris`)
+      );
+    }
+    if (clientNames !== undefined) {
+      this.clientNames = parseStringList(clientNames, `${label}.clientNames`).map(patternToRegExp);
+    }
+    if (clientUris !== undefined) {
+      this.clientUris = parseStringList(clientUris, `${label}.clientUris`).map((pattern) =>
+        parseUriPattern(pattern, `${label}.clientUris`)
+      );
+    }
+    if (softwareStatement !== undefined) {
+      this.softwareStatement = this.parseSoftwareStatement(
+        softwareStatement,
+        `${label}.softwareStatement`
+      );
+    }
+  }
+
+  parseSoftwareStatement(softwareStatement, label) {
+    const { keys, required = false } = softwareStatement || {};
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error(`${label}.keys must be an array of one or more public JSON Web Keys`);
+    }
+    if (typeof required !== 'boolean') {
+      throw new Error(`${label}.required must be true or false`);
+    }
+    return {
+      required,
+      keys: keys.map((jwk, index) => {
+        if (typeof jwk !== 'object' || jwk === null || jwk.d !== undefined) {
+          throw new Error(`${label}.keys[${index}] must be a public JSON Web Key`);
+        }
+        try {
+          return { kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+        } catch (err) {
+          throw new Error(`${label}.keys[${index}] is not a valid JSON Web Key: ${err.message}`);
+        }
+      }),
+    };
+  }
+
+  /**
+   * Verify a software statement, signed by one of the publishers' keys
+   * @param {unknown} statement - JWT
+   * @returns {Object} The claims of the statement
+   */
+  verifySoftwareStatement(statement) {
+    const invalid = (description) => new errors.InvalidSoftwareStatement(description);
+    const [encodedHeader, encodedPayload, encodedSignature, ...rest] =
+      typeof statement === 'string' ? statement.split('.') : [];
+    let header;
+    let claims;
+    try {
+      if (rest.length > 0 || !encodedSignature) {
+        throw new Error('not a JWS');
+      }
+      header = decodeSegment(encodedHeader);
+      claims = decodeSegment(encodedPayload);
+    } catch {
+      throw invalid('software_statement must be a signed JWT');
+    }
+    const options = verifyOptions(header.alg);
+    if (!options || typeof claims !== 'object' || claims === null) {
+      throw invalid('software_statement has an unsupported alg');
+    }
+
+    const { keys } = this.softwareStatement;
+    const candidates = header.kid ? keys.filter((k) => k.kid === header.kid) : keys;
+    const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    const isSigned = candidates.some(({ key }) => {
+      try {
+        return crypto.verify(options.hash, signingInput, { key, ...options.key }, signature);
+      } catch {
+        return false;
+      }
+    });
+    if (!isSigned) {
+      throw new errors.UnapprovedSoftwareStatement(
+        'software_statement is not signed by a trusted publisher'
+      );
+    }
+
+    if (typeof claims.iss !== 'string' || !claims.iss) {
+      throw invalid('software_statement must have an iss claim');
+    }
+    if (claims.exp !== undefined && !(claims.exp > Math.floor(Date.now() / 1000))) {
+      throw invalid('software_statement has expired');
+    }
+    return claims;
+  }
+
+  /**
+   * Apply the policy to the metadata of a client registering, or updating its registration.
+   * The claims of a software statement replace the metadata of the request.
+   * @param {Object} metadata - Client metadata, modified in place
+   * @throws {errors.InvalidClientMetadata} `invalid_redirect_uri` for redirect URIs
+   */
+  validate(metadata) {
+    const proxyProperty = this.proxyClientProperties.find(
+      (property) => metadata[property] !== undefined
+    );
+    if (proxyProperty) {
+      throw new errors.InvalidClientMetadata(`${proxyProperty} cannot be registered`);
+    }
+
+    if (this.softwareStatement) {
+      if (metadata.software_statement !== undefined) {
+        const claims = this.verifySoftwareStatement(metadata.software_statement);
+        for (const [name, value] of Object.entries(claims)) {
+          if (!JWT_CLAIMS.includes(name) && !this.proxyClientProperties.includes(name)) {
+            metadata[name] = value;
+          }
+        }
+      } else if (this.softwareStatement.required) {
+        throw new errors.InvalidSoftwareStatement('software_statement is required');
+      }
+    }
+
+    // The provider checks metadata types only after this, so malformed values are caught here
+    const { redirect_uris: redirectUris } = metadata;
+    if (
+      redirectUris !== undefined &&
+      (!Array.isArray(redirectUris) || redirectUris.some((uri) => typeof uri !== 'string'))
+    ) {
+      throw new errors.InvalidClientMetadata('redirect_uris must be an array of strings');
+    }
+    const malformed = ['client_name', ...CLIENT_URI_METADATA].find(
+      (name) => metadata[name] !== undefined && typeof metadata[name] !== 'string'
+    );
+    if (malformed) {
+      throw new errors.InvalidClientMetadata(`${malformed} must be a string`);
+    }
+
+    if (this.redirectUris) {
+      const redirectUri = (metadata.redirect_uris || []).find(
+        (uri) => !uriAllowed(this.redirectUris, uri)
+      );
+      if (redirectUri) {
+        throw new errors.InvalidClientMetadata(
+          `redirect_uris must be allowed by the registration policy, ${redirectUri} is not`
+        );
+      }
+    }
+    if (this.clientNames) {
+      const name = metadata.client_name;
+      if (typeof name !== 'string' || !this.clientNames.some((pattern) => pattern.test(name))) {
+        throw new errors.InvalidClientMetadata(
+          'client_name must be allowed by the registration policy'
+        );
+      }
+    }
+    if (this.clientUris) {
+      const property = CLIENT_URI_METADATA.find(
+        (name) => metadata[name] !== undefined && !uriAllowed(this.clientUris, metadata[name])
+      );
+      if (property) {
+        throw new errors.InvalidClientMetadata(
+          `${property} must be allowed by the registration policy`
+        );
+      }
+    }
+  }
+
+  /**
+   * oidc-provider `extraClientMetadata` configuration, applying the policy when clients set
+   * their metadata. The validator is called for each extra property, and checks the whole
+   * metadata once.
+   * @param {string[]} properties - Extra client metadata properties of the provider
+   * @returns {{ properties: string[], validator: Function }}
+   */
+  extraClientMetadata(properties) {
+    const validated = new WeakSet();
+    return {
+      properties: this.softwareStatement ? [...properties, 'software_statement'] : properties,
+      validator: (ctx, _key, _value, metadata) => {
+        if (!REGISTRATION_ROUTES.includes(ctx?.oidc?.route) || validated.has(metadata)) {
+          return;
+        }
+        validated.add(metadata);
+        this.validate(metadata);
+      },
+    };
+  }
+
+  /**
+   * oidc-provider `features.registration` configuration of the policy
+   * @returns {Object}
+   */
+  registrationFeature() {
+    return {
+      initialAccessToken: this.initialAccessToken ?? false,
+      // Authorizes clients to manage their registration
+      issueRegistrationAccessToken: this.management,
+    };
+  }
+
+  /**
+   * oidc-provider `features.registrationManagement` configuration of the policy. Each update
+   * rotates the registration access token.
+   * @returns {Object}
+   */
+  registrationManagementFeature() {
+    return { enabled: this.management, rotateRegistrationAccessToken: true };
+  }
+}
+
+/**
+ * oidc-provider middleware removing the proxy's own state from the client metadata of
+ * registration responses, such as the login state a client could otherwise read back
+ * @param {string[]} proxyClientProperties - Client properties of the proxy's own state
+ * @returns {Function} Koa middleware
+ */
+export function hideProxyClientProperties(proxyClientProperties) {
+  return async function hideProxyClientPropertiesMiddleware(ctx, next) {
+    await next();
+    if (CLIENT_METADATA_ROUTES.includes(ctx.oidc?.route) && ctx.body) {
+      for (const property of proxyClientProperties) {
+        delete ctx.body[property];
+      }
+    }
+  };
+}
+
+/**
+ * Configure the registration policy from the environment
+ * @param {Object} env - Environment variables
+ * @param {string[]} proxyClientProperties - Client properties of the proxy's own state
+ * @returns {RegistrationPolicy}
+ */
+export function parseRegistrationPolicy(env, proxyClientProperties) {
+  const {
+    MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON,
+    MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN,
+    MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT = 'false',
+  } = env;
+  let document = {};
+  if (MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON) {
+    try {
+      document = JSON.parse(MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON);
+    } catch (err) {
+      throw new Error(`MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON must be valid JSON: ${err.message}`);
+    }
+  }
+  if (
+    MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN &&
+    MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN.length < MIN_INITIAL_ACCESS_TOKEN_LENGTH
+  ) {
+    throw new Error(
+      `MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN must be at least ${MIN_INITIAL_ACCESS_TOKEN_LENGTH} characters`
+    );
+  }
+  if (!['true', 'false'].includes(MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT)) {
+    throw new Error('MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT must be true or false');
+  }
+  return new RegistrationPolicy(document, {
+    proxyClientProperties,
+    initialAccessToken: MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN || undefined,
+    management: MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT === 'true',
+    label: 'MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON',
+  });
+}
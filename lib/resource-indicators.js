@@ -0,0 +1,128 @@
+/**
+ * Resource Indicators for OAuth 2.0
+ *
+ * Each proxied MCP Server route is a resource server, identified by its URL on the auth proxy,
+ * as advertised in its Protected Resource Metadata. Access tokens are audience-bound to the
+ * resource they were requested for, so a token minted for one MCP Server cannot be used with another.
+ * https://datatracker.ietf.org/doc/html/rfc8707
+ * @module resource-indicators
+ */
+
+import { errors } from 'oidc-provider';
+
+/**
+ * @typedef {import('./mcp-server-routes.js').McpServerRoute} McpServerRoute
+ */
+
+/**
+ * Resource indicator of a route, also the audience of its access tokens
+ * @param {string} baseUrl - Auth proxy base URL
+ * @param {McpServerRoute} route
+ * @returns {string}
+ */
+export function routeResource(baseUrl, route) {
+  return `${baseUrl}${route.path}`;
+}
+
+// Clients may add a trailing slash to the resource they were advertised
+function normalizeResource(resource) {
+  return resource.replace(/\/+$/, '');
+}
+
+/**
+ * Configure oidc-provider for the routes' resource indicators
+ *
+ * Clients that do not send a `resource` get tokens for the first route. The user's consent is
+ * collected upstream for the auth proxy as a whole, so the proxy scopes of a grant are extended
+ * to each MCP Server resource the client requests.
+ *
+ * @param {string} baseUrl - Auth proxy base URL
+ * @param {McpServerRoute[]} routes - MCP Server routes, the first is the default resource
+ * @param {string[]} providerScopes - Scopes the auth proxy grants
+ * @param {Object} [options]
+ * @param {'opaque' | 'jwt'} [options.accessTokenFormat] - Format of the access tokens
+ * @returns {{ resourceIndicators: Object, loadExistingGrant: Function }} `features.resourceIndicators`
+ *   and `loadExistingGrant` provider configuration
+ */
+export function configureResourceIndicators(
+  baseUrl,
+  routes,
+  providerScopes,
+  { accessTokenFormat = 'opaque' } = {}
+) {
+  const resources = new Map(
+    routes.map((route) => {
+      const resource = routeResource(baseUrl, route);
+      return [normalizeResource(resource), resource];
+    })
+  );
+  const defaultResource = routeResource(baseUrl, routes[0]);
+
+  const resourceIndicators = {
+    enabled: true,
+
+    // oneOf lists the resources of an authorization, when the token request does not pick one
+    defaultResource(_ctx, _client, oneOf) {
+      if (oneOf) {
+        return oneOf.includes(defaultResource) ? defaultResource : oneOf;
+      }
+      return defaultResource;
+    },
+
+    getResourceServerInfo(_ctx, resourceIndicator) {
+      const audience = resources.get(normalizeResource(resourceIndicator));
+      if (!audience) {
+        throw new errors.InvalidTarget(
+          `resource must be one of the proxied MCP Servers: ${[...resources.values()].join(', ')}`
+        );
+      }
+      return {
+        audience,
+        scope: providerScopes.join(' '),
+        accessTokenFormat,
+      };
+    },
+
+    // Refreshed tokens keep the resource of the authorization, even when the client omits it
+    useGrantedResource() {
+      return true;
+    },
+  };
+
+  async function loadExistingGrant(ctx) {
+    const grantId =
+      ctx.oidc.result?.consent?.grantId || ctx.oidc.session.grantIdFor(ctx.oidc.client.clientId);
+    if (!grantId) {
+      return undefined;
+    }
+    const grant = await ctx.oidc.provider.Grant.find(grantId);
+    if (!grant) {
+      return undefined;
+    }
+
+    const grantedScope = grant.getOIDCScope();
+    const missingResources = Object.keys(ctx.oidc.resourceServers || {}).filter(
+      (resource) => !grant.getResourceScope(resource)
+    );
+    if (grantedScope && missingResources.length > 0) {
+      for (const resource of missingResources) {
+        grant.addResourceScope(resource, grantedScope);
+      }
+      await grant.save();
+    }
+    return grant;
+  }
+
+  return { resourceIndicators, loadExistingGrant };
+}
+
+/**
+ * Whether an access token was issued for the resource
+ * @param {{ aud?: string | string[] }} accessToken
+ * @param {string} resource - Resource indicator of the route
+ * @returns {boolean}
+ */
+export function isAudienceOf(accessToken, resource) {
+  const audiences = [].concat(accessToken.aud || []);
+  return audiences.includes(resource);
+}
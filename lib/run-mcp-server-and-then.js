@@ -1,14 +1,22 @@
 import { spawn } from 'node:child_process';
+import { once } from 'node:events';
 import logger from './logger.js';
+import { parseSeconds } from './identity-token-refresh.js';
+import {
+  buildMcpServerEnv,
+  parseMcpServerEnvPolicy,
+  warnAboutExposedSecrets,
+} from './mcp-server-env.js';
 
-export default function runMcpServerAndThen(
-  command,
-  runArgsJSON,
-  runDir,
-  runEnvJSON,
-  startedFunc,
-  exitFunc
-) {
+/**
+ * Validate the MCP Server sub-process command configuration
+ * @param {string} command - MCP_SERVER_RUN_COMMAND
+ * @param {string} runArgsJSON - MCP_SERVER_RUN_ARGS_JSON
+ * @param {string} runDir - MCP_SERVER_RUN_DIR
+ * @param {string} runEnvJSON - MCP_SERVER_RUN_ENV_JSON
+ * @returns {{ command: string, runArgs: string[], runDir: string, runEnv: Object }}
+ */
+export function parseRunConfig(command, runArgsJSON, runDir, runEnvJSON) {
   if (typeof command !== 'string') {
     throw new Error('MCP_SERVER_RUN_COMMAND must be a shell command');
   }
@@ -34,60 +42,296 @@ export default function runMcpServerAndThen(
     throw new Error(`MCP_SERVER_RUN_ENV_JSON must be a valid JSON object, ${err}`);
   }
 
-  const mcpServerProcess = spawn(command, runArgs, {
-    cwd: runDir,
-    env: {
-      ...process.env,
-      ...runEnv,
-    },
-  });
+  return { command, runArgs, runDir, runEnv };
+}
+
+const DEFAULT_STOP_TIMEOUT_MILLISECONDS = 10000;
+
+// Exits caused by these signals were requested, such as by the dyno shutting down
+const STOP_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * @typedef {Object} RestartPolicy
+ * @property {number} maxRestarts - Give up after this many crashes within the window
+ * @property {number} windowSeconds - Crashes older than this are forgotten
+ * @property {number} initialDelaySeconds - Delay before the first restart, doubled for each crash
+ * @property {number} maxDelaySeconds - Longest delay before a restart
+ */
+
+export const DEFAULT_MAX_RESTARTS = 5;
+
+/**
+ * Parse the sub-process restart policy from the environment
+ * @param {Object} env - Environment variables
+ * @returns {RestartPolicy | undefined} Undefined when restarts are disabled
+ */
+export function parseRestartPolicy(env) {
+  const {
+    MCP_SERVER_MAX_RESTARTS,
+    MCP_SERVER_RESTART_WINDOW_SECONDS,
+    MCP_SERVER_RESTART_DELAY_SECONDS,
+    MCP_SERVER_RESTART_MAX_DELAY_SECONDS,
+  } = env;
+
+  let maxRestarts = DEFAULT_MAX_RESTARTS;
+  if (MCP_SERVER_MAX_RESTARTS !== undefined && MCP_SERVER_MAX_RESTARTS !== '') {
+    maxRestarts = Number(MCP_SERVER_MAX_RESTARTS);
+    if (!Number.isInteger(maxRestarts) || maxRestarts < 0) {
+      throw new Error('MCP_SERVER_MAX_RESTARTS must be a non-negative integer');
+    }
+  }
+  if (maxRestarts === 0) {
+    return undefined;
+  }
+
+  return {
+    maxRestarts,
+    windowSeconds: parseSeconds(
+      MCP_SERVER_RESTART_WINDOW_SECONDS,
+      300,
+      'MCP_SERVER_RESTART_WINDOW_SECONDS'
+    ),
+    initialDelaySeconds: parseSeconds(
+      MCP_SERVER_RESTART_DELAY_SECONDS,
+      1,
+      'MCP_SERVER_RESTART_DELAY_SECONDS'
+    ),
+    maxDelaySeconds: parseSeconds(
+      MCP_SERVER_RESTART_MAX_DELAY_SECONDS,
+      30,
+      'MCP_SERVER_RESTART_MAX_DELAY_SECONDS'
+    ),
+  };
+}
+
+/**
+ * @typedef {Object} McpServerSupervisor
+ * @property {() => import('node:child_process').ChildProcess} getProcess - Current sub-process
+ * @property {() => boolean} isAvailable - Whether the sub-process is up and ready
+ * @property {() => number} retryAfterSeconds - Seconds until the sub-process should be back up
+ * @property {() => void} holdRestarts - From now on, exits of the sub-process neither restart it
+ *   nor call exitFunc, such as during shutdown
+ * @property {(timeoutMilliseconds?: number) => Promise<void>} stop - Send SIGTERM to the
+ *   sub-process, without restarting it, and wait for it to exit; SIGKILL after the timeout
+ */
+
+/**
+ * Spawn the MCP Server sub-process, then call startedFunc once it is up.
+ *
+ * With the `stdio` transport, stdout carries JSON-RPC messages for the bridge,
+ * so the sub-process counts as started once spawned, and stdout is not logged here.
+ * With `waitUntilReady`, an http sub-process counts as started once it resolves;
+ * otherwise, at its first output.
+ *
+ * Without a `restartPolicy`, any exit of the sub-process calls exitFunc. With one, a crashed
+ * sub-process is restarted after an exponential backoff, and exitFunc is only called once it
+ * crashes more than `maxRestarts` times within `windowSeconds`, or exits on SIGTERM/SIGINT.
+ * `restartedFunc` is called with each restarted sub-process, once it is up.
+ *
+ * The sub-process environment follows `envPolicy`, from parseMcpServerEnvPolicy();
+ * by default it inherits the proxy's environment, without the proxy's secrets.
+ *
+ * @returns {McpServerSupervisor}
+ */
+export default function runMcpServerAndThen(
+  command,
+  runArgsJSON,
+  runDir,
+  runEnvJSON,
+  startedFunc,
+  exitFunc,
+  options = {}
+) {
+  const {
+    transport = 'http',
+    waitUntilReady,
+    restartPolicy,
+    restartedFunc,
+    envPolicy = parseMcpServerEnvPolicy({}),
+  } = options;
+
+  const { runArgs, runEnv } = parseRunConfig(command, runArgsJSON, runDir, runEnvJSON);
+  warnAboutExposedSecrets(envPolicy, process.env, runEnv);
+
+  let mcpServerProcess;
+  let available = false;
+  let stopped = false;
+  let restartAt = 0;
+  let restartTimer;
+  // Times of recent crashes, in milliseconds
+  let crashes = [];
 
   // Started func is only called once, after the MCP Server sub-process starts-up
   let startedFuncCalled = false;
+  const callStartedFunc = (startedProcess) => {
+    if (startedProcess !== mcpServerProcess || available) {
+      return;
+    }
+    available = true;
+    if (startedFuncCalled) {
+      logger.info('mcp-server: process restarted', { pid: startedProcess.pid });
+      restartedFunc?.(startedProcess);
+      return;
+    }
+    startedFuncCalled = true;
+    const failedToStart = (err) => {
+      logger.error('mcp-server: process failed to start', {
+        error: err.message,
+      });
+      exitFunc(1);
+    };
+    try {
+      // An async startedFunc, such as one listening for requests, fails by rejecting
+      Promise.resolve(startedFunc(startedProcess)).catch(failedToStart);
+    } catch (err) {
+      failedToStart(err);
+    }
+  };
+
+  const handleEnd = (endedProcess, code, signal) => {
+    if (endedProcess !== mcpServerProcess) {
+      return;
+    }
+    available = false;
+    if (stopped) {
+      return;
+    }
+    const requested = STOP_SIGNALS.includes(signal);
+    // Without a supervisor, or before the first start, exit as the sub-process did
+    if (!restartPolicy || !startedFuncCalled || requested) {
+      exitFunc(code);
+      return;
+    }
+
+    const now = Date.now();
+    crashes = crashes.filter((crashedAt) => now - crashedAt < restartPolicy.windowSeconds * 1000);
+    crashes.push(now);
+    if (crashes.length > restartPolicy.maxRestarts) {
+      logger.error('mcp-server: process is crash-looping, giving up', {
+        crashes: crashes.length,
+        windowSeconds: restartPolicy.windowSeconds,
+      });
+      exitFunc(code || 1);
+      return;
+    }
 
-  mcpServerProcess.on('error', (err) => {
-    logger.error('mcp-server: process error', {
-      error: err.message,
+    const delaySeconds = Math.min(
+      restartPolicy.initialDelaySeconds * 2 ** (crashes.length - 1),
+      restartPolicy.maxDelaySeconds
+    );
+    restartAt = now + delaySeconds * 1000;
+    logger.warn('mcp-server: restarting process', {
+      exitCode: code,
+      signal,
+      delaySeconds,
+      crashes: crashes.length,
     });
-    exitFunc(1);
-  });
-  mcpServerProcess.stdout.on('data', (data) => {
-    logger.info('mcp-server stdout', {
-      output: data.toString().trim(),
+    restartTimer = setTimeout(startProcess, delaySeconds * 1000);
+  };
+
+  function startProcess() {
+    const spawnedProcess = spawn(command, runArgs, {
+      cwd: runDir,
+      env: buildMcpServerEnv(envPolicy, process.env, runEnv),
     });
-    if (!startedFuncCalled) {
-      startedFuncCalled = true;
-      try {
-        startedFunc(mcpServerProcess);
-      } catch (err) {
-        logger.error('mcp-server: process failed to start', {
-          error: err.message,
-        });
-        exitFunc(1);
+    mcpServerProcess = spawnedProcess;
+    let ended = false;
+    const end = (code, signal) => {
+      if (!ended) {
+        ended = true;
+        handleEnd(spawnedProcess, code, signal);
       }
-    }
-  });
-  mcpServerProcess.stderr.on('data', (data) => {
-    logger.error('mcp-server stderr', {
-      output: data.toString().trim(),
+    };
+
+    spawnedProcess.on('error', (err) => {
+      logger.error('mcp-server: process error', {
+        error: err.message,
+      });
+      end(1, null);
     });
-    if (!startedFuncCalled) {
-      startedFuncCalled = true;
-      try {
-        startedFunc(mcpServerProcess);
-      } catch (err) {
-        logger.error('mcp-server: process failed to start', {
-          error: err.message,
+    const startsOnOutput = transport !== 'stdio' && typeof waitUntilReady !== 'function';
+    if (transport === 'stdio') {
+      spawnedProcess.on('spawn', () => callStartedFunc(spawnedProcess));
+    } else {
+      spawnedProcess.stdout.on('data', (data) => {
+        logger.info('mcp-server stdout', {
+          output: data.toString().trim(),
+        });
+        if (startsOnOutput) {
+          callStartedFunc(spawnedProcess);
+        }
+      });
+      if (!startsOnOutput) {
+        spawnedProcess.on('spawn', async () => {
+          try {
+            await waitUntilReady(spawnedProcess);
+          } catch (err) {
+            logger.error('mcp-server: process failed to become ready', {
+              error: err.message,
+            });
+            if (startedFuncCalled) {
+              // Counts as a crash, so a restarted server that never gets ready backs off
+              spawnedProcess.kill('SIGKILL');
+            } else {
+              exitFunc(1);
+            }
+            return;
+          }
+          callStartedFunc(spawnedProcess);
         });
-        exitFunc(1);
       }
     }
-  });
-  mcpServerProcess.on('exit', (code) => {
-    code = code || 0;
-    logger.info('mcp-server: process exited', {
-      exitCode: code,
+    spawnedProcess.stderr.on('data', (data) => {
+      logger.error('mcp-server stderr', {
+        output: data.toString().trim(),
+      });
+      if (startsOnOutput) {
+        callStartedFunc(spawnedProcess);
+      }
+    });
+    spawnedProcess.on('exit', (code, signal) => {
+      code = code || 0;
+      logger.info('mcp-server: process exited', {
+        exitCode: code,
+        signal,
+      });
+      end(code, signal);
     });
-    exitFunc(code);
-  });
+  }
+
+  function holdRestarts() {
+    stopped = true;
+    clearTimeout(restartTimer);
+  }
+
+  startProcess();
+
+  return {
+    getProcess: () => mcpServerProcess,
+    isAvailable: () => available,
+    retryAfterSeconds: () => Math.max(1, Math.ceil((restartAt - Date.now()) / 1000)),
+    holdRestarts,
+    stop: async (timeoutMilliseconds = DEFAULT_STOP_TIMEOUT_MILLISECONDS) => {
+      holdRestarts();
+      const stoppingProcess = mcpServerProcess;
+      // A sub-process that failed to spawn, such as on ENOENT, has no pid and never exits
+      if (
+        stoppingProcess.pid === undefined ||
+        stoppingProcess.exitCode !== null ||
+        stoppingProcess.signalCode !== null
+      ) {
+        return;
+      }
+      const exited = once(stoppingProcess, 'exit');
+      stoppingProcess.kill('SIGTERM');
+      const killTimer = setTimeout(() => {
+        logger.warn('mcp-server: process did not exit after SIGTERM, killing it', {
+          timeoutMilliseconds,
+        });
+        stoppingProcess.kill('SIGKILL');
+      }, timeoutMilliseconds);
+      await exited;
+      clearTimeout(killTimer);
+    },
+  };
 }
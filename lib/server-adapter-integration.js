@@ -33,7 +33,11 @@
  */
 
 import { identityClientInit } from './identity-client-adapter.js';
-import { refreshIdentityToken } from './identity-client-adapter.js';
+import {
+  refreshIdentityToken,
+  exchangeIdentityToken,
+  revokeIdentityToken,
+} from './identity-client-adapter.js';
 import useInteractionRoutes from './use-interaction-routes-adapter.js';
 import logger from './logger.js';
 
@@ -101,3 +105,21 @@ export function validateEnvironmentConfig(env) {
 
   return true;
 }
+
+/**
+ * Get the token exchange function, for MCP Servers given a restricted identity token
+ * @returns {(subjectToken: string, config: import('./token-exchange.js').TokenExchangeConfig) => Promise<Object>}
+ *   Token exchange function
+ */
+export function getTokenExchangeFunction() {
+  return exchangeIdentityToken;
+}
+
+/**
+ * Get the function revoking upstream refresh tokens, for the clients reaped for being idle
+ * @returns {(credential: import('./upstream-credential-store.js').UpstreamCredential) => Promise<void>}
+ *   Token revocation function
+ */
+export function getRevokeFunction() {
+  return revokeIdentityToken;
+}
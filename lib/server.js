@@ -1,4 +1,5 @@
 import fs from 'fs';
+import { once } from 'node:events';
 import * as path from 'node:path';
 import * as url from 'node:url';
 
@@ -13,15 +14,82 @@ import instance from '../node_modules/oidc-provider/lib/helpers/weak_cache.js';
 import providerConfig from './provider-config.js';
 
 import TokenRedisAdapter from './token-redis-adapter.js';
-import { initializeIdentityClient, setupInteractionRoutes } from './server-adapter-integration.js';
+import {
+  initializeIdentityClient,
+  setupInteractionRoutes,
+  getRefreshFunction,
+  getRevokeFunction,
+  getTokenExchangeFunction,
+} from './server-adapter-integration.js';
 import useMcpServerProxy from './use-mcp-server-proxy.js';
+import { parseMcpServerRoutes, protectedResourceMetadataPath } from './mcp-server-routes.js';
+import { configureResourceIndicators, routeResource } from './resource-indicators.js';
+import {
+  JwtAccessTokenVerifier,
+  addJwtAccessTokenClaims,
+  parseAccessTokenFormat,
+} from './jwt-access-tokens.js';
+import { IdentityAssertionSigner, parseIdentityAssertionConfig } from './identity-assertion.js';
+import { UpstreamTokenExchanger } from './token-exchange.js';
+import { DpopVerifier, dpopFeature, parseDpopConfig, requireDpopAtTokenEndpoint } from './dpop.js';
+import { parseMcpAuthorizationPolicy } from './mcp-authorization-policy.js';
+import { parseAuditLog } from './audit-log.js';
+import {
+  clientIdMetadataDocumentFeature,
+  parseClientIdMetadataDocumentConfig,
+  withClientIdMetadataDocuments,
+} from './client-id-metadata-document.js';
+import { hideProxyClientProperties, parseRegistrationPolicy } from './registration-policy.js';
+import { ClientCleanup, ClientLifecycle, parseClientLifecycleConfig } from './client-lifecycle.js';
+import { parseByteSize, DEFAULT_MAX_BODY_SIZE } from './proxy-request-body.js';
+import {
+  IdentityTokenRefresher,
+  parseSeconds,
+  DEFAULT_REFRESH_SKEW_SECONDS,
+} from './identity-token-refresh.js';
 import { useSessionReset } from './use-session-reset.js';
-import runMcpServerAndThen from './run-mcp-server-and-then.js';
+import runMcpServerAndThen, {
+  parseRunConfig,
+  parseRestartPolicy,
+} from './run-mcp-server-and-then.js';
+import {
+  McpServerProcessPool,
+  parsePositiveInteger,
+  DEFAULT_MAX_PROCESSES,
+  DEFAULT_IDLE_SECONDS,
+} from './mcp-server-process-pool.js';
+import StdioMcpBridge, { parseMcpServerTransport } from './stdio-mcp-bridge.js';
+import { parseReadinessConfig, waitForMcpServerReady } from './mcp-server-readiness.js';
 import { createRateLimitMiddleware } from './rate-limit-redis-adapter.js';
+import { createCoordinatedRefresh } from './identity-token-refresh-coordinator.js';
+import RedisClient from './redis-client.js';
+import RedisLock from './redis-lock.js';
 import { sanitizeUrl } from './url-sanitizer.js';
+import { parseMcpServerEnvPolicy } from './mcp-server-env.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
+import {
+  createGracefulShutdown,
+  drainHttpServer,
+  DEFAULT_DRAIN_TIMEOUT_SECONDS,
+  DEFAULT_MCP_SERVER_STOP_TIMEOUT_SECONDS,
+} from './graceful-shutdown.js';
 
 const __dirname = dirname(import.meta.url);
 
+// Lock for identity token refresh, shared across dynos through Redis
+function createRefreshLock(env) {
+  if (!env.MCP_AUTH_PROXY_REDIS_URL) {
+    return undefined;
+  }
+  const redisClient = RedisClient.create(env, {
+    keyPrefix: 'lock:',
+    errorCallback: (err) => {
+      logger.warn('Refresh lock Redis client error', { error: err.message });
+    },
+  });
+  return new RedisLock(redisClient);
+}
+
 function server(env = {}, listeningCallback, exitFunc) {
   const {
     MCP_AUTH_PROXY_VERIFY_RELEASE = 'false',
@@ -29,11 +97,20 @@ function server(env = {}, listeningCallback, exitFunc) {
     PORT,
     BASE_URL,
     OIDC_PROVIDER_VIEWS_PATH,
-    MCP_SERVER_URL,
     MCP_SERVER_RUN_COMMAND,
     MCP_SERVER_RUN_ARGS_JSON,
     MCP_SERVER_RUN_DIR,
     MCP_SERVER_RUN_ENV_JSON,
+    MCP_SERVER_TRANSPORT,
+    MCP_SERVER_PER_USER_PROCESSES = 'false',
+    MCP_SERVER_PER_USER_MAX_PROCESSES,
+    MCP_SERVER_PER_USER_IDLE_SECONDS,
+    MCP_SERVER_USER_TOKEN_ENV,
+    MCP_AUTH_PROXY_MAX_BODY_SIZE,
+    IDENTITY_TOKEN_REFRESH_SKEW_SECONDS,
+    IDENTITY_TOKEN_BACKGROUND_REFRESH_SECONDS,
+    MCP_AUTH_PROXY_SHUTDOWN_DRAIN_SECONDS,
+    MCP_SERVER_SHUTDOWN_TIMEOUT_SECONDS,
   } = env;
 
   let authServerUrl;
@@ -42,12 +119,55 @@ function server(env = {}, listeningCallback, exitFunc) {
   } catch {
     throw new Error('BASE_URL must be a valid URL');
   }
-  let mcpServerUrl;
-  try {
-    mcpServerUrl = new URL(MCP_SERVER_URL);
-  } catch {
-    throw new Error('MCP_SERVER_URL must be a valid URL');
+  const mcpServerRoutes = parseMcpServerRoutes(env, providerConfig.scopes);
+  const mcpServerTransport = parseMcpServerTransport(MCP_SERVER_TRANSPORT);
+  const readinessConfig = parseReadinessConfig(env);
+  const restartPolicy = parseRestartPolicy(env);
+  const envPolicy = parseMcpServerEnvPolicy(env);
+  const identityAssertionConfig = parseIdentityAssertionConfig(env);
+  const dpopConfig = parseDpopConfig(env);
+  const authorizationPolicy = parseMcpAuthorizationPolicy(env);
+  const auditLog = parseAuditLog(env);
+  const clientIdMetadataDocumentConfig = parseClientIdMetadataDocumentConfig(env);
+  // Client properties of the proxy's own state, which clients cannot set themselves
+  const proxyClientProperties = providerConfig.extraClientMetadata.properties;
+  const registrationPolicy = parseRegistrationPolicy(env, proxyClientProperties);
+  const clientLifecycleConfig = parseClientLifecycleConfig(env);
+  if (identityAssertionConfig?.withholdIdentityToken && MCP_SERVER_PER_USER_PROCESSES === 'true') {
+    throw new Error(
+      'MCP_SERVER_IDENTITY_ASSERTION=only cannot be used with MCP_SERVER_PER_USER_PROCESSES, which pass the identity token to each process'
+    );
   }
+  const drainTimeoutSeconds = parseSeconds(
+    MCP_AUTH_PROXY_SHUTDOWN_DRAIN_SECONDS,
+    DEFAULT_DRAIN_TIMEOUT_SECONDS,
+    'MCP_AUTH_PROXY_SHUTDOWN_DRAIN_SECONDS'
+  );
+  const mcpServerStopTimeoutSeconds = parseSeconds(
+    MCP_SERVER_SHUTDOWN_TIMEOUT_SECONDS,
+    DEFAULT_MCP_SERVER_STOP_TIMEOUT_SECONDS,
+    'MCP_SERVER_SHUTDOWN_TIMEOUT_SECONDS'
+  );
+  // Probe an http MCP Server until it answers, rather than trusting its first output
+  const waitUntilReady =
+    mcpServerTransport === 'http' && readinessConfig.probe !== 'output'
+      ? (url, mcpServerProcess) => waitForMcpServerReady(url, readinessConfig, mcpServerProcess)
+      : undefined;
+  const maxBodySize = parseByteSize(
+    MCP_AUTH_PROXY_MAX_BODY_SIZE,
+    DEFAULT_MAX_BODY_SIZE,
+    'MCP_AUTH_PROXY_MAX_BODY_SIZE'
+  );
+  const refreshSkewSeconds = parseSeconds(
+    IDENTITY_TOKEN_REFRESH_SKEW_SECONDS,
+    DEFAULT_REFRESH_SKEW_SECONDS,
+    'IDENTITY_TOKEN_REFRESH_SKEW_SECONDS'
+  );
+  const backgroundRefreshSeconds = parseSeconds(
+    IDENTITY_TOKEN_BACKGROUND_REFRESH_SECONDS,
+    0,
+    'IDENTITY_TOKEN_BACKGROUND_REFRESH_SECONDS'
+  );
 
   // Use process.exit to exit unless the exitFunc is defined (for tests)
   if (typeof exitFunc !== 'function') {
@@ -60,14 +180,70 @@ function server(env = {}, listeningCallback, exitFunc) {
     console.log('Exiting due to Redis', message);
     exitFunc(1);
   });
+  if (!TokenRedisAdapter.encryption) {
+    logger.warn(
+      'Identity tokens are stored unencrypted, set MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON to encrypt them'
+    );
+  }
 
-  const provider = new Provider(BASE_URL, providerConfig);
+  // Access tokens are audience-bound to the MCP Server route they were requested for
+  const { resourceIndicators, loadExistingGrant } = configureResourceIndicators(
+    BASE_URL,
+    mcpServerRoutes,
+    providerConfig.scopes,
+    { accessTokenFormat: parseAccessTokenFormat(env) }
+  );
+  const provider = new Provider(BASE_URL, {
+    ...providerConfig,
+    // Clients may use the URL of their metadata document as client ID, instead of registering
+    adapter: clientIdMetadataDocumentConfig.enabled
+      ? withClientIdMetadataDocuments(TokenRedisAdapter, proxyClientProperties)
+      : TokenRedisAdapter,
+    extraClientMetadata: registrationPolicy.extraClientMetadata(proxyClientProperties),
+    // With DPoP required, clients are registered for DPoP-bound access tokens
+    clientDefaults: {
+      ...providerConfig.clientDefaults,
+      dpop_bound_access_tokens: dpopConfig.required,
+    },
+    features: {
+      ...providerConfig.features,
+      registration: {
+        ...providerConfig.features.registration,
+        ...registrationPolicy.registrationFeature(),
+      },
+      registrationManagement: registrationPolicy.registrationManagementFeature(),
+      resourceIndicators,
+      dPoP: { ...providerConfig.features.dPoP, ...dpopFeature(dpopConfig) },
+      clientIdMetadataDocument: clientIdMetadataDocumentFeature(
+        clientIdMetadataDocumentConfig,
+        proxyClientProperties
+      ),
+    },
+    formats: { customizers: { jwt: addJwtAccessTokenClaims } },
+    loadExistingGrant,
+  });
+  // JWT access tokens are not stored, so the proxy verifies their signature
+  const jwtVerifier = new JwtAccessTokenVerifier({
+    issuer: provider.issuer,
+    keys: providerConfig.jwks.keys,
+  });
+  // Optionally, assert the caller's identity to the MCP Server with a JWT signed by the same keys
+  const identityAssertionSigner =
+    identityAssertionConfig &&
+    new IdentityAssertionSigner({
+      issuer: provider.issuer,
+      keys: providerConfig.jwks.keys,
+      ttlSeconds: identityAssertionConfig.ttlSeconds,
+    });
+  // DPoP-bound access tokens are only accepted with a proof of possession of their key
+  const dpopVerifier = new DpopVerifier({ provider, required: dpopConfig.required });
 
   // Initialize identity client asynchronously (non-blocking)
   let identityClientReady = initializeIdentityClient(process.env, provider);
 
+  // No global body parser: the MCP proxy streams raw request bodies,
+  // and the OAuth provider & interaction routes parse their own.
   const app = express();
-  app.use(express.json());
 
   // Create rate limiting middleware
   const rateLimitMiddleware = createRateLimitMiddleware(env);
@@ -124,6 +300,18 @@ function server(env = {}, listeningCallback, exitFunc) {
   provider.on('revocation.error', logEventCtxError);
   provider.on('userinfo.error', logEventCtxError);
 
+  // Upstream identity tokens do not outlive the grant they belong to
+  provider.on('grant.revoked', (_ctx, grantId) => {
+    getUpstreamCredentialStore(provider)
+      .destroy(grantId)
+      .catch((err) => {
+        logger.error('Failed to destroy upstream credential of revoked grant', {
+          grantId,
+          error: err.message,
+        });
+      });
+  });
+
   const cspDirectives = helmet.contentSecurityPolicy.getDefaultDirectives();
   delete cspDirectives['form-action'];
 
@@ -182,6 +370,8 @@ function server(env = {}, listeningCallback, exitFunc) {
       scopes_supported: providerConfig.scopes,
       response_types_supported: ['code', 'code token'],
       code_challenge_methods_supported: ['S256'],
+      dpop_signing_alg_values_supported: providerInstanceConfig.dPoPSigningAlgValues,
+      client_id_metadata_document_supported: clientIdMetadataDocumentConfig.enabled,
       grant_types_supported: [
         'authorization_code',
         'refresh_token',
@@ -190,26 +380,160 @@ function server(env = {}, listeningCallback, exitFunc) {
     });
   });
 
-  // Declare the Protected Resource Metadata for OAuth 2.0 clients
+  // Declare the Protected Resource Metadata for OAuth 2.0 clients, for each proxied MCP Server.
+  // The first route is also served at the root well-known path.
   // https://datatracker.ietf.org/doc/html/rfc9728
+  const protectedResourceMetadata = (route) => ({
+    resource: routeResource(BASE_URL, route),
+    authorization_servers: [`${BASE_URL}`],
+    bearer_methods_supported: ['header'],
+    scopes_supported: route.scopes || providerConfig.scopes,
+    dpop_signing_alg_values_supported: providerInstanceConfig.dPoPSigningAlgValues,
+    dpop_bound_access_tokens_required: dpopConfig.required,
+  });
   app.get('/.well-known/oauth-protected-resource', async (_req, res) => {
-    res.json({
-      resource: `${BASE_URL}/mcp`,
-      authorization_servers: [`${BASE_URL}`],
-      bearer_methods_supported: ['header'],
-      scopes_supported: providerConfig.scopes,
+    res.json(protectedResourceMetadata(mcpServerRoutes[0]));
+  });
+  for (const route of mcpServerRoutes) {
+    app.get(protectedResourceMetadataPath(route), async (_req, res) => {
+      res.json(protectedResourceMetadata(route));
     });
+  }
+
+  // Optionally run one MCP Server process per user, for the first route
+  let processPool;
+  if (MCP_SERVER_PER_USER_PROCESSES === 'true') {
+    let runConfig;
+    try {
+      runConfig = parseRunConfig(
+        MCP_SERVER_RUN_COMMAND,
+        MCP_SERVER_RUN_ARGS_JSON,
+        MCP_SERVER_RUN_DIR,
+        MCP_SERVER_RUN_ENV_JSON
+      );
+    } catch (err) {
+      throw new Error(`Failed to configure per-user MCP Server processes, ${err}`);
+    }
+    processPool = new McpServerProcessPool({
+      runConfig,
+      mcpServerUrl: mcpServerRoutes[0].url,
+      transport: mcpServerTransport,
+      maxProcesses: parsePositiveInteger(
+        MCP_SERVER_PER_USER_MAX_PROCESSES,
+        DEFAULT_MAX_PROCESSES,
+        'MCP_SERVER_PER_USER_MAX_PROCESSES'
+      ),
+      idleSeconds: parseSeconds(
+        MCP_SERVER_PER_USER_IDLE_SECONDS,
+        DEFAULT_IDLE_SECONDS,
+        'MCP_SERVER_PER_USER_IDLE_SECONDS'
+      ),
+      userTokenEnv: MCP_SERVER_USER_TOKEN_ENV,
+      maxBodySize,
+      waitUntilReady,
+      envPolicy,
+    });
+  }
+
+  // Only one identity token refresh runs per client at a time, across all dynos
+  const refreshLock = createRefreshLock(env);
+  const refreshTokenFunc = createCoordinatedRefresh(getRefreshFunction(), {
+    lock: refreshLock,
   });
 
-  useMcpServerProxy({ app, provider, mcpServerUrl });
-  useSessionReset(app, authServerUrl, providerInstanceConfig);
+  // Optionally keep the identity tokens of active clients fresh in the background
+  let tokenRefresher;
+  if (backgroundRefreshSeconds > 0) {
+    tokenRefresher = new IdentityTokenRefresher({
+      provider,
+      refreshTokenFunc,
+      intervalSeconds: backgroundRefreshSeconds,
+      skewSeconds: refreshSkewSeconds,
+    });
+  }
 
-  // OAuth Provider routes and middleware
-  setupInteractionRoutes(app, provider);
-  app.use(provider.callback());
+  // Optionally reap the clients left idle, such as by uninstalled MCP clients
+  let clientLifecycle;
+  if (clientLifecycleConfig) {
+    clientLifecycle = new ClientLifecycle({
+      provider,
+      ...clientLifecycleConfig,
+      revokeFunc: getRevokeFunction(),
+      lock:
+        refreshLock &&
+        new RedisLock(refreshLock.redisClient, {
+          ttlMilliseconds: clientLifecycleConfig.sweepSeconds * 1000,
+        }),
+    });
+    provider.on('grant.success', (ctx) => clientLifecycle.touch(ctx.oidc.client?.clientId));
+  }
+
+  // Clients deleting their registration take their grants and upstream tokens with them
+  if (registrationPolicy.management) {
+    const clientCleanup = new ClientCleanup({ provider, revokeFunc: getRevokeFunction() });
+    provider.on('registration_delete.success', (_ctx, client) => {
+      clientCleanup
+        .destroyClient(client.clientId, client.metadata())
+        .then((result) =>
+          logger.info('deleted client cleaned up', { clientId: client.clientId, ...result })
+        )
+        .catch((err) => {
+          logger.error('failed to clean up deleted client', {
+            clientId: client.clientId,
+            error: err.message,
+          });
+        });
+    });
+  }
+
+  // Routes may get identity tokens exchanged for their own audience and scope
+  const tokenExchanger = mcpServerRoutes.some((route) => route.tokenExchange)
+    ? new UpstreamTokenExchanger({ exchangeFunc: getTokenExchangeFunction() })
+    : undefined;
+
+  // Supervises the MCP Server sub-process, once spawned
+  let supervisor;
+  const mcpServerAvailability = {
+    isAvailable: () => !supervisor || supervisor.isAvailable(),
+    retryAfterSeconds: () => supervisor.retryAfterSeconds(),
+  };
+
+  // Mount nested paths before their parents, so "/mcp/admin" is not captured by "/mcp"
+  const mountOrder = [...mcpServerRoutes].sort((a, b) => b.path.length - a.path.length);
+  for (const route of mountOrder) {
+    useMcpServerProxy({
+      app,
+      provider,
+      mcpServerUrl: route.url,
+      mountPath: route.path,
+      requiredScopes: route.scopes,
+      resource: routeResource(BASE_URL, route),
+      jwtVerifier,
+      dpopVerifier,
+      identityAssertionSigner,
+      withholdIdentityToken: identityAssertionConfig?.withholdIdentityToken,
+      tokenExchange: route.tokenExchange,
+      tokenExchanger,
+      authorizationPolicy,
+      auditLog,
+      extraHeaders: route.headers,
+      resourceMetadataUrl: `${BASE_URL}${protectedResourceMetadataPath(route)}`,
+      refreshTokenFunc,
+      refreshSkewSeconds,
+      tokenRefresher,
+      clientLifecycle,
+      maxBodySize,
+      processPool: route === mcpServerRoutes[0] ? processPool : undefined,
+      availability: route === mcpServerRoutes[0] ? mcpServerAvailability : undefined,
+    });
+  }
+  useSessionReset(app, authServerUrl, providerInstanceConfig);
 
   // OAuth Provider Pre- & Post- middlewares
   // https://github.com/panva/node-oidc-provider/blob/main/docs/README.md#pre--and-post-middlewares
+  // The callback composes them once mounted, so they are registered first.
+  provider.use(requireDpopAtTokenEndpoint(dpopConfig, providerConfig.routes.token));
+  provider.use(hideProxyClientProperties(proxyClientProperties));
   provider.use(async (ctx, next) => {
     // Pre-middleware goes here
     await next();
@@ -226,19 +550,31 @@ function server(env = {}, listeningCallback, exitFunc) {
     }
   });
 
+  // OAuth Provider routes and middleware
+  setupInteractionRoutes(app, provider);
+  app.use(provider.callback());
+
   // Only connect the listener once the MCP Server is ready to accept requests
+  let authProxyServer;
   const appListenFunc = async (mcpServerProcess) => {
     // Wait for identity client to be ready before starting server
     await identityClientReady;
 
-    const authProxyServer = app.listen(PORT, () => {
+    tokenRefresher?.start();
+    clientLifecycle?.start();
+    processPool?.start();
+
+    // Listen failures, such as EADDRINUSE, reject
+    authProxyServer = app.listen(PORT);
+    await once(authProxyServer, 'listening');
+    for (const route of mcpServerRoutes) {
       logger.info('OAuth provider is listening', {
         port: PORT,
-        proxyPath: mcpServerUrl.pathname,
-        mcpServerUrl: mcpServerUrl.toString(),
-        message: `OAuth provider is listening on port ${PORT}, proxying ${mcpServerUrl.pathname} to ${mcpServerUrl} with bearer token authorization`,
+        proxyPath: route.path,
+        mcpServerUrl: route.url.toString(),
+        message: `OAuth provider is listening on port ${PORT}, proxying ${route.path} to ${route.url} with bearer token authorization`,
       });
-    });
+    }
     // Support a caller that needs to know when the server is UP (for tests)
     if (typeof listeningCallback === 'function') {
       listeningCallback(authProxyServer, mcpServerProcess);
@@ -250,18 +586,92 @@ function server(env = {}, listeningCallback, exitFunc) {
       exitFunc(0);
     }
   };
+
+  // Orderly shutdown, such as on SIGTERM when the dyno restarts
+  let bridge;
+  const shutdown = createGracefulShutdown([
+    {
+      // Exits of the MCP Server during shutdown, such as on the dyno-wide SIGTERM, are expected
+      name: 'hold MCP Server restarts',
+      run: () => supervisor?.holdRestarts(),
+    },
+    {
+      name: 'stop accepting connections & drain requests',
+      run: () => drainHttpServer(authProxyServer, drainTimeoutSeconds * 1000),
+    },
+    {
+      name: 'stop background work',
+      run: () => {
+        tokenRefresher?.stop();
+        clientLifecycle?.stop();
+        processPool?.stop();
+      },
+    },
+    {
+      name: 'stop MCP Server',
+      run: async () => {
+        await supervisor?.stop(mcpServerStopTimeoutSeconds * 1000);
+        bridge?.close();
+      },
+    },
+    {
+      name: 'close Redis connections',
+      run: () =>
+        Promise.all([
+          TokenRedisAdapter.disconnect(),
+          rateLimitMiddleware?.close(),
+          refreshLock?.redisClient.disconnect(),
+        ]),
+    },
+    {
+      name: 'flush audit log',
+      run: () => auditLog?.close(),
+    },
+  ]);
+
+  // Per-user processes are started on demand, by the first request of each user
+  if (processPool) {
+    appListenFunc().catch((err) => {
+      logger.error('OAuth provider failed to start', { error: err.message });
+      exitFunc(1);
+    });
+    return shutdown;
+  }
+
+  // A stdio MCP Server is exposed over Streamable HTTP at the first route's URL
+  const bridgeThenListenFunc = async (mcpServerProcess) => {
+    try {
+      bridge = new StdioMcpBridge(mcpServerProcess, { maxBodySize });
+      await bridge.listen(mcpServerRoutes[0].url);
+    } catch (err) {
+      logger.error('stdio MCP Server bridge failed to start', { error: err.message });
+      exitFunc(1);
+      return;
+    }
+    await appListenFunc(mcpServerProcess);
+  };
   try {
-    runMcpServerAndThen(
+    supervisor = runMcpServerAndThen(
       MCP_SERVER_RUN_COMMAND,
       MCP_SERVER_RUN_ARGS_JSON,
       MCP_SERVER_RUN_DIR,
       MCP_SERVER_RUN_ENV_JSON,
-      appListenFunc,
-      exitFunc
+      mcpServerTransport === 'stdio' ? bridgeThenListenFunc : appListenFunc,
+      exitFunc,
+      {
+        transport: mcpServerTransport,
+        waitUntilReady:
+          waitUntilReady &&
+          ((mcpServerProcess) => waitUntilReady(mcpServerRoutes[0].url, mcpServerProcess)),
+        restartPolicy,
+        envPolicy,
+        restartedFunc: (mcpServerProcess) => bridge?.attach(mcpServerProcess),
+      }
     );
   } catch (err) {
     throw new Error(`Failed to start MCP Server sub-process, ${err}`);
   }
+  return shutdown;
 }
 
 export default server;
@@ -0,0 +1,662 @@
+/**
+ * Stdio MCP Server bridge
+ *
+ * Exposes an MCP Server that speaks newline-delimited JSON-RPC on stdin/stdout as a
+ * Streamable HTTP endpoint, so the auth proxy can front stdio-only servers.
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic/transports
+ *
+ * One child process serves every HTTP session. Request IDs and progress tokens are
+ * rewritten so that sessions cannot collide, the child is initialized once, and later
+ * sessions reuse its initialize result.
+ *
+ * Sessions may belong to different users, so each one is bound to the identity the auth
+ * proxy sends in `x-authorization-identity`, and server messages only reach the sessions
+ * they concern: the one the child is working for, or the ones subscribed to them.
+ * @module stdio-mcp-bridge
+ */
+
+import { randomUUID } from 'node:crypto';
+import readline from 'node:readline';
+import express from 'express';
+import logger from './logger.js';
+import { DEFAULT_MAX_BODY_SIZE } from './proxy-request-body.js';
+
+export const MCP_SERVER_TRANSPORTS = ['http', 'stdio'];
+export const IDENTITY_HEADER = 'x-authorization-identity';
+
+// Lists whose changes are sent to the sessions that listed them
+const LIST_CHANGED_NOTIFICATIONS = {
+  'notifications/tools/list_changed': 'tools/list',
+  'notifications/resources/list_changed': 'resources/list',
+  'notifications/prompts/list_changed': 'prompts/list',
+};
+
+// JSON-RPC error codes
+// https://www.jsonrpc.org/specification#error_object
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * Parse the transport the MCP Server sub-process speaks
+ * @param {string} [value] - Value of MCP_SERVER_TRANSPORT
+ * @returns {'http' | 'stdio'}
+ */
+export function parseMcpServerTransport(value) {
+  const transport = value || 'http';
+  if (!MCP_SERVER_TRANSPORTS.includes(transport)) {
+    throw new Error(`MCP_SERVER_TRANSPORT must be one of: ${MCP_SERVER_TRANSPORTS.join(', ')}`);
+  }
+  return transport;
+}
+
+function jsonRpcError(res, status, code, message) {
+  res.status(status).json({ jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+function isJsonRpcMessage(message) {
+  return (
+    typeof message === 'object' &&
+    message !== null &&
+    !Array.isArray(message) &&
+    message.jsonrpc === '2.0'
+  );
+}
+
+function isRequest(message) {
+  return typeof message.method === 'string' && message.id !== undefined;
+}
+
+function isResponse(message) {
+  return message.method === undefined && message.id !== undefined;
+}
+
+function acceptsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+  });
+  res.flushHeaders();
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * @typedef {Object} BridgeSession
+ * @property {string} id - Mcp-Session-Id
+ * @property {string | null} identity - Identity of the caller that initialized the session
+ * @property {import('express').Response | null} eventStream - Stream opened with GET
+ * @property {Set<(message: Object) => void>} postStreams - Streams answering POST requests
+ * @property {Map<string | number, number>} requestIds - Client request ID to child request ID
+ * @property {Map<number, string | number>} serverRequestIds - Server request ID sent to the
+ *   client to the child's request ID, while awaiting the client's response
+ * @property {Set<string>} listed - List methods called, such as `tools/list`
+ * @property {Set<string>} subscriptions - Resource URIs subscribed to
+ */
+
+class StdioMcpBridge {
+  /**
+   * @param {import('node:child_process').ChildProcess} mcpServerProcess - Spawned with piped stdio
+   * @param {Object} [options]
+   * @param {number} [options.maxBodySize] - Maximum JSON-RPC request body size, in bytes
+   */
+  constructor(mcpServerProcess, options = {}) {
+    const { maxBodySize = DEFAULT_MAX_BODY_SIZE } = options;
+
+    this.maxBodySize = maxBodySize;
+
+    /** @type {Map<string, BridgeSession>} */
+    this.sessions = new Map();
+    // Child request ID to the session & client request ID waiting for its response
+    this.pendingRequests = new Map();
+    // Child progress token to the session & client progress token
+    this.progressTokens = new Map();
+    // Child request ID of server-initiated requests to the session & ID it was sent with
+    this.serverRequests = new Map();
+    this.nextId = 1;
+
+    this.attach(mcpServerProcess);
+  }
+
+  /**
+   * Bridge to a (restarted) MCP Server process.
+   * The state of a previous process is gone, so its sessions end, and requests still
+   * waiting for it get an error; MCP clients then initialize new sessions.
+   * @param {import('node:child_process').ChildProcess} mcpServerProcess - Spawned with piped stdio
+   */
+  attach(mcpServerProcess) {
+    if (!mcpServerProcess?.stdin || !mcpServerProcess?.stdout) {
+      throw new Error('StdioMcpBridge requires a process with piped stdin & stdout');
+    }
+
+    for (const pending of this.pendingRequests.values()) {
+      pending.deliver?.({
+        jsonrpc: '2.0',
+        id: pending.id,
+        error: { code: INTERNAL_ERROR, message: 'MCP Server restarted' },
+      });
+    }
+    this.pendingRequests.clear();
+    this.progressTokens.clear();
+    this.serverRequests.clear();
+    for (const session of this.sessions.values()) {
+      session.eventStream?.end();
+    }
+    this.sessions.clear();
+
+    // The child is initialized by the first session only
+    this.initializeResult = null;
+    this.initializedNotified = false;
+
+    this.mcpServerProcess = mcpServerProcess;
+    mcpServerProcess.stdin.on('error', (err) => {
+      logger.error('mcp-server stdin error', { error: err.message });
+    });
+    readline
+      .createInterface({ input: mcpServerProcess.stdout })
+      .on('line', (line) => this.receive(line));
+  }
+
+  /**
+   * Express app serving the Streamable HTTP endpoint
+   * @param {string} mountPath - Path of the MCP endpoint, such as `/mcp`
+   * @returns {import('express').Express}
+   */
+  createApp(mountPath) {
+    const app = express();
+    app.post(mountPath, express.json({ limit: this.maxBodySize }), (req, res) =>
+      this.handlePost(req, res)
+    );
+    app.get(mountPath, (req, res) => this.handleGet(req, res));
+    app.delete(mountPath, (req, res) => this.handleDelete(req, res));
+    app.all(mountPath, (_req, res) => {
+      res.set('allow', 'GET, POST, DELETE');
+      jsonRpcError(res, 405, INVALID_REQUEST, 'Method not allowed');
+    });
+    app.use((err, _req, res, _next) => {
+      if (err.type === 'entity.too.large') {
+        jsonRpcError(res, 413, INVALID_REQUEST, 'Request body too large');
+      } else {
+        jsonRpcError(res, 400, PARSE_ERROR, 'Parse error');
+      }
+    });
+    return app;
+  }
+
+  /**
+   * Listen for the auth proxy on the internal MCP Server URL
+   * @param {URL} mcpServerUrl
+   * @returns {Promise<import('node:http').Server>}
+   */
+  listen(mcpServerUrl) {
+    const app = this.createApp(mcpServerUrl.pathname);
+    return new Promise((resolve, reject) => {
+      const httpServer = app.listen(Number(mcpServerUrl.port), mcpServerUrl.hostname, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        logger.info('stdio MCP Server bridge is listening', {
+          mcpServerUrl: mcpServerUrl.toString(),
+        });
+        resolve(httpServer);
+      });
+      this.httpServer = httpServer;
+    });
+  }
+
+  /**
+   * End all sessions and stop listening
+   */
+  close() {
+    for (const session of this.sessions.values()) {
+      this.endSession(session);
+    }
+    this.httpServer?.close();
+  }
+
+  findSession(req, res) {
+    const sessionId = req.get('mcp-session-id');
+    if (!sessionId) {
+      jsonRpcError(res, 400, INVALID_REQUEST, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      jsonRpcError(res, 404, INVALID_REQUEST, 'Session not found');
+      return null;
+    }
+    // Another user's session is answered like an unknown one
+    if (session.identity !== (req.get(IDENTITY_HEADER) ?? null)) {
+      logger.warn('stdio MCP Server session used by another identity', { sessionId });
+      jsonRpcError(res, 404, INVALID_REQUEST, 'Session not found');
+      return null;
+    }
+    return session;
+  }
+
+  handlePost(req, res) {
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    if (messages.length === 0 || !messages.every(isJsonRpcMessage)) {
+      jsonRpcError(res, 400, INVALID_REQUEST, 'Invalid JSON-RPC message');
+      return;
+    }
+
+    let session;
+    if (messages.some((message) => message.method === 'initialize')) {
+      if (messages.length > 1) {
+        jsonRpcError(res, 400, INVALID_REQUEST, 'Initialize must not be part of a batch');
+        return;
+      }
+      session = {
+        id: randomUUID(),
+        identity: req.get(IDENTITY_HEADER) ?? null,
+        eventStream: null,
+        postStreams: new Set(),
+        requestIds: new Map(),
+        serverRequestIds: new Map(),
+        listed: new Set(),
+        subscriptions: new Set(),
+      };
+      this.sessions.set(session.id, session);
+      res.set('mcp-session-id', session.id);
+    } else {
+      session = this.findSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    const requests = messages.filter(isRequest);
+    if (requests.length === 0) {
+      messages.forEach((message) => this.forward(session, message));
+      res.status(202).end();
+      return;
+    }
+
+    const useEventStream = acceptsEventStream(req);
+    const responses = [];
+    let outstanding = requests.length;
+    let finished = false;
+
+    const deliver = (message) => {
+      if (finished) {
+        return;
+      }
+      if (useEventStream) {
+        writeEvent(res, message);
+      }
+      if (isResponse(message)) {
+        responses.push(message);
+        outstanding -= 1;
+      }
+      if (outstanding === 0) {
+        finished = true;
+        session.postStreams.delete(deliver);
+        if (useEventStream) {
+          res.end();
+        } else {
+          res.json(Array.isArray(body) ? responses : responses[0]);
+        }
+      }
+    };
+
+    if (useEventStream) {
+      openEventStream(res);
+      session.postStreams.add(deliver);
+    }
+    res.on('close', () => {
+      if (!finished) {
+        finished = true;
+        session.postStreams.delete(deliver);
+        this.cancelRequests(session, requests);
+      }
+    });
+
+    for (const message of messages) {
+      if (message.method === 'initialize') {
+        this.initialize(session, message, deliver);
+      } else {
+        this.forward(session, message, deliver);
+      }
+    }
+  }
+
+  handleGet(req, res) {
+    const session = this.findSession(req, res);
+    if (!session) {
+      return;
+    }
+    if (!acceptsEventStream(req)) {
+      jsonRpcError(res, 406, INVALID_REQUEST, 'Not Acceptable: requires text/event-stream');
+      return;
+    }
+    if (session.eventStream) {
+      jsonRpcError(res, 409, INVALID_REQUEST, 'Conflict: an event stream is already open');
+      return;
+    }
+    openEventStream(res);
+    session.eventStream = res;
+    res.on('close', () => {
+      if (session.eventStream === res) {
+        session.eventStream = null;
+      }
+    });
+  }
+
+  handleDelete(req, res) {
+    const session = this.findSession(req, res);
+    if (!session) {
+      return;
+    }
+    this.endSession(session);
+    res.status(204).end();
+  }
+
+  endSession(session) {
+    this.sessions.delete(session.id);
+    for (const [childId, pending] of this.pendingRequests) {
+      if (pending.session === session && pending.method !== 'initialize') {
+        this.pendingRequests.delete(childId);
+        this.writeToChild({
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: childId, reason: 'Session ended' },
+        });
+      }
+    }
+    for (const [childToken, progress] of this.progressTokens) {
+      if (progress.session === session) {
+        this.progressTokens.delete(childToken);
+      }
+    }
+    // The child would otherwise wait for the session's answers forever
+    for (const childId of session.serverRequestIds.values()) {
+      this.serverRequests.delete(childId);
+      this.writeToChild({
+        jsonrpc: '2.0',
+        id: childId,
+        error: { code: INTERNAL_ERROR, message: 'Session ended' },
+      });
+    }
+    session.serverRequestIds.clear();
+    session.eventStream?.end();
+  }
+
+  initialize(session, message, deliver) {
+    if (!this.initializeResult) {
+      // Concurrent sessions wait for the first initialize to complete
+      this.initializeResult = new Promise((resolve) => {
+        this.forward(session, message, (response) => {
+          deliver(response);
+          if (response.error) {
+            this.initializeResult = null;
+          }
+          resolve(response);
+        });
+      });
+      return;
+    }
+    this.initializeResult.then((response) => {
+      deliver({ ...response, id: message.id });
+    });
+  }
+
+  /**
+   * Send a client message to the child, rewriting request IDs & progress tokens
+   * @param {BridgeSession} session
+   * @param {Object} message - JSON-RPC message from the client
+   * @param {(message: Object) => void} [deliver] - Receives the response & related messages
+   */
+  forward(session, message, deliver) {
+    // Responses to server-initiated requests are only accepted from the session sent each one
+    if (isResponse(message)) {
+      const childId = session.serverRequestIds.get(message.id);
+      if (childId === undefined) {
+        logger.warn('stdio MCP Server bridge dropped a response to an unknown server request', {
+          sessionId: session.id,
+          id: message.id,
+        });
+        return;
+      }
+      session.serverRequestIds.delete(message.id);
+      this.serverRequests.delete(childId);
+      this.writeToChild({ ...message, id: childId });
+      return;
+    }
+
+    if (message.method === 'notifications/initialized') {
+      if (this.initializedNotified) {
+        return;
+      }
+      this.initializedNotified = true;
+    }
+
+    if (message.method === 'notifications/cancelled') {
+      const childId = session.requestIds.get(message.params?.requestId);
+      if (childId === undefined) {
+        return;
+      }
+      message = { ...message, params: { ...message.params, requestId: childId } };
+    }
+
+    if (message.method === 'resources/subscribe') {
+      session.subscriptions.add(message.params?.uri);
+    } else if (message.method === 'resources/unsubscribe') {
+      session.subscriptions.delete(message.params?.uri);
+    } else if (Object.values(LIST_CHANGED_NOTIFICATIONS).includes(message.method)) {
+      session.listed.add(message.method);
+    }
+
+    if (isRequest(message)) {
+      const childId = this.nextId++;
+      this.pendingRequests.set(childId, {
+        session,
+        id: message.id,
+        method: message.method,
+        deliver,
+      });
+      session.requestIds.set(message.id, childId);
+
+      const progressToken = message.params?._meta?.progressToken;
+      if (progressToken !== undefined) {
+        this.progressTokens.set(childId, { session, token: progressToken, deliver });
+        message = {
+          ...message,
+          params: { ...message.params, _meta: { ...message.params._meta, progressToken: childId } },
+        };
+      }
+      message = { ...message, id: childId };
+    }
+
+    this.writeToChild(message);
+  }
+
+  cancelRequests(session, requests) {
+    // Initialize must not be cancelled, other sessions may be waiting for its result
+    for (const request of requests.filter(({ method }) => method !== 'initialize')) {
+      const childId = session.requestIds.get(request.id);
+      if (childId !== undefined && this.pendingRequests.has(childId)) {
+        this.forward(session, {
+          jsonrpc: '2.0',
+          method: 'notifications/cancelled',
+          params: { requestId: request.id, reason: 'Client disconnected' },
+        });
+        this.settle(childId);
+      }
+    }
+  }
+
+  settle(childId) {
+    const pending = this.pendingRequests.get(childId);
+    this.pendingRequests.delete(childId);
+    this.progressTokens.delete(childId);
+    pending?.session.requestIds.delete(pending.id);
+    return pending;
+  }
+
+  writeToChild(message) {
+    if (!this.mcpServerProcess.stdin.writable) {
+      logger.warn('mcp-server stdin is closed, dropping message', { method: message.method });
+      return;
+    }
+    this.mcpServerProcess.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Route a line the child wrote to stdout
+   * @param {string} line
+   */
+  receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      message = undefined;
+    }
+    if (!isJsonRpcMessage(message)) {
+      // Servers may log to stdout; keep it visible like other sub-process output
+      if (line.trim()) {
+        logger.info('mcp-server stdout', { output: line.trim() });
+      }
+      return;
+    }
+
+    if (isResponse(message)) {
+      const pending = this.settle(message.id);
+      if (!pending) {
+        logger.debug('mcp-server response for an unknown request', { id: message.id });
+        return;
+      }
+      pending.deliver?.({ ...message, id: pending.id });
+      return;
+    }
+
+    if (message.method === 'notifications/progress') {
+      const progress = this.progressTokens.get(message.params?.progressToken);
+      if (progress) {
+        progress.deliver?.({
+          ...message,
+          params: { ...message.params, progressToken: progress.token },
+        });
+      }
+      return;
+    }
+
+    if (isRequest(message)) {
+      this.sendServerRequest(message);
+      return;
+    }
+
+    if (message.method === 'notifications/cancelled') {
+      // Cancels a server-initiated request, so it concerns the session that was sent it
+      const serverRequest = this.serverRequests.get(message.params?.requestId);
+      if (serverRequest) {
+        this.serverRequests.delete(message.params.requestId);
+        serverRequest.session.serverRequestIds.delete(serverRequest.id);
+        this.sendToSession(serverRequest.session, {
+          ...message,
+          params: { ...message.params, requestId: serverRequest.id },
+        });
+      }
+      return;
+    }
+
+    const recipients = new Set();
+    if (message.method === 'notifications/resources/updated') {
+      for (const session of this.sessions.values()) {
+        if (session.subscriptions.has(message.params?.uri)) {
+          recipients.add(session);
+        }
+      }
+    } else {
+      const listMethod = LIST_CHANGED_NOTIFICATIONS[message.method];
+      for (const session of this.sessions.values()) {
+        if (listMethod && session.listed.has(listMethod)) {
+          recipients.add(session);
+        }
+      }
+      // Other notifications, such as log messages, may carry the data of the request
+      const requestingSession = this.requestingSession();
+      if (requestingSession) {
+        recipients.add(requestingSession);
+      }
+    }
+    if (recipients.size === 0) {
+      logger.debug('stdio MCP Server bridge dropped a notification no session is waiting for', {
+        method: message.method,
+      });
+    }
+    for (const session of recipients) {
+      this.sendToSession(session, message);
+    }
+  }
+
+  /**
+   * Send a server-initiated request, such as sampling, to the session the child is working for.
+   * It is sent with an ID of its own, so the session cannot answer other sessions' requests.
+   * @param {Object} message - JSON-RPC request from the child
+   */
+  sendServerRequest(message) {
+    const session = this.requestingSession();
+    if (session) {
+      const id = this.nextId++;
+      session.serverRequestIds.set(id, message.id);
+      this.serverRequests.set(message.id, { session, id });
+      if (this.sendToSession(session, { ...message, id })) {
+        return;
+      }
+      session.serverRequestIds.delete(id);
+      this.serverRequests.delete(message.id);
+    }
+    this.writeToChild({
+      jsonrpc: '2.0',
+      id: message.id,
+      error: { code: INTERNAL_ERROR, message: 'No single client session can handle the request' },
+    });
+  }
+
+  /**
+   * The session with requests in progress at the child, when it is the only one.
+   * Stdio messages do not say which request led to them, so that is the only session they
+   * can be attributed to.
+   * @returns {BridgeSession | null}
+   */
+  requestingSession() {
+    let requestingSession = null;
+    for (const pending of this.pendingRequests.values()) {
+      if (pending.method === 'initialize') {
+        continue;
+      }
+      if (requestingSession && requestingSession !== pending.session) {
+        return null;
+      }
+      requestingSession = pending.session;
+    }
+    return requestingSession;
+  }
+
+  sendToSession(session, message) {
+    if (session.eventStream) {
+      writeEvent(session.eventStream, message);
+      return true;
+    }
+    const [postStream] = session.postStreams;
+    if (postStream) {
+      postStream(message);
+      return true;
+    }
+    return false;
+  }
+}
+
+export default StdioMcpBridge;
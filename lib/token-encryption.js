@@ -0,0 +1,200 @@
+/**
+ * Encryption of sensitive fields at rest
+ *
+ * TokenRedisAdapter stores oidc-provider models as JSON, which for clients and upstream
+ * credentials includes the identity provider's access & refresh tokens and the PKCE verifier.
+ * With keys configured, those fields are envelope-encrypted: each record gets its own random
+ * data key, which encrypts the fields with AES-256-GCM, and is itself encrypted with the
+ * current key-encryption key. Rotating keys only needs the data keys to be re-encrypted.
+ * @module token-encryption
+ */
+
+import crypto from 'node:crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const ENVELOPE_VERSION = 1;
+
+// Payload field holding the encrypted fields of a record
+export const ENCRYPTED_FIELD = '_encrypted';
+
+// Fields encrypted in any model that has them
+export const SENSITIVE_FIELDS = [
+  'identityAuthAccessToken',
+  'identityAuthRefreshToken',
+  'identityAuthIdToken',
+  'identityAuthSignature',
+  'identityAuthCodeVerifier',
+  'client_secret',
+];
+
+/**
+ * @typedef {Object} Envelope
+ * @property {number} v - Envelope format version
+ * @property {string} kid - ID of the key-encryption key
+ * @property {string} key - Data key, encrypted with the key-encryption key
+ * @property {string} data - Sensitive fields as JSON, encrypted with the data key
+ */
+
+// iv | tag | ciphertext, base64url encoded
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, bytes.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(bytes.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(bytes.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+export class TokenEncryption {
+  /**
+   * @param {Object} options
+   * @param {Map<string, Buffer>} options.keys - 32-byte key-encryption keys by key ID
+   * @param {string} options.currentKeyId - Key ID used to encrypt new records
+   */
+  constructor({ keys, currentKeyId }) {
+    for (const [kid, key] of keys) {
+      if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+        throw new Error(`Encryption key "${kid}" must be ${KEY_BYTES} bytes`);
+      }
+    }
+    if (!keys.has(currentKeyId)) {
+      throw new Error(`Encryption key ID "${currentKeyId}" is not one of the configured keys`);
+    }
+    this.keys = keys;
+    this.currentKeyId = currentKeyId;
+  }
+
+  keyFor(kid) {
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error(`Record is encrypted with key ID "${kid}", which is not configured`);
+    }
+    return key;
+  }
+
+  /**
+   * Encrypt the sensitive fields of a payload
+   * @param {Object} payload - Model payload from oidc-provider
+   * @param {string} context - Record key, bound to the ciphertext so it cannot be moved to another record
+   * @returns {Object} Payload to store, without the sensitive fields in plaintext
+   */
+  encryptPayload(payload, context) {
+    const sensitive = {};
+    const stored = { ...payload };
+    for (const field of SENSITIVE_FIELDS) {
+      if (stored[field] !== undefined) {
+        sensitive[field] = stored[field];
+        delete stored[field];
+      }
+    }
+    delete stored[ENCRYPTED_FIELD];
+    if (Object.keys(sensitive).length === 0) {
+      return stored;
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    stored[ENCRYPTED_FIELD] = {
+      v: ENVELOPE_VERSION,
+      kid: this.currentKeyId,
+      key: seal(this.keyFor(this.currentKeyId), dataKey, this.currentKeyId),
+      data: seal(dataKey, JSON.stringify(sensitive), context),
+    };
+    return stored;
+  }
+
+  /**
+   * Decrypt the sensitive fields of a stored payload. Payloads stored before encryption was
+   * configured are returned as they are.
+   * @param {Object} stored - Payload as stored
+   * @param {string} context - Record key the payload was encrypted for
+   * @returns {Object} Payload for oidc-provider
+   */
+  decryptPayload(stored, context) {
+    const envelope = stored[ENCRYPTED_FIELD];
+    if (!envelope) {
+      return stored;
+    }
+    const payload = { ...stored };
+    delete payload[ENCRYPTED_FIELD];
+    const dataKey = open(this.keyFor(envelope.kid), envelope.key, envelope.kid);
+    return { ...payload, ...JSON.parse(open(dataKey, envelope.data, context).toString('utf8')) };
+  }
+
+  /**
+   * Re-encrypt a stored payload with the current key: the data key of a payload encrypted
+   * with another key is re-encrypted, and a plaintext payload with sensitive fields is encrypted.
+   * @param {Object} stored - Payload as stored
+   * @param {string} context - Record key
+   * @returns {Object | undefined} Payload to store, or undefined when it is already current
+   */
+  reencryptPayload(stored, context) {
+    const envelope = stored[ENCRYPTED_FIELD];
+    if (!envelope) {
+      const hasSensitiveFields = SENSITIVE_FIELDS.some((field) => stored[field] !== undefined);
+      return hasSensitiveFields ? this.encryptPayload(stored, context) : undefined;
+    }
+    if (envelope.kid === this.currentKeyId) {
+      return undefined;
+    }
+    const dataKey = open(this.keyFor(envelope.kid), envelope.key, envelope.kid);
+    return {
+      ...stored,
+      [ENCRYPTED_FIELD]: {
+        ...envelope,
+        kid: this.currentKeyId,
+        key: seal(this.keyFor(this.currentKeyId), dataKey, this.currentKeyId),
+      },
+    };
+  }
+}
+
+/**
+ * Parse the encryption keys from the environment
+ * @param {Object} env - Environment variables
+ * @returns {TokenEncryption | undefined} Undefined when no keys are configured
+ */
+export function parseTokenEncryption(env) {
+  const { MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON, MCP_AUTH_PROXY_ENCRYPTION_KEY_ID } = env;
+  if (!MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON) {
+    return undefined;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON);
+  } catch (err) {
+    throw new Error(`MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON must be valid JSON: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(
+      'MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON must be an object of base64 encoded keys by key ID'
+    );
+  }
+
+  const keys = new Map(
+    Object.entries(parsed).map(([kid, value]) => [kid, Buffer.from(String(value), 'base64')])
+  );
+  if (keys.size === 0) {
+    throw new Error('MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON must contain at least one key');
+  }
+  if (keys.size > 1 && !MCP_AUTH_PROXY_ENCRYPTION_KEY_ID) {
+    throw new Error(
+      'MCP_AUTH_PROXY_ENCRYPTION_KEY_ID must select the current key when several keys are configured'
+    );
+  }
+
+  return new TokenEncryption({
+    keys,
+    currentKeyId: MCP_AUTH_PROXY_ENCRYPTION_KEY_ID || keys.keys().next().value,
+  });
+}
@@ -0,0 +1,193 @@
+/**
+ * Token exchange toward the identity provider
+ *
+ * By default, every MCP Server receives the identity token the user granted to the proxy, with
+ * the proxy's full upstream scope. A route may instead exchange it at the identity provider for
+ * a token restricted to that MCP Server's audience and scope, before the request is forwarded.
+ * Exchanged tokens are cached in memory until shortly before they expire.
+ * https://datatracker.ietf.org/doc/html/rfc8693
+ * @module token-exchange
+ */
+
+/**
+ * @typedef {import('./upstream-credential-store.js').UpstreamCredential} UpstreamCredential
+ */
+
+import logger from './logger.js';
+
+export const TOKEN_EXCHANGE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+export const ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token';
+
+export const DEFAULT_EXCHANGED_TOKEN_SKEW_SECONDS = 30;
+export const DEFAULT_MAX_EXCHANGED_TOKENS = 1000;
+
+/**
+ * Token exchange parameters of a route; at least an audience, resource or scope
+ * @typedef {Object} TokenExchangeConfig
+ * @property {string} [audience] - Logical name of the MCP Server at the identity provider
+ * @property {string} [resource] - URI of the MCP Server at the identity provider
+ * @property {string} [scope] - Space separated scopes, a subset of the identity scope
+ */
+
+/**
+ * Validate the token exchange parameters of a route
+ * @param {unknown} value - Configured value
+ * @param {string} label - Config name, for error messages
+ * @returns {TokenExchangeConfig}
+ */
+export function parseTokenExchangeConfig(value, label) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error(`${label} must be an object of "audience", "resource" and "scope"`);
+  }
+  const config = {};
+  for (const name of ['audience', 'resource', 'scope']) {
+    if (value[name] === undefined) {
+      continue;
+    }
+    if (typeof value[name] !== 'string' || value[name].trim() === '') {
+      throw new Error(`${label}.${name} must be a non-empty string`);
+    }
+    config[name] = value[name].trim();
+  }
+  if (Object.keys(config).length === 0) {
+    throw new Error(`${label} must set at least one of "audience", "resource" or "scope"`);
+  }
+  if (config.resource) {
+    try {
+      new URL(config.resource);
+    } catch {
+      throw new Error(`${label}.resource must be an absolute URI`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Parameters of a token exchange request for the subject token
+ * @param {string} subjectToken - The identity provider's access token
+ * @param {TokenExchangeConfig} config
+ * @returns {Record<string, string>}
+ */
+export function tokenExchangeParameters(subjectToken, config) {
+  const parameters = {
+    subject_token: subjectToken,
+    subject_token_type: ACCESS_TOKEN_TYPE,
+    requested_token_type: ACCESS_TOKEN_TYPE,
+  };
+  for (const name of ['audience', 'resource', 'scope']) {
+    if (config[name]) {
+      parameters[name] = config[name];
+    }
+  }
+  return parameters;
+}
+
+/**
+ * @typedef {Object} ExchangedToken
+ * @property {string} accessToken
+ * @property {string} tokenType
+ * @property {number} [expiresAt] - Epoch seconds, unknown when the identity provider omits expires_in
+ */
+
+/**
+ * Exchanges and caches the down-scoped identity tokens of each grant and route
+ */
+export class UpstreamTokenExchanger {
+  /**
+   * @param {Object} options
+   * @param {(subjectToken: string, config: TokenExchangeConfig) => Promise<Object>} options.exchangeFunc -
+   *   Performs the token exchange request, resolving to the token endpoint response
+   * @param {number} [options.skewSeconds] - Seconds before expiry to exchange again
+   * @param {number} [options.maxEntries] - Cached tokens kept, the least recently used are dropped
+   */
+  constructor({
+    exchangeFunc,
+    skewSeconds = DEFAULT_EXCHANGED_TOKEN_SKEW_SECONDS,
+    maxEntries = DEFAULT_MAX_EXCHANGED_TOKENS,
+  }) {
+    if (typeof exchangeFunc !== 'function') {
+      throw new Error('UpstreamTokenExchanger requires an exchangeFunc');
+    }
+    this.exchangeFunc = exchangeFunc;
+    this.skewSeconds = skewSeconds;
+    this.maxEntries = maxEntries;
+    /** @type {Map<string, { subjectToken: string, token: ExchangedToken }>} */
+    this.cache = new Map();
+    /** @type {Map<string, Promise<ExchangedToken>>} */
+    this.pending = new Map();
+  }
+
+  cacheKey(credential, config) {
+    return JSON.stringify([credential.grantId, config.audience, config.resource, config.scope]);
+  }
+
+  /**
+   * Get a token for the route, exchanging the credential's identity token when none is cached.
+   * A refreshed identity token is exchanged again.
+   * @param {UpstreamCredential} credential - Upstream credential of the caller's grant
+   * @param {TokenExchangeConfig} config - Token exchange parameters of the route
+   * @returns {Promise<ExchangedToken>}
+   */
+  async tokenFor(credential, config) {
+    const key = this.cacheKey(credential, config);
+    const subjectToken = credential.identityAuthAccessToken;
+    const cached = this.cache.get(key);
+    const now = Math.floor(Date.now() / 1000);
+    if (
+      cached &&
+      cached.subjectToken === subjectToken &&
+      (!cached.token.expiresAt || cached.token.expiresAt - this.skewSeconds > now)
+    ) {
+      // Most recently used last
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached.token;
+    }
+
+    const pendingKey = `${key}:${subjectToken}`;
+    let pending = this.pending.get(pendingKey);
+    if (!pending) {
+      pending = this.exchange(key, subjectToken, config, credential).finally(() =>
+        this.pending.delete(pendingKey)
+      );
+      this.pending.set(pendingKey, pending);
+    }
+    return pending;
+  }
+
+  async exchange(key, subjectToken, config, credential) {
+    const response = await this.exchangeFunc(subjectToken, config);
+    if (!response?.access_token) {
+      throw new Error('Token exchange response is missing access_token');
+    }
+    const token = {
+      accessToken: response.access_token,
+      tokenType: response.token_type || 'Bearer',
+    };
+    if (response.expires_in) {
+      token.expiresAt = Math.floor(Date.now() / 1000) + Number(response.expires_in);
+    }
+
+    this.cache.delete(key);
+    this.cache.set(key, { subjectToken, token });
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    logger.info('exchanged identity token', {
+      grantId: credential.grantId,
+      audience: config.audience,
+      resource: config.resource,
+      scope: response.scope || config.scope,
+    });
+    return token;
+  }
+
+  /**
+   * Drop the cached token, such as after the MCP Server rejected it
+   * @param {UpstreamCredential} credential
+   * @param {TokenExchangeConfig} config
+   */
+  forget(credential, config) {
+    this.cache.delete(this.cacheKey(credential, config));
+  }
+}
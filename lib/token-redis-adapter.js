@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import RedisClient from './redis-client.js';
+import { ENCRYPTED_FIELD, parseTokenEncryption } from './token-encryption.js';
 
 const grantable = new Set([
   'AccessToken',
@@ -16,6 +17,9 @@ const consumable = new Set([
   'BackchannelAuthenticationRequest',
 ]);
 
+// Models indexed by client, so a deleted client's records are found without a scan
+const clientIndexed = new Set(['Grant', 'Session', 'RegistrationAccessToken']);
+
 function grantKeyFor(id) {
   return `grant:${id}`;
 }
@@ -28,6 +32,18 @@ function uidKeyFor(uid) {
   return `uid:${uid}`;
 }
 
+function clientKeyFor(clientId) {
+  return `client:${clientId}`;
+}
+
+// Clients of a record: its own, or those a login session authorized
+function clientIdsOf(payload) {
+  return payload.clientId ? [payload.clientId] : Object.keys(payload.authorizations || {});
+}
+
+// Index keys, which hold IDs rather than model payloads
+const indexKeyPattern = /^(grant|userCode|uid|client):/;
+
 class TokenRedisAdapter {
   constructor(name) {
     if (!TokenRedisAdapter.client) {
@@ -38,6 +54,11 @@ class TokenRedisAdapter {
 
   static client;
 
+  static keyPrefix = '';
+
+  // Encrypts sensitive fields at rest, when keys are configured
+  static encryption;
+
   static init(env = {}, errorFunc) {
     const { MCP_AUTH_PROXY_REDIS_PREFIX = 'oidc:' } = env;
 
@@ -53,17 +74,96 @@ class TokenRedisAdapter {
 
     // Maintain compatibility - expose the underlying ioredis client
     this.client = redisClient.getClient();
+    this.keyPrefix = MCP_AUTH_PROXY_REDIS_PREFIX;
+    this.encryption = parseTokenEncryption(env);
   }
 
   static disconnect() {
     this.client.disconnect();
   }
 
+  /**
+   * Re-encrypt every stored record with the current encryption key, after rotating keys or
+   * enabling encryption. Records written meanwhile are skipped, as they use the current key.
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Keys scanned per round trip
+   * @returns {Promise<{ scanned: number, reencrypted: number }>}
+   */
+  static async reencryptAll({ batchSize = 100 } = {}) {
+    if (!this.encryption) {
+      throw new Error(
+        'TokenRedisAdapter re-encryption requires MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON'
+      );
+    }
+    const counts = { scanned: 0, reencrypted: 0 };
+    for await (const key of this.scanKeys('', batchSize)) {
+      if (indexKeyPattern.test(key)) {
+        continue;
+      }
+      counts.scanned++;
+      if (await this.reencryptKey(key)) {
+        counts.reencrypted++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Scan the stored keys starting with a prefix, without the adapter's key prefix.
+   * Keys may be yielded more than once.
+   * @param {string} prefix
+   * @param {number} batchSize - Keys scanned per round trip
+   * @returns {AsyncGenerator<string>}
+   */
+  static async *scanKeys(prefix, batchSize) {
+    let cursor = '0';
+    do {
+      // SCAN patterns and results are not prefixed by ioredis, unlike other commands
+      const [nextCursor, prefixedKeys] = await this.client.scan(
+        cursor,
+        'MATCH',
+        `${this.keyPrefix}${prefix}*`,
+        'COUNT',
+        batchSize
+      );
+      cursor = nextCursor;
+      for (const prefixedKey of prefixedKeys) {
+        yield prefixedKey.slice(this.keyPrefix.length);
+      }
+    } while (cursor !== '0');
+  }
+
+  static async reencryptKey(key) {
+    await this.client.watch(key);
+    try {
+      const isHash = (await this.client.type(key)) === 'hash';
+      const data = isHash ? await this.client.hget(key, 'payload') : await this.client.get(key);
+      const stored = data ? JSON.parse(data) : undefined;
+      const reencrypted = stored && this.encryption.reencryptPayload(stored, key);
+      if (!reencrypted) {
+        return false;
+      }
+      const multi = this.client.multi();
+      if (isHash) {
+        multi.hset(key, 'payload', JSON.stringify(reencrypted));
+      } else {
+        multi.set(key, JSON.stringify(reencrypted), 'KEEPTTL');
+      }
+      // Null when the record changed since WATCH
+      return (await multi.exec()) !== null;
+    } finally {
+      await this.client.unwatch();
+    }
+  }
+
   async upsert(id, payload, expiresIn) {
     const key = this.key(id);
+    const encrypted = TokenRedisAdapter.encryption
+      ? TokenRedisAdapter.encryption.encryptPayload(payload, key)
+      : payload;
     const store = consumable.has(this.name)
-      ? { payload: JSON.stringify(payload) }
-      : JSON.stringify(payload);
+      ? { payload: JSON.stringify(encrypted) }
+      : JSON.stringify(encrypted);
 
     const multi = TokenRedisAdapter.client.multi();
     multi[consumable.has(this.name) ? 'hmset' : 'set'](key, store);
@@ -95,6 +195,20 @@ class TokenRedisAdapter {
       multi.expire(uidKey, expiresIn);
     }
 
+    if (clientIndexed.has(this.name)) {
+      for (const clientId of clientIdsOf(payload)) {
+        const clientKey = clientKeyFor(clientId);
+        multi.sadd(clientKey, key);
+        // The index lives as long as the longest-lived of its records
+        const ttl = await TokenRedisAdapter.client.ttl(clientKey);
+        if (!expiresIn) {
+          multi.persist(clientKey);
+        } else if (ttl !== -1 && expiresIn > ttl) {
+          multi.expire(clientKey, expiresIn);
+        }
+      }
+    }
+
     await multi.exec();
   }
 
@@ -108,16 +222,62 @@ class TokenRedisAdapter {
     }
 
     if (typeof data === 'string') {
-      return JSON.parse(data);
+      return this.decrypt(id, JSON.parse(data));
     }
 
     const { payload, ...rest } = data;
     return {
       ...rest,
-      ...JSON.parse(payload),
+      ...this.decrypt(id, JSON.parse(payload)),
     };
   }
 
+  decrypt(id, stored) {
+    if (TokenRedisAdapter.encryption) {
+      return TokenRedisAdapter.encryption.decryptPayload(stored, this.key(id));
+    }
+    if (stored[ENCRYPTED_FIELD]) {
+      throw new Error(`${this.key(id)} is encrypted, but no encryption keys are configured`);
+    }
+    return stored;
+  }
+
+  /**
+   * IDs of the model's stored records, such as to sweep idle clients
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Keys scanned per round trip
+   * @returns {AsyncGenerator<string>} IDs, which may be yielded more than once
+   */
+  async *ids({ batchSize = 100 } = {}) {
+    const prefix = this.key('');
+    for await (const key of TokenRedisAdapter.scanKeys(prefix, batchSize)) {
+      yield key.slice(prefix.length);
+    }
+  }
+
+  /**
+   * IDs of the model's records indexed for a client, which may have expired since: its grants
+   * and registration access tokens, and the login sessions that authorized it
+   * @param {string} clientId
+   * @returns {AsyncGenerator<string>}
+   */
+  async *idsByClientId(clientId) {
+    const prefix = this.key('');
+    for (const key of await TokenRedisAdapter.client.smembers(clientKeyFor(clientId))) {
+      if (key.startsWith(prefix)) {
+        yield key.slice(prefix.length);
+      }
+    }
+  }
+
+  /**
+   * Delete the index of a client's records, once the client is deleted
+   * @param {string} clientId
+   */
+  async destroyClientIndex(clientId) {
+    await TokenRedisAdapter.client.del(clientKeyFor(clientId));
+  }
+
   async findByUid(uid) {
     const id = await TokenRedisAdapter.client.get(uidKeyFor(uid));
     return this.find(id);
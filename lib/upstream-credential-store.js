@@ -0,0 +1,201 @@
+/**
+ * Upstream identity credentials
+ *
+ * The identity provider tokens obtained at login belong to the user's grant, not to the
+ * dynamically registered client: two people may use the same client_id, and each must only
+ * ever reach the MCP Server with their own upstream tokens. Credentials are stored by grant ID,
+ * bound to the grant's account and client, and resolved from the proxy access token.
+ * @module upstream-credential-store
+ */
+
+/**
+ * @typedef {import('oidc-provider').Provider} Provider
+ */
+
+import logger from './logger.js';
+
+const MODEL_NAME = 'UpstreamCredential';
+
+// Identity token fields of a credential, also the legacy fields on the client record
+export const UPSTREAM_CREDENTIAL_FIELDS = [
+  'identityAuthId',
+  'identityAuthAccessToken',
+  'identityAuthRefreshToken',
+  'identityAuthTokenType',
+  'identityAuthScope',
+  'identityAuthIssuedAt',
+  'identityAuthExpiresIn',
+  'identityAuthSignature',
+  'identityAuthIdToken',
+  'identityAuthInstanceUrl',
+  'identityAuthSessionNonce',
+];
+
+/**
+ * @typedef {Object} UpstreamCredential
+ * @property {string} grantId - Grant the credential belongs to
+ * @property {string} accountId - Account of the grant
+ * @property {string} clientId - Client of the grant
+ * @property {number} [expiresAt] - Epoch seconds when the grant, and so the credential, expires
+ * @property {string} [identityAuthId]
+ * @property {string} [identityAuthAccessToken]
+ * @property {string} [identityAuthRefreshToken]
+ * @property {string} [identityAuthTokenType]
+ * @property {string} [identityAuthScope]
+ * @property {number} [identityAuthIssuedAt]
+ * @property {number} [identityAuthExpiresIn]
+ * @property {string} [identityAuthSignature]
+ * @property {string} [identityAuthIdToken]
+ * @property {string} [identityAuthInstanceUrl]
+ * @property {string} [identityAuthSessionNonce]
+ */
+
+function toPayload(credential) {
+  const payload = {
+    grantId: credential.grantId,
+    accountId: credential.accountId,
+    clientId: credential.clientId,
+  };
+  if (credential.expiresAt) {
+    payload.expiresAt = credential.expiresAt;
+  }
+  for (const field of UPSTREAM_CREDENTIAL_FIELDS) {
+    if (credential[field] !== undefined) {
+      payload[field] = credential[field];
+    }
+  }
+  return payload;
+}
+
+export class UpstreamCredentialStore {
+  /**
+   * @param {Object} adapter - oidc-provider style adapter, with upsert, find & destroy
+   */
+  constructor(adapter) {
+    if (!adapter) {
+      throw new Error('UpstreamCredentialStore requires an adapter');
+    }
+    this.adapter = adapter;
+  }
+
+  /**
+   * @param {string} grantId
+   * @returns {Promise<UpstreamCredential | undefined>}
+   */
+  async find(grantId) {
+    if (!grantId) {
+      return undefined;
+    }
+    return (await this.adapter.find(grantId)) || undefined;
+  }
+
+  /**
+   * Find the credential of the access token's grant, only if bound to its account & client
+   * @param {{ grantId: string, accountId: string, clientId: string }} accessToken
+   * @returns {Promise<UpstreamCredential | undefined>}
+   */
+  async findForAccessToken(accessToken) {
+    const credential = await this.find(accessToken.grantId);
+    if (!credential) {
+      return undefined;
+    }
+    if (
+      credential.accountId !== accessToken.accountId ||
+      credential.clientId !== accessToken.clientId
+    ) {
+      logger.warn('upstream credential is bound to another account or client', {
+        grantId: accessToken.grantId,
+        clientId: accessToken.clientId,
+      });
+      return undefined;
+    }
+    return credential;
+  }
+
+  /**
+   * Store the credential, until its grant expires
+   * @param {UpstreamCredential} credential
+   */
+  async save(credential) {
+    if (!credential.grantId || !credential.accountId || !credential.clientId) {
+      throw new Error('Upstream credential requires a grantId, accountId & clientId');
+    }
+    let expiresIn;
+    if (credential.expiresAt) {
+      expiresIn = Math.max(1, credential.expiresAt - Math.floor(Date.now() / 1000));
+    }
+    await this.adapter.upsert(credential.grantId, toPayload(credential), expiresIn);
+  }
+
+  /**
+   * @param {string} grantId
+   */
+  async destroy(grantId) {
+    if (grantId) {
+      await this.adapter.destroy(grantId);
+    }
+  }
+
+  /**
+   * Move tokens stored on the client record by earlier versions to the access token's grant.
+   * Only the account that logged in last through the client may claim them, and they are
+   * removed from the client, so no other grant can.
+   * @param {Provider} provider - OIDC provider instance
+   * @param {{ grantId: string, accountId: string, clientId: string }} accessToken
+   * @returns {Promise<UpstreamCredential | undefined>}
+   */
+  async migrateFromClient(provider, accessToken) {
+    const client = await provider.Client.find(accessToken.clientId);
+    if (!client?.identityAuthAccessToken || client.identityAuthId !== accessToken.accountId) {
+      return undefined;
+    }
+
+    const credential = {
+      grantId: accessToken.grantId,
+      accountId: accessToken.accountId,
+      clientId: accessToken.clientId,
+    };
+    for (const field of UPSTREAM_CREDENTIAL_FIELDS) {
+      if (client[field] !== undefined && client[field] !== null) {
+        credential[field] = client[field];
+      }
+    }
+    const grant = await provider.Grant.find(accessToken.grantId);
+    if (grant?.exp) {
+      credential.expiresAt = grant.exp;
+    }
+    await this.save(credential);
+
+    const metadata = client.metadata();
+    for (const field of UPSTREAM_CREDENTIAL_FIELDS) {
+      if (field !== 'identityAuthId') {
+        delete metadata[field];
+      }
+    }
+    await provider.Client.adapter.upsert(client.clientId, metadata);
+
+    logger.info('upstream credential moved from client to grant', {
+      clientId: accessToken.clientId,
+      grantId: accessToken.grantId,
+    });
+    return credential;
+  }
+}
+
+const stores = new WeakMap();
+
+/**
+ * Get the credential store of the provider, kept in the same storage as the provider's
+ * own models, such as Redis with TokenRedisAdapter.
+ * @param {Provider} provider - OIDC provider instance
+ * @returns {UpstreamCredentialStore}
+ */
+export function getUpstreamCredentialStore(provider) {
+  let store = stores.get(provider);
+  if (!store) {
+    const Adapter = provider.Grant.adapter.constructor;
+    store = new UpstreamCredentialStore(new Adapter(MODEL_NAME));
+    stores.set(provider, store);
+  }
+  return store;
+}
@@ -45,10 +45,12 @@ import { getBrandingConfig } from './branding-config.js';
 import {
   generateIdentityAuthUrl,
   exchangeIdentityCode,
+  createUpstreamCredential,
   identityCallbackPath,
   identityUniqueCallbackPath,
 } from './identity-client-adapter.js';
 import { getSessionResetUrl } from './use-session-reset.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
 import { errors } from 'oidc-provider';
 
 const { BASE_URL, IDENTITY_SERVER_URL } = process.env;
@@ -245,6 +247,16 @@ export default (app, provider) => {
       grant.addOIDCScope(provider_config.scopes);
       const savedGrantId = await grant.save();
 
+      // The identity tokens belong to this user's grant, not to the (possibly shared) client
+      await getUpstreamCredentialStore(provider).save(
+        createUpstreamCredential(tokenResponse, {
+          grantId: savedGrantId,
+          accountId: tokenId,
+          clientId: params.client_id,
+          expiresAt: grant.exp,
+        })
+      );
+
       // See user flow docs
       // https://github.com/panva/node-oidc-provider/blob/main/docs/README.md#user-flows
       const result = {
@@ -1,23 +1,133 @@
+import { randomUUID } from 'node:crypto';
 import http from 'node:http';
 import https from 'node:https';
 
 import { refreshIdentityToken } from './identity-client-adapter.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
+import { isAudienceOf } from './resource-indicators.js';
+import { findJwtAccessToken, isJwt } from './jwt-access-tokens.js';
+import { IDENTITY_ASSERTION_HEADER } from './identity-assertion.js';
+import { IDENTITY_HEADER } from './stdio-mcp-bridge.js';
 import { getSessionResetUrl, destroyAccess } from './use-session-reset.js';
 import { createRequestLogger } from './logger.js';
+import { DEFAULT_REFRESH_SKEW_SECONDS, isIdentityTokenExpiring } from './identity-token-refresh.js';
+import ProxyRequestBody, {
+  DEFAULT_MAX_BODY_SIZE,
+  DEFAULT_REPLAY_BUFFER_SIZE,
+  readRequestBody,
+} from './proxy-request-body.js';
+import {
+  authorizeJsonRpcMessages,
+  jsonRpcError,
+  parseJsonRpcMessages,
+  policySubject,
+} from './mcp-authorization-policy.js';
+import {
+  LIST_METHODS,
+  SseMessageTransform,
+  filterListResponse,
+  filterListResponseBody,
+} from './mcp-list-filter.js';
+
+// Request headers passed through to the MCP server, including the Streamable HTTP transport
+// session & resumability headers.
+// https://modelcontextprotocol.io/specification/2025-06-18/basic/transports#streamable-http
+const FORWARDED_REQUEST_HEADERS = [
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'content-type',
+  'content-encoding',
+  'content-length',
+  'x-request-id',
+  'mcp-session-id',
+  'mcp-protocol-version',
+  'last-event-id',
+];
+
+// Response headers passed back to the MCP client
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-encoding',
+  'cache-control',
+  'date',
+  'transfer-encoding',
+  'mcp-session-id',
+  'mcp-protocol-version',
+];
+
+function isEventStream(contentType) {
+  return typeof contentType === 'string' && contentType.startsWith('text/event-stream');
+}
+
+function isJson(contentType) {
+  return typeof contentType === 'string' && contentType.startsWith('application/json');
+}
+
+function respondBodyTooLarge(res, maxBodySize) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.set('Connection', 'close');
+  res.status(413).json({
+    error: 'invalid_request',
+    error_description: `Request body exceeds the maximum size of ${maxBodySize} bytes`,
+  });
+}
 
 /**
  * @typedef {Object} McpServerProxyOptions
  * @property {import('express').Application} app - Express application instance
- * @property {Object} provider - OIDC provider instance with AccessToken and Client adapters
+ * @property {Object} provider - OIDC provider instance with AccessToken, Grant and Client adapters
  * @property {URL} mcpServerUrl - Target MCP server URL to proxy requests to
+ * @property {string} [mountPath] - Path prefix to proxy on the app (defaults to mcpServerUrl.pathname)
+ * @property {string[]} [requiredScopes] - Proxy scopes an access token must have for this route
+ * @property {string} [resource] - Resource indicator of this route; access tokens issued for
+ *   another audience are rejected
+ * @property {import('./jwt-access-tokens.js').JwtAccessTokenVerifier} [jwtVerifier] - Verifies
+ *   JWT access tokens; without it, only opaque access tokens are accepted
+ * @property {import('./dpop.js').DpopVerifier} [dpopVerifier] - Verifies the DPoP proofs of
+ *   DPoP-bound access tokens; without it, access tokens are only accepted as Bearer tokens
+ * @property {import('./identity-assertion.js').IdentityAssertionSigner} [identityAssertionSigner] -
+ *   Signs an assertion of the caller's identity, sent to the MCP server with each request
+ * @property {boolean} [withholdIdentityToken] - Do not send the identity provider's access token
+ *   to the MCP server, only the identity assertion
+ * @property {import('./token-exchange.js').TokenExchangeConfig} [tokenExchange] - Exchange the
+ *   identity token for one restricted to this MCP server, instead of forwarding it
+ * @property {import('./token-exchange.js').UpstreamTokenExchanger} [tokenExchanger] - Exchanges
+ *   and caches identity tokens, required with tokenExchange
+ * @property {import('./mcp-authorization-policy.js').McpAuthorizationPolicy} [authorizationPolicy] -
+ *   Decides which JSON-RPC calls each caller may send to the MCP server, and which entries of
+ *   its tools, resources & prompts lists they see; the request bodies of POST requests are then
+ *   read in full before they are forwarded
+ * @property {import('./audit-log.js').AuditLog} [auditLog] - Records each JSON-RPC message
+ *   callers send, and its outcome
+ * @property {Record<string, string>} [extraHeaders] - Extra headers sent to the MCP server
+ * @property {string} [resourceMetadataUrl] - Protected Resource Metadata URL, advertised in
+ *   WWW-Authenticate challenges
  * @property {Function} [refreshTokenFunc] - Token refresh function (defaults to refreshIdentityToken)
  * @property {import('http').AgentOptions} [agentOptions] - HTTP agent configuration options
+ * @property {number} [refreshSkewSeconds] - Seconds before expiry to refresh the identity token
+ * @property {import('./identity-token-refresh.js').IdentityTokenRefresher} [tokenRefresher] -
+ *   Background refresher that tracks the clients making requests
+ * @property {import('./client-lifecycle.js').ClientLifecycle} [clientLifecycle] - Records when
+ *   clients are used, so idle ones are reaped
+ * @property {number} [maxBodySize] - Maximum request body size in bytes, larger requests get 413
+ * @property {number} [replayBufferSize] - Bodies up to this size in bytes are kept to retry a request
+ *   after a token refresh
+ * @property {import('./mcp-server-process-pool.js').McpServerProcessPool} [processPool] - Per-user
+ *   MCP server processes; requests go to the user's process instead of mcpServerUrl
+ * @property {{ isAvailable: () => boolean, retryAfterSeconds: () => number }} [availability] -
+ *   Whether the MCP server is up, such as while its sub-process restarts
  */
 
 /**
  * Configure MCP server proxy middleware with OAuth2.1 token swapping.
  * Validates proxy bearer tokens, swaps them for identity provider tokens,
  * and forwards requests to the underlying MCP server with automatic token refresh.
+ * Supports the MCP Streamable HTTP transport: POST messages, long-lived GET event streams,
+ * DELETE session termination, and the Mcp-Session-Id / Last-Event-ID headers.
  *
  * @param {McpServerProxyOptions} options - Proxy configuration options
  * @throws {Error} If required parameters are missing
@@ -32,8 +142,28 @@ export default function useMcpServerProxy(options) {
     app,
     provider,
     mcpServerUrl,
+    mountPath = mcpServerUrl?.pathname,
+    requiredScopes = [],
+    resource,
+    jwtVerifier,
+    dpopVerifier,
+    identityAssertionSigner,
+    withholdIdentityToken = false,
+    tokenExchange,
+    tokenExchanger,
+    authorizationPolicy,
+    auditLog,
+    extraHeaders = {},
+    resourceMetadataUrl,
     refreshTokenFunc = refreshIdentityToken,
     agentOptions = { keepAlive: true },
+    refreshSkewSeconds = DEFAULT_REFRESH_SKEW_SECONDS,
+    tokenRefresher,
+    clientLifecycle,
+    maxBodySize = DEFAULT_MAX_BODY_SIZE,
+    replayBufferSize = DEFAULT_REPLAY_BUFFER_SIZE,
+    processPool,
+    availability,
   } = options;
 
   if (!app) {
@@ -45,16 +175,42 @@ export default function useMcpServerProxy(options) {
   if (!mcpServerUrl) {
     throw new Error('Missing required parameter: mcpServerUrl (target MCP server URL)');
   }
+  if (withholdIdentityToken && !identityAssertionSigner) {
+    throw new Error('withholdIdentityToken requires an identityAssertionSigner');
+  }
+  if (tokenExchange && !tokenExchanger) {
+    throw new Error('tokenExchange requires a tokenExchanger');
+  }
 
   const proxyAgent = new http.Agent(agentOptions);
   const proxyOptions = { agent: proxyAgent };
-  app.use(mcpServerUrl.pathname, async (req, res, next) => {
+  // Bearer challenge, pointing MCP clients at the metadata to start authorization
+  // https://datatracker.ietf.org/doc/html/rfc9728#section-5.1
+  const challenge = (scheme, params) => {
+    const challengeParams = { ...params };
+    if (resourceMetadataUrl) {
+      challengeParams.resource_metadata = resourceMetadataUrl;
+    }
+    return `${scheme} ${Object.entries(challengeParams)
+      .map(([key, value]) => `${key}="${value}"`)
+      .join(', ')}`;
+  };
+  const bearerChallenge = (params) => challenge('Bearer', params);
+  // DPoP challenge, listing the proof algorithms the proxy accepts
+  // https://datatracker.ietf.org/doc/html/rfc9449#section-7.1
+  const dpopChallenge = (params) =>
+    challenge('DPoP', { ...params, algs: dpopVerifier.algorithms.join(' ') });
+
+  app.use(mountPath, async (req, res, next) => {
     const logger = createRequestLogger(req);
     const authHeader = req.headers.authorization;
     if (!authHeader) {
       res.set(
         'WWW-Authenticate',
-        'Bearer error="invalid_token", error_description="Missing Authorization header"'
+        bearerChallenge({
+          error: 'invalid_token',
+          error_description: 'Missing Authorization header',
+        })
       );
       res.status(401).json({
         error: 'invalid_token',
@@ -64,10 +220,14 @@ export default function useMcpServerProxy(options) {
     }
 
     const [type, token] = authHeader.split(' ');
-    if (type.toLowerCase() !== 'bearer' || !token) {
+    const scheme = type.toLowerCase();
+    if (!(scheme === 'bearer' || (scheme === 'dpop' && dpopVerifier)) || !token) {
       res.set(
         'WWW-Authenticate',
-        'Bearer error="invalid_token", error_description="Invalid Authorization header format, expected \'Bearer TOKEN\'"'
+        bearerChallenge({
+          error: 'invalid_token',
+          error_description: "Invalid Authorization header format, expected 'Bearer TOKEN'",
+        })
       );
       res.status(401).json({
         error: 'invalid_token',
@@ -77,11 +237,17 @@ export default function useMcpServerProxy(options) {
     }
 
     // Check if proxy access token is valid
-    const accessToken = await provider.AccessToken.find(token);
+    const accessToken =
+      jwtVerifier && isJwt(token)
+        ? await findJwtAccessToken(provider, jwtVerifier, token)
+        : await provider.AccessToken.find(token);
     if (!accessToken) {
       res.set(
         'WWW-Authenticate',
-        'Bearer error="invalid_token", error_description="Invalid access token, may be expired"'
+        bearerChallenge({
+          error: 'invalid_token',
+          error_description: 'Invalid access token, may be expired',
+        })
       );
       res.status(401).json({
         error: 'invalid_token',
@@ -90,66 +256,312 @@ export default function useMcpServerProxy(options) {
       return;
     }
 
-    // Verify that a primary Identity access token exists
-    const proxyClient = await provider.Client.find(accessToken.clientId);
-    if (!proxyClient?.identityAuthAccessToken) {
+    // Check the access token was issued for this MCP server, not another resource
+    // https://datatracker.ietf.org/doc/html/rfc8707#section-2
+    if (resource && !isAudienceOf(accessToken, resource)) {
+      logger.warn('proxy request rejected access token for another resource', {
+        clientId: accessToken.clientId,
+        audience: accessToken.aud,
+      });
+      res.set(
+        'WWW-Authenticate',
+        bearerChallenge({
+          error: 'invalid_token',
+          error_description: 'Access token was not issued for this resource',
+        })
+      );
+      res.status(401).json({
+        error: 'invalid_token',
+        error_description: `Access token was not issued for this resource: ${resource}`,
+      });
+      return;
+    }
+
+    // Check the client proves possession of the key a DPoP-bound access token is bound to
+    if (dpopVerifier) {
+      try {
+        await dpopVerifier.verify(req, {
+          scheme,
+          token,
+          accessToken,
+          url: new URL(req.originalUrl, provider.issuer).href,
+        });
+      } catch (err) {
+        logger.warn('proxy request rejected DPoP proof', {
+          clientId: accessToken.clientId,
+          error: err.message,
+        });
+        const error = err.error || 'invalid_dpop_proof';
+        if (error === 'use_dpop_nonce') {
+          res.set('DPoP-Nonce', dpopVerifier.nextNonce());
+        }
+        res.set('WWW-Authenticate', dpopChallenge({ error, error_description: err.message }));
+        res.status(401).json({ error, error_description: err.message });
+        return;
+      }
+      // Keep the client's nonce current
+      const nonce = accessToken.jkt && dpopVerifier.nextNonce();
+      if (nonce) {
+        res.set('DPoP-Nonce', nonce);
+      }
+    }
+
+    // Check the access token was granted the scopes this MCP server requires
+    const grantedScopes = (accessToken.scope || '').split(' ');
+    const missingScopes = requiredScopes.filter((scope) => !grantedScopes.includes(scope));
+    if (missingScopes.length > 0) {
+      res.set(
+        'WWW-Authenticate',
+        bearerChallenge({
+          error: 'insufficient_scope',
+          scope: requiredScopes.join(' '),
+          error_description: 'Access token is missing required scopes',
+        })
+      );
+      res.status(403).json({
+        error: 'insufficient_scope',
+        error_description: `Access token is missing required scopes: ${missingScopes.join(' ')}`,
+      });
+      return;
+    }
+
+    // Verify that a primary Identity access token exists, bound to this access token's grant
+    const credentialStore = getUpstreamCredentialStore(provider);
+    const credential =
+      (await credentialStore.findForAccessToken(accessToken)) ||
+      (await credentialStore.migrateFromClient(provider, accessToken));
+    if (!credential?.identityAuthAccessToken) {
       await destroyAccess(provider, accessToken);
       return res.redirect(getSessionResetUrl());
     }
 
+    // Read the JSON-RPC messages of the request, for the policy and the audit log
+    let parsedBody;
+    if ((authorizationPolicy || auditLog) && req.method === 'POST') {
+      let body;
+      try {
+        body = await readRequestBody(req, maxBodySize);
+        parsedBody = parseJsonRpcMessages(body);
+      } catch (err) {
+        if (err.tooLarge) {
+          respondBodyTooLarge(res, maxBodySize);
+          return;
+        }
+        // Only the policy requires JSON-RPC, the audit log records what it can
+        if (authorizationPolicy) {
+          res.status(400).json(jsonRpcError(null, err.code, err.message));
+          return;
+        }
+      }
+    }
+    const auditTrail =
+      parsedBody &&
+      auditLog?.start({
+        req,
+        accessToken,
+        credential,
+        routePath: mountPath,
+        messages: parsedBody.messages,
+      });
+    if (auditTrail) {
+      res.on('close', () => auditTrail.finish(res.statusCode));
+    }
+
+    // Answer the JSON-RPC calls the policy denies, without forwarding them to the MCP server
+    const subject = authorizationPolicy && policySubject(accessToken, credential);
+    const isAllowed = (call) => authorizationPolicy.authorize(call, subject, mountPath).allowed;
+    let listRequested = false;
+    if (authorizationPolicy && parsedBody) {
+      const { denied, response } = authorizeJsonRpcMessages(
+        authorizationPolicy,
+        parsedBody,
+        subject,
+        mountPath
+      );
+      listRequested = parsedBody.messages.some((message) => LIST_METHODS.includes(message.method));
+      if (denied.length > 0) {
+        logger.warn('proxy request denied by policy', {
+          clientId: accessToken.clientId,
+          identityAuthId: credential.identityAuthId,
+          methods: denied.map(({ message }) => message.method),
+          reasons: denied.map(({ reason }) => reason),
+        });
+        auditTrail?.deny(denied.map(({ message }) => message));
+        if (response) {
+          res.status(200).json(response);
+        } else {
+          res.status(202).end();
+        }
+        return;
+      }
+    }
+
     logger.info('proxy request applying authorization for identity', {
-      identityAuthId: proxyClient.identityAuthId,
+      identityAuthId: credential.identityAuthId,
     });
+    tokenRefresher?.track(credential.grantId);
+    clientLifecycle?.touch(accessToken.clientId);
 
-    const hasBody = req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH';
-    let reqBodyBuf;
-    if (hasBody && req.body) {
-      reqBodyBuf = Buffer.from(JSON.stringify(req.body));
+    // Refresh ahead of expiry, rather than waiting for the MCP server to answer 401
+    let didTryRefresh = false;
+    if (isIdentityTokenExpiring(credential, refreshSkewSeconds)) {
+      didTryRefresh = true;
+      try {
+        logger.info('proxy request begin proactive token refresh');
+        await refreshTokenFunc(provider, credential);
+      } catch (err) {
+        logger.error('proxy request proactive token refresh failed', {
+          error: err.message,
+          identityAuthId: credential.identityAuthId,
+        });
+        // Still usable until it actually expires
+        if (isIdentityTokenExpiring(credential)) {
+          await destroyAccess(provider, accessToken);
+          return res.redirect(getSessionResetUrl());
+        }
+      }
+    }
+
+    // While the MCP server is down, tell the MCP client when to come back
+    if (availability && !availability.isAvailable()) {
+      res.set('Retry-After', String(availability.retryAfterSeconds()));
+      res.status(503).json({
+        error: 'temporarily_unavailable',
+        error_description: 'MCP server is restarting, retry the request',
+      });
+      return;
+    }
+
+    // Route to the user's own MCP server process, when isolated per user
+    let targetUrl = mcpServerUrl;
+    let lease;
+    const acquireProcess = async () => {
+      if (!processPool) {
+        return true;
+      }
+      if (lease) {
+        res.off('close', lease.release);
+        lease.release();
+        lease = undefined;
+      }
+      try {
+        lease = await processPool.acquire(credential);
+      } catch (err) {
+        logger.error('proxy request per-user MCP server failed to start', {
+          error: err.message,
+          identityAuthId: credential.identityAuthId,
+        });
+      }
+      if (!lease) {
+        res.set('Retry-After', '5');
+        res.status(503).json({
+          error: 'temporarily_unavailable',
+          error_description: 'MCP server is not available for this user, retry the request',
+        });
+        return false;
+      }
+      targetUrl = lease.url;
+      res.on('close', lease.release);
+      return true;
+    };
+    if (!(await acquireProcess())) {
+      return;
+    }
+
+    // Exchange the identity token for one restricted to this MCP server
+    let upstreamAccessToken = credential.identityAuthAccessToken;
+    const exchangeUpstreamToken = async () => {
+      if (!tokenExchange || withholdIdentityToken) {
+        upstreamAccessToken = credential.identityAuthAccessToken;
+        return true;
+      }
+      try {
+        upstreamAccessToken = (await tokenExchanger.tokenFor(credential, tokenExchange)).accessToken;
+        return true;
+      } catch (err) {
+        logger.error('proxy request token exchange failed', {
+          error: err.message,
+          identityAuthId: credential.identityAuthId,
+        });
+        res.status(502).json({
+          error: 'server_error',
+          error_description: 'Failed to exchange the identity token for this MCP server',
+        });
+        return false;
+      }
+    };
+    if (!(await exchangeUpstreamToken())) {
+      return;
+    }
+
+    // The request body is streamed to the MCP server byte-for-byte, whatever its content type
+    const requestBody = new ProxyRequestBody(req, { maxBodySize, replayBufferSize });
+    if (requestBody.exceedsDeclaredLength()) {
+      respondBodyTooLarge(res, maxBodySize);
+      return;
     }
 
     const proxyReqHeaders = {
+      ...extraHeaders,
       'user-agent': req.headers['user-agent'] || 'MCP-Auth-Proxy',
     };
 
-    if (proxyClient.identityAuthScope) {
-      proxyReqHeaders['x-authorization-scope'] = proxyClient.identityAuthScope;
+    if (credential.identityAuthScope) {
+      proxyReqHeaders['x-authorization-scope'] = credential.identityAuthScope;
     }
-    if (proxyClient.clientId) {
-      proxyReqHeaders['x-dynamic-client-id'] = proxyClient.clientId;
+    if (credential.clientId) {
+      proxyReqHeaders['x-dynamic-client-id'] = credential.clientId;
     }
-
-    if (req.headers['accept']) {
-      proxyReqHeaders['accept'] = req.headers['accept'];
+    // Stdio bridges bind each session to the identity that started it
+    if (credential.identityAuthId) {
+      proxyReqHeaders[IDENTITY_HEADER] = credential.identityAuthId;
     }
-    if (req.headers['accept-encoding']) {
-      proxyReqHeaders['accept-encoding'] = req.headers['accept-encoding'];
+    // The MCP server may verify the caller's JWT access token itself, with the keys at /jwks
+    if (accessToken.format === 'jwt') {
+      proxyReqHeaders['x-proxy-access-token'] = token;
     }
-    if (req.headers['accept-language']) {
-      proxyReqHeaders['accept-language'] = req.headers['accept-language'];
+
+    for (const name of FORWARDED_REQUEST_HEADERS) {
+      if (req.headers[name]) {
+        proxyReqHeaders[name] = req.headers[name];
+      }
     }
-    if (hasBody && req.headers['content-length']) {
-      proxyReqHeaders['content-length'] = reqBodyBuf?.byteLength || 0;
+    // Responses are read to filter lists and record outcomes, so they must not be compressed
+    if (authorizationPolicy || auditTrail) {
+      delete proxyReqHeaders['accept-encoding'];
     }
-    if (req.headers['content-type']) {
-      proxyReqHeaders['content-type'] = req.headers['content-type'];
+    if (requestBody.preParsed) {
+      // Re-serialized, so the original length no longer applies
+      delete proxyReqHeaders['content-length'];
     }
-    if (req.headers['x-request-id']) {
-      proxyReqHeaders['x-request-id'] = req.headers['x-request-id'];
+    // Assertions name the request, so the MCP server can correlate them with the proxy's logs
+    if (identityAssertionSigner && !proxyReqHeaders['x-request-id']) {
+      proxyReqHeaders['x-request-id'] = randomUUID();
     }
 
-    let didTryRefresh = false;
-    const httpModule = mcpServerUrl.protocol === 'https:' ? https : http;
-    const proxyReqFunc = () => {
+    let bodyTooLarge = false;
+    const proxyReqFunc = (isRetry = false) => {
+      const httpModule = targetUrl.protocol === 'https:' ? https : http;
+      const headers = { ...proxyReqHeaders };
+      if (!withholdIdentityToken) {
+        headers.authorization = `bearer ${upstreamAccessToken}`;
+      }
+      // Signed for each attempt, so a retry after a token refresh gets a fresh assertion
+      if (identityAssertionSigner) {
+        headers[IDENTITY_ASSERTION_HEADER] = identityAssertionSigner.sign({
+          credential,
+          accessToken,
+          audience: resource || mcpServerUrl.href,
+          requestId: proxyReqHeaders['x-request-id'],
+        });
+      }
       const proxyReq = httpModule.request(
         {
-          hostname: mcpServerUrl.hostname,
-          port: mcpServerUrl.port || (mcpServerUrl.protocol === 'https:' ? 443 : 80),
-          path: mcpServerUrl.pathname + mcpServerUrl.search,
+          hostname: targetUrl.hostname,
+          port: targetUrl.port || (targetUrl.protocol === 'https:' ? 443 : 80),
+          path: targetUrl.pathname + targetUrl.search,
           method: req.method,
-          headers: {
-            ...proxyReqHeaders,
-            authorization: `bearer ${proxyClient.identityAuthAccessToken}`,
-          },
+          headers,
           ...proxyOptions,
         },
         async (proxyRes) => {
@@ -159,29 +571,54 @@ export default function useMcpServerProxy(options) {
 
           switch (proxyRes.statusCode) {
           case 401: {
+            // Discard the unauthorized response body so the socket is released
+            proxyRes.resume();
             if (didTryRefresh) {
               logger.warn('proxy request token refreshed already attempted');
               await destroyAccess(provider, accessToken);
               return res.redirect(getSessionResetUrl());
             }
+            if (tokenExchange) {
+              tokenExchanger.forget(credential, tokenExchange);
+            }
             try {
               logger.info('proxy request begin token refresh');
-              await refreshTokenFunc(provider, proxyClient);
+              await refreshTokenFunc(provider, credential);
             } catch (err) {
               logger.error('proxy request token refresh failed', {
                 error: err.message,
-                identityAuthId: proxyClient.identityAuthId,
+                identityAuthId: credential.identityAuthId,
               });
               await destroyAccess(provider, accessToken);
               return res.redirect(getSessionResetUrl());
             }
             didTryRefresh = true;
             logger.info('proxy request token refreshed for identity', {
-              identityAuthId: proxyClient.identityAuthId,
+              identityAuthId: credential.identityAuthId,
             });
 
-            // Retry original request to MCP Server
-            proxyReqFunc();
+            if (!requestBody.canReplay()) {
+              // The body was too large to keep, so the MCP client must send it again
+              logger.warn('proxy request body cannot be replayed after token refresh', {
+                receivedBytes: requestBody.receivedBytes,
+              });
+              res.set('Retry-After', '0');
+              res.status(503).json({
+                error: 'temporarily_unavailable',
+                error_description: 'Authorization was refreshed, retry the request',
+              });
+              return;
+            }
+
+            // Retry original request to MCP Server, with a token exchanged from the refreshed one
+            if (!(await exchangeUpstreamToken())) {
+              return;
+            }
+            // A per-user process keeps the token it was started with, so move to one with the new token
+            if (!(await acquireProcess())) {
+              return;
+            }
+            proxyReqFunc(true);
 
             return;
           }
@@ -189,51 +626,94 @@ export default function useMcpServerProxy(options) {
 
           res.status(proxyRes.statusCode);
 
-          if (proxyRes.headers['content-type']) {
-            res.setHeader('content-type', proxyRes.headers['content-type']);
-          }
-          if (proxyRes.headers['date']) {
-            res.setHeader('date', proxyRes.headers['date']);
-          }
-          if (proxyRes.headers['transfer-encoding']) {
-            res.setHeader('transfer-encoding', proxyRes.headers['transfer-encoding']);
+          for (const name of FORWARDED_RESPONSE_HEADERS) {
+            if (proxyRes.headers[name]) {
+              res.setHeader(name, proxyRes.headers[name]);
+            }
           }
 
-          proxyRes.on('data', (chunk) => {
-            res.write(chunk);
-          });
-
-          proxyRes.on('end', () => {
-            res.end();
-            if (!res.headersSent) {
-              next();
+          // Server-Sent Events must reach the MCP client as soon as each event is written,
+          // so send the headers right away and keep intermediaries from buffering the stream.
+          if (isEventStream(proxyRes.headers['content-type'])) {
+            if (!proxyRes.headers['cache-control']) {
+              res.setHeader('cache-control', 'no-cache');
             }
-          });
+            res.setHeader('x-accel-buffering', 'no');
+            req.socket?.setTimeout(0);
+            req.socket?.setNoDelay(true);
+            res.flushHeaders();
+            logger.info('proxy request streaming event-stream response', {
+              mcpSessionId: proxyRes.headers['mcp-session-id'],
+            });
+          }
 
           proxyRes.on('error', (err) => {
             logger.error('proxy request streaming error', {
               error: err.message,
             });
-            next(err);
+            if (res.headersSent) {
+              res.destroy(err);
+            } else {
+              next(err);
+            }
           });
+
+          // Hide the list entries the caller may not use, and record the outcome of each
+          // request, event by event on streams
+          const contentType = proxyRes.headers['content-type'];
+          if ((authorizationPolicy || auditTrail) && isEventStream(contentType)) {
+            const transform = new SseMessageTransform((message) => {
+              auditTrail?.observe(message);
+              return authorizationPolicy ? filterListResponse(message, isAllowed) : message;
+            });
+            proxyRes.pipe(transform).pipe(res);
+            return;
+          }
+          if ((listRequested || auditTrail) && isJson(contentType)) {
+            const chunks = [];
+            proxyRes.on('data', (chunk) => chunks.push(chunk));
+            proxyRes.on('end', () => {
+              const body = Buffer.concat(chunks);
+              auditTrail?.observeBody(body);
+              res.end(listRequested ? filterListResponseBody(body, isAllowed) : body);
+            });
+            return;
+          }
+
+          // pipe() applies backpressure: the upstream is paused while the client is slow to read.
+          proxyRes.pipe(res);
         }
       );
 
       proxyReq.on('error', (err) => {
+        if (res.destroyed || bodyTooLarge) {
+          return;
+        }
         logger.error('proxy request error', {
           error: err.message,
         });
         next(err);
       });
 
-      req.on('close', () => {
-        proxyReq.destroy();
+      // Long-lived streams (GET event streams, streamed POST responses) end when the MCP client
+      // disconnects, so tear down the upstream request rather than leaking it.
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          proxyReq.destroy();
+        }
       });
 
-      if (hasBody && reqBodyBuf) {
-        proxyReq.write(reqBodyBuf);
+      if (isRetry) {
+        requestBody.replay(proxyReq);
       } else {
-        proxyReq.end();
+        requestBody.pipeTo(proxyReq, (err) => {
+          bodyTooLarge = true;
+          logger.warn('proxy request body too large', {
+            error: err.message,
+          });
+          proxyReq.destroy();
+          respondBodyTooLarge(res, maxBodySize);
+        });
       }
     };
 
@@ -1,4 +1,5 @@
 import providerConfig from './provider-config.js';
+import { getUpstreamCredentialStore } from './upstream-credential-store.js';
 
 let providerInstanceConfig;
 let sessionResetUrl;
@@ -8,6 +9,7 @@ let authServerBaseUrl; // Store for building OAuth recovery URLs
 // Call this before redirecting into sessionResetUrl
 export async function destroyAccess(provider, accessToken) {
   await provider.Grant.adapter.destroy(accessToken.grantId);
+  await getUpstreamCredentialStore(provider).destroy(accessToken.grantId);
   await provider.AccessToken.adapter.destroy(accessToken.jti);
 
   const session = await provider.Session.adapter.findByUid(accessToken.sessionUid);
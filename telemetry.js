@@ -17,9 +17,10 @@ const sdk = new NodeSDK({
 
 sdk.start();
 
-process.on('SIGTERM', () => {
-  sdk
+// Flush traces, called last in the shutdown sequence, so in-flight requests are traced
+export function shutdownTelemetry() {
+  return sdk
     .shutdown()
     .then(() => console.info('Tracing terminated'))
     .catch((err) => console.error('Error terminating tracing', err));
-});
+}
@@ -0,0 +1,231 @@
+import assert from 'node:assert';
+import { Provider } from 'oidc-provider';
+import MemoryAdapter from '../node_modules/oidc-provider/lib/adapters/memory_adapter.js';
+
+import providerConfig from '../lib/provider-config.js';
+import {
+  clientIdMetadataDocumentFeature,
+  isMetadataDocumentClientId,
+  parseClientIdMetadataDocumentConfig,
+  withClientIdMetadataDocuments,
+} from '../lib/client-id-metadata-document.js';
+
+// The fetch API of Node.js, which the provider fetches documents with
+const { Response } = globalThis;
+
+const issuer = 'http://localhost:3001';
+const proxyClientProperties = providerConfig.extraClientMetadata.properties;
+
+let documentCount = 0;
+
+// Each test uses its own client ID, as the in-memory adapter's storage is shared
+function newClientId(host = 'client.example.com') {
+  documentCount += 1;
+  return `https://${host}/oauth/client-${documentCount}.json`;
+}
+
+function metadataDocument(clientId, overrides = {}) {
+  return {
+    client_id: clientId,
+    client_name: 'Example MCP Client',
+    redirect_uris: [`https://${new URL(clientId).host}/callback`, 'http://127.0.0.1:3334/callback'],
+    token_endpoint_auth_method: 'none',
+    ...overrides,
+  };
+}
+
+function createProvider(documents, config = { enabled: true }) {
+  const { adapter: _ignored, ...testProviderConfig } = providerConfig;
+  const fetches = [];
+  const provider = new Provider(issuer, {
+    ...testProviderConfig,
+    adapter: withClientIdMetadataDocuments(MemoryAdapter, proxyClientProperties),
+    features: {
+      ...testProviderConfig.features,
+      clientIdMetadataDocument: clientIdMetadataDocumentFeature(config, proxyClientProperties),
+    },
+    fetch: async (url) => {
+      fetches.push(url);
+      const document = documents[url];
+      if (!document) {
+        return new Response('Not Found', { status: 404 });
+      }
+      return Response.json(document, { headers: { 'cache-control': 'max-age=300' } });
+    },
+  });
+  return { provider, fetches };
+}
+
+describe('Client ID Metadata Documents', function () {
+  describe('parseClientIdMetadataDocumentConfig', function () {
+    it('should be disabled by default', function () {
+      assert.deepEqual(parseClientIdMetadataDocumentConfig({}), { enabled: false });
+    });
+
+    it('should be enabled for any host with true', function () {
+      assert.deepEqual(
+        parseClientIdMetadataDocumentConfig({
+          MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS: 'true',
+        }),
+        { enabled: true }
+      );
+    });
+
+    it('should parse the allowed hosts', function () {
+      const { allowedHosts } = parseClientIdMetadataDocumentConfig({
+        MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS: 'claude.ai, *.example.com',
+      });
+      assert.equal(allowedHosts.length, 2);
+      assert(allowedHosts[0].test('claude.ai'));
+      assert(!allowedHosts[0].test('claudexai'));
+      assert(allowedHosts[1].test('apps.Example.com'));
+    });
+
+    it('should reject invalid configuration', function () {
+      assert.throws(
+        () =>
+          parseClientIdMetadataDocumentConfig({
+            MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS: 'yes',
+          }),
+        /MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS must be true or false/
+      );
+      assert.throws(
+        () =>
+          parseClientIdMetadataDocumentConfig({ MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS: ' , ' }),
+        /must list one or more hosts/
+      );
+    });
+  });
+
+  describe('isMetadataDocumentClientId', function () {
+    it('should only recognize HTTPS URLs with a path', function () {
+      assert(isMetadataDocumentClientId('https://client.example.com/oauth/client.json'));
+      assert(!isMetadataDocumentClientId('http://client.example.com/oauth/client.json'));
+      assert(!isMetadataDocumentClientId('GIaajXo6t9q-VAq-98qDpjKIOs2h25HEw0QgddwChd-'));
+      assert(!isMetadataDocumentClientId('https://client.example.com/a/../client.json'));
+      assert(!isMetadataDocumentClientId(undefined));
+    });
+  });
+
+  describe('resolving clients', function () {
+    it('should resolve a client from its metadata document, and cache it', async function () {
+      const clientId = newClientId();
+      const { provider, fetches } = createProvider({ [clientId]: metadataDocument(clientId) });
+
+      const client = await provider.Client.find(clientId);
+      assert.equal(client.clientId, clientId);
+      assert.equal(client.clientName, 'Example MCP Client');
+      assert.equal(client.clientIdMetadataDocument, true);
+
+      await provider.Client.find(clientId);
+      assert.deepEqual(fetches, [clientId]);
+    });
+
+    it('should store the proxy state of the client apart from its document', async function () {
+      const clientId = newClientId();
+      const { provider } = createProvider({ [clientId]: metadataDocument(clientId) });
+
+      const client = await provider.Client.find(clientId);
+      client.identityLoginConfirmed = true;
+      await provider.Client.adapter.upsert(client.clientId, client.metadata());
+
+      assert.deepEqual(await provider.Client.adapter.findClientState(clientId), {
+        client_id: clientId,
+        identityLoginConfirmed: true,
+      });
+      const found = await provider.Client.find(clientId);
+      assert.equal(found.identityLoginConfirmed, true);
+      assert.equal(found.clientName, 'Example MCP Client');
+    });
+
+    it('should not fetch documents from hosts that are not allowed', async function () {
+      const clientId = newClientId('untrusted.example.net');
+      const { provider, fetches } = createProvider(
+        { [clientId]: metadataDocument(clientId) },
+        parseClientIdMetadataDocumentConfig({
+          MCP_AUTH_PROXY_CLIENT_ID_METADATA_DOCUMENTS: 'true',
+          MCP_AUTH_PROXY_CLIENT_ID_METADATA_HOSTS: '*.example.com',
+        })
+      );
+
+      await assert.rejects(provider.Client.find(clientId), {
+        name: 'InvalidClient',
+        error_description: 'client_id metadata document fetch not allowed',
+      });
+      assert.deepEqual(fetches, []);
+    });
+
+    it('should reject documents with redirect URIs on another host', async function () {
+      const clientId = newClientId();
+      const { provider } = createProvider({
+        [clientId]: metadataDocument(clientId, {
+          redirect_uris: ['https://attacker.example.net/callback'],
+        }),
+      });
+
+      await assert.rejects(provider.Client.find(clientId), {
+        name: 'InvalidClientMetadata',
+        error_description: /redirect_uris must use the host of the client_id.*attacker/,
+      });
+    });
+
+    it('should reject documents with a logo on another host', async function () {
+      const clientId = newClientId();
+      const { provider } = createProvider({
+        [clientId]: metadataDocument(clientId, {
+          logo_uri: 'https://images.example.net/logo.png',
+        }),
+      });
+
+      await assert.rejects(provider.Client.find(clientId), {
+        name: 'InvalidClientMetadata',
+        error_description:
+          'client_id metadata document logo_uri must be an https URL on the host of the client_id',
+      });
+
+      const ownLogoClientId = newClientId();
+      const { provider: ownLogoProvider } = createProvider({
+        [ownLogoClientId]: metadataDocument(ownLogoClientId, {
+          logo_uri: 'https://client.example.com/logo.png',
+        }),
+      });
+      const client = await ownLogoProvider.Client.find(ownLogoClientId);
+      assert.equal(client.logoUri, 'https://client.example.com/logo.png');
+    });
+
+    it('should reject documents without a client name', async function () {
+      const clientId = newClientId();
+      const { provider } = createProvider({
+        [clientId]: metadataDocument(clientId, { client_name: undefined }),
+      });
+
+      await assert.rejects(provider.Client.find(clientId), {
+        name: 'InvalidClientMetadata',
+        error_description: /client_name must be set/,
+      });
+    });
+
+    it('should reject documents setting the proxy state of the client', async function () {
+      const clientId = newClientId();
+      const { provider } = createProvider({
+        [clientId]: metadataDocument(clientId, { identityLoginConfirmed: true }),
+      });
+
+      await assert.rejects(provider.Client.find(clientId), {
+        name: 'InvalidClientMetadata',
+        error_description: 'client_id metadata document must not contain identityLoginConfirmed',
+      });
+    });
+
+    it('should not resolve URL client IDs when disabled', async function () {
+      const clientId = newClientId();
+      const { provider, fetches } = createProvider(
+        { [clientId]: metadataDocument(clientId) },
+        { enabled: false }
+      );
+
+      assert.equal(await provider.Client.find(clientId), undefined);
+      assert.deepEqual(fetches, []);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+import assert from 'node:assert';
+import sinon from 'sinon';
+import { Provider } from 'oidc-provider';
+import MemoryAdapter from '../node_modules/oidc-provider/lib/adapters/memory_adapter.js';
+
+import providerConfig from '../lib/provider-config.js';
+import {
+  ClientCleanup,
+  ClientLifecycle,
+  parseClientLifecycleConfig,
+} from '../lib/client-lifecycle.js';
+import { getUpstreamCredentialStore } from '../lib/upstream-credential-store.js';
+
+const issuer = 'http://localhost:3001';
+const idleSeconds = 1000;
+
+// The in-memory adapter, listing the IDs it stores, and those of each client, like
+// TokenRedisAdapter
+function createListingAdapter() {
+  const store = new Map();
+  return class ListingMemoryAdapter extends MemoryAdapter {
+    constructor(model) {
+      super(model, store);
+    }
+
+    async *ids() {
+      const prefix = `${this.model}:`;
+      for (const key of [...store.keys()]) {
+        if (key.startsWith(prefix)) {
+          yield key.slice(prefix.length);
+        }
+      }
+    }
+
+    async *idsByClientId(clientId) {
+      const prefix = `${this.model}:`;
+      for (const [key, payload] of [...store]) {
+        if (
+          key.startsWith(prefix) &&
+          (payload?.clientId === clientId || payload?.authorizations?.[clientId])
+        ) {
+          yield key.slice(prefix.length);
+        }
+      }
+    }
+
+    async destroyClientIndex() {}
+  };
+}
+
+function createProvider(adapter = createListingAdapter()) {
+  const { adapter: _ignored, ...testProviderConfig } = providerConfig;
+  return new Provider(issuer, { ...testProviderConfig, adapter });
+}
+
+describe('Client lifecycle', function () {
+  describe('parseClientLifecycleConfig', function () {
+    it('should never expire clients by default', function () {
+      assert.equal(parseClientLifecycleConfig({}), undefined);
+      assert.equal(
+        parseClientLifecycleConfig({ MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS: '0' }),
+        undefined
+      );
+    });
+
+    it('should parse the idle expiry and sweep interval', function () {
+      assert.deepEqual(
+        parseClientLifecycleConfig({ MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS: '7776000' }),
+        { idleSeconds: 7776000, sweepSeconds: 3600 }
+      );
+      assert.deepEqual(
+        parseClientLifecycleConfig({
+          MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS: '86400',
+          MCP_AUTH_PROXY_CLIENT_SWEEP_SECONDS: '600',
+        }),
+        { idleSeconds: 86400, sweepSeconds: 600 }
+      );
+    });
+
+    it('should reject invalid configuration', function () {
+      assert.throws(
+        () => parseClientLifecycleConfig({ MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS: '90d' }),
+        /MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS must be a non-negative number of seconds/
+      );
+      assert.throws(
+        () =>
+          parseClientLifecycleConfig({
+            MCP_AUTH_PROXY_CLIENT_IDLE_SECONDS: '86400',
+            MCP_AUTH_PROXY_CLIENT_SWEEP_SECONDS: '0',
+          }),
+        /MCP_AUTH_PROXY_CLIENT_SWEEP_SECONDS must be a positive number of seconds/
+      );
+    });
+  });
+
+  describe('ClientLifecycle', function () {
+    const now = Math.floor(Date.now() / 1000);
+    let provider;
+    let revokeFunc;
+    let lifecycle;
+
+    async function registerClient(clientId, issuedAt, extraMetadata = {}) {
+      await provider.Client.adapter.upsert(clientId, {
+        client_id: clientId,
+        client_id_issued_at: issuedAt,
+        application_type: 'native',
+        redirect_uris: ['http://127.0.0.1:3334/oauth/callback'],
+        response_types: ['code'],
+        token_endpoint_auth_method: 'none',
+        ...extraMetadata,
+      });
+    }
+
+    // A grant of the client, with an access token and upstream credential
+    async function grantClient(clientId) {
+      const grantId = await new provider.Grant({ accountId: 'account-1', clientId }).save();
+      await provider.AccessToken.adapter.upsert(`token-${grantId}`, { grantId, clientId }, 3600);
+      await getUpstreamCredentialStore(provider).save({
+        grantId,
+        accountId: 'account-1',
+        clientId,
+        identityAuthAccessToken: `access-${clientId}`,
+        identityAuthRefreshToken: `refresh-${clientId}`,
+      });
+      return grantId;
+    }
+
+    beforeEach(async function () {
+      provider = createProvider();
+      revokeFunc = sinon.stub().resolves();
+      lifecycle = new ClientLifecycle({ provider, idleSeconds, sweepSeconds: 60, revokeFunc });
+      // Tracking started before the clients were last used
+      await lifecycle.sweep(now - 2 * idleSeconds);
+    });
+
+    it('should require an adapter that lists stored IDs', function () {
+      assert.throws(
+        () =>
+          new ClientLifecycle({
+            provider: createProvider(MemoryAdapter),
+            idleSeconds,
+            sweepSeconds: 60,
+            revokeFunc,
+          }),
+        /requires an adapter that lists stored IDs/
+      );
+    });
+
+    it('should reap idle clients, their grants, tokens and upstream credentials', async function () {
+      await registerClient('idle-client', now - 5 * idleSeconds);
+      await registerClient('active-client', now - 5 * idleSeconds);
+      await registerClient('new-client', now - 100);
+      const idleGrantId = await grantClient('idle-client');
+      const activeGrantId = await grantClient('active-client');
+      lifecycle.touch('active-client');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const result = await lifecycle.sweep(now + 10);
+
+      assert.deepEqual(result, {
+        scanned: 3,
+        reaped: 1,
+        grants: 1,
+        sessions: 0,
+        revoked: 1,
+        revocationFailures: 0,
+      });
+      assert(revokeFunc.calledOnce);
+      assert.equal(revokeFunc.firstCall.args[0].identityAuthRefreshToken, 'refresh-idle-client');
+
+      assert.equal(await provider.Client.find('idle-client'), undefined);
+      assert.equal(await provider.Grant.find(idleGrantId), undefined);
+      assert.equal(await provider.AccessToken.adapter.find(`token-${idleGrantId}`), undefined);
+      assert.equal(await getUpstreamCredentialStore(provider).find(idleGrantId), undefined);
+
+      assert.equal((await provider.Client.find('active-client')).clientId, 'active-client');
+      assert(await provider.Client.find('new-client'));
+      assert(await provider.Grant.find(activeGrantId));
+      assert(await getUpstreamCredentialStore(provider).find(activeGrantId));
+    });
+
+    it('should not reap clients used before tracking started, until idle since', async function () {
+      provider = createProvider();
+      const tracked = new ClientLifecycle({ provider, idleSeconds, sweepSeconds: 60, revokeFunc });
+      await registerClient('old-client', now - 5 * idleSeconds);
+
+      assert.equal((await tracked.sweep(now)).reaped, 0);
+      assert.equal((await tracked.sweep(now + idleSeconds)).reaped, 0);
+      assert.equal((await tracked.sweep(now + idleSeconds + 1)).reaped, 1);
+    });
+
+    it('should delete idle clients when their upstream tokens cannot be revoked', async function () {
+      revokeFunc.rejects(new Error('revocation_endpoint must be configured'));
+      // Tokens stored on the client record by earlier versions
+      await registerClient('legacy-client', now - 5 * idleSeconds, {
+        identityAuthRefreshToken: 'legacy-refresh-token',
+      });
+      await grantClient('legacy-client');
+
+      const result = await lifecycle.sweep(now);
+
+      assert.equal(result.reaped, 1);
+      assert.equal(result.revoked, 0);
+      assert.equal(result.revocationFailures, 2);
+      assert.deepEqual(
+        revokeFunc.getCalls().map((call) => call.args[0].identityAuthRefreshToken),
+        ['refresh-legacy-client', 'legacy-refresh-token']
+      );
+      assert.equal(await provider.Client.find('legacy-client'), undefined);
+    });
+
+    it('should record the use of each client at most once per interval', async function () {
+      const upsert = sinon.spy(lifecycle.activityAdapter, 'upsert');
+
+      lifecycle.touch('client-1');
+      lifecycle.touch('client-1');
+      lifecycle.touch('client-2');
+      lifecycle.touch(undefined);
+
+      assert.deepEqual(
+        upsert.getCalls().map((call) => [call.args[0], call.args[2]]),
+        [
+          ['client-1', idleSeconds],
+          ['client-2', idleSeconds],
+        ]
+      );
+    });
+
+    it('should only sweep while holding the lock', async function () {
+      const lock = { acquire: sinon.stub().resolves(null), release: sinon.stub().resolves(true) };
+      const locked = new ClientLifecycle({
+        provider,
+        idleSeconds,
+        sweepSeconds: 60,
+        revokeFunc,
+        lock,
+      });
+      await registerClient('idle-client', now - 5 * idleSeconds);
+
+      assert.equal(await locked.sweep(now), null);
+      assert(await provider.Client.find('idle-client'));
+
+      lock.acquire.resolves('lock-token');
+      assert.equal((await locked.sweep(now)).reaped, 1);
+      assert(lock.release.calledOnceWith('client-sweep', 'lock-token'));
+    });
+  });
+
+  describe('ClientCleanup', function () {
+    let provider;
+    let revokeFunc;
+    let cleanup;
+
+    beforeEach(function () {
+      provider = createProvider();
+      revokeFunc = sinon.stub().resolves();
+      cleanup = new ClientCleanup({ provider, revokeFunc });
+    });
+
+    it('should remove deleted clients from login sessions, keeping the others', async function () {
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      await provider.Session.adapter.upsert(
+        'session-1',
+        {
+          accountId: 'account-1',
+          exp,
+          authorizations: { 'deleted-client': { grantId: 'grant-1' }, 'other-client': {} },
+        },
+        3600
+      );
+      await provider.Session.adapter.upsert(
+        'session-2',
+        { accountId: 'account-2', exp, authorizations: { 'other-client': {} } },
+        3600
+      );
+
+      const result = await cleanup.destroyClients(new Map([['deleted-client', {}]]));
+
+      assert.equal(result.sessions, 1);
+      assert.deepEqual((await provider.Session.adapter.find('session-1')).authorizations, {
+        'other-client': {},
+      });
+      assert.equal((await provider.Session.adapter.find('session-1')).accountId, 'account-1');
+    });
+
+    it('should find the records of a single client through its index', async function () {
+      await provider.Client.adapter.upsert('deleted-client', { client_id: 'deleted-client' });
+      const grantId = await new provider.Grant({
+        accountId: 'account-1',
+        clientId: 'deleted-client',
+      }).save();
+      await provider.Session.adapter.upsert(
+        'session-1',
+        { accountId: 'account-1', authorizations: { 'deleted-client': { grantId } } },
+        3600
+      );
+      await provider.RegistrationAccessToken.adapter.upsert(
+        'rat-1',
+        { clientId: 'deleted-client' },
+        3600
+      );
+      const scans = [provider.Grant, provider.Session, provider.RegistrationAccessToken].map(
+        (model) => sinon.spy(model.adapter, 'ids')
+      );
+      const destroyClientIndex = sinon.spy(provider.Client.adapter, 'destroyClientIndex');
+
+      const result = await cleanup.destroyClient('deleted-client', {});
+
+      assert.deepEqual(result, { grants: 1, sessions: 1, revoked: 0, revocationFailures: 0 });
+      assert(scans.every((scan) => scan.notCalled));
+      assert(destroyClientIndex.calledOnceWith('deleted-client'));
+      assert.equal(await provider.Client.find('deleted-client'), undefined);
+      assert.equal(await provider.Grant.find(grantId), undefined);
+      assert.deepEqual((await provider.Session.adapter.find('session-1')).authorizations, {});
+      assert.equal(await provider.RegistrationAccessToken.adapter.find('rat-1'), undefined);
+    });
+
+    it('should delete the registration access tokens of deleted clients', async function () {
+      const { RegistrationAccessToken } = provider;
+      await RegistrationAccessToken.adapter.upsert('rat-1', { clientId: 'deleted-client' }, 3600);
+      await RegistrationAccessToken.adapter.upsert('rat-2', { clientId: 'other-client' }, 3600);
+
+      await cleanup.destroyClients(new Map([['deleted-client', {}]]));
+
+      assert.equal(await RegistrationAccessToken.adapter.find('rat-1'), undefined);
+      assert(await RegistrationAccessToken.adapter.find('rat-2'));
+      assert(revokeFunc.notCalled);
+    });
+  });
+});
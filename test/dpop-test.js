@@ -0,0 +1,311 @@
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import { Provider } from 'oidc-provider';
+
+import providerConfig from '../lib/provider-config.js';
+import {
+  DpopVerifier,
+  calculateJwkThumbprint,
+  dpopFeature,
+  parseDpopConfig,
+  requireDpopAtTokenEndpoint,
+} from '../lib/dpop.js';
+import { startAuthorizationServer } from './helpers/authorization-flow.js';
+
+const issuer = 'http://localhost:3001';
+const mcpUrl = 'http://localhost:3001/mcp';
+
+function generateKey(type = 'ec') {
+  const { privateKey, publicKey } =
+    type === 'ec'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('ed25519');
+  return {
+    privateKey,
+    alg: type === 'ec' ? 'ES256' : 'Ed25519',
+    jwk: publicKey.export({ format: 'jwk' }),
+  };
+}
+
+function createProof(key, claims, header = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ typ: 'dpop+jwt', alg: key.alg, jwk: key.jwk, ...header })}.${encode(
+    {
+      jti: crypto.randomUUID(),
+      iat: Math.floor(Date.now() / 1000),
+      ...claims,
+    }
+  )}`;
+  const signature = crypto.sign(
+    key.alg === 'ES256' ? 'sha256' : null,
+    Buffer.from(signingInput),
+    key.alg === 'ES256' ? { key: key.privateKey, dsaEncoding: 'ieee-p1363' } : key.privateKey
+  );
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function createProvider(dpopConfig = { required: false }) {
+  const { adapter: _ignored, ...testProviderConfig } = providerConfig;
+  return new Provider(issuer, {
+    ...testProviderConfig,
+    features: { ...testProviderConfig.features, dPoP: dpopFeature(dpopConfig) },
+  });
+}
+
+function ath(token) {
+  return crypto.hash('sha256', token, 'base64url');
+}
+
+describe('DPoP', function () {
+  describe('parseDpopConfig', function () {
+    it('should not require DPoP by default', function () {
+      assert.deepEqual(parseDpopConfig({}), { required: false });
+    });
+
+    it('should parse the policy and nonce secret', function () {
+      const secret = crypto.randomBytes(32);
+      assert.deepEqual(
+        parseDpopConfig({
+          MCP_AUTH_PROXY_DPOP_REQUIRED: 'true',
+          MCP_AUTH_PROXY_DPOP_NONCE_SECRET: secret.toString('base64'),
+        }),
+        { required: true, nonceSecret: secret }
+      );
+    });
+
+    it('should reject invalid values', function () {
+      assert.throws(
+        () => parseDpopConfig({ MCP_AUTH_PROXY_DPOP_REQUIRED: 'yes' }),
+        /must be true or false/
+      );
+      assert.throws(
+        () => parseDpopConfig({ MCP_AUTH_PROXY_DPOP_NONCE_SECRET: 'c2hvcnQ=' }),
+        /must be 32 base64 encoded bytes/
+      );
+    });
+  });
+
+  describe('calculateJwkThumbprint', function () {
+    it('should match the RFC 7638 example', function () {
+      const jwk = {
+        kty: 'RSA',
+        n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+        e: 'AQAB',
+        alg: 'RS256',
+        kid: '2011-04-29',
+      };
+      assert.equal(calculateJwkThumbprint(jwk), 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+    });
+  });
+
+  describe('requireDpopAtTokenEndpoint', function () {
+    async function run(config, ctx) {
+      let calledNext = false;
+      const context = Object.assign(ctx, { method: 'POST', path: '/token', get: () => '', ...ctx });
+      await requireDpopAtTokenEndpoint(config, '/token')(context, async () => {
+        calledNext = true;
+      });
+      return calledNext;
+    }
+
+    it('should reject token requests without a proof when DPoP is required', async function () {
+      const ctx = {};
+      assert.equal(await run({ required: true }, ctx), false);
+      assert.equal(ctx.status, 400);
+      assert.equal(ctx.body.error, 'invalid_dpop_proof');
+    });
+
+    it('should pass requests with a proof, other endpoints, or when not required', async function () {
+      assert.equal(await run({ required: true }, { get: () => 'proof' }), true);
+      assert.equal(await run({ required: true }, { path: '/reg' }), true);
+      assert.equal(await run({ required: false }, {}), true);
+    });
+  });
+
+  describe('DpopVerifier', function () {
+    const token = 'access-token';
+    let key;
+    let provider;
+    let verifier;
+    let accessToken;
+
+    beforeEach(function () {
+      key = generateKey();
+      provider = createProvider();
+      verifier = new DpopVerifier({ provider });
+      accessToken = { clientId: 'client-1', jkt: calculateJwkThumbprint(key.jwk) };
+    });
+
+    function request(proof, method = 'POST') {
+      return { method, headers: { dpop: proof } };
+    }
+
+    function verify(proof, options = {}) {
+      return verifier.verify(request(proof, options.method), {
+        scheme: 'dpop',
+        token,
+        accessToken,
+        url: mcpUrl,
+        ...options,
+      });
+    }
+
+    it('should accept a valid proof for a bound token', async function () {
+      await verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token) }));
+    });
+
+    it('should accept Ed25519 proofs', async function () {
+      key = generateKey('ed25519');
+      accessToken.jkt = calculateJwkThumbprint(key.jwk);
+      await verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token) }));
+    });
+
+    it('should accept unbound tokens with the Bearer scheme, unless required', async function () {
+      const unbound = { clientId: 'client-1' };
+      await verifier.verify(request(), { scheme: 'bearer', token, accessToken: unbound });
+
+      verifier = new DpopVerifier({ provider, required: true });
+      await assert.rejects(
+        verifier.verify(request(), { scheme: 'bearer', token, accessToken: unbound }),
+        { error: 'invalid_token', message: 'Access token must be DPoP-bound' }
+      );
+    });
+
+    it('should reject bound tokens used as Bearer tokens', async function () {
+      await assert.rejects(verify(undefined, { scheme: 'bearer' }), {
+        error: 'invalid_token',
+        message: 'DPoP-bound access token must use the DPoP scheme',
+      });
+    });
+
+    it('should reject requests without a proof', async function () {
+      await assert.rejects(verify(undefined), { error: 'invalid_dpop_proof' });
+    });
+
+    it('should reject proofs signed with another key', async function () {
+      const proof = createProof(generateKey(), { htm: 'POST', htu: mcpUrl, ath: ath(token) });
+      await assert.rejects(verify(proof), {
+        message: 'DPoP proof is not signed by the key of the access token',
+      });
+    });
+
+    it('should reject proofs with a tampered payload', async function () {
+      const [header, , signature] = createProof(key, {
+        htm: 'POST',
+        htu: mcpUrl,
+        ath: ath(token),
+      }).split('.');
+      const payload = Buffer.from(
+        JSON.stringify({ jti: 'x', iat: Math.floor(Date.now() / 1000), htm: 'GET', htu: mcpUrl })
+      ).toString('base64url');
+      await assert.rejects(verify(`${header}.${payload}.${signature}`), {
+        error: 'invalid_dpop_proof',
+      });
+    });
+
+    it('should reject proofs of another type, or carrying a private key', async function () {
+      const claims = { htm: 'POST', htu: mcpUrl, ath: ath(token) };
+      await assert.rejects(verify(createProof(key, claims, { typ: 'JWT' })), {
+        message: 'DPoP proof has an unsupported typ or alg',
+      });
+      const privateJwk = key.privateKey.export({ format: 'jwk' });
+      await assert.rejects(verify(createProof(key, claims, { jwk: privateJwk })), {
+        message: 'DPoP proof must carry a public jwk',
+      });
+    });
+
+    it('should reject proofs for another method or URL', async function () {
+      await assert.rejects(verify(createProof(key, { htm: 'GET', htu: mcpUrl, ath: ath(token) })), {
+        message: 'DPoP proof htm mismatch',
+      });
+      const otherUrl = 'http://localhost:3001/github/mcp';
+      await assert.rejects(
+        verify(createProof(key, { htm: 'POST', htu: otherUrl, ath: ath(token) })),
+        { message: 'DPoP proof htu mismatch' }
+      );
+    });
+
+    it('should ignore the query of the URL', async function () {
+      await verify(createProof(key, { htm: 'POST', htu: `${mcpUrl}?a=1`, ath: ath(token) }), {
+        url: `${mcpUrl}?b=2`,
+      });
+    });
+
+    it('should reject proofs for another access token', async function () {
+      await assert.rejects(
+        verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath('other-token') })),
+        { message: 'DPoP proof ath mismatch' }
+      );
+    });
+
+    it('should reject stale proofs', async function () {
+      const iat = Math.floor(Date.now() / 1000) - 600;
+      await assert.rejects(
+        verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token), iat })),
+        { message: 'DPoP proof iat is not recent enough' }
+      );
+    });
+
+    it('should reject replayed proofs', async function () {
+      const proof = createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token) });
+      await verify(proof);
+      await assert.rejects(verify(proof), { message: 'DPoP proof was already used' });
+    });
+
+    describe('with nonces', function () {
+      beforeEach(function () {
+        provider = createProvider({ required: false, nonceSecret: crypto.randomBytes(32) });
+        verifier = new DpopVerifier({ provider });
+      });
+
+      it('should require a nonce issued by the server', async function () {
+        await assert.rejects(
+          verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token) })),
+          { error: 'use_dpop_nonce' }
+        );
+        await assert.rejects(
+          verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token), nonce: 'made-up' })),
+          { error: 'use_dpop_nonce' }
+        );
+
+        const nonce = verifier.nextNonce();
+        await verify(createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(token), nonce }));
+      });
+    });
+  });
+
+  describe('authorization code flow', function () {
+    let flow;
+
+    beforeEach(async function () {
+      flow = await startAuthorizationServer(issuer, {
+        features: { ...providerConfig.features, dPoP: dpopFeature({ required: false }) },
+      });
+    });
+
+    afterEach(function () {
+      return flow.close();
+    });
+
+    it('should bind access tokens to the key of the token request proof', async function () {
+      const key = generateKey();
+      const redirect = await flow.authorize();
+      const tokens = await flow.exchangeCode(
+        redirect.searchParams.get('code'),
+        {},
+        { DPoP: createProof(key, { htm: 'POST', htu: `${issuer}/token` }) }
+      );
+
+      assert.equal(tokens.token_type, 'DPoP');
+      const accessToken = await flow.provider.AccessToken.find(tokens.access_token);
+      assert.equal(accessToken.jkt, calculateJwkThumbprint(key.jwk));
+
+      const verifier = new DpopVerifier({ provider: flow.provider });
+      const proof = createProof(key, { htm: 'POST', htu: mcpUrl, ath: ath(tokens.access_token) });
+      await verifier.verify(
+        { method: 'POST', headers: { dpop: proof } },
+        { scheme: 'dpop', token: tokens.access_token, accessToken, url: mcpUrl }
+      );
+    });
+  });
+});
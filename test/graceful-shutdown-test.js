@@ -0,0 +1,110 @@
+import assert from 'assert';
+import http from 'node:http';
+import sinon from 'sinon';
+
+import { createGracefulShutdown, drainHttpServer } from '../lib/graceful-shutdown.js';
+
+describe('Graceful shutdown', function () {
+  describe('drainHttpServer', function () {
+    let httpServer;
+    let port;
+
+    function listen(handler) {
+      httpServer = http.createServer(handler);
+      return new Promise((resolve) => {
+        httpServer.listen(0, '127.0.0.1', () => {
+          port = httpServer.address().port;
+          resolve();
+        });
+      });
+    }
+
+    function get() {
+      return new Promise((resolve, reject) => {
+        http
+          .get({ host: '127.0.0.1', port, path: '/' }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks).toString()));
+            res.on('error', reject);
+          })
+          .on('error', reject);
+      });
+    }
+
+    afterEach(function () {
+      httpServer.closeAllConnections();
+      httpServer.close();
+    });
+
+    it('should let in-flight requests finish', async function () {
+      await listen((_req, res) => {
+        setTimeout(() => res.end('finished'), 100);
+      });
+
+      const response = get();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await drainHttpServer(httpServer, 2000);
+
+      assert.equal(await response, 'finished');
+      assert.equal(httpServer.listening, false);
+    });
+
+    it('should cut connections still open at the deadline', async function () {
+      await listen((_req, res) => {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write('event: message\ndata: {}\n\n');
+      });
+
+      const response = get().catch((err) => err);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      const startedAt = Date.now();
+      await drainHttpServer(httpServer, 100);
+
+      assert.ok(Date.now() - startedAt >= 90);
+      assert.ok((await response) instanceof Error);
+    });
+
+    it('should resolve for a server that is not listening', async function () {
+      httpServer = http.createServer();
+      await drainHttpServer(httpServer, 100);
+      await drainHttpServer(undefined, 100);
+    });
+  });
+
+  describe('createGracefulShutdown', function () {
+    it('should run the steps in order, once', async function () {
+      const calls = [];
+      const shutdown = createGracefulShutdown([
+        {
+          name: 'first',
+          run: async () => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            calls.push('first');
+          },
+        },
+        { name: 'second', run: () => calls.push('second') },
+      ]);
+
+      await Promise.all([shutdown('SIGTERM'), shutdown('SIGINT')]);
+      await shutdown('SIGTERM');
+      assert.deepEqual(calls, ['first', 'second']);
+    });
+
+    it('should run later steps when a step fails', async function () {
+      const later = sinon.spy();
+      const shutdown = createGracefulShutdown([
+        {
+          name: 'failing',
+          run: () => {
+            throw new Error('Redis is gone');
+          },
+        },
+        { name: 'later', run: later },
+      ]);
+
+      await shutdown('SIGTERM');
+      assert.ok(later.calledOnce);
+    });
+  });
+});
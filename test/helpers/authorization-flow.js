@@ -0,0 +1,151 @@
+/**
+ * Authorization code flow against a real oidc-provider, on the in-memory adapter
+ */
+
+import assert from 'node:assert';
+import { createHash, randomBytes } from 'node:crypto';
+import http from 'node:http';
+import { URLSearchParams } from 'node:url';
+import express from 'express';
+import { Provider } from 'oidc-provider';
+
+import providerConfig from '../../lib/provider-config.js';
+import { clientData } from '../mocks/authorized-client-data.js';
+
+/**
+ * Start an auth server with the proxy's provider config. Its interaction route stands in for
+ * the identity callback: it logs the test account in, and grants the proxy scopes.
+ * @param {string} baseUrl - Issuer, listened on at its port
+ * @param {Object} [configOverrides] - Provider configuration merged over the proxy's
+ * @param {Function[]} [middleware] - Provider middleware, registered before it is mounted
+ * @returns {Promise<Object>} The provider, and functions to drive the flow
+ */
+export async function startAuthorizationServer(baseUrl, configOverrides = {}, middleware = []) {
+  const authProxyUrl = new URL(baseUrl);
+  const { adapter: _ignored, ...testProviderConfig } = providerConfig;
+  const provider = new Provider(baseUrl, { ...testProviderConfig, ...configOverrides });
+  await provider.Client.adapter.upsert(clientData.client_id, clientData);
+
+  const codeVerifier = randomBytes(32).toString('base64url');
+  const codeChallenge = createHash('sha256').update(codeVerifier).digest('base64url');
+  const cookies = new Map();
+
+  const app = express();
+  app.get('/interaction/:uid', async (req, res, next) => {
+    try {
+      const grant = new provider.Grant({
+        accountId: 'test_auth_identity',
+        clientId: clientData.client_id,
+      });
+      grant.addOIDCScope('openid offline_access');
+      const grantId = await grant.save();
+      await provider.interactionFinished(req, res, {
+        login: { accountId: 'test_auth_identity' },
+        consent: { grantId },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+  for (const fn of middleware) {
+    provider.use(fn);
+  }
+  app.use(provider.callback());
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(authProxyUrl.port, () => resolve(listening));
+  });
+
+  function request(method, path, body, extraHeaders = {}) {
+    return new Promise((resolve, reject) => {
+      const headers = {
+        ...extraHeaders,
+        cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; '),
+      };
+      if (body && !headers['content-type']) {
+        headers['content-type'] = 'application/x-www-form-urlencoded';
+      }
+      const req = http.request(
+        { hostname: authProxyUrl.hostname, port: authProxyUrl.port, path, method, headers },
+        (res) => {
+          for (const cookie of res.headers['set-cookie'] || []) {
+            const [pair] = cookie.split(';');
+            const [name, value] = pair.split('=');
+            cookies.set(name, value);
+          }
+          let resBody = '';
+          res.on('data', (chunk) => (resBody += chunk));
+          res.on('end', () =>
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: resBody })
+          );
+        }
+      );
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  async function postToken(params, headers) {
+    const res = await request(
+      'POST',
+      '/token',
+      new URLSearchParams({ client_id: clientData.client_id, ...params }).toString(),
+      headers
+    );
+    assert.equal(res.statusCode, 200, res.body);
+    return JSON.parse(res.body);
+  }
+
+  return {
+    provider,
+    request,
+
+    // Follow redirects on the auth server, until one leaves for the client
+    async authorize(extraParams = {}) {
+      const params = new URLSearchParams({
+        client_id: clientData.client_id,
+        redirect_uri: clientData.redirect_uris[0],
+        response_type: 'code',
+        scope: 'openid offline_access',
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        state: 'test-state',
+        ...extraParams,
+      });
+      let location = `/auth?${params}`;
+      while (location.startsWith('/') || location.startsWith(baseUrl)) {
+        const res = await request('GET', location.replace(baseUrl, ''));
+        assert.equal(res.statusCode, 303, `unexpected response from ${location}: ${res.body}`);
+        location = res.headers.location;
+      }
+      return new URL(location);
+    },
+
+    exchangeCode(code, extraParams = {}, headers = {}) {
+      return postToken(
+        {
+          grant_type: 'authorization_code',
+          redirect_uri: clientData.redirect_uris[0],
+          code,
+          code_verifier: codeVerifier,
+          ...extraParams,
+        },
+        headers
+      );
+    },
+
+    refresh(refreshToken, extraParams = {}) {
+      return postToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        ...extraParams,
+      });
+    },
+
+    close() {
+      return new Promise((resolve, reject) =>
+        server.close((err) => (err ? reject(err) : resolve()))
+      );
+    },
+  };
+}
@@ -24,6 +24,29 @@ export function createMockClient(options = {}) {
   };
 }
 
+/**
+ * In-memory model adapter, like the provider's, for stores created from its class
+ */
+export class MockModelAdapter {
+  static storage = new Map();
+
+  constructor(name) {
+    this.name = name;
+  }
+
+  async upsert(id, payload) {
+    MockModelAdapter.storage.set(`${this.name}:${id}`, payload);
+  }
+
+  async find(id) {
+    return MockModelAdapter.storage.get(`${this.name}:${id}`);
+  }
+
+  async destroy(id) {
+    MockModelAdapter.storage.delete(`${this.name}:${id}`);
+  }
+}
+
 /**
  * Create a mock OIDC provider for testing
  * @param {Object} [options] - Override options
@@ -48,6 +71,9 @@ export function createMockProvider(options = {}) {
     Interaction: {
       find: sinon.stub().resolves(interaction),
     },
+    Grant: {
+      adapter: new MockModelAdapter('Grant'),
+    },
   };
 }
 
@@ -0,0 +1,144 @@
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+
+import {
+  IDENTITY_ASSERTION_TYPE,
+  IdentityAssertionSigner,
+  parseIdentityAssertionConfig,
+} from '../lib/identity-assertion.js';
+
+function decode(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+describe('Identity assertions', function () {
+  describe('parseIdentityAssertionConfig', function () {
+    it('should be off by default', function () {
+      assert.equal(parseIdentityAssertionConfig({}), undefined);
+      assert.equal(
+        parseIdentityAssertionConfig({ MCP_SERVER_IDENTITY_ASSERTION: 'off' }),
+        undefined
+      );
+    });
+
+    it('should add assertions, and keep forwarding the identity token', function () {
+      assert.deepEqual(parseIdentityAssertionConfig({ MCP_SERVER_IDENTITY_ASSERTION: 'on' }), {
+        withholdIdentityToken: false,
+        ttlSeconds: 60,
+      });
+    });
+
+    it('should withhold the identity token in only mode', function () {
+      assert.deepEqual(
+        parseIdentityAssertionConfig({
+          MCP_SERVER_IDENTITY_ASSERTION: 'only',
+          MCP_SERVER_IDENTITY_ASSERTION_TTL_SECONDS: '30',
+        }),
+        { withholdIdentityToken: true, ttlSeconds: 30 }
+      );
+    });
+
+    it('should reject unknown modes and invalid lifetimes', function () {
+      assert.throws(
+        () => parseIdentityAssertionConfig({ MCP_SERVER_IDENTITY_ASSERTION: 'true' }),
+        /must be one of: off, on, only/
+      );
+      assert.throws(
+        () =>
+          parseIdentityAssertionConfig({
+            MCP_SERVER_IDENTITY_ASSERTION: 'on',
+            MCP_SERVER_IDENTITY_ASSERTION_TTL_SECONDS: '0',
+          }),
+        /must be greater than 0/
+      );
+    });
+  });
+
+  describe('IdentityAssertionSigner', function () {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const jwk = { ...privateKey.export({ format: 'jwk' }), kid: 'key-1' };
+    const credential = {
+      grantId: 'grant-1',
+      accountId: 'user-1',
+      clientId: 'client-1',
+      identityAuthId: 'user-1',
+      identityAuthAccessToken: 'identity-access-token',
+      identityAuthScope: 'global',
+      identityAuthInstanceUrl: 'https://instance.example.com',
+    };
+
+    it('should sign an assertion of the caller, verifiable with the public key', function () {
+      const signer = new IdentityAssertionSigner({
+        issuer: 'http://localhost:3001',
+        keys: [jwk],
+        ttlSeconds: 30,
+      });
+
+      const assertion = signer.sign({
+        credential,
+        accessToken: { scope: 'openid offline_access' },
+        audience: 'http://localhost:3001/mcp',
+        requestId: 'request-1',
+      });
+
+      const [header, payload, signature] = assertion.split('.');
+      assert.ok(
+        crypto.verify(
+          null,
+          Buffer.from(`${header}.${payload}`),
+          publicKey,
+          Buffer.from(signature, 'base64url')
+        )
+      );
+      assert.deepEqual(decode(header), {
+        alg: 'Ed25519',
+        typ: IDENTITY_ASSERTION_TYPE,
+        kid: 'key-1',
+      });
+      const claims = decode(payload);
+      assert.equal(claims.iss, 'http://localhost:3001');
+      assert.equal(claims.sub, 'user-1');
+      assert.equal(claims.aud, 'http://localhost:3001/mcp');
+      assert.equal(claims.client_id, 'client-1');
+      assert.equal(claims.scope, 'openid offline_access');
+      assert.equal(claims.identity_scope, 'global');
+      assert.equal(claims.instance_url, 'https://instance.example.com');
+      assert.equal(claims.request_id, 'request-1');
+      assert.equal(claims.exp - claims.iat, 30);
+      assert.ok(claims.jti);
+    });
+
+    it('should never include the identity token', function () {
+      const signer = new IdentityAssertionSigner({ issuer: 'http://localhost:3001', keys: [jwk] });
+
+      const assertion = signer.sign({
+        credential,
+        accessToken: {},
+        audience: 'http://localhost:3001/mcp',
+        requestId: 'request-1',
+      });
+
+      assert.doesNotMatch(JSON.stringify(decode(assertion.split('.')[1])), /identity-access-token/);
+    });
+
+    it('should give each assertion its own ID', function () {
+      const signer = new IdentityAssertionSigner({ issuer: 'http://localhost:3001', keys: [jwk] });
+      const sign = () =>
+        decode(signer.sign({ credential, accessToken: {}, audience: 'aud' }).split('.')[1]).jti;
+
+      assert.notEqual(sign(), sign());
+    });
+
+    it('should require an Ed25519 private key', function () {
+      const { publicKey: otherPublicKey } = crypto.generateKeyPairSync('ed25519');
+      assert.throws(
+        () =>
+          new IdentityAssertionSigner({
+            issuer: 'http://localhost:3001',
+            keys: [otherPublicKey.export({ format: 'jwk' })],
+          }),
+        /require an Ed25519 private key/
+      );
+    });
+  });
+});
@@ -3,12 +3,16 @@
  * These tests cover the actual implementation code paths with mocked dependencies
  */
 
+import { writeFile, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { expect } from 'chai';
 import sinon from 'sinon';
 import esmock from 'esmock';
 import {
   createMockClient,
   createMockProvider,
+  MockModelAdapter,
   resetPkceStore,
 } from './helpers/pkce-test-helpers.js';
 import { futureExpiry } from './helpers/test-utils.js';
@@ -52,8 +56,15 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
   afterEach(() => {
     sinon.restore();
     resetPkceStore();
+    MockModelAdapter.storage.clear();
   });
 
+  const grant = {
+    grantId: 'mock-test-grant',
+    accountId: 'user-id-abc',
+    clientId: 'mock-test-client',
+  };
+
   describe('generateIdentityAuthUrl with initialized adapter', () => {
     beforeEach(async () => {
       // Initialize the adapter first
@@ -149,18 +160,25 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
       expect(result).to.deep.equal(mockTokenResponse);
       expect(mockOidcAdapter.exchangeCode.calledOnce).to.be.true;
 
-      // Verify client session was updated with all token fields
-      expect(mockClient.identityAuthAccessToken).to.equal('access-token-123');
-      expect(mockClient.identityAuthRefreshToken).to.equal('refresh-token-456');
-      expect(mockClient.identityAuthTokenType).to.equal('Bearer');
-      expect(mockClient.identityAuthScope).to.equal('openid profile email');
-      expect(mockClient.identityAuthIdToken).to.equal('id-token-789');
-      expect(mockClient.identityAuthId).to.equal('user-id-abc');
-      expect(mockClient.identityAuthSignature).to.equal('sig-xyz');
-      expect(mockClient.identityAuthInstanceUrl).to.equal('https://instance.salesforce.com');
-      expect(mockClient.identityAuthExpiresIn).to.equal(3600);
-      expect(mockClient.identityAuthSessionNonce).to.equal('nonce-123');
-      expect(mockProvider.Client.adapter.upsert.calledOnce).to.be.true;
+      // Tokens belong to the user's grant, not to the client
+      expect(mockClient.identityAuthAccessToken).to.be.undefined;
+      expect(mockProvider.Client.adapter.upsert.called).to.be.false;
+
+      // Verify the upstream credential maps all token fields
+      const credential = identityClientAdapter.createUpstreamCredential(result, grant);
+      expect(credential.grantId).to.equal('mock-test-grant');
+      expect(credential.accountId).to.equal('user-id-abc');
+      expect(credential.clientId).to.equal('mock-test-client');
+      expect(credential.identityAuthAccessToken).to.equal('access-token-123');
+      expect(credential.identityAuthRefreshToken).to.equal('refresh-token-456');
+      expect(credential.identityAuthTokenType).to.equal('Bearer');
+      expect(credential.identityAuthScope).to.equal('openid profile email');
+      expect(credential.identityAuthIdToken).to.equal('id-token-789');
+      expect(credential.identityAuthId).to.equal('user-id-abc');
+      expect(credential.identityAuthSignature).to.equal('sig-xyz');
+      expect(credential.identityAuthInstanceUrl).to.equal('https://instance.salesforce.com');
+      expect(credential.identityAuthExpiresIn).to.equal(3600);
+      expect(credential.identityAuthSessionNonce).to.equal('nonce-123');
     });
 
     it('should exchange code with verifier from fallback storage', async () => {
@@ -205,14 +223,15 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
       mockClient.identityAuthCodeVerifier = 'verifier-123';
       mockOidcAdapter.exchangeCode.resolves(mockTokenResponse);
 
-      await identityClientAdapter.exchangeIdentityCode(
+      const result = await identityClientAdapter.exchangeIdentityCode(
         mockProvider,
         mockClient,
         'code',
         'https://callback.example.com'
       );
 
-      expect(mockClient.identityAuthId).to.equal('user-id-from-user_id-field');
+      const credential = identityClientAdapter.createUpstreamCredential(result, grant);
+      expect(credential.identityAuthId).to.equal('user-id-from-user_id-field');
     });
 
     it('should handle token response without userData', async () => {
@@ -233,8 +252,9 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
       );
 
       expect(result.accessToken).to.equal('access-token-no-userdata');
-      expect(mockClient.identityAuthSignature).to.be.undefined;
-      expect(mockClient.identityAuthInstanceUrl).to.be.undefined;
+      const credential = identityClientAdapter.createUpstreamCredential(result, grant);
+      expect(credential.identityAuthSignature).to.be.undefined;
+      expect(credential.identityAuthInstanceUrl).to.be.undefined;
     });
 
     it('should use default values for missing token response fields', async () => {
@@ -246,16 +266,17 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
       mockClient.identityAuthCodeVerifier = 'verifier-123';
       mockOidcAdapter.exchangeCode.resolves(mockTokenResponse);
 
-      await identityClientAdapter.exchangeIdentityCode(
+      const result = await identityClientAdapter.exchangeIdentityCode(
         mockProvider,
         mockClient,
         'code',
         'https://callback.example.com'
       );
 
-      expect(mockClient.identityAuthTokenType).to.equal('Bearer');
-      expect(mockClient.identityAuthScope).to.equal('openid profile email');
-      expect(mockClient.identityAuthIssuedAt).to.be.closeTo(Math.floor(Date.now() / 1000), 2);
+      const credential = identityClientAdapter.createUpstreamCredential(result, grant);
+      expect(credential.identityAuthTokenType).to.equal('Bearer');
+      expect(credential.identityAuthScope).to.equal('openid profile email');
+      expect(credential.identityAuthIssuedAt).to.be.closeTo(Math.floor(Date.now() / 1000), 2);
     });
 
     it('should log error when token exchange fails', async () => {
@@ -287,6 +308,8 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
         },
         mockProvider
       );
+      // Refresh works on the upstream credential of a grant
+      Object.assign(mockClient, grant);
     });
 
     it('should refresh token successfully with new refresh token', async () => {
@@ -310,13 +333,16 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
       expect(mockOidcAdapter.refreshToken.calledOnce).to.be.true;
       expect(mockOidcAdapter.refreshToken.calledWith('old-refresh-token')).to.be.true;
 
-      // Verify client session was updated
+      // Verify the credential was updated and stored for its grant
       expect(mockClient.identityAuthAccessToken).to.equal('new-access-token');
       expect(mockClient.identityAuthRefreshToken).to.equal('new-refresh-token');
       expect(mockClient.identityAuthTokenType).to.equal('Bearer');
       expect(mockClient.identityAuthScope).to.equal('openid profile email');
       expect(mockClient.identityAuthSignature).to.equal('new-signature');
-      expect(mockProvider.Client.adapter.upsert.calledOnce).to.be.true;
+      expect(mockProvider.Client.adapter.upsert.called).to.be.false;
+      expect(
+        MockModelAdapter.storage.get('UpstreamCredential:mock-test-grant').identityAuthAccessToken
+      ).to.equal('new-access-token');
     });
 
     it('should refresh token without updating refresh token if not provided', async () => {
@@ -423,4 +449,191 @@ describe('Identity Client Adapter - Mocked Implementation Tests', () => {
       expect(identityClientAdapter.pkceStateStore.has('state-key-123')).to.be.false;
     });
   });
+
+  describe('exchangeIdentityToken', () => {
+    let mockOpenidClient;
+
+    beforeEach(async () => {
+      mockOpenidClient = {
+        Configuration: sinon.spy(),
+        allowInsecureRequests: sinon.stub(),
+        discovery: sinon.stub().resolves({ issuer: 'https://auth.example.com' }),
+        genericGrantRequest: sinon.stub(),
+        tokenRevocation: sinon.stub(),
+      };
+      identityClientAdapter = await esmock('../lib/identity-client-adapter.js', {
+        '@heroku/oauth-provider-adapters-for-mcp': {
+          fromEnvironmentAsync: sinon.stub().resolves(mockOidcAdapter),
+          DefaultLogger: class {
+            constructor() {}
+          },
+          LogLevel: { Info: 'info' },
+        },
+        'openid-client': mockOpenidClient,
+      });
+      await identityClientAdapter.identityClientInit(
+        {
+          IDENTITY_CLIENT_ID: 'test-client',
+          IDENTITY_CLIENT_SECRET: 'secret',
+          IDENTITY_SERVER_URL: 'https://auth.example.com',
+          BASE_URL: 'https://app.example.com',
+        },
+        mockProvider
+      );
+    });
+
+    it('should exchange the identity token at the discovered token endpoint', async () => {
+      mockOpenidClient.genericGrantRequest.resolves({
+        access_token: 'exchanged-token',
+        token_type: 'bearer',
+        expires_in: 300,
+      });
+
+      const result = await identityClientAdapter.exchangeIdentityToken('identity-token', {
+        audience: 'github-mcp',
+        scope: 'repo',
+      });
+
+      expect(result.access_token).to.equal('exchanged-token');
+      const [serverUrl, clientId, clientMetadata, clientAuth] =
+        mockOpenidClient.discovery.firstCall.args;
+      expect(serverUrl.href).to.equal('https://auth.example.com/');
+      expect(clientId).to.equal('test-client');
+      // Left to openid-client, which picks client_secret_post like it does for the adapter
+      expect(clientMetadata).to.deep.equal({ client_secret: 'secret' });
+      expect(clientAuth).to.be.undefined;
+      const [, grantType, parameters] = mockOpenidClient.genericGrantRequest.firstCall.args;
+      expect(grantType).to.equal('urn:ietf:params:oauth:grant-type:token-exchange');
+      expect(parameters).to.deep.equal({
+        subject_token: 'identity-token',
+        subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        requested_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        audience: 'github-mcp',
+        scope: 'repo',
+      });
+    });
+
+    it('should authenticate a client without a secret like the adapter does', async () => {
+      await identityClientAdapter.identityClientInit(
+        {
+          IDENTITY_CLIENT_ID: 'public-client',
+          IDENTITY_SERVER_URL: 'https://auth.example.com',
+          BASE_URL: 'https://app.example.com',
+        },
+        mockProvider
+      );
+      mockOpenidClient.genericGrantRequest.resolves({ access_token: 'exchanged-token' });
+
+      await identityClientAdapter.exchangeIdentityToken('identity-token', { audience: 'a' });
+
+      const [, clientId, clientMetadata, clientAuth] = mockOpenidClient.discovery.firstCall.args;
+      expect(clientId).to.equal('public-client');
+      expect(clientMetadata).to.be.undefined;
+      expect(clientAuth).to.be.undefined;
+    });
+
+    it('should use the static metadata of the adapter instead of discovery', async () => {
+      const metadataFile = join(tmpdir(), `identity-metadata-${process.pid}.json`);
+      await writeFile(
+        metadataFile,
+        JSON.stringify({
+          issuer: 'https://auth.example.com',
+          token_endpoint: 'https://auth.example.com/token',
+        })
+      );
+      try {
+        await identityClientAdapter.identityClientInit(
+          {
+            IDENTITY_CLIENT_ID: 'test-client',
+            IDENTITY_CLIENT_SECRET: 'secret',
+            IDENTITY_SERVER_URL: 'https://auth.example.com',
+            IDENTITY_SERVER_METADATA_FILE: metadataFile,
+            BASE_URL: 'https://app.example.com',
+          },
+          mockProvider
+        );
+        mockOpenidClient.genericGrantRequest.resolves({ access_token: 'exchanged-token' });
+
+        await identityClientAdapter.exchangeIdentityToken('identity-token', { audience: 'a' });
+      } finally {
+        await unlink(metadataFile);
+      }
+
+      expect(mockOpenidClient.discovery.called).to.be.false;
+      const [metadata, clientId, clientMetadata, clientAuth] =
+        mockOpenidClient.Configuration.firstCall.args;
+      expect(metadata.token_endpoint).to.equal('https://auth.example.com/token');
+      expect(clientId).to.equal('test-client');
+      expect(clientMetadata).to.deep.equal({ client_secret: 'secret' });
+      expect(clientAuth).to.be.undefined;
+      expect(mockOpenidClient.allowInsecureRequests.called).to.be.false;
+    });
+
+    it('should discover the token endpoint once', async () => {
+      mockOpenidClient.genericGrantRequest.resolves({ access_token: 'exchanged-token' });
+
+      await identityClientAdapter.exchangeIdentityToken('identity-token', { audience: 'a' });
+      await identityClientAdapter.exchangeIdentityToken('identity-token', { audience: 'b' });
+
+      expect(mockOpenidClient.discovery.calledOnce).to.be.true;
+    });
+
+    it('should discover again after discovery fails', async () => {
+      mockOpenidClient.discovery.onFirstCall().rejects(new Error('Discovery failed'));
+      mockOpenidClient.genericGrantRequest.resolves({ access_token: 'exchanged-token' });
+
+      try {
+        await identityClientAdapter.exchangeIdentityToken('identity-token', { audience: 'a' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Discovery failed');
+      }
+      const result = await identityClientAdapter.exchangeIdentityToken('identity-token', {
+        audience: 'a',
+      });
+
+      expect(result.access_token).to.equal('exchanged-token');
+      expect(mockOpenidClient.discovery.calledTwice).to.be.true;
+    });
+
+    it('should throw the error of a rejected exchange', async () => {
+      const error = new Error('server responded with an error in the response body');
+      error.error = 'invalid_target';
+      mockOpenidClient.genericGrantRequest.rejects(error);
+
+      try {
+        await identityClientAdapter.exchangeIdentityToken('identity-token', { audience: 'a' });
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.error).to.equal('invalid_target');
+      }
+    });
+
+    it('should revoke refresh tokens at the discovered revocation endpoint', async () => {
+      mockOpenidClient.tokenRevocation.resolves();
+
+      await identityClientAdapter.revokeIdentityToken({
+        grantId: 'grant-1',
+        clientId: 'client-1',
+        identityAuthRefreshToken: 'refresh-token',
+      });
+
+      const [config, token, parameters] = mockOpenidClient.tokenRevocation.firstCall.args;
+      expect(config).to.deep.equal({ issuer: 'https://auth.example.com' });
+      expect(token).to.equal('refresh-token');
+      expect(parameters).to.deep.equal({ token_type_hint: 'refresh_token' });
+      expect(mockOpenidClient.discovery.calledOnce).to.be.true;
+    });
+
+    it('should throw the error of a rejected revocation', async () => {
+      mockOpenidClient.tokenRevocation.rejects(new Error('revocation_endpoint must be configured'));
+
+      try {
+        await identityClientAdapter.revokeIdentityToken({ identityAuthRefreshToken: 'token' });
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.message).to.equal('revocation_endpoint must be configured');
+      }
+    });
+  });
 });
@@ -0,0 +1,202 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import {
+  createCoordinatedRefresh,
+  adoptIdentityTokens,
+} from '../lib/identity-token-refresh-coordinator.js';
+
+function createCredential(overrides = {}) {
+  return {
+    grantId: 'grant-1',
+    accountId: 'user-1',
+    clientId: 'client-1',
+    identityAuthId: 'user-1',
+    identityAuthAccessToken: 'stale_access_token',
+    identityAuthRefreshToken: 'stale_refresh_token',
+    ...overrides,
+  };
+}
+
+// Refresh stub that rotates tokens like an identity provider would, and stores the credential
+function createRefreshStub(store) {
+  let generation = 0;
+  return sinon.stub().callsFake(async (_provider, credential) => {
+    generation++;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    credential.identityAuthAccessToken = `fresh_access_token_${generation}`;
+    credential.identityAuthRefreshToken = `fresh_refresh_token_${generation}`;
+    store.credential = { ...credential };
+    return { accessToken: credential.identityAuthAccessToken };
+  });
+}
+
+describe('identity-token-refresh-coordinator', function () {
+  let store;
+  let provider;
+  let credentialStore;
+
+  beforeEach(function () {
+    store = { credential: createCredential() };
+    provider = {};
+    credentialStore = {
+      find: sinon.stub().callsFake(async () => ({ ...store.credential })),
+    };
+  });
+
+  describe('adoptIdentityTokens', function () {
+    it('should copy identity token fields only', function () {
+      const target = createCredential();
+      adoptIdentityTokens(
+        target,
+        createCredential({
+          grantId: 'other',
+          identityAuthAccessToken: 'new',
+          identityAuthIssuedAt: 123,
+        })
+      );
+      expect(target.grantId).to.equal('grant-1');
+      expect(target.identityAuthAccessToken).to.equal('new');
+      expect(target.identityAuthIssuedAt).to.equal(123);
+    });
+  });
+
+  describe('createCoordinatedRefresh', function () {
+    it('should require a refresh function', function () {
+      expect(() => createCoordinatedRefresh()).to.throw(/requires a refresh function/);
+    });
+
+    it('should coalesce concurrent refreshes for a grant within the process', async function () {
+      const refreshTokenFunc = createRefreshStub(store);
+      const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc);
+
+      const credentials = [createCredential(), createCredential(), createCredential()];
+      const results = await Promise.all(credentials.map((c) => coordinatedRefresh(provider, c)));
+
+      expect(refreshTokenFunc.calledOnce).to.be.true;
+      for (const credential of credentials) {
+        expect(credential.identityAuthAccessToken).to.equal('fresh_access_token_1');
+        expect(credential.identityAuthRefreshToken).to.equal('fresh_refresh_token_1');
+      }
+      expect(results.map((r) => r.accessToken)).to.deep.equal(
+        Array(3).fill('fresh_access_token_1')
+      );
+      expect(coordinatedRefresh.inFlight.size).to.equal(0);
+    });
+
+    it('should refresh again once the previous refresh completed', async function () {
+      const refreshTokenFunc = createRefreshStub(store);
+      const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc);
+
+      await coordinatedRefresh(provider, createCredential());
+      await coordinatedRefresh(provider, createCredential());
+
+      expect(refreshTokenFunc.calledTwice).to.be.true;
+    });
+
+    it('should reject all waiters when the refresh fails', async function () {
+      const refreshTokenFunc = sinon.stub().rejects(new Error('invalid_grant'));
+      const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc);
+
+      const results = await Promise.allSettled([
+        coordinatedRefresh(provider, createCredential()),
+        coordinatedRefresh(provider, createCredential()),
+      ]);
+
+      expect(results.map((r) => r.status)).to.deep.equal(['rejected', 'rejected']);
+      expect(refreshTokenFunc.calledOnce).to.be.true;
+    });
+
+    describe('with a lock across dynos', function () {
+      let lock;
+
+      beforeEach(function () {
+        lock = {
+          acquire: sinon.stub().resolves('lock-token'),
+          release: sinon.stub().resolves(true),
+        };
+      });
+
+      it('should refresh while holding the lock', async function () {
+        const refreshTokenFunc = createRefreshStub(store);
+        const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc, {
+          lock,
+          credentialStore,
+        });
+
+        await coordinatedRefresh(provider, createCredential());
+
+        expect(lock.acquire.calledOnceWith('identity-refresh:grant-1')).to.be.true;
+        expect(refreshTokenFunc.calledOnce).to.be.true;
+        expect(lock.release.calledOnceWith('identity-refresh:grant-1', 'lock-token')).to.be.true;
+      });
+
+      it('should reuse the token stored by the dyno that held the lock', async function () {
+        const refreshTokenFunc = createRefreshStub(store);
+        // Another dyno holds the lock, then stores its refreshed token
+        lock.acquire.onFirstCall().callsFake(async () => {
+          store.credential = createCredential({
+            identityAuthAccessToken: 'other_dyno_access_token',
+          });
+          return null;
+        });
+        const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc, {
+          lock,
+          credentialStore,
+          pollIntervalMilliseconds: 1,
+        });
+        const credential = createCredential();
+
+        await coordinatedRefresh(provider, credential);
+
+        expect(refreshTokenFunc.called).to.be.false;
+        expect(credentialStore.find.calledWith('grant-1')).to.be.true;
+        expect(credential.identityAuthAccessToken).to.equal('other_dyno_access_token');
+      });
+
+      it('should wait for the lock and then refresh itself if nothing was stored', async function () {
+        const refreshTokenFunc = createRefreshStub(store);
+        lock.acquire.onFirstCall().resolves(null);
+        const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc, {
+          lock,
+          credentialStore,
+          pollIntervalMilliseconds: 1,
+        });
+
+        await coordinatedRefresh(provider, createCredential());
+
+        expect(lock.acquire.calledTwice).to.be.true;
+        expect(refreshTokenFunc.calledOnce).to.be.true;
+      });
+
+      it('should give up after waiting too long for the lock', async function () {
+        lock.acquire.resolves(null);
+        const coordinatedRefresh = createCoordinatedRefresh(createRefreshStub(store), {
+          lock,
+          credentialStore,
+          waitTimeoutMilliseconds: 10,
+          pollIntervalMilliseconds: 2,
+        });
+
+        let error;
+        try {
+          await coordinatedRefresh(provider, createCredential());
+        } catch (err) {
+          error = err;
+        }
+        expect(error?.message).to.equal('Timed out waiting for another identity token refresh');
+      });
+
+      it('should refresh without the lock when Redis is unavailable', async function () {
+        lock.acquire.rejects(new Error('Connection is closed.'));
+        const refreshTokenFunc = createRefreshStub(store);
+        const coordinatedRefresh = createCoordinatedRefresh(refreshTokenFunc, { lock });
+
+        await coordinatedRefresh(provider, createCredential());
+
+        expect(refreshTokenFunc.calledOnce).to.be.true;
+        expect(lock.release.called).to.be.false;
+      });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import {
+  getIdentityTokenExpiresAt,
+  isIdentityTokenExpiring,
+  parseSeconds,
+  IdentityTokenRefresher,
+} from '../lib/identity-token-refresh.js';
+
+describe('identity-token-refresh', function () {
+  const now = 1_700_000_000;
+
+  describe('getIdentityTokenExpiresAt', function () {
+    it('should add expires-in to issued-at', function () {
+      expect(
+        getIdentityTokenExpiresAt({ identityAuthIssuedAt: now, identityAuthExpiresIn: 3600 })
+      ).to.equal(now + 3600);
+    });
+
+    it('should return null when expiry metadata is missing', function () {
+      expect(getIdentityTokenExpiresAt({ identityAuthIssuedAt: now })).to.be.null;
+      expect(getIdentityTokenExpiresAt({ identityAuthExpiresIn: 3600 })).to.be.null;
+      expect(getIdentityTokenExpiresAt(undefined)).to.be.null;
+    });
+  });
+
+  describe('isIdentityTokenExpiring', function () {
+    const client = { identityAuthIssuedAt: now, identityAuthExpiresIn: 300 };
+
+    it('should be false well before expiry', function () {
+      expect(isIdentityTokenExpiring(client, 60, now + 100)).to.be.false;
+    });
+
+    it('should be true within the skew', function () {
+      expect(isIdentityTokenExpiring(client, 60, now + 250)).to.be.true;
+    });
+
+    it('should be true after expiry without skew', function () {
+      expect(isIdentityTokenExpiring(client, 0, now + 300)).to.be.true;
+    });
+
+    it('should be false when the expiry is unknown', function () {
+      expect(isIdentityTokenExpiring({}, 60, now)).to.be.false;
+    });
+  });
+
+  describe('parseSeconds', function () {
+    it('should use the default when unset', function () {
+      expect(parseSeconds(undefined, 60, 'SKEW')).to.equal(60);
+    });
+
+    it('should parse numbers', function () {
+      expect(parseSeconds('0', 60, 'SKEW')).to.equal(0);
+      expect(parseSeconds('90', 60, 'SKEW')).to.equal(90);
+    });
+
+    it('should reject invalid values', function () {
+      expect(() => parseSeconds('-1', 60, 'SKEW')).to.throw(
+        'SKEW must be a non-negative number of seconds'
+      );
+      expect(() => parseSeconds('soon', 60, 'SKEW')).to.throw(/SKEW/);
+    });
+  });
+
+  describe('IdentityTokenRefresher', function () {
+    let clock;
+    let credentials;
+    let provider;
+    let credentialStore;
+    let refreshTokenFunc;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers({ now: now * 1000 });
+      credentials = {
+        expiring: {
+          grantId: 'expiring',
+          identityAuthRefreshToken: 'refresh',
+          identityAuthIssuedAt: now - 3550,
+          identityAuthExpiresIn: 3600,
+        },
+        fresh: {
+          grantId: 'fresh',
+          identityAuthRefreshToken: 'refresh',
+          identityAuthIssuedAt: now,
+          identityAuthExpiresIn: 3600,
+        },
+      };
+      provider = {};
+      credentialStore = {
+        find: sinon.stub().callsFake(async (grantId) => credentials[grantId]),
+      };
+      refreshTokenFunc = sinon.stub().resolves();
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it('should require a positive interval', function () {
+      expect(
+        () =>
+          new IdentityTokenRefresher({
+            provider,
+            credentialStore,
+            refreshTokenFunc,
+            intervalSeconds: 0,
+          })
+      ).to.throw('intervalSeconds must be a positive number');
+    });
+
+    it('should refresh only tracked grants with expiring tokens', async function () {
+      const refresher = new IdentityTokenRefresher({
+        provider,
+        credentialStore,
+        refreshTokenFunc,
+        intervalSeconds: 30,
+        skewSeconds: 60,
+      });
+      refresher.track('expiring');
+      refresher.track('fresh');
+
+      const refreshed = await refresher.refreshExpiring();
+
+      expect(refreshed).to.equal(1);
+      expect(refreshTokenFunc.calledOnceWith(provider, credentials.expiring)).to.be.true;
+    });
+
+    it('should stop tracking idle grants', async function () {
+      const refresher = new IdentityTokenRefresher({
+        provider,
+        credentialStore,
+        refreshTokenFunc,
+        intervalSeconds: 30,
+        activeSeconds: 60,
+      });
+      refresher.track('expiring');
+      clock.tick(61 * 1000);
+
+      expect(await refresher.refreshExpiring()).to.equal(0);
+      expect(refresher.activeGrants.size).to.equal(0);
+      expect(refreshTokenFunc.called).to.be.false;
+    });
+
+    it('should stop tracking grants whose refresh fails', async function () {
+      refreshTokenFunc.rejects(new Error('invalid_grant'));
+      const refresher = new IdentityTokenRefresher({
+        provider,
+        credentialStore,
+        refreshTokenFunc,
+        intervalSeconds: 30,
+      });
+      refresher.track('expiring');
+
+      expect(await refresher.refreshExpiring()).to.equal(0);
+      expect(refresher.activeGrants.has('expiring')).to.be.false;
+    });
+
+    it('should refresh on each interval once started', async function () {
+      const refresher = new IdentityTokenRefresher({
+        provider,
+        credentialStore,
+        refreshTokenFunc,
+        intervalSeconds: 30,
+      });
+      refresher.track('expiring');
+      refresher.start();
+
+      await clock.tickAsync(30 * 1000);
+      refresher.stop();
+
+      expect(refreshTokenFunc.calledOnce).to.be.true;
+    });
+  });
+});
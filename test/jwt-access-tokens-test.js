@@ -0,0 +1,208 @@
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+
+import providerConfig from '../lib/provider-config.js';
+import {
+  JwtAccessTokenVerifier,
+  addJwtAccessTokenClaims,
+  findJwtAccessToken,
+  isJwt,
+  parseAccessTokenFormat,
+} from '../lib/jwt-access-tokens.js';
+import { configureResourceIndicators } from '../lib/resource-indicators.js';
+import { startAuthorizationServer } from './helpers/authorization-flow.js';
+
+const issuer = 'http://localhost:3001';
+
+function generateJwk(kid) {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  return { ...privateKey.export({ format: 'jwk' }), kid };
+}
+
+function sign(jwk, payload, header = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'Ed25519', typ: 'at+jwt', kid: jwk.kid, ...header })}.${encode(payload)}`;
+  const key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+  const signature = crypto.sign(null, Buffer.from(signingInput), key).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+describe('JWT access tokens', function () {
+  const jwk = generateJwk('key-1');
+  const claims = {
+    jti: 'token-1',
+    iss: issuer,
+    sub: 'user-1',
+    client_id: 'client-1',
+    aud: 'http://localhost:3001/mcp',
+    scope: 'openid',
+    grant_id: 'grant-1',
+    exp: Math.floor(Date.now() / 1000) + 60,
+  };
+
+  describe('parseAccessTokenFormat', function () {
+    it('should default to opaque', function () {
+      assert.equal(parseAccessTokenFormat({}), 'opaque');
+    });
+
+    it('should accept jwt', function () {
+      assert.equal(parseAccessTokenFormat({ MCP_AUTH_PROXY_ACCESS_TOKEN_FORMAT: 'jwt' }), 'jwt');
+    });
+
+    it('should reject unknown formats', function () {
+      assert.throws(
+        () => parseAccessTokenFormat({ MCP_AUTH_PROXY_ACCESS_TOKEN_FORMAT: 'paseto' }),
+        /must be one of: opaque, jwt/
+      );
+    });
+  });
+
+  describe('isJwt', function () {
+    it('should tell JWTs from opaque tokens', function () {
+      assert.equal(isJwt(sign(jwk, claims)), true);
+      assert.equal(isJwt('opaque-token_value'), false);
+    });
+  });
+
+  describe('addJwtAccessTokenClaims', function () {
+    it('should add the grant of the token', function () {
+      const jwt = { header: {}, payload: {} };
+      addJwtAccessTokenClaims({}, { grantId: 'grant-1' }, jwt);
+      assert.equal(jwt.payload.grant_id, 'grant-1');
+    });
+  });
+
+  describe('JwtAccessTokenVerifier', function () {
+    const verifier = new JwtAccessTokenVerifier({ issuer, keys: [jwk] });
+
+    it('should return the claims of a valid token', function () {
+      assert.deepEqual(verifier.verify(sign(jwk, claims)), claims);
+    });
+
+    it('should reject tokens signed with another key', function () {
+      const otherJwk = generateJwk('key-1');
+      assert.equal(verifier.verify(sign(otherJwk, claims)), undefined);
+    });
+
+    it('should reject tokens that are not access tokens', function () {
+      assert.equal(verifier.verify(sign(jwk, claims, { typ: 'JWT' })), undefined);
+    });
+
+    it('should reject tokens with another algorithm', function () {
+      assert.equal(verifier.verify(sign(jwk, claims, { alg: 'none' })), undefined);
+    });
+
+    it('should reject tokens from another issuer', function () {
+      assert.equal(
+        verifier.verify(sign(jwk, { ...claims, iss: 'https://other.example.com' })),
+        undefined
+      );
+    });
+
+    it('should reject expired tokens', function () {
+      const exp = Math.floor(Date.now() / 1000) - 1;
+      assert.equal(verifier.verify(sign(jwk, { ...claims, exp })), undefined);
+    });
+
+    it('should reject malformed tokens', function () {
+      assert.equal(verifier.verify('not.a.jwt'), undefined);
+    });
+  });
+
+  describe('findJwtAccessToken', function () {
+    const verifier = new JwtAccessTokenVerifier({ issuer, keys: [jwk] });
+
+    function providerWithGrant(grant) {
+      return { Grant: { find: async () => grant } };
+    }
+
+    it('should return the token, when its grant is bound to the same account & client', async function () {
+      const provider = providerWithGrant({ accountId: 'user-1', clientId: 'client-1' });
+
+      const accessToken = await findJwtAccessToken(provider, verifier, sign(jwk, claims));
+
+      assert.equal(accessToken.grantId, 'grant-1');
+      assert.equal(accessToken.accountId, 'user-1');
+      assert.equal(accessToken.clientId, 'client-1');
+      assert.equal(accessToken.aud, 'http://localhost:3001/mcp');
+      assert.equal(accessToken.format, 'jwt');
+    });
+
+    it('should not return tokens of a revoked grant', async function () {
+      const provider = providerWithGrant(undefined);
+      assert.equal(await findJwtAccessToken(provider, verifier, sign(jwk, claims)), undefined);
+    });
+
+    it('should not return tokens of a grant bound to another account', async function () {
+      const provider = providerWithGrant({ accountId: 'user-2', clientId: 'client-1' });
+      assert.equal(await findJwtAccessToken(provider, verifier, sign(jwk, claims)), undefined);
+    });
+
+    it('should not return tokens without a grant', async function () {
+      const provider = providerWithGrant({ accountId: 'user-1', clientId: 'client-1' });
+      const { grant_id: _grantId, ...withoutGrant } = claims;
+      assert.equal(
+        await findJwtAccessToken(provider, verifier, sign(jwk, withoutGrant)),
+        undefined
+      );
+    });
+  });
+
+  describe('authorization code flow', function () {
+    let flow;
+
+    beforeEach(async function () {
+      const routes = [{ path: '/mcp', url: new URL('http://localhost:3000/mcp') }];
+      const { resourceIndicators, loadExistingGrant } = configureResourceIndicators(
+        issuer,
+        routes,
+        ['openid', 'offline_access'],
+        { accessTokenFormat: 'jwt' }
+      );
+      flow = await startAuthorizationServer(issuer, {
+        features: { ...providerConfig.features, resourceIndicators },
+        formats: { customizers: { jwt: addJwtAccessTokenClaims } },
+        loadExistingGrant,
+      });
+    });
+
+    afterEach(function () {
+      return flow.close();
+    });
+
+    it('should issue JWT access tokens verifiable with the provider keys', async function () {
+      const redirect = await flow.authorize();
+      const tokens = await flow.exchangeCode(redirect.searchParams.get('code'));
+      const verifier = new JwtAccessTokenVerifier({
+        issuer: flow.provider.issuer,
+        keys: providerConfig.jwks.keys,
+      });
+
+      assert.ok(isJwt(tokens.access_token));
+      const [header] = tokens.access_token.split('.');
+      assert.equal(JSON.parse(Buffer.from(header, 'base64url')).typ, 'at+jwt');
+
+      const accessToken = await findJwtAccessToken(flow.provider, verifier, tokens.access_token);
+      assert.equal(accessToken.aud, 'http://localhost:3001/mcp');
+      assert.equal(accessToken.accountId, 'test_auth_identity');
+      assert.ok(accessToken.grantId);
+    });
+
+    it('should no longer accept JWT access tokens once their grant is revoked', async function () {
+      const redirect = await flow.authorize();
+      const tokens = await flow.exchangeCode(redirect.searchParams.get('code'));
+      const verifier = new JwtAccessTokenVerifier({
+        issuer: flow.provider.issuer,
+        keys: providerConfig.jwks.keys,
+      });
+      const { grant_id: grantId } = verifier.verify(tokens.access_token);
+
+      await flow.provider.Grant.adapter.destroy(grantId);
+
+      assert.equal(
+        await findJwtAccessToken(flow.provider, verifier, tokens.access_token),
+        undefined
+      );
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import assert from 'assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  INVALID_REQUEST_ERROR_CODE,
+  McpAuthorizationPolicy,
+  PARSE_ERROR_CODE,
+  POLICY_DENIED_ERROR_CODE,
+  authorizeJsonRpcMessages,
+  parseJsonRpcMessages,
+  parseMcpAuthorizationPolicy,
+  policySubject,
+} from '../lib/mcp-authorization-policy.js';
+
+function encodeIdToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256' })}.${encode(claims)}.signature`;
+}
+
+const subject = {
+  accountId: 'user-1',
+  clientId: 'client-1',
+  scopes: ['openid', 'offline_access'],
+  claims: { sub: 'user-1', groups: ['engineering', 'support'], instance_url: 'https://a.example' },
+};
+
+function toolCall(name, id = 1) {
+  return { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: {} } };
+}
+
+describe('MCP authorization policy', function () {
+  describe('McpAuthorizationPolicy', function () {
+    it('should allow everything without rules', function () {
+      const policy = new McpAuthorizationPolicy({});
+      assert.deepEqual(policy.authorize(toolCall('anything'), subject, '/mcp'), { allowed: true });
+    });
+
+    it('should apply the first matching rule', function () {
+      const policy = new McpAuthorizationPolicy({
+        rules: [
+          { tools: ['delete_*'], effect: 'deny' },
+          { tools: ['*'], effect: 'allow' },
+        ],
+        default: 'deny',
+      });
+      assert.deepEqual(policy.authorize(toolCall('delete_repo'), subject, '/mcp'), {
+        allowed: false,
+        reason: 'denied by policy.rules[0]',
+      });
+      assert.equal(policy.authorize(toolCall('get_repo'), subject, '/mcp').allowed, true);
+    });
+
+    it('should deny calls no rule matches, by default deny', function () {
+      const policy = new McpAuthorizationPolicy({
+        default: 'deny',
+        rules: [{ methods: ['initialize', 'notifications/*', 'tools/list'], effect: 'allow' }],
+      });
+      const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} };
+      assert.equal(policy.authorize(initialize, subject, '/mcp').allowed, true);
+      const initialized = { jsonrpc: '2.0', method: 'notifications/initialized' };
+      assert.equal(policy.authorize(initialized, subject, '/mcp').allowed, true);
+      assert.deepEqual(policy.authorize(toolCall('get_repo'), subject, '/mcp'), {
+        allowed: false,
+        reason: 'not allowed by any rule',
+      });
+    });
+
+    it('should always allow responses to the MCP server', function () {
+      const policy = new McpAuthorizationPolicy({ default: 'deny' });
+      const response = { jsonrpc: '2.0', id: 'server-1', result: {} };
+      assert.equal(policy.authorize(response, subject, '/mcp').allowed, true);
+    });
+
+    it('should match resource URIs and prompt names of their methods only', function () {
+      const policy = new McpAuthorizationPolicy({
+        rules: [
+          { resources: ['file:///secrets/*'], effect: 'deny' },
+          { prompts: ['admin-*'], effect: 'deny' },
+        ],
+      });
+      const read = (uri) => ({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri } });
+      assert.equal(policy.authorize(read('file:///secrets/key'), subject, '/mcp').allowed, false);
+      assert.equal(policy.authorize(read('file:///docs/readme'), subject, '/mcp').allowed, true);
+      const subscribe = { ...read('file:///secrets/key'), method: 'resources/subscribe' };
+      assert.equal(policy.authorize(subscribe, subject, '/mcp').allowed, false);
+
+      const getPrompt = {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'prompts/get',
+        params: { name: 'admin-x' },
+      };
+      assert.equal(policy.authorize(getPrompt, subject, '/mcp').allowed, false);
+      assert.equal(policy.authorize(toolCall('admin-x'), subject, '/mcp').allowed, true);
+    });
+
+    it('should match patterns literally, apart from *', function () {
+      const policy = new McpAuthorizationPolicy({ rules: [{ tools: ['a.b'], effect: 'deny' }] });
+      assert.equal(policy.authorize(toolCall('a.b'), subject, '/mcp').allowed, false);
+      assert.equal(policy.authorize(toolCall('axb'), subject, '/mcp').allowed, true);
+    });
+
+    it('should only apply rules to their routes', function () {
+      const policy = new McpAuthorizationPolicy({
+        rules: [{ routes: ['/github/mcp/'], tools: ['*'], effect: 'deny' }],
+      });
+      assert.equal(policy.authorize(toolCall('x'), subject, '/github/mcp').allowed, false);
+      assert.equal(policy.authorize(toolCall('x'), subject, '/mcp').allowed, true);
+    });
+
+    it('should match the caller by scopes, account, client and claims', function () {
+      const allowAdmin = (when) =>
+        new McpAuthorizationPolicy({
+          default: 'deny',
+          rules: [{ tools: ['admin_*'], when, effect: 'allow' }],
+        });
+      const allowed = (when) =>
+        allowAdmin(when).authorize(toolCall('admin_reset'), subject, '/mcp').allowed;
+
+      assert.equal(allowed({ scopes: ['openid', 'offline_access'] }), true);
+      assert.equal(allowed({ scopes: ['openid', 'admin'] }), false);
+      assert.equal(allowed({ accounts: ['user-1', 'user-2'] }), true);
+      assert.equal(allowed({ accounts: ['user-2'] }), false);
+      assert.equal(allowed({ clients: ['client-1'] }), true);
+      assert.equal(allowed({ clients: ['client-2'] }), false);
+      assert.equal(allowed({ claims: { groups: 'support' } }), true);
+      assert.equal(allowed({ claims: { groups: ['admins', 'engineering'] } }), true);
+      assert.equal(allowed({ claims: { groups: 'admins' } }), false);
+      assert.equal(allowed({ claims: { instance_url: 'https://a.example', team: 'x' } }), false);
+    });
+
+    it('should reject invalid policies', function () {
+      assert.throws(() => new McpAuthorizationPolicy([]), /policy must be an object/);
+      assert.throws(
+        () => new McpAuthorizationPolicy({ default: 'maybe' }),
+        /policy.default must be one of: allow, deny/
+      );
+      assert.throws(
+        () => new McpAuthorizationPolicy({ rules: [{ tools: ['x'] }] }),
+        /policy.rules\[0\].effect must be one of: allow, deny/
+      );
+      assert.throws(
+        () => new McpAuthorizationPolicy({ rules: [{ effect: 'deny', tools: 'x' }] }),
+        /policy.rules\[0\].tools must be an array of strings/
+      );
+      assert.throws(
+        () => new McpAuthorizationPolicy({ rules: [{ effect: 'deny', when: { claims: [] } }] }),
+        /policy.rules\[0\].when.claims must be an object/
+      );
+    });
+  });
+
+  describe('parseMcpAuthorizationPolicy', function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-policy-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should not configure a policy by default', function () {
+      assert.equal(parseMcpAuthorizationPolicy({}), undefined);
+    });
+
+    it('should load the policy file', function () {
+      const file = path.join(dir, 'policy.json');
+      fs.writeFileSync(file, JSON.stringify({ rules: [{ tools: ['x'], effect: 'deny' }] }));
+      const policy = parseMcpAuthorizationPolicy({ MCP_SERVER_POLICY_FILE: file });
+      assert.equal(policy.authorize(toolCall('x'), subject, '/mcp').allowed, false);
+    });
+
+    it('should reject missing, malformed or invalid files', function () {
+      const file = path.join(dir, 'policy.json');
+      assert.throws(
+        () => parseMcpAuthorizationPolicy({ MCP_SERVER_POLICY_FILE: file }),
+        /MCP_SERVER_POLICY_FILE must be a readable JSON file/
+      );
+      fs.writeFileSync(file, '{');
+      assert.throws(
+        () => parseMcpAuthorizationPolicy({ MCP_SERVER_POLICY_FILE: file }),
+        /MCP_SERVER_POLICY_FILE must be a readable JSON file/
+      );
+      fs.writeFileSync(file, JSON.stringify({ rules: {} }));
+      assert.throws(
+        () => parseMcpAuthorizationPolicy({ MCP_SERVER_POLICY_FILE: file }),
+        /MCP_SERVER_POLICY_FILE.rules must be an array/
+      );
+    });
+  });
+
+  describe('policySubject', function () {
+    it('should describe the caller from the access token and identity', function () {
+      const accessToken = { accountId: 'user-1', clientId: 'client-1', scope: 'openid mcp' };
+      const credential = {
+        identityAuthId: 'user-1',
+        identityAuthScope: 'api',
+        identityAuthInstanceUrl: 'https://a.example',
+        identityAuthIdToken: encodeIdToken({ sub: 'user-1', groups: ['support'] }),
+      };
+      assert.deepEqual(policySubject(accessToken, credential), {
+        accountId: 'user-1',
+        clientId: 'client-1',
+        scopes: ['openid', 'mcp'],
+        claims: {
+          sub: 'user-1',
+          groups: ['support'],
+          identity_scope: 'api',
+          instance_url: 'https://a.example',
+        },
+      });
+    });
+
+    it('should do without an identity token', function () {
+      const claims = policySubject(
+        { accountId: 'user-1', clientId: 'c' },
+        { identityAuthId: 'user-1' }
+      ).claims;
+      assert.equal(claims.sub, 'user-1');
+      assert.deepEqual(policySubject({ accountId: 'user-1', clientId: 'c' }, {}).scopes, []);
+    });
+  });
+
+  describe('parseJsonRpcMessages', function () {
+    it('should parse a message or a batch', function () {
+      assert.deepEqual(parseJsonRpcMessages(Buffer.from(JSON.stringify(toolCall('x')))), {
+        messages: [toolCall('x')],
+        batch: false,
+      });
+      assert.deepEqual(parseJsonRpcMessages(JSON.stringify([toolCall('x'), toolCall('y', 2)])), {
+        messages: [toolCall('x'), toolCall('y', 2)],
+        batch: true,
+      });
+      assert.deepEqual(parseJsonRpcMessages(toolCall('x')).messages, [toolCall('x')]);
+    });
+
+    it('should reject bodies that are not JSON-RPC', function () {
+      assert.throws(() => parseJsonRpcMessages(Buffer.from('{')), { code: PARSE_ERROR_CODE });
+      assert.throws(() => parseJsonRpcMessages('[]'), { code: INVALID_REQUEST_ERROR_CODE });
+      assert.throws(() => parseJsonRpcMessages('[1]'), { code: INVALID_REQUEST_ERROR_CODE });
+    });
+  });
+
+  describe('authorizeJsonRpcMessages', function () {
+    const policy = new McpAuthorizationPolicy({ rules: [{ tools: ['delete_*'], effect: 'deny' }] });
+
+    it('should deny nothing when every message is allowed', function () {
+      const parsed = parseJsonRpcMessages([toolCall('get_repo')]);
+      assert.deepEqual(authorizeJsonRpcMessages(policy, parsed, subject, '/mcp'), { denied: [] });
+    });
+
+    it('should answer a denied request with a JSON-RPC error', function () {
+      const parsed = parseJsonRpcMessages(toolCall('delete_repo', 7));
+      const { denied, response } = authorizeJsonRpcMessages(policy, parsed, subject, '/mcp');
+      assert.equal(denied.length, 1);
+      assert.deepEqual(response, {
+        jsonrpc: '2.0',
+        id: 7,
+        error: {
+          code: POLICY_DENIED_ERROR_CODE,
+          message: 'Forbidden: tools/call "delete_repo" is not allowed',
+        },
+      });
+    });
+
+    it('should answer every request of a batch with a denied request', function () {
+      const parsed = parseJsonRpcMessages([
+        toolCall('get_repo', 1),
+        toolCall('delete_repo', 2),
+        { jsonrpc: '2.0', method: 'notifications/progress' },
+      ]);
+      const { response } = authorizeJsonRpcMessages(policy, parsed, subject, '/mcp');
+      assert.deepEqual(
+        response.map(({ id, error }) => [id, error.message]),
+        [
+          [1, 'Request was not sent, another request of the batch was denied'],
+          [2, 'Forbidden: tools/call "delete_repo" is not allowed'],
+        ]
+      );
+    });
+
+    it('should have no response for denied notifications', function () {
+      const notifications = new McpAuthorizationPolicy({
+        rules: [{ methods: ['notifications/*'], effect: 'deny' }],
+      });
+      const parsed = parseJsonRpcMessages({ jsonrpc: '2.0', method: 'notifications/cancelled' });
+      const result = authorizeJsonRpcMessages(notifications, parsed, subject, '/mcp');
+      assert.equal(result.denied.length, 1);
+      assert.equal(result.response, undefined);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import assert from 'assert';
+import { PassThrough } from 'node:stream';
+
+import {
+  SseMessageTransform,
+  filterListResponse,
+  filterListResponseBody,
+} from '../lib/mcp-list-filter.js';
+import { McpAuthorizationPolicy } from '../lib/mcp-authorization-policy.js';
+
+const policy = new McpAuthorizationPolicy({
+  rules: [
+    { tools: ['delete_*'], effect: 'deny' },
+    { resources: ['file:///secrets/*'], effect: 'deny' },
+    { prompts: ['admin-*'], effect: 'deny' },
+  ],
+});
+const subject = { accountId: 'user-1', clientId: 'client-1', scopes: [], claims: {} };
+const isAllowed = (call) => policy.authorize(call, subject, '/mcp').allowed;
+
+const toolsList = {
+  jsonrpc: '2.0',
+  id: 1,
+  result: {
+    tools: [{ name: 'get_repo' }, { name: 'delete_repo' }],
+    nextCursor: 'page-2',
+  },
+};
+
+function filterStream(chunks) {
+  return new Promise((resolve, reject) => {
+    const source = new PassThrough();
+    const filter = new SseMessageTransform((message) => filterListResponse(message, isAllowed));
+    let output = '';
+    filter.on('data', (chunk) => (output += chunk));
+    filter.on('end', () => resolve(output));
+    filter.on('error', reject);
+    source.pipe(filter);
+    for (const chunk of chunks) {
+      source.write(chunk);
+    }
+    source.end();
+  });
+}
+
+describe('MCP list filter', function () {
+  describe('filterListResponse', function () {
+    it('should remove the tools the caller may not call', function () {
+      assert.deepEqual(filterListResponse(toolsList, isAllowed), {
+        jsonrpc: '2.0',
+        id: 1,
+        result: { tools: [{ name: 'get_repo' }], nextCursor: 'page-2' },
+      });
+    });
+
+    it('should remove the resources and prompts the caller may not use', function () {
+      const resources = {
+        jsonrpc: '2.0',
+        id: 2,
+        result: {
+          resources: [
+            { uri: 'file:///docs/readme', name: 'readme' },
+            { uri: 'file:///secrets/key', name: 'key' },
+          ],
+        },
+      };
+      assert.deepEqual(filterListResponse(resources, isAllowed).result.resources, [
+        { uri: 'file:///docs/readme', name: 'readme' },
+      ]);
+
+      const prompts = {
+        jsonrpc: '2.0',
+        id: 3,
+        result: { prompts: [{ name: 'summarize' }, { name: 'admin-reset' }] },
+      };
+      assert.deepEqual(filterListResponse(prompts, isAllowed).result.prompts, [
+        { name: 'summarize' },
+      ]);
+    });
+
+    it('should remove the resource templates of resources the caller may not read', function () {
+      const templates = {
+        jsonrpc: '2.0',
+        id: 4,
+        result: {
+          resourceTemplates: [
+            { uriTemplate: 'file:///docs/{path}', name: 'docs' },
+            { uriTemplate: 'file:///secrets/{name}', name: 'secrets' },
+          ],
+        },
+      };
+      assert.deepEqual(filterListResponse(templates, isAllowed).result.resourceTemplates, [
+        { uriTemplate: 'file:///docs/{path}', name: 'docs' },
+      ]);
+    });
+
+    it('should return other messages, and lists with nothing to hide, as they were', function () {
+      const allowed = { jsonrpc: '2.0', id: 1, result: { tools: [{ name: 'get_repo' }] } };
+      assert.equal(filterListResponse(allowed, isAllowed), allowed);
+      const callResult = { jsonrpc: '2.0', id: 1, result: { content: [] } };
+      assert.equal(filterListResponse(callResult, isAllowed), callResult);
+      const request = { jsonrpc: '2.0', id: 1, method: 'x', result: { tools: [{}] } };
+      assert.equal(filterListResponse(request, isAllowed), request);
+      const error = { jsonrpc: '2.0', id: 1, error: { code: -32601, message: 'Not found' } };
+      assert.equal(filterListResponse(error, isAllowed), error);
+    });
+  });
+
+  describe('filterListResponseBody', function () {
+    it('should filter a single response or a batch', function () {
+      const single = filterListResponseBody(Buffer.from(JSON.stringify(toolsList)), isAllowed);
+      assert.deepEqual(JSON.parse(single).result.tools, [{ name: 'get_repo' }]);
+
+      const batch = filterListResponseBody(
+        Buffer.from(JSON.stringify([{ jsonrpc: '2.0', id: 0, result: {} }, toolsList])),
+        isAllowed
+      );
+      assert.deepEqual(JSON.parse(batch)[1].result.tools, [{ name: 'get_repo' }]);
+    });
+
+    it('should return unchanged and invalid bodies as they were', function () {
+      const unchanged = Buffer.from('{ "jsonrpc": "2.0", "id": 1, "result": {} }');
+      assert.equal(filterListResponseBody(unchanged, isAllowed), unchanged);
+      const invalid = Buffer.from('{');
+      assert.equal(filterListResponseBody(invalid, isAllowed), invalid);
+    });
+  });
+
+  describe('SseMessageTransform', function () {
+    it('should filter list responses, keeping the other fields of their event', async function () {
+      const output = await filterStream([
+        `id: 7\nevent: message\ndata: ${JSON.stringify(toolsList)}\n\n`,
+      ]);
+      const [, data] = output.match(/^id: 7\nevent: message\ndata: (.*)\n\n$/);
+      assert.deepEqual(JSON.parse(data).result.tools, [{ name: 'get_repo' }]);
+    });
+
+    it('should pass other events through byte-for-byte', async function () {
+      const events =
+        ': keep-alive\r\n\r\n' +
+        'id: 1\r\nevent: message\r\ndata: {"jsonrpc":"2.0","method":"notifications/progress"}\r\n\r\n' +
+        'retry: 1000\n\n';
+      assert.equal(await filterStream([events]), events);
+    });
+
+    it('should filter events split across chunks, and multi-line data', async function () {
+      const json = JSON.stringify(toolsList, null, 2);
+      const event = `${json
+        .split('\n')
+        .map((line) => `data: ${line}`)
+        .join('\n')}\n\n`;
+      const bytes = Buffer.from(event);
+      const output = await filterStream([
+        bytes.subarray(0, 17),
+        bytes.subarray(17, 60),
+        bytes.subarray(60),
+      ]);
+      const [, data] = output.match(/^data: (.*)\n\n$/);
+      assert.deepEqual(JSON.parse(data).result.tools, [{ name: 'get_repo' }]);
+    });
+
+    it('should pass an incomplete last event through', async function () {
+      assert.equal(await filterStream(['data: {"jsonrpc"']), 'data: {"jsonrpc"');
+    });
+  });
+});
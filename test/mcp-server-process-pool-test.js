@@ -0,0 +1,271 @@
+import assert from 'assert';
+import http from 'node:http';
+
+import { McpServerProcessPool, parsePositiveInteger } from '../lib/mcp-server-process-pool.js';
+
+// POST one JSON-RPC message, answered with JSON
+function postJsonRpc(url, message, sessionId) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'content-type': 'application/json', accept: 'application/json' };
+    if (sessionId) {
+      headers['mcp-session-id'] = sessionId;
+    }
+    const req = http.request(url, { method: 'POST', headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          sessionId: res.headers['mcp-session-id'],
+          body: chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : undefined,
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(message));
+  });
+}
+
+async function listTools(url) {
+  const initialized = await postJsonRpc(url, {
+    jsonrpc: '2.0',
+    id: 0,
+    method: 'initialize',
+    params: { protocolVersion: '2025-06-18', capabilities: {} },
+  });
+  const listed = await postJsonRpc(
+    url,
+    { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+    initialized.sessionId
+  );
+  return listed.body.result;
+}
+
+function client(grantId, identityAuthAccessToken = `token-${grantId}`, identityAuthIssuedAt) {
+  return {
+    grantId,
+    identityAuthId: `user-${grantId}`,
+    identityAuthAccessToken,
+    identityAuthIssuedAt,
+  };
+}
+
+describe('MCP Server process pool', function () {
+  describe('parsePositiveInteger', function () {
+    it('should use the default when unset', function () {
+      assert.equal(parsePositiveInteger(undefined, 10, 'MAX'), 10);
+      assert.equal(parsePositiveInteger('', 10, 'MAX'), 10);
+    });
+
+    it('should parse positive integers', function () {
+      assert.equal(parsePositiveInteger('3', 10, 'MAX'), 3);
+    });
+
+    it('should reject other values', function () {
+      assert.throws(() => parsePositiveInteger('0', 10, 'MAX'), {
+        message: 'MAX must be a positive integer',
+      });
+      assert.throws(() => parsePositiveInteger('1.5', 10, 'MAX'), /positive integer/);
+    });
+  });
+
+  describe('with stdio processes', function () {
+    let pool;
+
+    function createPool(options = {}) {
+      pool = new McpServerProcessPool({
+        runConfig: {
+          command: process.execPath,
+          runArgs: ['mocks/stdio-mcp-server.js'],
+          runDir: 'test',
+          runEnv: {},
+        },
+        mcpServerUrl: new URL('http://localhost:3000/mcp'),
+        transport: 'stdio',
+        ...options,
+      });
+      return pool;
+    }
+
+    afterEach(function () {
+      pool?.stop();
+    });
+
+    it('should run one process per user, with the user token in its environment', async function () {
+      createPool();
+
+      const alice = await pool.acquire(client('alice'));
+      const aliceAgain = await pool.acquire(client('alice'));
+      const bob = await pool.acquire(client('bob'));
+
+      assert.equal(alice.url.href, aliceAgain.url.href);
+      assert.notEqual(alice.url.href, bob.url.href);
+      assert.equal(pool.processes.size, 2);
+
+      assert.equal((await listTools(alice.url)).userToken, 'token-alice');
+      assert.equal((await listTools(bob.url)).userToken, 'token-bob');
+    });
+
+    it('should run one process per grant of a user, without restarts between them', async function () {
+      createPool();
+      const desktop = { ...client('desktop'), identityAuthId: 'alice' };
+      const cli = { ...client('cli'), identityAuthId: 'alice' };
+
+      (await pool.acquire(desktop)).release();
+      (await pool.acquire(cli)).release();
+      const desktopPid = pool.processes.get('desktop').mcpServerProcess.pid;
+      const desktopAgain = await pool.acquire(desktop);
+
+      assert.equal(pool.processes.get('desktop').mcpServerProcess.pid, desktopPid);
+      assert.equal(pool.processes.size, 2);
+      assert.equal((await listTools(desktopAgain.url)).userToken, 'token-desktop');
+    });
+
+    it('should share one start-up between concurrent requests of a grant', async function () {
+      createPool();
+
+      const [first, second] = await Promise.all([
+        pool.acquire(client('alice')),
+        pool.acquire(client('alice')),
+      ]);
+      assert.equal(first.url.href, second.url.href);
+      assert.equal(pool.processes.get('alice').activeRequests, 2);
+    });
+
+    it('should require a grant', async function () {
+      createPool();
+
+      await assert.rejects(() => pool.acquire({ identityAuthId: 'alice' }), {
+        message: 'Per-user MCP Server processes require a grantId',
+      });
+    });
+
+    it('should evict the least recently used idle process when full', async function () {
+      createPool({ maxProcesses: 2 });
+
+      (await pool.acquire(client('alice'))).release();
+      (await pool.acquire(client('bob'))).release();
+      pool.processes.get('alice').lastUsedAt -= 1000;
+
+      await pool.acquire(client('carol'));
+      assert.deepEqual([...pool.processes.keys()].sort(), ['bob', 'carol']);
+    });
+
+    it('should refuse a new user when every process is busy', async function () {
+      createPool({ maxProcesses: 1 });
+
+      const alice = await pool.acquire(client('alice'));
+      assert.equal(await pool.acquire(client('bob')), null);
+
+      alice.release();
+      const bob = await pool.acquire(client('bob'));
+      assert.ok(bob);
+      assert.deepEqual([...pool.processes.keys()], ['bob']);
+    });
+
+    it('should stop idle processes', async function () {
+      createPool({ idleSeconds: 60 });
+
+      (await pool.acquire(client('alice'))).release();
+      await pool.acquire(client('bob'));
+
+      pool.stopIdleProcesses(Date.now() + 61 * 1000);
+      assert.deepEqual([...pool.processes.keys()], ['bob']);
+    });
+
+    it('should restart an idle process once the user token is refreshed', async function () {
+      createPool();
+
+      (await pool.acquire(client('alice', 'old-token', 1000))).release();
+      const originalPid = pool.processes.get('alice').mcpServerProcess.pid;
+
+      const refreshed = await pool.acquire(client('alice', 'new-token', 2000));
+      assert.notEqual(pool.processes.get('alice').mcpServerProcess.pid, originalPid);
+      assert.equal((await listTools(refreshed.url)).userToken, 'new-token');
+      assert.equal(pool.retiring.size, 0);
+    });
+
+    it('should replace a busy process once the user token is refreshed', async function () {
+      createPool();
+
+      const original = await pool.acquire(client('alice', 'old-token', 1000));
+      const originalProcess = pool.processes.get('alice').mcpServerProcess;
+
+      // The old process finishes its requests, while new ones get the refreshed token
+      const refreshed = await pool.acquire(client('alice', 'new-token', 2000));
+      assert.notEqual(refreshed.url.href, original.url.href);
+      assert.equal((await listTools(refreshed.url)).userToken, 'new-token');
+      assert.equal(originalProcess.exitCode, null);
+      assert.equal(pool.retiring.size, 1);
+
+      const exited = new Promise((resolve) => originalProcess.once('exit', resolve));
+      original.release();
+      await exited;
+      assert.equal(pool.retiring.size, 0);
+      assert.equal(pool.processes.size, 1);
+    });
+
+    it('should not restart for a credential older than the token of the process', async function () {
+      createPool();
+
+      (await pool.acquire(client('alice', 'new-token', 2000))).release();
+      const pid = pool.processes.get('alice').mcpServerProcess.pid;
+
+      const stale = await pool.acquire(client('alice', 'old-token', 1000));
+      assert.equal(pool.processes.get('alice').mcpServerProcess.pid, pid);
+      assert.equal((await listTools(stale.url)).userToken, 'new-token');
+    });
+  });
+
+  describe('with http processes', function () {
+    let pool;
+
+    afterEach(function () {
+      pool?.stop();
+    });
+
+    it('should start each process on a free port', async function () {
+      pool = new McpServerProcessPool({
+        runConfig: {
+          command: process.execPath,
+          runArgs: ['mocks/mcp-server.js'],
+          runDir: 'test',
+          runEnv: {},
+        },
+        mcpServerUrl: new URL('http://localhost:3000/mcp'),
+      });
+
+      const alice = await pool.acquire(client('alice'));
+      assert.notEqual(alice.url.port, '3000');
+      assert.equal(alice.url.pathname, '/mcp');
+
+      const status = await new Promise((resolve, reject) => {
+        http
+          .get(alice.url, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+          })
+          .on('error', reject);
+      });
+      // Without a session, the mock MCP Server rejects the event stream
+      assert.equal(status, 400);
+    });
+
+    it('should fail when the process exits before listening', async function () {
+      pool = new McpServerProcessPool({
+        runConfig: {
+          command: process.execPath,
+          runArgs: ['-e', 'process.exit(3)'],
+          runDir: 'test',
+          runEnv: {},
+        },
+        mcpServerUrl: new URL('http://localhost:3000/mcp'),
+      });
+
+      await assert.rejects(() => pool.acquire(client('alice')), {
+        message: 'MCP Server process exited with code 3',
+      });
+      assert.equal(pool.processes.size, 0);
+    });
+  });
+});
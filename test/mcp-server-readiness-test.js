@@ -0,0 +1,184 @@
+import assert from 'assert';
+import sinon from 'sinon';
+import express from 'express';
+
+import {
+  parseReadinessConfig,
+  waitForMcpServerReady,
+  DEFAULT_READINESS_TIMEOUT_SECONDS,
+} from '../lib/mcp-server-readiness.js';
+import runMcpServerAndThen from '../lib/run-mcp-server-and-then.js';
+
+const fastConfig = { timeoutSeconds: 2, intervalSeconds: 0.05 };
+
+describe('MCP Server readiness', function () {
+  describe('parseReadinessConfig', function () {
+    it('should probe the MCP Server URL by default', function () {
+      const config = parseReadinessConfig({});
+      assert.equal(config.probe, 'url');
+      assert.equal(config.timeoutSeconds, DEFAULT_READINESS_TIMEOUT_SECONDS);
+    });
+
+    it('should probe the health path when configured', function () {
+      const config = parseReadinessConfig({
+        MCP_SERVER_READINESS_HEALTH_PATH: '/healthz',
+        MCP_SERVER_READINESS_TIMEOUT_SECONDS: '10',
+      });
+      assert.equal(config.probe, 'health');
+      assert.equal(config.healthPath, '/healthz');
+      assert.equal(config.timeoutSeconds, 10);
+    });
+
+    it('should reject unknown probes', function () {
+      assert.throws(() => parseReadinessConfig({ MCP_SERVER_READINESS_PROBE: 'tcp' }), {
+        message: 'MCP_SERVER_READINESS_PROBE must be one of: url, health, initialize, output',
+      });
+    });
+
+    it('should require a health path for the health probe', function () {
+      assert.throws(
+        () => parseReadinessConfig({ MCP_SERVER_READINESS_PROBE: 'health' }),
+        /MCP_SERVER_READINESS_HEALTH_PATH must be a path/
+      );
+    });
+  });
+
+  describe('waitForMcpServerReady', function () {
+    let app;
+    let httpServer;
+    let mcpServerUrl;
+
+    beforeEach(function () {
+      app = express();
+    });
+
+    afterEach(function () {
+      httpServer?.close();
+      httpServer = undefined;
+    });
+
+    function listen() {
+      return new Promise((resolve) => {
+        httpServer = app.listen(0, '127.0.0.1', () => {
+          mcpServerUrl = new URL(`http://127.0.0.1:${httpServer.address().port}/mcp`);
+          resolve();
+        });
+      });
+    }
+
+    it('should wait for the MCP Server URL to answer', async function () {
+      app.get('/mcp', (_req, res) => res.status(405).end());
+      await listen();
+
+      await waitForMcpServerReady(mcpServerUrl, { probe: 'url', ...fastConfig });
+    });
+
+    it('should retry until the health path succeeds', async function () {
+      let checks = 0;
+      app.get('/healthz', (_req, res) => {
+        checks += 1;
+        res.status(checks < 3 ? 503 : 200).end();
+      });
+      await listen();
+
+      await waitForMcpServerReady(mcpServerUrl, {
+        probe: 'health',
+        healthPath: '/healthz',
+        ...fastConfig,
+      });
+      assert.equal(checks, 3);
+    });
+
+    it('should initialize a session, then end it', async function () {
+      const deleted = sinon.spy();
+      app.post('/mcp', express.json(), (req, res) => {
+        assert.equal(req.body.method, 'initialize');
+        res.set('mcp-session-id', 'probe-session');
+        res.type('text/event-stream');
+        res.send(
+          `event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: req.body.id, result: {} })}\n\n`
+        );
+      });
+      app.delete('/mcp', (req, res) => {
+        deleted(req.get('mcp-session-id'));
+        res.status(204).end();
+      });
+      await listen();
+
+      await waitForMcpServerReady(mcpServerUrl, { probe: 'initialize', ...fastConfig });
+      assert.ok(deleted.calledOnceWith('probe-session'));
+    });
+
+    it('should give up after the timeout', async function () {
+      app.get('/mcp', (_req, res) => res.status(502).end());
+      await listen();
+
+      await assert.rejects(
+        () =>
+          waitForMcpServerReady(mcpServerUrl, {
+            probe: 'url',
+            timeoutSeconds: 0.2,
+            intervalSeconds: 0.05,
+          }),
+        { message: 'MCP Server did not become ready within 0.2s, MCP Server URL responded 502' }
+      );
+    });
+
+    it('should stop waiting once the process has exited', async function () {
+      await assert.rejects(
+        () =>
+          waitForMcpServerReady(
+            new URL('http://127.0.0.1:9/mcp'),
+            { probe: 'url', ...fastConfig },
+            { exitCode: 1 }
+          ),
+        { message: 'MCP Server process exited with code 1' }
+      );
+    });
+  });
+
+  describe('runMcpServerAndThen with a readiness probe', function () {
+    const config = { probe: 'url', timeoutSeconds: 10, intervalSeconds: 0.1 };
+
+    it('should start once the MCP Server answers', function (done) {
+      const mcpServerUrl = new URL('http://localhost:3456/mcp');
+      runMcpServerAndThen(
+        'node',
+        '["mocks/mcp-server.js"]',
+        'test',
+        '{"PORT":3456}',
+        (mcpServerProcess) => {
+          mcpServerProcess.kill();
+          done();
+        },
+        () => {},
+        {
+          waitUntilReady: (mcpServerProcess) =>
+            waitForMcpServerReady(mcpServerUrl, config, mcpServerProcess),
+        }
+      );
+    });
+
+    it('should fail when the MCP Server exits after logging a banner', function (done) {
+      const startedFunc = sinon.spy();
+      const exitFunc = sinon.spy((code) => {
+        if (code === 1) {
+          assert.ok(startedFunc.notCalled);
+          done();
+        }
+      });
+      runMcpServerAndThen(
+        'node',
+        JSON.stringify(['-e', 'console.log("starting up"); process.exit(2)']),
+        'test',
+        '{}',
+        startedFunc,
+        exitFunc,
+        {
+          waitUntilReady: (mcpServerProcess) =>
+            waitForMcpServerReady(new URL('http://127.0.0.1:9/mcp'), config, mcpServerProcess),
+        }
+      );
+    });
+  });
+});
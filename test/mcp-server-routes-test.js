@@ -0,0 +1,181 @@
+import assert from 'assert';
+
+import { parseMcpServerRoutes, protectedResourceMetadataPath } from '../lib/mcp-server-routes.js';
+
+describe('MCP Server routes', function () {
+  const providerScopes = ['openid', 'offline_access', 'repo'];
+
+  describe('without MCP_SERVER_ROUTES_JSON', function () {
+    it('should proxy the path of MCP_SERVER_URL', function () {
+      const routes = parseMcpServerRoutes({ MCP_SERVER_URL: 'http://localhost:3000/mcp' });
+
+      assert.equal(routes.length, 1);
+      assert.equal(routes[0].path, '/mcp');
+      assert.equal(routes[0].url.href, 'http://localhost:3000/mcp');
+    });
+
+    it('should crash with invalid MCP_SERVER_URL', function () {
+      assert.throws(() => parseMcpServerRoutes({ MCP_SERVER_URL: 'not-a-valid-url' }), {
+        message: 'MCP_SERVER_URL must be a valid URL',
+      });
+    });
+
+    it('should exchange identity tokens with MCP_SERVER_TOKEN_EXCHANGE_JSON', function () {
+      const routes = parseMcpServerRoutes({
+        MCP_SERVER_URL: 'http://localhost:3000/mcp',
+        MCP_SERVER_TOKEN_EXCHANGE_JSON: '{"audience":"mcp-server","scope":"read"}',
+      });
+
+      assert.deepEqual(routes[0].tokenExchange, { audience: 'mcp-server', scope: 'read' });
+    });
+
+    it('should reject invalid MCP_SERVER_TOKEN_EXCHANGE_JSON', function () {
+      assert.throws(
+        () =>
+          parseMcpServerRoutes({
+            MCP_SERVER_URL: 'http://localhost:3000/mcp',
+            MCP_SERVER_TOKEN_EXCHANGE_JSON: '{',
+          }),
+        /MCP_SERVER_TOKEN_EXCHANGE_JSON must be a valid JSON object/
+      );
+    });
+  });
+
+  describe('with MCP_SERVER_ROUTES_JSON', function () {
+    function parse(routes) {
+      return parseMcpServerRoutes(
+        { MCP_SERVER_ROUTES_JSON: JSON.stringify(routes) },
+        providerScopes
+      );
+    }
+
+    it('should parse routes in configured order', function () {
+      const routes = parse([
+        { path: '/mcp', url: 'http://localhost:3000/mcp' },
+        {
+          path: '/github/mcp/',
+          url: 'http://localhost:4000/mcp',
+          scopes: ['repo'],
+          headers: { 'X-Tenant': 'acme' },
+        },
+      ]);
+
+      assert.equal(routes.length, 2);
+      assert.equal(routes[0].path, '/mcp');
+      assert.equal(routes[1].path, '/github/mcp');
+      assert.equal(routes[1].url.href, 'http://localhost:4000/mcp');
+      assert.deepEqual(routes[1].scopes, ['repo']);
+      assert.deepEqual(routes[1].headers, { 'x-tenant': 'acme' });
+    });
+
+    it('should take precedence over MCP_SERVER_URL', function () {
+      const routes = parseMcpServerRoutes({
+        MCP_SERVER_URL: 'http://localhost:3000/mcp',
+        MCP_SERVER_ROUTES_JSON: '[{"path":"/other","url":"http://localhost:5000/"}]',
+      });
+
+      assert.equal(routes.length, 1);
+      assert.equal(routes[0].path, '/other');
+    });
+
+    it('should reject invalid JSON and empty arrays', function () {
+      assert.throws(
+        () => parseMcpServerRoutes({ MCP_SERVER_ROUTES_JSON: '{' }),
+        /MCP_SERVER_ROUTES_JSON must be a non-empty JSON array of routes/
+      );
+      assert.throws(() => parse([]), /MCP_SERVER_ROUTES_JSON must be a non-empty JSON array/);
+    });
+
+    it('should reject invalid paths', function () {
+      assert.throws(() => parse([{ path: 'mcp', url: 'http://localhost:3000' }]), {
+        message: 'MCP_SERVER_ROUTES_JSON[0].path must be a path starting with "/", such as "/mcp"',
+      });
+      assert.throws(() => parse([{ path: '/', url: 'http://localhost:3000' }]), /\[0\]\.path/);
+    });
+
+    it('should reject duplicate paths', function () {
+      assert.throws(
+        () =>
+          parse([
+            { path: '/mcp', url: 'http://localhost:3000' },
+            { path: '/mcp/', url: 'http://localhost:4000' },
+          ]),
+        { message: 'MCP_SERVER_ROUTES_JSON[1].path "/mcp" is used by more than one route' }
+      );
+    });
+
+    it('should reject invalid URLs', function () {
+      assert.throws(() => parse([{ path: '/mcp', url: 'nope' }]), {
+        message: 'MCP_SERVER_ROUTES_JSON[0].url must be a valid URL',
+      });
+    });
+
+    it('should reject scopes the proxy does not grant', function () {
+      assert.throws(
+        () => parse([{ path: '/mcp', url: 'http://localhost:3000', scopes: ['admin'] }]),
+        {
+          message:
+            'MCP_SERVER_ROUTES_JSON[0].scopes must be included in PROVIDER_SCOPE, missing: admin',
+        }
+      );
+      assert.throws(
+        () => parse([{ path: '/mcp', url: 'http://localhost:3000', scopes: 'repo' }]),
+        /scopes must be an array of strings/
+      );
+    });
+
+    it('should parse token exchange per route', function () {
+      const routes = parse([
+        { path: '/mcp', url: 'http://localhost:3000/mcp' },
+        {
+          path: '/github/mcp',
+          url: 'http://localhost:4000/mcp',
+          tokenExchange: { resource: 'https://github-mcp.example.com', scope: 'repo' },
+        },
+      ]);
+
+      assert.equal(routes[0].tokenExchange, undefined);
+      assert.deepEqual(routes[1].tokenExchange, {
+        resource: 'https://github-mcp.example.com',
+        scope: 'repo',
+      });
+    });
+
+    it('should reject MCP_SERVER_TOKEN_EXCHANGE_JSON with routes', function () {
+      assert.throws(
+        () =>
+          parseMcpServerRoutes({
+            MCP_SERVER_ROUTES_JSON: '[{"path":"/mcp","url":"http://localhost:3000/mcp"}]',
+            MCP_SERVER_TOKEN_EXCHANGE_JSON: '{"audience":"mcp-server"}',
+          }),
+        /set "tokenExchange" on each route of MCP_SERVER_ROUTES_JSON instead/
+      );
+    });
+
+    it('should reject token exchange without parameters', function () {
+      assert.throws(
+        () => parse([{ path: '/mcp', url: 'http://localhost:3000', tokenExchange: {} }]),
+        {
+          message:
+            'MCP_SERVER_ROUTES_JSON[0].tokenExchange must set at least one of "audience", "resource" or "scope"',
+        }
+      );
+    });
+
+    it('should reject non-string header values', function () {
+      assert.throws(
+        () => parse([{ path: '/mcp', url: 'http://localhost:3000', headers: { 'x-n': 1 } }]),
+        /headers must be an object of string header values/
+      );
+    });
+  });
+
+  describe('protectedResourceMetadataPath', function () {
+    it('should insert the route path after the well-known prefix', function () {
+      assert.equal(
+        protectedResourceMetadataPath({ path: '/github/mcp' }),
+        '/.well-known/oauth-protected-resource/github/mcp'
+      );
+    });
+  });
+});
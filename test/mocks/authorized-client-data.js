@@ -11,7 +11,7 @@ const clientData = JSON.parse(
 
 // "oidc:Grant:2Ypv-rvVxWMzhXuRR5J-xC7TwrFxRtsP4tGz2g4WuIp"
 const grantData = JSON.parse(
-  `{"iat":${issued.getTime()},"exp":${expiry.getTime()},"accountId":"test_auth_identity","clientId":"GIaajXo6t9q-VAq-98qDpjKIOs2h25HEw0QgddwChd-","kind":"Grant","jti":"2Ypv-rvVxWMzhXuRR5J-xC7TwrFxRtsP4tGz2g4WuIp","openid":{"scope":"openid offline_access"}}`
+  `{"iat":${issued.getTime()},"exp":${expiry.getTime()},"accountId":"test_auth_identity","clientId":"GIaajXo6t9q-VAq-98qDpjKIOs2h25HEw0QgddwChd-","kind":"Grant","jti":"2Ypv-rvVxWMzhXuRR5J-xC7TwrFxRtsP4tGz2g4WuIp","openid":{"scope":"openid offline_access"},"resources":{"http://localhost:3001/mcp":"openid offline_access"}}`
 );
 
 // "oidc:Interaction:LTj4xas33iv67VurMMFK7IEsSE1DhhCBPJcKx06nyFw"
@@ -31,7 +31,7 @@ const sessionData = JSON.parse(
 
 // "oidc:AccessToken:AkzhnLBmPVrp8QEhRiXgTjWom9lGb-O6za94WpYU3Ab"
 const accessTokenData = JSON.parse(
-  `{"iat":${issued.getTime()},"exp":${expiry.getTime()},"accountId":"test_auth_identity","grantId":"2Ypv-rvVxWMzhXuRR5J-xC7TwrFxRtsP4tGz2g4WuIp","gty":"authorization_code","sessionUid":"sikg7Dhu0Nxdv3XkSNLBuQlPGZfZXutD3bfltoBZbPP","kind":"AccessToken","jti":"AkzhnLBmPVrp8QEhRiXgTjWom9lGb-O6za94WpYU3Ab","clientId":"GIaajXo6t9q-VAq-98qDpjKIOs2h25HEw0QgddwChd-","scope":"openid offline_access"}`
+  `{"iat":${issued.getTime()},"exp":${expiry.getTime()},"accountId":"test_auth_identity","grantId":"2Ypv-rvVxWMzhXuRR5J-xC7TwrFxRtsP4tGz2g4WuIp","gty":"authorization_code","sessionUid":"sikg7Dhu0Nxdv3XkSNLBuQlPGZfZXutD3bfltoBZbPP","kind":"AccessToken","jti":"AkzhnLBmPVrp8QEhRiXgTjWom9lGb-O6za94WpYU3Ab","clientId":"GIaajXo6t9q-VAq-98qDpjKIOs2h25HEw0QgddwChd-","aud":"http://localhost:3001/mcp","scope":"openid offline_access"}`
 );
 
 // "oidc:RefreshToken:lD0XenIpdoiV06aj2avydHYRBmjb7xWzFH72m7HwnfN" "payload"
@@ -1,3 +1,4 @@
+import { createHash } from 'node:crypto';
 import express from 'express';
 import { createRequestLogger, default as logger } from '../../lib/logger.js';
 
@@ -5,6 +6,31 @@ const app = express();
 app.use(express.json());
 const port = process.env.PORT || 8080;
 
+// Echo a digest of binary request bodies, to assert they are streamed unchanged.
+app.post(
+  '/mcp',
+  express.raw({ type: 'application/octet-stream', limit: '50mb' }),
+  (req, res, next) => {
+    if (!Buffer.isBuffer(req.body)) {
+      return next();
+    }
+    res.json({
+      contentType: req.header('content-type'),
+      byteLength: req.body.length,
+      sha256: createHash('sha256').update(req.body).digest('hex'),
+    });
+  }
+);
+
+// Tools list, one of which the proxy's test policies deny.
+function toolsList(id) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    result: { tools: [{ name: 'get_repo' }, { name: 'delete_repo' }] },
+  };
+}
+
 app.post('/mcp', (req, res) => {
   const reqLogger = createRequestLogger(req);
   reqLogger.info('POST /mcp', {
@@ -43,6 +69,52 @@ app.post('/mcp', (req, res) => {
     }
     break;
 
+    // Assert the Streamable HTTP session headers are passed through in both directions.
+  case 'echo-session-headers':
+    res.set('mcp-session-id', req.header('mcp-session-id') || 'test-mcp-session-id');
+    res.set('mcp-protocol-version', req.header('mcp-protocol-version') || '2025-06-18');
+    res.json({
+      mcpSessionId: req.header('mcp-session-id'),
+      mcpProtocolVersion: req.header('mcp-protocol-version'),
+    });
+    break;
+
+    // Echo the JWT access token forwarded by the proxy.
+  case 'echo-proxy-access-token':
+    res.json({ proxyAccessToken: req.header('x-proxy-access-token') });
+    break;
+
+    // Echo the identity the proxy forwarded.
+  case 'echo-identity-headers':
+    res.json({
+      authorization: req.header('authorization'),
+      identityAssertion: req.header('x-identity-assertion'),
+      requestId: req.header('x-request-id'),
+    });
+    break;
+
+    // Respond to the JSON-RPC request with a Server-Sent Events stream.
+  case 'respond-event-stream':
+    res.set('content-type', 'text/event-stream');
+    res.flushHeaders();
+    res.write(
+      'id: 1\nevent: message\ndata: {"jsonrpc":"2.0","method":"notifications/progress"}\n\n'
+    );
+    setTimeout(() => {
+      res.end('id: 2\nevent: message\ndata: {"jsonrpc":"2.0","id":1,"result":{}}\n\n');
+    }, 50);
+    break;
+
+    // Respond to tools/list, as JSON or as a Server-Sent Events stream.
+  case 'respond-tools-list':
+    if (req.header('accept') === 'text/event-stream') {
+      res.set('content-type', 'text/event-stream');
+      res.end(`id: 1\nevent: message\ndata: ${JSON.stringify(toolsList(req.body.id))}\n\n`);
+    } else {
+      res.json(toolsList(req.body.id));
+    }
+    break;
+
     // Not a special case test response.
   default:
     res.json({
@@ -52,6 +124,34 @@ app.post('/mcp', (req, res) => {
   }
 });
 
+// Long-lived event stream for server-initiated messages, resumable with Last-Event-ID.
+app.get('/mcp', (req, res) => {
+  if (!req.header('mcp-session-id')) {
+    res.status(400).json({ msg: 'Missing mcp-session-id header' });
+    return;
+  }
+  const lastEventId = parseInt(req.header('last-event-id'), 10) || 0;
+  res.set('content-type', 'text/event-stream');
+  res.set('mcp-session-id', req.header('mcp-session-id'));
+  res.flushHeaders();
+  res.write(
+    `id: ${lastEventId + 1}\nevent: message\n` +
+      'data: {"jsonrpc":"2.0","method":"notifications/message"}\n\n'
+  );
+  // Keep the stream open until the client goes away.
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 1000);
+  req.on('close', () => clearInterval(keepAlive));
+});
+
+// Session termination
+app.delete('/mcp', (req, res) => {
+  if (!req.header('mcp-session-id')) {
+    res.status(400).json({ msg: 'Missing mcp-session-id header' });
+    return;
+  }
+  res.status(204).end();
+});
+
 app.listen(port, () => {
   logger.info('Fake MCP Server listening', { port });
 });
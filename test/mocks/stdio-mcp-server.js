@@ -0,0 +1,95 @@
+import readline from 'node:readline';
+
+// Minimal MCP Server speaking newline-delimited JSON-RPC on stdin/stdout
+let initializeCount = 0;
+// Server-initiated request ID to the client request waiting for its response
+const serverRequests = new Map();
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+}
+
+console.error('stdio mock MCP Server started');
+process.stdout.write('not a JSON-RPC message\n');
+
+// Handlers of each method the mock implements
+const handlers = {
+  initialize(message) {
+    initializeCount += 1;
+    send({
+      id: message.id,
+      result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: { listChanged: true } },
+        serverInfo: { name: 'stdio-mock', version: '1.0.0' },
+      },
+    });
+  },
+  'tools/list'(message) {
+    send({
+      id: message.id,
+      result: {
+        tools: [{ name: 'echo' }],
+        initializeCount,
+        userToken: process.env.MCP_SERVER_USER_ACCESS_TOKEN,
+      },
+    });
+  },
+  'tools/call'(message) {
+    const progressToken = message.params._meta?.progressToken;
+    if (progressToken !== undefined) {
+      send({
+        method: 'notifications/progress',
+        params: { progressToken, progress: 1, total: 2 },
+      });
+    }
+    // Respond late, to interleave concurrent requests
+    setTimeout(() => {
+      send({
+        id: message.id,
+        result: { content: [{ type: 'text', text: message.params.arguments.text }] },
+      });
+    }, message.params.arguments.delay || 0);
+  },
+  'test/list-changed'(message) {
+    send({ method: 'notifications/tools/list_changed' });
+    send({ id: message.id, result: {} });
+  },
+  // Ask the client to sample, and answer with what it returned
+  'test/sample'(message) {
+    const id = `sample-${message.id}`;
+    serverRequests.set(id, message);
+    send({
+      id,
+      method: 'sampling/createMessage',
+      params: { messages: [{ role: 'user', content: { type: 'text', text: 'hi' } }] },
+    });
+  },
+  'test/log'(message) {
+    send({ method: 'notifications/message', params: { level: 'info', data: message.params } });
+    send({ id: message.id, result: {} });
+  },
+  'resources/subscribe'(message) {
+    send({ id: message.id, result: {} });
+  },
+  'test/resource-updated'(message) {
+    send({ method: 'notifications/resources/updated', params: { uri: message.params.uri } });
+    send({ id: message.id, result: {} });
+  },
+};
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+  const waiting = message.method === undefined && serverRequests.get(message.id);
+  if (waiting) {
+    serverRequests.delete(message.id);
+    send({ id: waiting.id, result: { sampled: message.result, error: message.error } });
+    return;
+  }
+  const handler = Object.hasOwn(handlers, message.method) && handlers[message.method];
+  if (handler) {
+    handler(message);
+  } else if (message.id !== undefined && message.method) {
+    send({ id: message.id, error: { code: -32601, message: 'Method not found' } });
+  }
+});
@@ -0,0 +1,182 @@
+import assert from 'assert';
+import { PassThrough, Writable } from 'node:stream';
+
+import ProxyRequestBody, { parseByteSize, readRequestBody } from '../lib/proxy-request-body.js';
+
+function createRequest(headers = {}) {
+  const req = new PassThrough();
+  req.headers = headers;
+  return req;
+}
+
+function createSink() {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  sink.body = () => Buffer.concat(chunks);
+  return sink;
+}
+
+describe('ProxyRequestBody', function () {
+  describe('parseByteSize', function () {
+    it('should use the default when unset', function () {
+      assert.equal(parseByteSize(undefined, 42, 'SIZE'), 42);
+      assert.equal(parseByteSize('', 42, 'SIZE'), 42);
+    });
+
+    it('should parse a number of bytes', function () {
+      assert.equal(parseByteSize('1024', 42, 'SIZE'), 1024);
+    });
+
+    it('should reject invalid sizes', function () {
+      assert.throws(() => parseByteSize('10mb', 42, 'SIZE'), {
+        message: 'SIZE must be a positive integer number of bytes',
+      });
+      assert.throws(() => parseByteSize('0', 42, 'SIZE'), /SIZE must be a positive integer/);
+    });
+  });
+
+  describe('exceedsDeclaredLength', function () {
+    it('should detect a content-length over the limit', function () {
+      const body = new ProxyRequestBody(createRequest({ 'content-length': '11' }), {
+        maxBodySize: 10,
+      });
+      assert.equal(body.exceedsDeclaredLength(), true);
+    });
+
+    it('should allow a missing or smaller content-length', function () {
+      assert.equal(new ProxyRequestBody(createRequest()).exceedsDeclaredLength(), false);
+      const body = new ProxyRequestBody(createRequest({ 'content-length': '10' }), {
+        maxBodySize: 10,
+      });
+      assert.equal(body.exceedsDeclaredLength(), false);
+    });
+  });
+
+  describe('pipeTo', function () {
+    it('should stream the original bytes unchanged and keep them for replay', function (done) {
+      const req = createRequest();
+      const body = new ProxyRequestBody(req);
+      const sink = createSink();
+      const payload = Buffer.from([0x00, 0xff, 0x10, 0x7b]);
+
+      sink.on('finish', () => {
+        try {
+          assert.deepEqual(sink.body(), payload);
+          assert.equal(body.canReplay(), true);
+
+          const retrySink = createSink();
+          retrySink.on('finish', () => {
+            assert.deepEqual(retrySink.body(), payload);
+            done();
+          });
+          body.replay(retrySink);
+        } catch (err) {
+          done(err);
+        }
+      });
+      body.pipeTo(sink, done);
+      req.write(payload.subarray(0, 2));
+      req.end(payload.subarray(2));
+    });
+
+    it('should stream bodies larger than the replay buffer without keeping them', function (done) {
+      const req = createRequest();
+      const body = new ProxyRequestBody(req, { replayBufferSize: 4 });
+      const sink = createSink();
+
+      sink.on('finish', () => {
+        try {
+          assert.equal(sink.body().toString(), 'abcdefgh');
+          assert.equal(body.canReplay(), false);
+          assert.deepEqual(body.replayChunks, []);
+          assert.throws(() => body.replay(createSink()), /cannot be replayed/);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+      body.pipeTo(sink, done);
+      req.write('abcd');
+      req.end('efgh');
+    });
+
+    it('should stop streaming once the body exceeds the maximum size', function (done) {
+      const req = createRequest();
+      const body = new ProxyRequestBody(req, { maxBodySize: 5 });
+      const sink = createSink();
+
+      body.pipeTo(sink, (err) => {
+        try {
+          assert.match(err.message, /exceeds the maximum size of 5 bytes/);
+          assert.equal(body.canReplay(), false);
+          done();
+        } catch (assertErr) {
+          done(assertErr);
+        }
+      });
+      req.write('abc');
+      req.end('def');
+    });
+
+    it('should re-serialize a body already parsed by middleware', function (done) {
+      const req = createRequest();
+      req.body = { jsonrpc: '2.0', method: 'ping' };
+      req.resume();
+      req.end();
+      req.on('end', () => {
+        const body = new ProxyRequestBody(req);
+        const sink = createSink();
+        sink.on('finish', () => {
+          try {
+            assert.equal(body.preParsed, true);
+            assert.deepEqual(JSON.parse(sink.body()), req.body);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+        body.pipeTo(sink, done);
+      });
+    });
+  });
+
+  describe('readRequestBody', function () {
+    it('should read the whole body, and keep it to be proxied as it was', async function () {
+      const req = createRequest();
+      req.write('{"jsonrpc":');
+      req.end('"2.0"}');
+
+      const read = await readRequestBody(req, 100);
+      assert.equal(read.toString(), '{"jsonrpc":"2.0"}');
+
+      const body = new ProxyRequestBody(req);
+      const sink = createSink();
+      await new Promise((resolve, reject) => {
+        sink.on('finish', resolve);
+        body.pipeTo(sink, reject);
+      });
+      assert.equal(body.preParsed, true);
+      assert.equal(sink.body().toString(), '{"jsonrpc":"2.0"}');
+    });
+
+    it('should reject a body over the maximum size', async function () {
+      const req = createRequest();
+      req.end('abcdef');
+      await assert.rejects(readRequestBody(req, 5), { tooLarge: true });
+    });
+
+    it('should return a body already parsed by middleware', async function () {
+      const req = createRequest();
+      req.body = { jsonrpc: '2.0', method: 'ping' };
+      req.resume();
+      req.end();
+      await new Promise((resolve) => req.on('end', resolve));
+      assert.deepEqual(await readRequestBody(req), req.body);
+    });
+  });
+});
@@ -92,6 +92,27 @@ describe('Rate Limit Redis Adapter', function () {
       );
     });
 
+    it('should disconnect the Redis client on close', async function () {
+      const mockRedisClient = {
+        call: sinon.stub(),
+        disconnect: sinon.stub().resolves(),
+      };
+      redisClientCreateStub.returns(mockRedisClient);
+
+      const middleware = createRateLimitMiddleware({
+        LOCAL_INSECURE: 'false',
+        MCP_AUTH_PROXY_REDIS_URL: 'redis://localhost:6379',
+      });
+      await middleware.close();
+
+      assert(mockRedisClient.disconnect.calledOnce, 'Should disconnect the Redis client');
+    });
+
+    it('should close without a Redis client', async function () {
+      const middleware = createRateLimitMiddleware({ LOCAL_INSECURE: 'true' });
+      await middleware.close();
+    });
+
     it('should handle Redis client creation failure gracefully', function () {
       redisClientCreateStub.throws(new Error('Redis connection failed'));
 
@@ -81,6 +81,7 @@ describe('RedisClient', function () {
         expire: sinon.stub(),
         multi: sinon.stub(),
         call: sinon.stub(),
+        eval: sinon.stub(),
         disconnect: sinon.stub(),
       };
 
@@ -115,6 +116,32 @@ describe('RedisClient', function () {
       assert.equal(result, 'OK');
     });
 
+    it('should set a key only if it does not exist', async function () {
+      mockRedisInstance.set.resolves('OK');
+
+      const result = await client.setIfNotExists('test-key', 'test-value', 5000);
+
+      assert(mockRedisInstance.set.calledWith('test-key', 'test-value', 'PX', 5000, 'NX'));
+      assert.equal(result, true);
+    });
+
+    it('should report when a key already exists', async function () {
+      mockRedisInstance.set.resolves(null);
+
+      const result = await client.setIfNotExists('test-key', 'test-value', 5000);
+
+      assert.equal(result, false);
+    });
+
+    it('should delegate eval operations with keys and args', async function () {
+      mockRedisInstance.eval.resolves(1);
+
+      const result = await client.eval('return 1', ['key1'], ['arg1', 'arg2']);
+
+      assert(mockRedisInstance.eval.calledWith('return 1', 1, 'key1', 'arg1', 'arg2'));
+      assert.equal(result, 1);
+    });
+
     it('should delegate delete operations', async function () {
       mockRedisInstance.del.resolves(1);
 
@@ -0,0 +1,56 @@
+import assert from 'assert';
+import sinon from 'sinon';
+
+import RedisLock from '../lib/redis-lock.js';
+
+describe('RedisLock', function () {
+  let redisClient;
+
+  beforeEach(function () {
+    redisClient = {
+      setIfNotExists: sinon.stub(),
+      eval: sinon.stub(),
+    };
+  });
+
+  it('should require a RedisClient', function () {
+    assert.throws(() => new RedisLock(), /RedisLock requires a RedisClient/);
+  });
+
+  it('should acquire a free lock with a TTL and return an owner token', async function () {
+    redisClient.setIfNotExists.resolves(true);
+    const lock = new RedisLock(redisClient, { ttlMilliseconds: 5000 });
+
+    const token = await lock.acquire('my-lock');
+
+    assert.equal(typeof token, 'string');
+    assert(redisClient.setIfNotExists.calledOnceWith('my-lock', token, 5000));
+  });
+
+  it('should not acquire a lock held by another owner', async function () {
+    redisClient.setIfNotExists.resolves(false);
+    const lock = new RedisLock(redisClient);
+
+    assert.equal(await lock.acquire('my-lock'), null);
+  });
+
+  it('should release only with the owner token', async function () {
+    redisClient.eval.resolves(1);
+    const lock = new RedisLock(redisClient);
+
+    const released = await lock.release('my-lock', 'owner-token');
+
+    assert.equal(released, true);
+    const [script, keys, args] = redisClient.eval.firstCall.args;
+    assert.match(script, /redis.call\("get", KEYS\[1\]\) == ARGV\[1\]/);
+    assert.deepEqual(keys, ['my-lock']);
+    assert.deepEqual(args, ['owner-token']);
+  });
+
+  it('should report a lock that was no longer held', async function () {
+    redisClient.eval.resolves(0);
+    const lock = new RedisLock(redisClient);
+
+    assert.equal(await lock.release('my-lock', 'stale-token'), false);
+  });
+});
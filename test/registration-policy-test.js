@@ -0,0 +1,479 @@
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+
+import providerConfig from '../lib/provider-config.js';
+import {
+  RegistrationPolicy,
+  hideProxyClientProperties,
+  parseRegistrationPolicy,
+} from '../lib/registration-policy.js';
+import { startAuthorizationServer } from './helpers/authorization-flow.js';
+
+const issuer = 'http://localhost:3001';
+const proxyClientProperties = providerConfig.extraClientMetadata.properties;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const publisherJwk = { ...publicKey.export({ format: 'jwk' }), kid: 'publisher-1' };
+
+function signStatement(claims, key = privateKey, header = { alg: 'EdDSA', kid: 'publisher-1' }) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ typ: 'JWT', ...header })}.${encode(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function createPolicy(document, options = {}) {
+  return new RegistrationPolicy(document, { proxyClientProperties, ...options });
+}
+
+describe('Registration policy', function () {
+  describe('parseRegistrationPolicy', function () {
+    it('should allow any registration by default', function () {
+      const policy = parseRegistrationPolicy({}, proxyClientProperties);
+      assert.deepEqual(policy.registrationFeature(), {
+        initialAccessToken: false,
+        issueRegistrationAccessToken: false,
+      });
+      assert.equal(policy.registrationManagementFeature().enabled, false);
+      policy.validate({ redirect_uris: ['https://anywhere.example.net/callback'] });
+    });
+
+    it('should require the initial access token when set', function () {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const policy = parseRegistrationPolicy(
+        { MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN: token },
+        proxyClientProperties
+      );
+      assert.deepEqual(policy.registrationFeature(), {
+        initialAccessToken: token,
+        issueRegistrationAccessToken: false,
+      });
+    });
+
+    it('should let clients manage their registration when enabled', function () {
+      const policy = parseRegistrationPolicy(
+        { MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT: 'true' },
+        proxyClientProperties
+      );
+      assert.equal(policy.registrationFeature().issueRegistrationAccessToken, true);
+      assert.deepEqual(policy.registrationManagementFeature(), {
+        enabled: true,
+        rotateRegistrationAccessToken: true,
+      });
+    });
+
+    it('should reject invalid configuration', function () {
+      assert.throws(
+        () => parseRegistrationPolicy({ MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON: '{' }, []),
+        /MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON must be valid JSON/
+      );
+      assert.throws(
+        () => parseRegistrationPolicy({ MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON: '[]' }, []),
+        /MCP_AUTH_PROXY_REGISTRATION_POLICY_JSON must be an object/
+      );
+      assert.throws(
+        () => parseRegistrationPolicy({ MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN: 'short' }, []),
+        /MCP_AUTH_PROXY_INITIAL_ACCESS_TOKEN must be at least 32 characters/
+      );
+      assert.throws(
+        () => parseRegistrationPolicy({ MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT: 'yes' }, []),
+        /MCP_AUTH_PROXY_REGISTRATION_MANAGEMENT must be true or false/
+      );
+      assert.throws(
+        () => createPolicy({ redirectUris: ['https:'] }),
+        /redirectUris must name web URLs with their host/
+      );
+      assert.throws(
+        () => createPolicy({ redirectUris: ['https://*'] }),
+        /redirectUris must contain loopback, private-use schemes such as cursor: or URLs/
+      );
+      assert.throws(() => createPolicy({ clientNames: 'Cursor' }), /must be an array of strings/);
+      assert.throws(
+        () => createPolicy({ softwareStatement: { keys: [] } }),
+        /softwareStatement.keys must be an array of one or more public JSON Web Keys/
+      );
+      assert.throws(
+        () =>
+          createPolicy({
+            softwareStatement: { keys: [privateKey.export({ format: 'jwk' })] },
+          }),
+        /softwareStatement.keys\[0\] must be a public JSON Web Key/
+      );
+    });
+  });
+
+  describe('validate', function () {
+    it('should only allow redirect URIs matching the policy', function () {
+      const policy = createPolicy({
+        redirectUris: ['loopback', 'cursor:', 'https://*.example.com/oauth', 'https://claude.ai'],
+      });
+      const allowed = [
+        'http://127.0.0.1:33418/callback',
+        'http://localhost/callback',
+        'cursor://anysphere.cursor-retrieval/oauth/callback',
+        'https://app.example.com/oauth/callback',
+        'https://app.example.com/oauth',
+        'https://claude.ai/api/mcp/auth_callback',
+      ];
+      for (const uri of allowed) {
+        policy.validate({ redirect_uris: [uri] });
+      }
+
+      const denied = [
+        'http://app.example.com/oauth/callback',
+        'vscode://callback',
+        'https://example.com/oauth/callback',
+        'https://app.example.com/oauthx',
+        'https://app.example.com.attacker.net/oauth/callback',
+        'https://claude.ai.attacker.net/callback',
+      ];
+      for (const uri of denied) {
+        assert.throws(() => policy.validate({ redirect_uris: ['http://[::1]/callback', uri] }), {
+          name: 'InvalidClientMetadata',
+          error: 'invalid_redirect_uri',
+          error_description: `redirect_uris must be allowed by the registration policy, ${uri} is not`,
+        });
+      }
+    });
+
+    it('should only allow client names and URIs matching the policy', function () {
+      const policy = createPolicy({
+        clientNames: ['Cursor', 'Claude*'],
+        clientUris: ['https://*.example.com'],
+      });
+      policy.validate({ client_name: 'claude code', logo_uri: 'https://cdn.example.com/logo.png' });
+
+      assert.throws(() => policy.validate({ client_name: 'Cursor Helper' }), {
+        error: 'invalid_client_metadata',
+        error_description: 'client_name must be allowed by the registration policy',
+      });
+      assert.throws(() => policy.validate({}), {
+        error_description: 'client_name must be allowed by the registration policy',
+      });
+      assert.throws(
+        () => policy.validate({ client_name: 'Cursor', tos_uri: 'https://attacker.net/tos' }),
+        { error_description: 'tos_uri must be allowed by the registration policy' }
+      );
+    });
+
+    it('should reject malformed metadata, including that of software statements', function () {
+      const policy = createPolicy({
+        redirectUris: ['loopback'],
+        clientUris: ['https://*.example.com'],
+      });
+      assert.throws(() => policy.validate({ redirect_uris: 'http://127.0.0.1/callback' }), {
+        name: 'InvalidClientMetadata',
+        error: 'invalid_redirect_uri',
+        error_description: 'redirect_uris must be an array of strings',
+      });
+      assert.throws(() => policy.validate({ redirect_uris: [['http://127.0.0.1/callback']] }), {
+        error: 'invalid_redirect_uri',
+      });
+      assert.throws(() => policy.validate({ logo_uri: ['https://cdn.example.com/logo.png'] }), {
+        error: 'invalid_client_metadata',
+        error_description: 'logo_uri must be a string',
+      });
+      assert.throws(() => createPolicy().validate({ client_name: { en: 'Cursor' } }), {
+        error_description: 'client_name must be a string',
+      });
+
+      const publisherPolicy = createPolicy({ softwareStatement: { keys: [publisherJwk] } });
+      assert.throws(
+        () =>
+          publisherPolicy.validate({
+            software_statement: signStatement({
+              iss: 'https://publisher.example.com',
+              redirect_uris: 'http://127.0.0.1/callback',
+            }),
+          }),
+        { error: 'invalid_redirect_uri' }
+      );
+    });
+
+    it('should not let clients register the proxy state of clients', function () {
+      assert.throws(() => createPolicy().validate({ identityLoginConfirmed: true }), {
+        error: 'invalid_client_metadata',
+        error_description: 'identityLoginConfirmed cannot be registered',
+      });
+    });
+  });
+
+  describe('software statements', function () {
+    const policy = createPolicy({
+      redirectUris: ['loopback'],
+      softwareStatement: { keys: [publisherJwk], required: true },
+    });
+
+    it('should apply the metadata of statements signed by a publisher', function () {
+      const metadata = {
+        client_name: 'Impostor',
+        redirect_uris: ['https://attacker.net/callback'],
+        software_statement: signStatement({
+          iss: 'https://publisher.example.com',
+          iat: Math.floor(Date.now() / 1000),
+          client_name: 'Published Client',
+          redirect_uris: ['http://127.0.0.1/callback'],
+          identityLoginConfirmed: true,
+        }),
+      };
+      policy.validate(metadata);
+      assert.equal(metadata.client_name, 'Published Client');
+      assert.deepEqual(metadata.redirect_uris, ['http://127.0.0.1/callback']);
+      assert.equal(metadata.iss, undefined);
+      assert.equal(metadata.identityLoginConfirmed, undefined);
+    });
+
+    it('should reject statements not signed by a publisher', function () {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('ed25519');
+      assert.throws(
+        () =>
+          policy.validate({
+            software_statement: signStatement({ iss: 'https://publisher.example.com' }, otherKey),
+          }),
+        { error: 'unapproved_software_statement' }
+      );
+    });
+
+    it('should reject missing, malformed and expired statements', function () {
+      assert.throws(() => policy.validate({ redirect_uris: ['http://127.0.0.1/callback'] }), {
+        error: 'invalid_software_statement',
+        error_description: 'software_statement is required',
+      });
+      assert.throws(() => policy.validate({ software_statement: 'not.a-jwt' }), {
+        error: 'invalid_software_statement',
+        error_description: 'software_statement must be a signed JWT',
+      });
+      assert.throws(() => policy.validate({ software_statement: signStatement({}) }), {
+        error: 'invalid_software_statement',
+        error_description: 'software_statement must have an iss claim',
+      });
+      assert.throws(
+        () =>
+          policy.validate({
+            software_statement: signStatement({
+              iss: 'https://publisher.example.com',
+              exp: Math.floor(Date.now() / 1000) - 60,
+            }),
+          }),
+        { error: 'invalid_software_statement', error_description: 'software_statement has expired' }
+      );
+    });
+  });
+
+  describe('registration endpoint', function () {
+    const initialAccessToken = crypto.randomBytes(32).toString('base64url');
+    let flow;
+
+    beforeEach(async function () {
+      const policy = createPolicy(
+        { redirectUris: ['loopback', 'cursor:'] },
+        { initialAccessToken }
+      );
+      flow = await startAuthorizationServer(issuer, {
+        extraClientMetadata: policy.extraClientMetadata(proxyClientProperties),
+        features: {
+          ...providerConfig.features,
+          registration: {
+            ...providerConfig.features.registration,
+            ...policy.registrationFeature(),
+          },
+        },
+      });
+    });
+
+    afterEach(function () {
+      return flow.close();
+    });
+
+    function register(metadata, token = initialAccessToken) {
+      return flow.request('POST', '/reg', JSON.stringify(metadata), {
+        'content-type': 'application/json',
+        ...(token && { authorization: `Bearer ${token}` }),
+      });
+    }
+
+    it('should register clients allowed by the policy', async function () {
+      const res = await register({
+        client_name: 'Cursor',
+        application_type: 'native',
+        redirect_uris: ['cursor://anysphere.cursor-retrieval/oauth/callback'],
+        response_types: ['code'],
+        token_endpoint_auth_method: 'none',
+      });
+      assert.equal(res.statusCode, 201, res.body);
+      const { client_id: clientId } = JSON.parse(res.body);
+      assert.equal((await flow.provider.Client.find(clientId)).clientName, 'Cursor');
+    });
+
+    it('should answer invalid_redirect_uri for redirect URIs the policy does not allow', async function () {
+      const res = await register({
+        redirect_uris: ['https://attacker.net/callback'],
+        token_endpoint_auth_method: 'none',
+      });
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(JSON.parse(res.body), {
+        error: 'invalid_redirect_uri',
+        error_description:
+          'redirect_uris must be allowed by the registration policy, https://attacker.net/callback is not',
+      });
+    });
+
+    it('should not register clients setting the proxy state of clients', async function () {
+      const res = await register({
+        redirect_uris: ['http://127.0.0.1/callback'],
+        token_endpoint_auth_method: 'none',
+        identityLoginConfirmed: true,
+      });
+      assert.equal(res.statusCode, 400);
+      assert.equal(JSON.parse(res.body).error, 'invalid_client_metadata');
+    });
+
+    it('should answer invalid_redirect_uri for malformed redirect URIs', async function () {
+      const res = await register({
+        redirect_uris: 'cursor://anysphere.cursor-retrieval/oauth/callback',
+        token_endpoint_auth_method: 'none',
+      });
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(JSON.parse(res.body), {
+        error: 'invalid_redirect_uri',
+        error_description: 'redirect_uris must be an array of strings',
+      });
+    });
+
+    it('should require the initial access token', async function () {
+      const metadata = {
+        redirect_uris: ['http://127.0.0.1/callback'],
+        token_endpoint_auth_method: 'none',
+      };
+      const missing = await register(metadata, null);
+      assert.equal(missing.statusCode, 401);
+      assert.equal(JSON.parse(missing.body).error, 'invalid_token');
+
+      const wrong = await register(metadata, crypto.randomBytes(32).toString('base64url'));
+      assert.equal(wrong.statusCode, 401);
+    });
+  });
+
+  describe('registration management', function () {
+    const metadata = {
+      client_name: 'Cursor',
+      application_type: 'native',
+      redirect_uris: ['http://127.0.0.1:33418/callback'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none',
+    };
+    let flow;
+
+    beforeEach(async function () {
+      const policy = createPolicy({ redirectUris: ['loopback'] }, { management: true });
+      flow = await startAuthorizationServer(
+        issuer,
+        {
+          extraClientMetadata: policy.extraClientMetadata(proxyClientProperties),
+          features: {
+            ...providerConfig.features,
+            registration: {
+              ...providerConfig.features.registration,
+              ...policy.registrationFeature(),
+            },
+            registrationManagement: policy.registrationManagementFeature(),
+          },
+        },
+        [hideProxyClientProperties(proxyClientProperties)]
+      );
+    });
+
+    afterEach(function () {
+      return flow.close();
+    });
+
+    function manage(method, uri, token, body) {
+      return flow.request(method, new URL(uri).pathname, body && JSON.stringify(body), {
+        authorization: `Bearer ${token}`,
+        ...(body && { 'content-type': 'application/json' }),
+      });
+    }
+
+    async function register() {
+      const res = await flow.request('POST', '/reg', JSON.stringify(metadata), {
+        'content-type': 'application/json',
+      });
+      assert.equal(res.statusCode, 201, res.body);
+      return JSON.parse(res.body);
+    }
+
+    it('should let clients read their registration, without the proxy state', async function () {
+      const registered = await register();
+      assert(registered.registration_access_token);
+      assert.equal(registered.registration_client_uri, `${issuer}/reg/${registered.client_id}`);
+      const stored = await flow.provider.Client.adapter.find(registered.client_id);
+      await flow.provider.Client.adapter.upsert(registered.client_id, {
+        ...stored,
+        identityLoginConfirmed: true,
+      });
+
+      const res = await manage(
+        'GET',
+        registered.registration_client_uri,
+        registered.registration_access_token
+      );
+
+      assert.equal(res.statusCode, 200, res.body);
+      const body = JSON.parse(res.body);
+      assert.equal(body.client_id, registered.client_id);
+      assert.equal(body.identityLoginConfirmed, undefined);
+    });
+
+    it('should let clients update their redirect URIs under the policy', async function () {
+      const registered = await register();
+      const update = {
+        ...metadata,
+        client_id: registered.client_id,
+        redirect_uris: ['http://127.0.0.1:40000/callback'],
+      };
+
+      const res = await manage(
+        'PUT',
+        registered.registration_client_uri,
+        registered.registration_access_token,
+        update
+      );
+
+      assert.equal(res.statusCode, 200, res.body);
+      const updated = JSON.parse(res.body);
+      assert.deepEqual(updated.redirect_uris, ['http://127.0.0.1:40000/callback']);
+      assert.notEqual(updated.registration_access_token, registered.registration_access_token);
+      const client = await flow.provider.Client.find(registered.client_id);
+      assert.deepEqual(client.redirectUris, ['http://127.0.0.1:40000/callback']);
+
+      const rotated = await manage(
+        'GET',
+        registered.registration_client_uri,
+        registered.registration_access_token
+      );
+      assert.equal(rotated.statusCode, 401);
+
+      const denied = await manage(
+        'PUT',
+        registered.registration_client_uri,
+        updated.registration_access_token,
+        { ...update, redirect_uris: ['https://attacker.net/callback'] }
+      );
+      assert.equal(denied.statusCode, 400);
+      assert.equal(JSON.parse(denied.body).error, 'invalid_redirect_uri');
+    });
+
+    it('should let clients delete their registration', async function () {
+      const registered = await register();
+
+      const res = await manage(
+        'DELETE',
+        registered.registration_client_uri,
+        registered.registration_access_token
+      );
+
+      assert.equal(res.statusCode, 204, res.body);
+      assert.equal(await flow.provider.Client.find(registered.client_id), undefined);
+    });
+  });
+});
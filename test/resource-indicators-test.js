@@ -0,0 +1,205 @@
+import assert from 'node:assert';
+import { errors } from 'oidc-provider';
+
+import providerConfig from '../lib/provider-config.js';
+import {
+  configureResourceIndicators,
+  isAudienceOf,
+  routeResource,
+} from '../lib/resource-indicators.js';
+import { startAuthorizationServer } from './helpers/authorization-flow.js';
+
+const baseUrl = 'http://localhost:3001';
+const routes = [
+  { path: '/mcp', url: new URL('http://localhost:3000/mcp') },
+  { path: '/github/mcp', url: new URL('http://localhost:3002/mcp'), scopes: ['repo'] },
+];
+const providerScopes = ['openid', 'offline_access', 'repo'];
+
+describe('Resource indicators', function () {
+  describe('configureResourceIndicators', function () {
+    const { resourceIndicators, loadExistingGrant } = configureResourceIndicators(
+      baseUrl,
+      routes,
+      providerScopes
+    );
+
+    it('should identify each route by its URL on the auth proxy', function () {
+      assert.equal(routeResource(baseUrl, routes[1]), 'http://localhost:3001/github/mcp');
+    });
+
+    it('should describe the resource server of each route', function () {
+      const info = resourceIndicators.getResourceServerInfo({}, 'http://localhost:3001/github/mcp');
+      assert.deepEqual(info, {
+        audience: 'http://localhost:3001/github/mcp',
+        scope: 'openid offline_access repo',
+        accessTokenFormat: 'opaque',
+      });
+    });
+
+    it('should accept a resource with a trailing slash, with the route audience', function () {
+      const info = resourceIndicators.getResourceServerInfo({}, 'http://localhost:3001/mcp/');
+      assert.equal(info.audience, 'http://localhost:3001/mcp');
+    });
+
+    it('should reject resources that are not proxied', function () {
+      assert.throws(
+        () => resourceIndicators.getResourceServerInfo({}, 'https://other.example.com/mcp'),
+        errors.InvalidTarget
+      );
+    });
+
+    it('should default to the first route', function () {
+      assert.equal(resourceIndicators.defaultResource({}, {}), 'http://localhost:3001/mcp');
+      assert.equal(
+        resourceIndicators.defaultResource({}, {}, [
+          'http://localhost:3001/github/mcp',
+          'http://localhost:3001/mcp',
+        ]),
+        'http://localhost:3001/mcp'
+      );
+    });
+
+    describe('loadExistingGrant', function () {
+      function createGrant(oidcScope, resources = {}) {
+        return {
+          resources: { ...resources },
+          saved: 0,
+          getOIDCScope: () => oidcScope,
+          getResourceScope(resource) {
+            return this.resources[resource] || '';
+          },
+          addResourceScope(resource, scope) {
+            this.resources[resource] = scope;
+          },
+          async save() {
+            this.saved++;
+          },
+        };
+      }
+
+      function createCtx(grant, resourceServers) {
+        return {
+          oidc: {
+            client: { clientId: 'client-1' },
+            session: { grantIdFor: () => 'grant-1' },
+            resourceServers,
+            provider: { Grant: { find: async (id) => (id === 'grant-1' ? grant : undefined) } },
+          },
+        };
+      }
+
+      it('should extend the granted scopes to the requested resources', async function () {
+        const grant = createGrant('openid offline_access');
+
+        const loaded = await loadExistingGrant(
+          createCtx(grant, { 'http://localhost:3001/github/mcp': {} })
+        );
+
+        assert.equal(loaded, grant);
+        assert.deepEqual(grant.resources, {
+          'http://localhost:3001/github/mcp': 'openid offline_access',
+        });
+        assert.equal(grant.saved, 1);
+      });
+
+      it('should not change grants that already include the resources', async function () {
+        const grant = createGrant('openid', { 'http://localhost:3001/mcp': 'openid' });
+
+        await loadExistingGrant(createCtx(grant, { 'http://localhost:3001/mcp': {} }));
+
+        assert.equal(grant.saved, 0);
+      });
+
+      it('should not add resources to grants without scopes', async function () {
+        const grant = createGrant('');
+
+        await loadExistingGrant(createCtx(grant, { 'http://localhost:3001/mcp': {} }));
+
+        assert.deepEqual(grant.resources, {});
+      });
+
+      it('should load nothing without a grant', async function () {
+        const ctx = createCtx(undefined, {});
+        ctx.oidc.session.grantIdFor = () => undefined;
+
+        assert.equal(await loadExistingGrant(ctx), undefined);
+      });
+    });
+  });
+
+  describe('isAudienceOf', function () {
+    it('should match a single or listed audience', function () {
+      assert.ok(isAudienceOf({ aud: 'http://localhost:3001/mcp' }, 'http://localhost:3001/mcp'));
+      assert.ok(
+        isAudienceOf({ aud: ['a', 'http://localhost:3001/mcp'] }, 'http://localhost:3001/mcp')
+      );
+    });
+
+    it('should not match tokens for another resource, or no resource', function () {
+      assert.ok(
+        !isAudienceOf({ aud: 'http://localhost:3001/github/mcp' }, 'http://localhost:3001/mcp')
+      );
+      assert.ok(!isAudienceOf({}, 'http://localhost:3001/mcp'));
+    });
+  });
+
+  describe('authorization code flow', function () {
+    let flow;
+
+    beforeEach(async function () {
+      const { resourceIndicators, loadExistingGrant } = configureResourceIndicators(
+        baseUrl,
+        routes,
+        providerScopes
+      );
+      flow = await startAuthorizationServer(baseUrl, {
+        features: { ...providerConfig.features, resourceIndicators },
+        loadExistingGrant,
+      });
+    });
+
+    afterEach(function () {
+      return flow.close();
+    });
+
+    it('should issue access tokens for the requested resource', async function () {
+      const redirect = await flow.authorize({ resource: 'http://localhost:3001/github/mcp' });
+      const tokens = await flow.exchangeCode(redirect.searchParams.get('code'), {
+        resource: 'http://localhost:3001/github/mcp',
+      });
+
+      const accessToken = await flow.provider.AccessToken.find(tokens.access_token);
+      assert.equal(accessToken.aud, 'http://localhost:3001/github/mcp');
+    });
+
+    it('should keep the resource of the authorization when refreshing', async function () {
+      const redirect = await flow.authorize({
+        resource: 'http://localhost:3001/github/mcp',
+        prompt: 'consent',
+      });
+      const tokens = await flow.exchangeCode(redirect.searchParams.get('code'));
+      assert.ok(tokens.refresh_token, 'should issue a refresh token');
+      const refreshed = await flow.refresh(tokens.refresh_token);
+
+      for (const token of [tokens.access_token, refreshed.access_token]) {
+        const accessToken = await flow.provider.AccessToken.find(token);
+        assert.equal(accessToken.aud, 'http://localhost:3001/github/mcp');
+      }
+    });
+
+    it('should issue access tokens for the first route by default', async function () {
+      const redirect = await flow.authorize();
+      const tokens = await flow.exchangeCode(redirect.searchParams.get('code'));
+
+      const accessToken = await flow.provider.AccessToken.find(tokens.access_token);
+      assert.equal(accessToken.aud, 'http://localhost:3001/mcp');
+    });
+
+    it('should reject authorization for a resource that is not proxied', async function () {
+      const redirect = await flow.authorize({ resource: 'https://other.example.com/mcp' });
+
+      assert.equal(redirect.searchParams.get('error'), 'invalid_target');
+    });
+  });
+});
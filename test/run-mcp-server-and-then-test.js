@@ -0,0 +1,292 @@
+import assert from 'assert';
+import sinon from 'sinon';
+
+import runMcpServerAndThen, { parseRestartPolicy } from '../lib/run-mcp-server-and-then.js';
+
+// Logs once started, then exits with the given code
+function crashingServerArgs(exitCode, afterMilliseconds = 50) {
+  return JSON.stringify([
+    '-e',
+    `console.log("up"); setTimeout(() => process.exit(${exitCode}), ${afterMilliseconds})`,
+  ]);
+}
+
+const longRunningServerArgs = JSON.stringify([
+  '-e',
+  'console.log("up"); setInterval(() => {}, 1000)',
+]);
+
+const fastRestartPolicy = {
+  maxRestarts: 2,
+  windowSeconds: 60,
+  initialDelaySeconds: 0.05,
+  maxDelaySeconds: 1,
+};
+
+describe('runMcpServerAndThen', function () {
+  describe('parseRestartPolicy', function () {
+    it('should restart up to 5 times by default', function () {
+      assert.deepEqual(parseRestartPolicy({}), {
+        maxRestarts: 5,
+        windowSeconds: 300,
+        initialDelaySeconds: 1,
+        maxDelaySeconds: 30,
+      });
+    });
+
+    it('should disable restarts with 0', function () {
+      assert.equal(parseRestartPolicy({ MCP_SERVER_MAX_RESTARTS: '0' }), undefined);
+    });
+
+    it('should reject invalid values', function () {
+      assert.throws(() => parseRestartPolicy({ MCP_SERVER_MAX_RESTARTS: '-1' }), {
+        message: 'MCP_SERVER_MAX_RESTARTS must be a non-negative integer',
+      });
+      assert.throws(
+        () => parseRestartPolicy({ MCP_SERVER_RESTART_DELAY_SECONDS: 'soon' }),
+        /MCP_SERVER_RESTART_DELAY_SECONDS must be a non-negative number of seconds/
+      );
+    });
+  });
+
+  describe('environment', function () {
+    let savedSecret;
+
+    beforeEach(function () {
+      savedSecret = process.env.IDENTITY_CLIENT_SECRET;
+      process.env.IDENTITY_CLIENT_SECRET = 'test-secret';
+    });
+
+    afterEach(function () {
+      if (savedSecret === undefined) {
+        delete process.env.IDENTITY_CLIENT_SECRET;
+      } else {
+        process.env.IDENTITY_CLIENT_SECRET = savedSecret;
+      }
+    });
+
+    it('should not pass the proxy secrets to the sub-process', function (done) {
+      const supervisor = runMcpServerAndThen(
+        'node',
+        JSON.stringify([
+          '-e',
+          'console.log("up"); setTimeout(() => console.log(JSON.stringify([process.env.IDENTITY_CLIENT_SECRET, process.env.EXTRA])), 50)',
+        ]),
+        'test',
+        '{"EXTRA":"from run env"}',
+        (mcpServerProcess) => {
+          mcpServerProcess.stdout.once('data', (data) => {
+            supervisor.holdRestarts();
+            assert.deepEqual(JSON.parse(data.toString()), [null, 'from run env']);
+            done();
+          });
+        },
+        sinon.spy()
+      );
+    });
+  });
+
+  describe('without a restart policy', function () {
+    it('should exit when the sub-process exits', function (done) {
+      runMcpServerAndThen('node', crashingServerArgs(3), 'test', '{}', sinon.spy(), (code) => {
+        assert.equal(code, 3);
+        done();
+      });
+    });
+
+    it('should exit when the started function rejects', function (done) {
+      let supervisor;
+      supervisor = runMcpServerAndThen(
+        'node',
+        longRunningServerArgs,
+        'test',
+        '{}',
+        async () => {
+          throw new Error('listen EADDRINUSE: address already in use :::3000');
+        },
+        (code) => {
+          assert.equal(code, 1);
+          supervisor.stop().then(() => done(), done);
+        }
+      );
+    });
+  });
+
+  describe('with a restart policy', function () {
+    it('should restart a crashed sub-process, then give up when crash-looping', function (done) {
+      const startedFunc = sinon.spy();
+      const restartedFunc = sinon.spy();
+      let supervisor;
+      const exitFunc = (code) => {
+        try {
+          assert.equal(code, 1);
+          assert.ok(startedFunc.calledOnce);
+          // Restarted once per allowed crash, then the third crash gives up
+          assert.equal(restartedFunc.callCount, 2);
+          assert.equal(supervisor.isAvailable(), false);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      };
+      supervisor = runMcpServerAndThen(
+        'node',
+        crashingServerArgs(1),
+        'test',
+        '{}',
+        startedFunc,
+        exitFunc,
+        { restartPolicy: fastRestartPolicy, restartedFunc }
+      );
+    });
+
+    it('should be unavailable while restarting', function (done) {
+      let supervisor;
+      const startedFunc = (mcpServerProcess) => {
+        mcpServerProcess.once('exit', () => {
+          try {
+            assert.equal(supervisor.isAvailable(), false);
+            assert.equal(supervisor.retryAfterSeconds(), 1);
+          } catch (err) {
+            done(err);
+          }
+        });
+      };
+      const restartedFunc = (mcpServerProcess) => {
+        try {
+          assert.equal(supervisor.isAvailable(), true);
+          assert.equal(supervisor.getProcess(), mcpServerProcess);
+          supervisor.stop();
+          done();
+        } catch (err) {
+          done(err);
+        }
+      };
+      supervisor = runMcpServerAndThen(
+        'node',
+        crashingServerArgs(1),
+        'test',
+        '{}',
+        startedFunc,
+        () => done(new Error('should not exit')),
+        { restartPolicy: fastRestartPolicy, restartedFunc }
+      );
+    });
+
+    it('should exit without restarting on SIGTERM', function (done) {
+      const restartedFunc = sinon.spy();
+      runMcpServerAndThen(
+        'node',
+        longRunningServerArgs,
+        'test',
+        '{}',
+        (mcpServerProcess) => mcpServerProcess.kill('SIGTERM'),
+        (code) => {
+          assert.equal(code, 0);
+          assert.ok(restartedFunc.notCalled);
+          done();
+        },
+        { restartPolicy: fastRestartPolicy, restartedFunc }
+      );
+    });
+
+    it('should not restart or exit once stopped', function (done) {
+      const exitFunc = sinon.spy();
+      let supervisor;
+      supervisor = runMcpServerAndThen(
+        'node',
+        longRunningServerArgs,
+        'test',
+        '{}',
+        (mcpServerProcess) => {
+          supervisor.stop();
+          mcpServerProcess.once('exit', () => {
+            setTimeout(() => {
+              assert.ok(exitFunc.notCalled);
+              done();
+            }, 100);
+          });
+        },
+        exitFunc,
+        { restartPolicy: fastRestartPolicy }
+      );
+    });
+
+    it('should not restart or exit after holding restarts', function (done) {
+      const exitFunc = sinon.spy();
+      const restartedFunc = sinon.spy();
+      let supervisor;
+      supervisor = runMcpServerAndThen(
+        'node',
+        crashingServerArgs(1),
+        'test',
+        '{}',
+        (mcpServerProcess) => {
+          supervisor.holdRestarts();
+          mcpServerProcess.once('exit', () => {
+            setTimeout(() => {
+              assert.ok(exitFunc.notCalled);
+              assert.ok(restartedFunc.notCalled);
+              done();
+            }, 100);
+          });
+        },
+        exitFunc,
+        { restartPolicy: fastRestartPolicy, restartedFunc }
+      );
+    });
+  });
+
+  describe('stop', function () {
+    it('should wait for the sub-process to exit', function (done) {
+      let supervisor;
+      supervisor = runMcpServerAndThen(
+        'node',
+        longRunningServerArgs,
+        'test',
+        '{}',
+        async (mcpServerProcess) => {
+          await supervisor.stop();
+          assert.equal(mcpServerProcess.signalCode, 'SIGTERM');
+          done();
+        },
+        sinon.spy()
+      );
+    });
+
+    it('should not wait for a sub-process that failed to spawn', async function () {
+      const exitFunc = sinon.spy();
+      const supervisor = runMcpServerAndThen(
+        'mcp-server-command-that-does-not-exist',
+        '[]',
+        'test',
+        '{}',
+        sinon.spy(),
+        exitFunc
+      );
+      await supervisor.stop(100);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await supervisor.stop(100);
+      assert(exitFunc.notCalled);
+    });
+
+    it('should kill a sub-process that ignores SIGTERM', function (done) {
+      let supervisor;
+      supervisor = runMcpServerAndThen(
+        'node',
+        JSON.stringify([
+          '-e',
+          'process.on("SIGTERM", () => {}); console.log("up"); setInterval(() => {}, 1000)',
+        ]),
+        'test',
+        '{}',
+        async (mcpServerProcess) => {
+          await supervisor.stop(100);
+          assert.equal(mcpServerProcess.signalCode, 'SIGKILL');
+          done();
+        },
+        sinon.spy()
+      );
+    });
+  });
+});
@@ -9,6 +9,8 @@ import {
   initializeIdentityClient,
   setupInteractionRoutes,
   getRefreshFunction,
+  getRevokeFunction,
+  getTokenExchangeFunction,
   validateEnvironmentConfig,
 } from '../lib/server-adapter-integration.js';
 
@@ -135,6 +137,20 @@ describe('Server Adapter Integration', () => {
     });
   });
 
+  describe('getTokenExchangeFunction', () => {
+    it('should return the exchangeIdentityToken function', () => {
+      const exchangeFn = getTokenExchangeFunction();
+      expect(exchangeFn.name).to.equal('exchangeIdentityToken');
+    });
+  });
+
+  describe('getRevokeFunction', () => {
+    it('should return the revokeIdentityToken function', () => {
+      const revokeFn = getRevokeFunction();
+      expect(revokeFn.name).to.equal('revokeIdentityToken');
+    });
+  });
+
   describe('setupInteractionRoutes', () => {
     it('should set up interaction routes without errors', () => {
       const app = express();
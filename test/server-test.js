@@ -155,6 +155,8 @@ describe('Server', function () {
               try {
                 let parsedBody = JSON.parse(resBody);
                 assert.equal(parsedBody.issuer, env.BASE_URL);
+                assert(parsedBody.dpop_signing_alg_values_supported.includes('ES256'));
+                assert.equal(parsedBody.client_id_metadata_document_supported, false);
                 done();
               } catch (err) {
                 done(err);
@@ -194,6 +196,8 @@ describe('Server', function () {
                 assert(Array.isArray(parsedBody.bearer_methods_supported));
                 assert(parsedBody.bearer_methods_supported.includes('header'));
                 assert(Array.isArray(parsedBody.scopes_supported));
+                assert(parsedBody.dpop_signing_alg_values_supported.includes('ES256'));
+                assert.equal(parsedBody.dpop_bound_access_tokens_required, false);
                 done();
               } catch (err) {
                 done(err);
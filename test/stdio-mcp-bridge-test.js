@@ -0,0 +1,445 @@
+import assert from 'assert';
+import { spawn } from 'node:child_process';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import StdioMcpBridge, {
+  IDENTITY_HEADER,
+  parseMcpServerTransport,
+} from '../lib/stdio-mcp-bridge.js';
+
+// Send a request and buffer the response body
+function request(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          text,
+          json: () => JSON.parse(text),
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter((event) => event.includes('data: '))
+    .map((event) => JSON.parse(event.slice(event.indexOf('data: ') + 6)));
+}
+
+describe('Stdio MCP Server bridge', function () {
+  describe('parseMcpServerTransport', function () {
+    it('should default to http', function () {
+      assert.equal(parseMcpServerTransport(undefined), 'http');
+    });
+
+    it('should accept stdio', function () {
+      assert.equal(parseMcpServerTransport('stdio'), 'stdio');
+    });
+
+    it('should reject unknown transports', function () {
+      assert.throws(() => parseMcpServerTransport('websocket'), {
+        message: 'MCP_SERVER_TRANSPORT must be one of: http, stdio',
+      });
+    });
+  });
+
+  describe('Streamable HTTP endpoint', function () {
+    let mcpServerProcess;
+    let bridge;
+    let endpoint;
+    let streams;
+
+    async function post(body, headers = {}) {
+      return request(endpoint, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json, text/event-stream',
+          ...headers,
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      });
+    }
+
+    async function initialize(headers = {}) {
+      const res = await post(
+        {
+          jsonrpc: '2.0',
+          id: 0,
+          method: 'initialize',
+          params: { protocolVersion: '2025-06-18', capabilities: {} },
+        },
+        { accept: 'application/json', ...headers }
+      );
+      assert.equal(res.status, 200);
+      const sessionId = res.headers['mcp-session-id'];
+      assert.ok(sessionId);
+      return { sessionId, response: res.json() };
+    }
+
+    // Open the session's event stream, collecting the messages it receives
+    async function openEventStream(sessionId) {
+      const stream = await new Promise((resolve, reject) => {
+        http
+          .get(endpoint, { headers: { accept: 'text/event-stream', 'mcp-session-id': sessionId } })
+          .on('response', resolve)
+          .on('error', reject);
+      });
+      assert.equal(stream.statusCode, 200);
+      streams.push(stream);
+      const messages = [];
+      stream.on('data', (data) => messages.push(...parseEvents(data.toString())));
+      return messages;
+    }
+
+    // POST answered with an event stream, read while it is still open
+    async function postStreaming(body, sessionId) {
+      const res = await new Promise((resolve, reject) => {
+        http
+          .request(endpoint, {
+            method: 'POST',
+            headers: {
+              'content-type': 'application/json',
+              accept: 'application/json, text/event-stream',
+              'mcp-session-id': sessionId,
+            },
+          })
+          .on('response', resolve)
+          .on('error', reject)
+          .end(JSON.stringify(body));
+      });
+      const messages = [];
+      res.on('data', (data) => messages.push(...parseEvents(data.toString())));
+      const ended = new Promise((resolve) => res.on('end', resolve));
+      return { messages, ended };
+    }
+
+    async function waitFor(condition) {
+      for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await sleep(10);
+      }
+      assert.ok(condition());
+    }
+
+    beforeEach(async function () {
+      streams = [];
+      mcpServerProcess = spawn(process.execPath, ['test/mocks/stdio-mcp-server.js']);
+      bridge = new StdioMcpBridge(mcpServerProcess);
+      const httpServer = await bridge.listen(new URL('http://127.0.0.1:0/mcp'));
+      endpoint = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+    });
+
+    afterEach(function () {
+      streams.forEach((stream) => stream.destroy());
+      bridge.close();
+      mcpServerProcess.kill();
+    });
+
+    it('should initialize the stdio server once for all sessions', async function () {
+      const first = await initialize();
+      const second = await initialize();
+
+      assert.notEqual(first.sessionId, second.sessionId);
+      assert.equal(first.response.id, 0);
+      assert.equal(second.response.id, 0);
+      assert.equal(second.response.result.serverInfo.name, 'stdio-mock');
+
+      const res = await post(
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { 'mcp-session-id': second.sessionId, accept: 'application/json' }
+      );
+      const body = res.json();
+      assert.equal(body.id, 1);
+      assert.equal(body.result.initializeCount, 1);
+    });
+
+    it('should keep request IDs of concurrent sessions apart', async function () {
+      const first = await initialize();
+      const second = await initialize();
+
+      const call = (sessionId, text, delay) =>
+        post(
+          {
+            jsonrpc: '2.0',
+            id: 7,
+            method: 'tools/call',
+            params: { name: 'echo', arguments: { text, delay } },
+          },
+          { 'mcp-session-id': sessionId, accept: 'application/json' }
+        ).then((res) => res.json());
+
+      const [slow, fast] = await Promise.all([
+        call(first.sessionId, 'slow', 50),
+        call(second.sessionId, 'fast', 0),
+      ]);
+      assert.equal(slow.id, 7);
+      assert.equal(slow.result.content[0].text, 'slow');
+      assert.equal(fast.id, 7);
+      assert.equal(fast.result.content[0].text, 'fast');
+    });
+
+    it('should stream progress notifications with the client progress token', async function () {
+      const { sessionId } = await initialize();
+
+      const res = await post(
+        {
+          jsonrpc: '2.0',
+          id: 'call-1',
+          method: 'tools/call',
+          params: { name: 'echo', arguments: { text: 'hi' }, _meta: { progressToken: 'p-1' } },
+        },
+        { 'mcp-session-id': sessionId }
+      );
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^text\/event-stream/);
+
+      const [progress, response] = parseEvents(res.text);
+      assert.equal(progress.method, 'notifications/progress');
+      assert.equal(progress.params.progressToken, 'p-1');
+      assert.equal(response.id, 'call-1');
+      assert.equal(response.result.content[0].text, 'hi');
+    });
+
+    it('should answer a batch of requests with a batch of responses', async function () {
+      const { sessionId } = await initialize();
+
+      const res = await post(
+        [
+          { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { jsonrpc: '2.0', id: 2, method: 'unknown/method' },
+        ],
+        { 'mcp-session-id': sessionId, accept: 'application/json' }
+      );
+      const body = res.json();
+      assert.ok(Array.isArray(body));
+      assert.deepEqual(body.map(({ id }) => id).sort(), [1, 2]);
+      assert.equal(body.find(({ id }) => id === 2).error.code, -32601);
+    });
+
+    it('should accept notifications with 202', async function () {
+      const { sessionId } = await initialize();
+
+      const res = await post(
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { 'mcp-session-id': sessionId }
+      );
+      assert.equal(res.status, 202);
+    });
+
+    it('should send list changes to the sessions that fetched the list', async function () {
+      const listing = await initialize();
+      const other = await initialize();
+      const changing = await initialize();
+      await post(
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { 'mcp-session-id': listing.sessionId, accept: 'application/json' }
+      );
+      const listingMessages = await openEventStream(listing.sessionId);
+      const otherMessages = await openEventStream(other.sessionId);
+
+      await post(
+        { jsonrpc: '2.0', id: 3, method: 'test/list-changed' },
+        { 'mcp-session-id': changing.sessionId, accept: 'application/json' }
+      );
+      await waitFor(() => listingMessages.length === 1);
+      assert.equal(listingMessages[0].method, 'notifications/tools/list_changed');
+      assert.deepEqual(otherMessages, []);
+    });
+
+    it('should send resource updates to the sessions subscribed to the resource', async function () {
+      const subscribed = await initialize();
+      const other = await initialize();
+      await post(
+        { jsonrpc: '2.0', id: 1, method: 'resources/subscribe', params: { uri: 'file:///a' } },
+        { 'mcp-session-id': subscribed.sessionId, accept: 'application/json' }
+      );
+      const subscribedMessages = await openEventStream(subscribed.sessionId);
+      const otherMessages = await openEventStream(other.sessionId);
+
+      await post(
+        { jsonrpc: '2.0', id: 2, method: 'test/resource-updated', params: { uri: 'file:///a' } },
+        { 'mcp-session-id': other.sessionId, accept: 'application/json' }
+      );
+      await waitFor(() => subscribedMessages.length === 1);
+      assert.equal(subscribedMessages[0].method, 'notifications/resources/updated');
+      assert.equal(subscribedMessages[0].params.uri, 'file:///a');
+      assert.deepEqual(otherMessages, []);
+    });
+
+    it('should send other notifications only to the session the server works for', async function () {
+      const alice = await initialize();
+      const bob = await initialize();
+      const aliceMessages = await openEventStream(alice.sessionId);
+      const bobMessages = await openEventStream(bob.sessionId);
+
+      await post(
+        { jsonrpc: '2.0', id: 4, method: 'test/log', params: { secret: 'alice' } },
+        { 'mcp-session-id': alice.sessionId, accept: 'application/json' }
+      );
+      await waitFor(() => aliceMessages.length === 1);
+      assert.equal(aliceMessages[0].method, 'notifications/message');
+      await sleep(50);
+      assert.deepEqual(bobMessages, []);
+    });
+
+    it('should send server requests only to the session the server works for', async function () {
+      const alice = await initialize();
+      const bob = await initialize();
+      const bobMessages = await openEventStream(bob.sessionId);
+
+      const sampling = await postStreaming(
+        { jsonrpc: '2.0', id: 5, method: 'test/sample' },
+        alice.sessionId
+      );
+      await waitFor(() => sampling.messages.length === 1);
+      const [serverRequest] = sampling.messages;
+      assert.equal(serverRequest.method, 'sampling/createMessage');
+      // Sent with an ID of the bridge's own
+      assert.notEqual(serverRequest.id, 'sample-5');
+
+      // Another session cannot answer it
+      const forged = await post(
+        { jsonrpc: '2.0', id: serverRequest.id, result: { from: 'bob' } },
+        { 'mcp-session-id': bob.sessionId }
+      );
+      assert.equal(forged.status, 202);
+      await post(
+        { jsonrpc: '2.0', id: serverRequest.id, result: { from: 'alice' } },
+        { 'mcp-session-id': alice.sessionId }
+      );
+
+      await sampling.ended;
+      const response = sampling.messages[1];
+      assert.equal(response.id, 5);
+      assert.deepEqual(response.result.sampled, { from: 'alice' });
+      assert.deepEqual(bobMessages, []);
+    });
+
+    it('should reject server requests no single session can handle', async function () {
+      const alice = await initialize();
+      const bob = await initialize();
+      const slow = post(
+        {
+          jsonrpc: '2.0',
+          id: 7,
+          method: 'tools/call',
+          params: { name: 'echo', arguments: { text: 'slow', delay: 200 } },
+        },
+        { 'mcp-session-id': alice.sessionId, accept: 'application/json' }
+      );
+      // Let the request reach the child first
+      await sleep(50);
+
+      const res = await post(
+        { jsonrpc: '2.0', id: 6, method: 'test/sample' },
+        { 'mcp-session-id': bob.sessionId }
+      );
+      const [response] = parseEvents(res.text);
+      assert.equal(response.id, 6);
+      assert.equal(
+        response.result.error.message,
+        'No single client session can handle the request'
+      );
+      assert.equal((await slow).status, 200);
+    });
+
+    it('should only let the identity that initialized a session use it', async function () {
+      const { sessionId } = await initialize({ [IDENTITY_HEADER]: 'alice' });
+      const listTools = (headers) =>
+        post(
+          { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+          { 'mcp-session-id': sessionId, accept: 'application/json', ...headers }
+        );
+
+      assert.equal((await listTools({ [IDENTITY_HEADER]: 'alice' })).status, 200);
+      assert.equal((await listTools({ [IDENTITY_HEADER]: 'bob' })).status, 404);
+      assert.equal((await listTools({})).status, 404);
+      const deleted = await request(endpoint, {
+        method: 'DELETE',
+        headers: { 'mcp-session-id': sessionId, [IDENTITY_HEADER]: 'bob' },
+      });
+      assert.equal(deleted.status, 404);
+    });
+
+    it('should require a known session', async function () {
+      const missing = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      assert.equal(missing.status, 400);
+
+      const unknown = await post(
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { 'mcp-session-id': 'not-a-session' }
+      );
+      assert.equal(unknown.status, 404);
+    });
+
+    it('should end the session on DELETE', async function () {
+      const { sessionId } = await initialize();
+
+      const deleted = await request(endpoint, {
+        method: 'DELETE',
+        headers: { 'mcp-session-id': sessionId },
+      });
+      assert.equal(deleted.status, 204);
+
+      const res = await post(
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { 'mcp-session-id': sessionId }
+      );
+      assert.equal(res.status, 404);
+    });
+
+    it('should end sessions when attached to a restarted process', async function () {
+      const { sessionId } = await initialize();
+      const pending = post(
+        {
+          jsonrpc: '2.0',
+          id: 9,
+          method: 'tools/call',
+          params: { name: 'echo', arguments: { text: 'late', delay: 1000 } },
+        },
+        { 'mcp-session-id': sessionId, accept: 'application/json' }
+      );
+      // Let the request reach the child before it is replaced
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const restartedProcess = spawn(process.execPath, ['test/mocks/stdio-mcp-server.js']);
+      bridge.attach(restartedProcess);
+      mcpServerProcess.kill();
+      mcpServerProcess = restartedProcess;
+
+      const interrupted = (await pending).json();
+      assert.equal(interrupted.id, 9);
+      assert.equal(interrupted.error.message, 'MCP Server restarted');
+
+      const ended = await post(
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { 'mcp-session-id': sessionId }
+      );
+      assert.equal(ended.status, 404);
+
+      const { response } = await initialize();
+      assert.equal(response.result.serverInfo.name, 'stdio-mock');
+    });
+
+    it('should reject malformed messages', async function () {
+      const parseError = await post('{not json');
+      assert.equal(parseError.status, 400);
+      assert.equal(parseError.json().error.code, -32700);
+
+      const invalid = await post({ id: 1, method: 'tools/list' });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.json().error.code, -32600);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import assert from 'assert';
+import crypto from 'node:crypto';
+
+import { TokenEncryption, parseTokenEncryption } from '../lib/token-encryption.js';
+
+const keyA = crypto.randomBytes(32);
+const keyB = crypto.randomBytes(32);
+
+describe('TokenEncryption', function () {
+  const payload = {
+    clientId: 'client-1',
+    identityAuthAccessToken: 'access-token',
+    identityAuthCodeVerifier: 'code-verifier',
+  };
+
+  describe('encryptPayload & decryptPayload', function () {
+    it('should only encrypt sensitive fields', function () {
+      const encryption = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+
+      const stored = encryption.encryptPayload(payload, 'Client:client-1');
+
+      assert.equal(stored.clientId, 'client-1');
+      assert.equal(stored.identityAuthAccessToken, undefined);
+      assert.equal(stored.identityAuthCodeVerifier, undefined);
+      assert.equal(stored._encrypted.kid, 'a');
+      assert.deepEqual(encryption.decryptPayload(stored, 'Client:client-1'), payload);
+    });
+
+    it('should leave payloads without sensitive fields as they are', function () {
+      const encryption = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+
+      assert.deepEqual(encryption.encryptPayload({ clientId: 'client-1' }, 'Client:client-1'), {
+        clientId: 'client-1',
+      });
+    });
+
+    it('should use a new data key for each record', function () {
+      const encryption = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+
+      const first = encryption.encryptPayload(payload, 'Client:client-1');
+      const second = encryption.encryptPayload(payload, 'Client:client-1');
+
+      assert.notEqual(first._encrypted.key, second._encrypted.key);
+      assert.notEqual(first._encrypted.data, second._encrypted.data);
+    });
+
+    it('should fail to decrypt for another record, or a tampered payload', function () {
+      const encryption = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+      const stored = encryption.encryptPayload(payload, 'Client:client-1');
+
+      assert.throws(() => encryption.decryptPayload(stored, 'Client:client-2'));
+
+      const data = Buffer.from(stored._encrypted.data, 'base64url');
+      data[data.length - 1] ^= 1;
+      const tampered = {
+        ...stored,
+        _encrypted: { ...stored._encrypted, data: data.toString('base64url') },
+      };
+      assert.throws(() => encryption.decryptPayload(tampered, 'Client:client-1'));
+    });
+
+    it('should fail to decrypt with a key that is not configured', function () {
+      const encryptionA = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+      const encryptionB = new TokenEncryption({ keys: new Map([['b', keyB]]), currentKeyId: 'b' });
+      const stored = encryptionA.encryptPayload(payload, 'Client:client-1');
+
+      assert.throws(() => encryptionB.decryptPayload(stored, 'Client:client-1'), {
+        message: 'Record is encrypted with key ID "a", which is not configured',
+      });
+    });
+  });
+
+  describe('reencryptPayload', function () {
+    it('should re-encrypt the data key with the current key', function () {
+      const previous = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+      const stored = previous.encryptPayload(payload, 'Client:client-1');
+      const rotated = new TokenEncryption({
+        keys: new Map([
+          ['a', keyA],
+          ['b', keyB],
+        ]),
+        currentKeyId: 'b',
+      });
+
+      const reencrypted = rotated.reencryptPayload(stored, 'Client:client-1');
+
+      assert.equal(reencrypted._encrypted.kid, 'b');
+      assert.equal(reencrypted._encrypted.data, stored._encrypted.data);
+      const current = new TokenEncryption({ keys: new Map([['b', keyB]]), currentKeyId: 'b' });
+      assert.deepEqual(current.decryptPayload(reencrypted, 'Client:client-1'), payload);
+    });
+
+    it('should encrypt plaintext payloads with sensitive fields', function () {
+      const encryption = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+
+      const reencrypted = encryption.reencryptPayload(payload, 'Client:client-1');
+
+      assert.equal(reencrypted.identityAuthAccessToken, undefined);
+      assert.deepEqual(encryption.decryptPayload(reencrypted, 'Client:client-1'), payload);
+    });
+
+    it('should leave current and non-sensitive payloads unchanged', function () {
+      const encryption = new TokenEncryption({ keys: new Map([['a', keyA]]), currentKeyId: 'a' });
+      const stored = encryption.encryptPayload(payload, 'Client:client-1');
+
+      assert.equal(encryption.reencryptPayload(stored, 'Client:client-1'), undefined);
+      assert.equal(encryption.reencryptPayload({ clientId: 'x' }, 'Client:x'), undefined);
+    });
+  });
+});
+
+describe('parseTokenEncryption', function () {
+  const keysJson = JSON.stringify({ a: keyA.toString('base64'), b: keyB.toString('base64') });
+
+  it('should be disabled without keys', function () {
+    assert.equal(parseTokenEncryption({}), undefined);
+  });
+
+  it('should use the only key', function () {
+    const encryption = parseTokenEncryption({
+      MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: JSON.stringify({ a: keyA.toString('base64') }),
+    });
+    assert.equal(encryption.currentKeyId, 'a');
+  });
+
+  it('should use the selected key of several', function () {
+    const encryption = parseTokenEncryption({
+      MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: keysJson,
+      MCP_AUTH_PROXY_ENCRYPTION_KEY_ID: 'b',
+    });
+    assert.equal(encryption.currentKeyId, 'b');
+    assert.equal(encryption.keys.size, 2);
+  });
+
+  it('should require a key ID with several keys', function () {
+    assert.throws(() => parseTokenEncryption({ MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: keysJson }), {
+      message:
+        'MCP_AUTH_PROXY_ENCRYPTION_KEY_ID must select the current key when several keys are configured',
+    });
+  });
+
+  it('should reject unknown key IDs, short keys and invalid JSON', function () {
+    assert.throws(
+      () =>
+        parseTokenEncryption({
+          MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: keysJson,
+          MCP_AUTH_PROXY_ENCRYPTION_KEY_ID: 'c',
+        }),
+      /Encryption key ID "c" is not one of the configured keys/
+    );
+    assert.throws(
+      () =>
+        parseTokenEncryption({
+          MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: JSON.stringify({ a: 'c2hvcnQ=' }),
+        }),
+      /Encryption key "a" must be 32 bytes/
+    );
+    assert.throws(
+      () => parseTokenEncryption({ MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: '{' }),
+      /MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON must be valid JSON/
+    );
+  });
+});
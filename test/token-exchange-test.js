@@ -0,0 +1,165 @@
+import assert from 'assert';
+import sinon from 'sinon';
+
+import {
+  UpstreamTokenExchanger,
+  parseTokenExchangeConfig,
+  tokenExchangeParameters,
+} from '../lib/token-exchange.js';
+
+describe('Token exchange', function () {
+  describe('parseTokenExchangeConfig', function () {
+    it('should keep the audience, resource and scope', function () {
+      assert.deepEqual(
+        parseTokenExchangeConfig(
+          {
+            audience: 'mcp-server',
+            resource: 'https://mcp.example.com',
+            scope: ' read write ',
+            other: true,
+          },
+          'config'
+        ),
+        { audience: 'mcp-server', resource: 'https://mcp.example.com', scope: 'read write' }
+      );
+    });
+
+    it('should reject invalid parameters', function () {
+      assert.throws(() => parseTokenExchangeConfig('mcp-server', 'config'), {
+        message: 'config must be an object of "audience", "resource" and "scope"',
+      });
+      assert.throws(() => parseTokenExchangeConfig({ audience: '' }, 'config'), {
+        message: 'config.audience must be a non-empty string',
+      });
+      assert.throws(() => parseTokenExchangeConfig({ resource: 'mcp' }, 'config'), {
+        message: 'config.resource must be an absolute URI',
+      });
+    });
+  });
+
+  describe('tokenExchangeParameters', function () {
+    it('should request an access token for the subject access token', function () {
+      assert.deepEqual(tokenExchangeParameters('identity-token', { audience: 'mcp-server' }), {
+        subject_token: 'identity-token',
+        subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        requested_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+        audience: 'mcp-server',
+      });
+    });
+  });
+
+  describe('UpstreamTokenExchanger', function () {
+    const config = { audience: 'mcp-server', scope: 'read' };
+    let clock;
+    let exchangeFunc;
+    let exchanger;
+    let credential;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers({ now: 1_000_000_000 });
+      let count = 0;
+      exchangeFunc = sinon.fake(async () => ({
+        access_token: `exchanged-${++count}`,
+        token_type: 'bearer',
+        expires_in: 300,
+      }));
+      exchanger = new UpstreamTokenExchanger({ exchangeFunc });
+      credential = { grantId: 'grant-1', identityAuthAccessToken: 'identity-token-1' };
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it('should exchange the identity token for the route', async function () {
+      const token = await exchanger.tokenFor(credential, config);
+
+      assert.equal(token.accessToken, 'exchanged-1');
+      assert.equal(token.tokenType, 'bearer');
+      assert.equal(token.expiresAt, 1_000_000 + 300);
+      assert.deepEqual(exchangeFunc.firstCall.args, ['identity-token-1', config]);
+    });
+
+    it('should reuse the exchanged token until shortly before it expires', async function () {
+      await exchanger.tokenFor(credential, config);
+      clock.tick(260 * 1000);
+      assert.equal((await exchanger.tokenFor(credential, config)).accessToken, 'exchanged-1');
+
+      clock.tick(20 * 1000);
+      assert.equal((await exchanger.tokenFor(credential, config)).accessToken, 'exchanged-2');
+    });
+
+    it('should exchange a refreshed identity token again', async function () {
+      await exchanger.tokenFor(credential, config);
+      credential.identityAuthAccessToken = 'identity-token-2';
+
+      const token = await exchanger.tokenFor(credential, config);
+
+      assert.equal(token.accessToken, 'exchanged-2');
+      assert.equal(exchangeFunc.secondCall.args[0], 'identity-token-2');
+    });
+
+    it('should exchange separately for each grant and route', async function () {
+      await exchanger.tokenFor(credential, config);
+      await exchanger.tokenFor(credential, { audience: 'other-mcp-server' });
+      await exchanger.tokenFor({ ...credential, grantId: 'grant-2' }, config);
+
+      assert.equal(exchangeFunc.callCount, 3);
+    });
+
+    it('should exchange once for concurrent requests', async function () {
+      const tokens = await Promise.all([
+        exchanger.tokenFor(credential, config),
+        exchanger.tokenFor(credential, config),
+      ]);
+
+      assert.equal(exchangeFunc.callCount, 1);
+      assert.equal(tokens[0], tokens[1]);
+    });
+
+    it('should exchange again once forgotten', async function () {
+      await exchanger.tokenFor(credential, config);
+      exchanger.forget(credential, config);
+
+      assert.equal((await exchanger.tokenFor(credential, config)).accessToken, 'exchanged-2');
+    });
+
+    it('should drop the least recently used tokens', async function () {
+      exchanger = new UpstreamTokenExchanger({ exchangeFunc, maxEntries: 2 });
+      const credentials = ['grant-1', 'grant-2', 'grant-3'].map((grantId) => ({
+        grantId,
+        identityAuthAccessToken: `identity-token-${grantId}`,
+      }));
+      await exchanger.tokenFor(credentials[0], config);
+      await exchanger.tokenFor(credentials[1], config);
+      await exchanger.tokenFor(credentials[0], config);
+      await exchanger.tokenFor(credentials[2], config);
+
+      assert.equal(exchanger.cache.size, 2);
+      await exchanger.tokenFor(credentials[1], config);
+      assert.equal(exchangeFunc.callCount, 4);
+    });
+
+    it('should not cache failed exchanges', async function () {
+      exchanger = new UpstreamTokenExchanger({
+        exchangeFunc: sinon.stub().onFirstCall().rejects(new Error('invalid_target')).resolves({
+          access_token: 'exchanged',
+        }),
+      });
+
+      await assert.rejects(exchanger.tokenFor(credential, config), /invalid_target/);
+      const token = await exchanger.tokenFor(credential, config);
+
+      assert.equal(token.accessToken, 'exchanged');
+      assert.equal(token.expiresAt, undefined);
+    });
+
+    it('should reject responses without an access token', async function () {
+      exchanger = new UpstreamTokenExchanger({ exchangeFunc: async () => ({}) });
+
+      await assert.rejects(exchanger.tokenFor(credential, config), {
+        message: 'Token exchange response is missing access_token',
+      });
+    });
+  });
+});
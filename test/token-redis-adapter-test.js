@@ -1,4 +1,5 @@
 import assert from 'assert';
+import crypto from 'node:crypto';
 import sinon from 'sinon';
 import TokenRedisAdapter from '../lib/token-redis-adapter.js';
 import RedisClient from '../lib/redis-client.js';
@@ -18,11 +19,17 @@ describe('TokenRedisAdapter', function () {
       hgetall: sinon.stub(),
       hset: sinon.stub(),
       hmset: sinon.stub(),
+      hget: sinon.stub(),
       rpush: sinon.stub(),
       lrange: sinon.stub(),
       ttl: sinon.stub(),
       expire: sinon.stub(),
       exec: sinon.stub(),
+      type: sinon.stub(),
+      watch: sinon.stub(),
+      unwatch: sinon.stub(),
+      scan: sinon.stub(),
+      smembers: sinon.stub(),
       disconnect: sinon.stub(),
     };
 
@@ -41,6 +48,7 @@ describe('TokenRedisAdapter', function () {
   afterEach(function () {
     redisClientCreateStub.restore();
     TokenRedisAdapter.client = null;
+    TokenRedisAdapter.encryption = undefined;
   });
 
   describe('static init', function () {
@@ -252,6 +260,79 @@ describe('TokenRedisAdapter', function () {
       });
     });
 
+    describe('client index', function () {
+      function mockIndexMulti() {
+        const mockMulti = {
+          set: sinon.stub(),
+          expire: sinon.stub(),
+          sadd: sinon.stub(),
+          persist: sinon.stub(),
+          exec: sinon.stub().resolves([]),
+        };
+        mockIoredisInstance.multi.returns(mockMulti);
+        return mockMulti;
+      }
+
+      it('should index grants and login sessions by client', async function () {
+        const mockMulti = mockIndexMulti();
+        mockIoredisInstance.ttl.resolves(-2);
+
+        await new TokenRedisAdapter('Grant').upsert('grant-1', { clientId: 'client-1' }, 3600);
+        await new TokenRedisAdapter('Session').upsert(
+          'session-1',
+          { authorizations: { 'client-1': {}, 'client-2': {} } },
+          600
+        );
+        await adapter.upsert('token-1', { clientId: 'client-1' }, 3600);
+
+        assert.deepEqual(
+          mockMulti.sadd.getCalls().map((call) => call.args),
+          [
+            ['client:client-1', 'Grant:grant-1'],
+            ['client:client-1', 'Session:session-1'],
+            ['client:client-2', 'Session:session-1'],
+          ]
+        );
+        assert(mockMulti.expire.calledWith('client:client-1', 3600));
+        assert(mockMulti.expire.calledWith('client:client-2', 600));
+      });
+
+      it('should keep the index of records that never expire', async function () {
+        const mockMulti = mockIndexMulti();
+        mockIoredisInstance.ttl.resolves(3600);
+
+        await new TokenRedisAdapter('RegistrationAccessToken').upsert('rat-1', {
+          clientId: 'client-1',
+        });
+
+        assert(mockMulti.sadd.calledWith('client:client-1', 'RegistrationAccessToken:rat-1'));
+        assert(mockMulti.persist.calledWith('client:client-1'));
+        assert(mockMulti.expire.notCalled);
+      });
+
+      it('should list the IDs of the model indexed for a client', async function () {
+        mockIoredisInstance.smembers.resolves([
+          'Grant:grant-1',
+          'Session:session-1',
+          'Grant:with:colon',
+        ]);
+
+        const ids = [];
+        for await (const id of new TokenRedisAdapter('Grant').idsByClientId('client-1')) {
+          ids.push(id);
+        }
+
+        assert.deepEqual(ids, ['grant-1', 'with:colon']);
+        assert(mockIoredisInstance.smembers.calledWith('client:client-1'));
+      });
+
+      it('should delete the index of a client', async function () {
+        await adapter.destroyClientIndex('client-1');
+
+        assert(mockIoredisInstance.del.calledWith('client:client-1'));
+      });
+    });
+
     describe('find', function () {
       it('should find non-consumable token', async function () {
         const tokenData = JSON.stringify({ token: 'value' });
@@ -321,6 +402,25 @@ describe('TokenRedisAdapter', function () {
       });
     });
 
+    describe('ids', function () {
+      it('should scan the IDs of the model, in batches', async function () {
+        mockIoredisInstance.scan
+          .onFirstCall()
+          .resolves(['7', ['oidc:AccessToken:token1', 'oidc:AccessToken:with:colon']])
+          .onSecondCall()
+          .resolves(['0', ['oidc:AccessToken:token2']]);
+
+        const ids = [];
+        for await (const id of adapter.ids({ batchSize: 2 })) {
+          ids.push(id);
+        }
+
+        assert.deepEqual(ids, ['token1', 'with:colon', 'token2']);
+        assert(mockIoredisInstance.scan.calledWith('0', 'MATCH', 'oidc:AccessToken:*', 'COUNT', 2));
+        assert(mockIoredisInstance.scan.calledWith('7', 'MATCH', 'oidc:AccessToken:*', 'COUNT', 2));
+      });
+    });
+
     describe('revokeByGrantId', function () {
       it('should revoke all tokens for a grant', async function () {
         const mockMulti = {
@@ -354,4 +454,137 @@ describe('TokenRedisAdapter', function () {
       });
     });
   });
+
+  describe('encryption', function () {
+    const currentKey = crypto.randomBytes(32).toString('base64');
+    const previousKey = crypto.randomBytes(32).toString('base64');
+    const errorFunc = () => {};
+    let storage;
+    let mockMulti;
+
+    function initWithKeys(keys, keyId) {
+      TokenRedisAdapter.init(
+        {
+          MCP_AUTH_PROXY_REDIS_URL: 'redis://localhost:6379',
+          MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON: JSON.stringify(keys),
+          MCP_AUTH_PROXY_ENCRYPTION_KEY_ID: keyId,
+        },
+        errorFunc
+      );
+    }
+
+    beforeEach(function () {
+      // String values by key, enough of Redis for these tests
+      storage = new Map();
+      mockMulti = {
+        set: sinon.stub().callsFake((key, value) => storage.set(key, value)),
+        expire: sinon.stub(),
+        exec: sinon.stub().resolves([]),
+      };
+      mockIoredisInstance.multi.returns(mockMulti);
+      mockIoredisInstance.get.callsFake(async (key) => storage.get(key) ?? null);
+      mockIoredisInstance.type.callsFake(async (key) => (storage.has(key) ? 'string' : 'none'));
+      mockIoredisInstance.watch.resolves('OK');
+      mockIoredisInstance.unwatch.resolves('OK');
+    });
+
+    it('should store sensitive fields encrypted, and find them decrypted', async function () {
+      initWithKeys({ current: currentKey });
+      const adapter = new TokenRedisAdapter('UpstreamCredential');
+      const payload = {
+        grantId: 'grant-1',
+        identityAuthAccessToken: 'upstream-access-token',
+        identityAuthRefreshToken: 'upstream-refresh-token',
+      };
+
+      await adapter.upsert('grant-1', payload, 3600);
+
+      const stored = storage.get('UpstreamCredential:grant-1');
+      assert(!stored.includes('upstream-access-token'), 'Should not store the token in plaintext');
+      assert(!stored.includes('upstream-refresh-token'), 'Should not store the token in plaintext');
+      assert.equal(JSON.parse(stored)._encrypted.kid, 'current');
+      assert.deepEqual(await adapter.find('grant-1'), payload);
+    });
+
+    it('should not decrypt a record copied to another key', async function () {
+      initWithKeys({ current: currentKey });
+      const adapter = new TokenRedisAdapter('UpstreamCredential');
+      await adapter.upsert('grant-1', { identityAuthAccessToken: 'token' }, 3600);
+      storage.set('UpstreamCredential:grant-2', storage.get('UpstreamCredential:grant-1'));
+
+      await assert.rejects(() => adapter.find('grant-2'), /unable to authenticate data/);
+    });
+
+    it('should find records stored before encryption was configured', async function () {
+      initWithKeys({ current: currentKey });
+      const adapter = new TokenRedisAdapter('Client');
+      storage.set('Client:client-1', JSON.stringify({ client_secret: 'secret' }));
+
+      assert.deepEqual(await adapter.find('client-1'), { client_secret: 'secret' });
+    });
+
+    it('should refuse to find encrypted records without keys', async function () {
+      initWithKeys({ current: currentKey });
+      const adapter = new TokenRedisAdapter('Client');
+      await adapter.upsert('client-1', { client_secret: 'secret' });
+      TokenRedisAdapter.encryption = undefined;
+
+      await assert.rejects(
+        () => adapter.find('client-1'),
+        /Client:client-1 is encrypted, but no encryption keys are configured/
+      );
+    });
+
+    describe('reencryptAll', function () {
+      beforeEach(function () {
+        mockIoredisInstance.scan = sinon
+          .stub()
+          .callsFake(async () => ['0', [...storage.keys()].map((key) => `oidc:${key}`)]);
+      });
+
+      it('should re-encrypt records with the current key, keeping their expiry', async function () {
+        initWithKeys({ previous: previousKey });
+        const adapter = new TokenRedisAdapter('Client');
+        await adapter.upsert('client-1', { client_secret: 'secret' });
+        storage.set('Client:client-2', JSON.stringify({ client_secret: 'plaintext-secret' }));
+        storage.set('Client:client-3', JSON.stringify({ client_id: 'client-3' }));
+        storage.set('grant:grant-1', 'not a model');
+
+        initWithKeys({ previous: previousKey, current: currentKey }, 'current');
+        const counts = await TokenRedisAdapter.reencryptAll();
+
+        assert.deepEqual(counts, { scanned: 3, reencrypted: 2 });
+        assert(mockMulti.set.calledWith('Client:client-1', sinon.match.string, 'KEEPTTL'));
+        for (const id of ['client-1', 'client-2']) {
+          assert.equal(JSON.parse(storage.get(`Client:${id}`))._encrypted.kid, 'current');
+        }
+
+        // Readable with only the current key
+        initWithKeys({ current: currentKey });
+        assert.equal((await adapter.find('client-1')).client_secret, 'secret');
+        assert.equal((await adapter.find('client-2')).client_secret, 'plaintext-secret');
+      });
+
+      it('should skip records that changed while re-encrypting', async function () {
+        initWithKeys({ previous: previousKey });
+        await new TokenRedisAdapter('Client').upsert('client-1', { client_secret: 'secret' });
+        initWithKeys({ previous: previousKey, current: currentKey }, 'current');
+        mockMulti.exec.resolves(null);
+
+        const counts = await TokenRedisAdapter.reencryptAll();
+
+        assert.deepEqual(counts, { scanned: 1, reencrypted: 0 });
+        assert(mockIoredisInstance.unwatch.called);
+      });
+
+      it('should require encryption keys', async function () {
+        TokenRedisAdapter.init({ MCP_AUTH_PROXY_REDIS_URL: 'redis://localhost:6379' }, errorFunc);
+
+        await assert.rejects(
+          () => TokenRedisAdapter.reencryptAll(),
+          /re-encryption requires MCP_AUTH_PROXY_ENCRYPTION_KEYS_JSON/
+        );
+      });
+    });
+  });
 });
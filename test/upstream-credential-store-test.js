@@ -0,0 +1,193 @@
+import assert from 'assert';
+import sinon from 'sinon';
+
+import {
+  UpstreamCredentialStore,
+  getUpstreamCredentialStore,
+} from '../lib/upstream-credential-store.js';
+
+// In-memory adapter with the oidc-provider adapter interface
+class FakeAdapter {
+  constructor(name) {
+    this.name = name;
+    this.storage = new Map();
+    this.expiries = new Map();
+  }
+
+  async upsert(id, payload, expiresIn) {
+    this.storage.set(id, { ...payload });
+    this.expiries.set(id, expiresIn);
+  }
+
+  async find(id) {
+    const payload = this.storage.get(id);
+    return payload ? { ...payload } : undefined;
+  }
+
+  async destroy(id) {
+    this.storage.delete(id);
+  }
+}
+
+const binding = { grantId: 'grant-1', accountId: 'user-1', clientId: 'client-1' };
+
+function createCredential(overrides = {}) {
+  return {
+    ...binding,
+    identityAuthId: 'user-1',
+    identityAuthAccessToken: 'access-token',
+    identityAuthRefreshToken: 'refresh-token',
+    ...overrides,
+  };
+}
+
+function createProvider(clientMetadata) {
+  const clientAdapter = { upsert: sinon.stub().resolves() };
+  return {
+    Client: {
+      adapter: clientAdapter,
+      find: sinon
+        .stub()
+        .callsFake(async () =>
+          clientMetadata
+            ? { ...clientMetadata, metadata: () => ({ ...clientMetadata }) }
+            : undefined
+        ),
+    },
+    Grant: {
+      adapter: new FakeAdapter('Grant'),
+      find: sinon.stub().resolves({ exp: Math.floor(Date.now() / 1000) + 600 }),
+    },
+  };
+}
+
+describe('UpstreamCredentialStore', function () {
+  let adapter;
+  let store;
+
+  beforeEach(function () {
+    adapter = new FakeAdapter('UpstreamCredential');
+    store = new UpstreamCredentialStore(adapter);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('save & find', function () {
+    it('should store the credential by grant ID', async function () {
+      await store.save(createCredential({ unrelated: 'field' }));
+
+      const found = await store.find('grant-1');
+      assert.strictEqual(found.identityAuthAccessToken, 'access-token');
+      assert.strictEqual(found.accountId, 'user-1');
+      assert.strictEqual(found.unrelated, undefined);
+      assert.strictEqual(await store.find('grant-2'), undefined);
+    });
+
+    it('should expire the credential with its grant', async function () {
+      const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+      await store.save(createCredential({ expiresAt }));
+
+      const expiresIn = adapter.expiries.get('grant-1');
+      assert.ok(expiresIn > 3590 && expiresIn <= 3600, `expiresIn ${expiresIn}`);
+    });
+
+    it('should require the grant binding', async function () {
+      await assert.rejects(
+        () => store.save(createCredential({ accountId: undefined })),
+        /requires a grantId, accountId & clientId/
+      );
+      assert.strictEqual(adapter.storage.size, 0);
+    });
+  });
+
+  describe('findForAccessToken', function () {
+    beforeEach(async function () {
+      await store.save(createCredential());
+    });
+
+    it('should find the credential bound to the access token', async function () {
+      const found = await store.findForAccessToken(binding);
+      assert.strictEqual(found.identityAuthAccessToken, 'access-token');
+    });
+
+    it('should not return a credential bound to another account', async function () {
+      const found = await store.findForAccessToken({ ...binding, accountId: 'user-2' });
+      assert.strictEqual(found, undefined);
+    });
+
+    it('should not return a credential bound to another client', async function () {
+      const found = await store.findForAccessToken({ ...binding, clientId: 'client-2' });
+      assert.strictEqual(found, undefined);
+    });
+  });
+
+  describe('destroy', function () {
+    it('should remove the credential', async function () {
+      await store.save(createCredential());
+      await store.destroy('grant-1');
+      assert.strictEqual(await store.find('grant-1'), undefined);
+    });
+  });
+
+  describe('migrateFromClient', function () {
+    const legacyClient = {
+      clientId: 'client-1',
+      redirect_uris: ['http://localhost:3000/callback'],
+      identityAuthId: 'user-1',
+      identityAuthAccessToken: 'legacy-access-token',
+      identityAuthRefreshToken: 'legacy-refresh-token',
+    };
+
+    it('should move the tokens from the client to the grant', async function () {
+      const provider = createProvider(legacyClient);
+
+      const credential = await store.migrateFromClient(provider, binding);
+
+      assert.strictEqual(credential.identityAuthAccessToken, 'legacy-access-token');
+      assert.ok(credential.expiresAt);
+      const stored = await store.find('grant-1');
+      assert.strictEqual(stored.identityAuthRefreshToken, 'legacy-refresh-token');
+
+      const [clientId, metadata] = provider.Client.adapter.upsert.firstCall.args;
+      assert.strictEqual(clientId, 'client-1');
+      assert.strictEqual(metadata.identityAuthAccessToken, undefined);
+      assert.strictEqual(metadata.identityAuthRefreshToken, undefined);
+      assert.deepStrictEqual(metadata.redirect_uris, legacyClient.redirect_uris);
+    });
+
+    it('should not move the tokens to another account', async function () {
+      const provider = createProvider(legacyClient);
+
+      const credential = await store.migrateFromClient(provider, {
+        ...binding,
+        accountId: 'user-2',
+      });
+
+      assert.strictEqual(credential, undefined);
+      assert.strictEqual(adapter.storage.size, 0);
+      assert.ok(provider.Client.adapter.upsert.notCalled);
+    });
+
+    it('should do nothing without tokens on the client', async function () {
+      const provider = createProvider({ clientId: 'client-1' });
+
+      assert.strictEqual(await store.migrateFromClient(provider, binding), undefined);
+      assert.ok(provider.Client.adapter.upsert.notCalled);
+    });
+  });
+
+  describe('getUpstreamCredentialStore', function () {
+    it('should create one store per provider, with the grant adapter class', function () {
+      const provider = createProvider();
+
+      const first = getUpstreamCredentialStore(provider);
+
+      assert.strictEqual(getUpstreamCredentialStore(provider), first);
+      assert.ok(first.adapter instanceof FakeAdapter);
+      assert.strictEqual(first.adapter.name, 'UpstreamCredential');
+      assert.notStrictEqual(getUpstreamCredentialStore(createProvider()), first);
+    });
+  });
+});